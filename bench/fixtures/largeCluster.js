@@ -0,0 +1,122 @@
+import yaml from "js-yaml";
+
+// Generates the manifests of a large cluster: namespaces of workloads, each
+// with a default deny policy and one policy per workload that allows traffic
+// from neighbours, from other namespaces and out to DNS. The output only
+// depends on the options, so runs are comparable.
+
+const TIERS = ["web", "api", "worker", "db"];
+
+// Small seeded PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Pod selector of a workload, which peers reaching it repeat
+const workloadSelector = (workload) => ({
+  matchLabels: { app: `svc-${workload}`, tier: TIERS[workload % TIERS.length] },
+});
+
+const namespaceSelector = (namespace) => ({
+  matchLabels: { "kubernetes.io/metadata.name": namespace },
+});
+
+/**
+ * Builds the fixture's NetworkPolicy manifests
+ * @param {Object} options - Fixture size
+ * @param {Number} options.namespaces - Number of namespaces
+ * @param {Number} options.policiesPerNamespace - Policies in each namespace
+ * @param {Number} options.seed - Seed for the generated peers
+ * @returns {Array} - NetworkPolicy manifests
+ */
+export const generatePolicies = ({
+  namespaces = 50,
+  policiesPerNamespace = 100,
+  seed = 1,
+} = {}) => {
+  const random = createRandom(seed);
+  const pick = (count) => Math.floor(random() * count);
+  const policies = [];
+
+  for (let n = 0; n < namespaces; n++) {
+    const namespace = `team-${n}`;
+
+    policies.push({
+      apiVersion: "networking.k8s.io/v1",
+      kind: "NetworkPolicy",
+      metadata: { name: "default-deny", namespace },
+      spec: { podSelector: {}, policyTypes: ["Ingress", "Egress"] },
+    });
+
+    const workloads = policiesPerNamespace - 1;
+    for (let w = 0; w < workloads; w++) {
+      const from = [{ podSelector: workloadSelector(pick(workloads)) }];
+      if (random() < 0.1) {
+        from.push({
+          podSelector: { matchLabels: { tier: TIERS[pick(TIERS.length)] } },
+        });
+      }
+      if (random() < 0.3) {
+        from.push({
+          namespaceSelector: namespaceSelector(`team-${pick(namespaces)}`),
+          podSelector: workloadSelector(pick(workloads)),
+        });
+      }
+      if (random() < 0.05) {
+        from.push({
+          podSelector: {
+            matchExpressions: [
+              { key: "tier", operator: "In", values: ["web", "api"] },
+            ],
+          },
+        });
+      }
+
+      const to = [
+        {
+          namespaceSelector: namespaceSelector("kube-system"),
+          podSelector: { matchLabels: { "k8s-app": "kube-dns" } },
+        },
+      ];
+      if (random() < 0.5) {
+        to.push({
+          podSelector: workloadSelector(pick(workloads)),
+        });
+      }
+      if (random() < 0.1) {
+        to.push({ ipBlock: { cidr: `10.${pick(256)}.0.0/16` } });
+      }
+
+      policies.push({
+        apiVersion: "networking.k8s.io/v1",
+        kind: "NetworkPolicy",
+        metadata: { name: `allow-svc-${w}`, namespace },
+        spec: {
+          podSelector: workloadSelector(w),
+          policyTypes: ["Ingress", "Egress"],
+          ingress: [{ from, ports: [{ protocol: "TCP", port: 8080 }] }],
+          egress: [{ to, ports: [{ protocol: "UDP", port: 53 }] }],
+        },
+      });
+    }
+  }
+
+  return policies;
+};
+
+/**
+ * Builds the fixture as one multi-document YAML file, as it would be loaded
+ * @param {Object} options - Fixture size, see generatePolicies
+ * @returns {String} - YAML text
+ */
+export const generatePolicyYaml = (options) =>
+  generatePolicies(options)
+    .map((policy) => yaml.dump(policy))
+    .join("---\n");
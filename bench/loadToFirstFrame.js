@@ -0,0 +1,117 @@
+import { performance } from "perf_hooks";
+import { generatePolicyYaml } from "./fixtures/largeCluster.js";
+import { parseYaml } from "../src/utils/parsers.js";
+import { parsePolicyDocuments } from "../src/utils/policyDocuments.js";
+import { runGraphPipeline } from "../src/utils/graphPipeline.js";
+import { runSimulationLayout } from "../src/components/graph/useGraphSimulation.js";
+
+// Measures the work between loading a large policy set and drawing its first
+// frame: parsing it as an uploaded file is parsed, building the graph and
+// laying it out until the worker hands out its first positions. Drawing
+// itself needs a browser and is not included. The time until the layout
+// settles is reported as well but not held to the target.
+//
+// Usage: npm run bench [-- --target <seconds>]
+
+const DEFAULT_TARGET_SECONDS = 10;
+const DIMENSIONS = { width: 1600, height: 900 };
+
+const getTarget = () => {
+  const index = process.argv.indexOf("--target");
+  return index === -1
+    ? DEFAULT_TARGET_SECONDS
+    : Number(process.argv[index + 1]);
+};
+
+// Runs a step with the parsers' debug logging silenced
+const time = (timings, name, step) => {
+  const log = console.log;
+  console.log = () => {};
+  const start = performance.now();
+  try {
+    return step();
+  } finally {
+    timings.push({ name, ms: performance.now() - start });
+    console.log = log;
+  }
+};
+
+const main = () => {
+  const target = getTarget();
+  const yamlText = generatePolicyYaml({
+    namespaces: 50,
+    policiesPerNamespace: 100,
+  });
+  const timings = [];
+
+  const policies = time(timings, "Parse YAML", () =>
+    parsePolicyDocuments(parseYaml(yamlText)),
+  );
+
+  const { graphData } = time(timings, "Build graph", () =>
+    runGraphPipeline({
+      allPolicies: policies,
+      filteredPolicies: policies,
+      deduplicateNodes: true,
+      cidrCatalog: [],
+      inventory: null,
+      directionFilter: "all",
+    }),
+  );
+
+  // The worker receives the same slim copies the graph view sends it. The
+  // view draws its first frame at the first positions handed out.
+  const layoutStart = performance.now();
+  let firstPositionsMs = null;
+  const recordFirstPositions = () => {
+    if (firstPositionsMs === null) {
+      firstPositionsMs = performance.now() - layoutStart;
+    }
+  };
+  const settled = [];
+  time(settled, "Settled layout", () =>
+    runSimulationLayout(
+      {
+        nodes: graphData.nodes.map((node) => ({
+          id: node.id,
+          type: node.type,
+          details: { namespace: node.details?.namespace },
+        })),
+        links: graphData.links.map((link) => ({
+          source: link.source,
+          target: link.target,
+          crossPolicy: link.crossPolicy,
+        })),
+        dimensions: DIMENSIONS,
+        visualizationType: "enhanced",
+      },
+      undefined,
+      recordFirstPositions,
+    ),
+  );
+  // A layout too short to hand out positions is drawn when it is done
+  timings.push({
+    name: "First layout",
+    ms: firstPositionsMs ?? settled[0].ms,
+  });
+
+  const firstFrameSeconds = timings.reduce((sum, { ms }) => sum + ms, 0) / 1000;
+  const formatSeconds = (seconds) => `${seconds.toFixed(1).padStart(8)} s`;
+  console.log(
+    `${policies.length} policies, ${graphData.nodes.length} nodes, ${graphData.links.length} links`,
+  );
+  [...timings, ...settled].forEach(({ name, ms }) => {
+    console.log(`  ${name.padEnd(16)}${formatSeconds(ms / 1000)}`);
+  });
+  console.log(
+    `  ${"First frame".padEnd(16)}${formatSeconds(firstFrameSeconds)}`,
+  );
+  console.log(`  ${"Target".padEnd(16)}${formatSeconds(target)}`);
+
+  if (firstFrameSeconds > target) {
+    console.error("Load to first frame is over the target");
+    process.exit(1);
+  }
+};
+
+main();
@@ -1,7 +1,12 @@
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
-import { KubeConfig, NetworkingV1Api } from "@kubernetes/client-node";
+import {
+  KubeConfig,
+  NetworkingV1Api,
+  CoreV1Api,
+  CustomObjectsApi,
+} from "@kubernetes/client-node";
 import cors from "cors";
 
 // Get __dirname equivalent for ES modules
@@ -13,6 +18,8 @@ class KubernetesClient {
   constructor() {
     this.kc = new KubeConfig();
     this.k8sApi = null;
+    this.coreApi = null;
+    this.customObjectsApi = null;
     this.isInitialized = false;
     this.initializationError = null;
   }
@@ -30,6 +37,8 @@ class KubernetesClient {
       }
 
       this.k8sApi = this.kc.makeApiClient(NetworkingV1Api);
+      this.coreApi = this.kc.makeApiClient(CoreV1Api);
+      this.customObjectsApi = this.kc.makeApiClient(CustomObjectsApi);
       this.isInitialized = true;
 
       const currentContext = this.kc.getCurrentContext();
@@ -52,6 +61,14 @@ class KubernetesClient {
     return this.k8sApi;
   }
 
+  getCoreClient() {
+    return this.coreApi;
+  }
+
+  getCustomObjectsClient() {
+    return this.customObjectsApi;
+  }
+
   isReady() {
     return this.isInitialized && this.k8sApi !== null;
   }
@@ -63,7 +80,7 @@ class KubernetesClient {
 
 // Error handling utilities
 class ApiErrorHandler {
-  static getErrorDetails(error, context = "") {
+  static getErrorDetails(error, context = "", resource = "NetworkPolicies") {
     const baseContext = context ? `${context}: ` : "";
 
     const errorMap = {
@@ -74,7 +91,7 @@ class ApiErrorHandler {
       },
       403: {
         message: "Permission denied",
-        details: `The service account does not have permission to access NetworkPolicies${context ? ` ${context}` : ""}. Please check RBAC configuration.`,
+        details: `The service account does not have permission to access ${resource}${context ? ` ${context}` : ""}. Please check RBAC configuration.`,
       },
       401: {
         message: "Authentication failed",
@@ -98,7 +115,7 @@ class ApiErrorHandler {
       message: errorInfo?.message || error.message,
       details:
         errorInfo?.details ||
-        `${baseContext}Unknown error occurred while fetching NetworkPolicies`,
+        `${baseContext}Unknown error occurred while fetching ${resource}`,
       code: error.code,
       statusCode: error.statusCode,
     };
@@ -127,6 +144,46 @@ class ApiErrorHandler {
   }
 }
 
+// Pods and Namespaces are trimmed to what selector resolution needs
+const toPodSummary = (pod) => ({
+  apiVersion: "v1",
+  kind: "Pod",
+  metadata: {
+    name: pod.metadata?.name,
+    namespace: pod.metadata?.namespace,
+    labels: pod.metadata?.labels || {},
+    ownerReferences: (pod.metadata?.ownerReferences || []).map(
+      ({ kind, name }) => ({ kind, name }),
+    ),
+  },
+  status: { phase: pod.status?.phase, podIP: pod.status?.podIP },
+});
+
+const toNamespaceSummary = (namespace) => ({
+  apiVersion: "v1",
+  kind: "Namespace",
+  metadata: {
+    name: namespace.metadata?.name,
+    labels: namespace.metadata?.labels || {},
+  },
+});
+
+// Cilium policy CRDs; each is listed only when it is installed
+const CILIUM_GROUP = "cilium.io";
+const CILIUM_VERSION = "v2";
+const CILIUM_POLICY_RESOURCES = [
+  {
+    kind: "CiliumNetworkPolicy",
+    plural: "ciliumnetworkpolicies",
+    namespaced: true,
+  },
+  {
+    kind: "CiliumClusterwideNetworkPolicy",
+    plural: "ciliumclusterwidenetworkpolicies",
+    namespaced: false,
+  },
+];
+
 // API route handlers
 class NetworkPolicyHandlers {
   constructor(kubernetesClient) {
@@ -201,7 +258,128 @@ class NetworkPolicyHandlers {
     }
   }
 
-  handleError(error, res, context) {
+  async getAllPods(req, res) {
+    console.log("🔍 API request received for /api/pods");
+
+    try {
+      this.checkClientReady();
+
+      const response = await this.k8sClient
+        .getCoreClient()
+        .listPodForAllNamespaces();
+
+      const items = ApiErrorHandler.validateApiResponse(
+        response,
+        "for all namespaces",
+      );
+
+      console.log(`✅ Success: Found ${items.length} Pods`);
+      res.json(items.map(toPodSummary));
+    } catch (error) {
+      this.handleError(error, res, "fetching all Pods", "Pods");
+    }
+  }
+
+  async getNamespacedPods(req, res) {
+    const namespace = req.params.namespace;
+    console.log(`🔍 Received Pod request for namespace: ${namespace}`);
+
+    try {
+      this.checkClientReady();
+
+      const response = await this.k8sClient
+        .getCoreClient()
+        .listNamespacedPod({ namespace });
+
+      const items = ApiErrorHandler.validateApiResponse(
+        response,
+        `for namespace ${namespace}`,
+      );
+
+      console.log(
+        `✅ Successfully retrieved ${items.length} Pods for ${namespace}`,
+      );
+      res.json(items.map(toPodSummary));
+    } catch (error) {
+      this.handleError(
+        error,
+        res,
+        `fetching Pods for namespace ${namespace}`,
+        "Pods",
+      );
+    }
+  }
+
+  async getNamespaces(req, res) {
+    console.log("🔍 API request received for /api/namespaces");
+
+    try {
+      this.checkClientReady();
+
+      const response = await this.k8sClient.getCoreClient().listNamespace();
+
+      const items = ApiErrorHandler.validateApiResponse(response);
+
+      console.log(`✅ Success: Found ${items.length} Namespaces`);
+      res.json(items.map(toNamespaceSummary));
+    } catch (error) {
+      this.handleError(error, res, "fetching Namespaces", "Namespaces");
+    }
+  }
+
+  // Lists one Cilium policy CRD; a missing CRD gives an empty list. List
+  // items carry no kind, so it is set for the client to tell them apart.
+  async listCiliumPolicies({ kind, plural, namespaced }, namespace) {
+    const api = this.k8sClient.getCustomObjectsClient();
+    const target = { group: CILIUM_GROUP, version: CILIUM_VERSION, plural };
+
+    try {
+      const response =
+        namespace && namespaced
+          ? await api.listNamespacedCustomObject({ ...target, namespace })
+          : await api.listClusterCustomObject(target);
+      const items = ApiErrorHandler.validateApiResponse(response, kind);
+      return items.map((item) => ({ ...item, kind }));
+    } catch (error) {
+      if ((error.code || error.statusCode) === 404) {
+        console.log(`ℹ️ ${kind} is not installed`);
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Clusterwide policies apply to every namespace, so a namespace request
+  // returns them too
+  async getCiliumPolicies(req, res) {
+    const namespace = req.params.namespace;
+    console.log(
+      `🔍 Received Cilium policy request${namespace ? ` for namespace: ${namespace}` : ""}`,
+    );
+
+    try {
+      this.checkClientReady();
+
+      const lists = await Promise.all(
+        CILIUM_POLICY_RESOURCES.map((resource) =>
+          this.listCiliumPolicies(resource, namespace),
+        ),
+      );
+      const items = lists.flat();
+
+      console.log(`✅ Success: Found ${items.length} Cilium policies`);
+      res.json(items);
+    } catch (error) {
+      this.handleError(
+        error,
+        res,
+        "fetching Cilium policies",
+        "Cilium policies",
+      );
+    }
+  }
+
+  handleError(error, res, context, resource = "NetworkPolicies") {
     console.error(`❌ Error ${context}:`, error.message || error);
 
     if (error.statusCode && error.message && error.details) {
@@ -220,7 +398,11 @@ class NetworkPolicyHandlers {
       response: error.response?.body,
     });
 
-    const errorDetails = ApiErrorHandler.getErrorDetails(error, context);
+    const errorDetails = ApiErrorHandler.getErrorDetails(
+      error,
+      context,
+      resource,
+    );
 
     res.status(error.statusCode || 500).json({
       error: errorDetails.message,
@@ -282,6 +464,26 @@ class NetworkPolicyVisualizerServer {
       this.handlers.getNamespacedNetworkPolicies(req, res),
     );
 
+    // Pods and Namespaces resolve selectors to real workloads
+    this.app.get("/api/pods", (req, res) => this.handlers.getAllPods(req, res));
+
+    this.app.get("/api/pods/:namespace", (req, res) =>
+      this.handlers.getNamespacedPods(req, res),
+    );
+
+    this.app.get("/api/namespaces", (req, res) =>
+      this.handlers.getNamespaces(req, res),
+    );
+
+    // Cilium policies, empty when Cilium is not installed
+    this.app.get("/api/ciliumpolicies", (req, res) =>
+      this.handlers.getCiliumPolicies(req, res),
+    );
+
+    this.app.get("/api/ciliumpolicies/:namespace", (req, res) =>
+      this.handlers.getCiliumPolicies(req, res),
+    );
+
     // SPA fallback route
     this.app.get("*", (req, res) => {
       if (req.path.startsWith("/api/")) {
@@ -302,9 +504,14 @@ class NetworkPolicyVisualizerServer {
     // Start server
     this.app.listen(this.PORT, () => {
       console.log(`🚀 Server running on port ${this.PORT}`);
-      console.log(`📊 API endpoints available at:`);
-      console.log(`   GET /api/networkpolicies`);
-      console.log(`   GET /api/networkpolicies/:namespace`);
+      console.log("📊 API endpoints available at:");
+      console.log("   GET /api/networkpolicies");
+      console.log("   GET /api/networkpolicies/:namespace");
+      console.log("   GET /api/pods");
+      console.log("   GET /api/pods/:namespace");
+      console.log("   GET /api/namespaces");
+      console.log("   GET /api/ciliumpolicies");
+      console.log("   GET /api/ciliumpolicies/:namespace");
       console.log(
         `🔧 Kubernetes client status: ${this.k8sClient.isReady() ? "✅ Connected" : "❌ Not connected"}`,
       );
@@ -0,0 +1,210 @@
+import React from "react";
+import { getPortsText } from "../utils/formatters.js";
+import { describePeer } from "../utils/effectivePolicy.js";
+import { MATCH_DEFINITE } from "../utils/selectors.js";
+import { RULE_ACTION_ALLOW } from "../utils/calico.js";
+
+const STATUS_TEXT = {
+  unrestricted: "Not isolated: all traffic is allowed",
+  "deny-all": "Isolated: no rule allows any traffic",
+  "allow-all": "Isolated, but a rule allows all traffic",
+  restricted: "Isolated: only the traffic allowed below gets through",
+};
+
+/**
+ * Side panel showing the effective policy of a pod selector node: every
+ * policy selecting the pods and the merged ingress/egress rules in evaluation
+ * order, each linked back to the policy rule it comes from. Deny and Pass
+ * rules of admin and Calico policies are listed with their action, and Allow
+ * rules name the earlier ones that may shadow them.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - Pod selector node with an effectivePolicy
+ * @param {Array} props.policies - Loaded policies, used to open a source policy
+ * @param {Function} props.setShowPolicyDetails - Opens PolicyDetails for a policy
+ * @param {Function} props.onHighlightChange - Called with the graph highlight of a merged rule
+ * @param {Function} props.onClose - Called when the panel is closed
+ * @param {String} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} - The rendered component
+ */
+const EffectivePolicyPanel = ({
+  node,
+  policies = [],
+  setShowPolicyDetails,
+  onHighlightChange,
+  onClose,
+  theme = "light",
+}) => {
+  const effective = node?.effectivePolicy;
+  if (!effective) return null;
+
+  const mutedText = theme === "dark" ? "text-gray-400" : "text-gray-600";
+  const warningText = theme === "dark" ? "text-yellow-400" : "text-yellow-700";
+  const linkClass =
+    theme === "dark"
+      ? "text-cyan-400 hover:text-cyan-300"
+      : "text-blue-600 hover:text-blue-800";
+  const cardClass =
+    theme === "dark"
+      ? "bg-gray-800 border border-gray-700 text-gray-300"
+      : "bg-gray-100";
+  const headingClass = `font-semibold ${theme === "dark" ? "text-cyan-400" : ""}`;
+
+  const openPolicy = (namespace, name) => {
+    const policy = policies.find(
+      (p) => p.namespace === namespace && p.name === name,
+    );
+    if (policy && setShowPolicyDetails) {
+      setShowPolicyDetails(policy);
+    }
+  };
+
+  const highlightEntry = (entry) => {
+    if (onHighlightChange) {
+      onHighlightChange({
+        nodeIds: [node.id],
+        rules: entry.sources,
+        linkEnds: [],
+        tone: "info",
+      });
+    }
+  };
+
+  const getRulePath = (source) => {
+    const peerKey = source.direction === "ingress" ? "from" : "to";
+    const path = `spec.${source.direction}[${source.ruleIndex}]`;
+    return source.peerIndex === null
+      ? path
+      : `${path}.${peerKey}[${source.peerIndex}]`;
+  };
+
+  const renderDirection = (direction) => {
+    const state = effective[direction];
+    let statusText = STATUS_TEXT[state.status];
+    if (state.possiblyIsolated) {
+      statusText =
+        "Possibly isolated: the policies below apply only if the pods carry their labels";
+    }
+
+    return (
+      <div className="mb-4">
+        <h4 className={headingClass}>
+          {direction === "ingress" ? "Effective Ingress" : "Effective Egress"}
+        </h4>
+        <div className={`text-xs mb-1 ${mutedText}`}>{statusText}</div>
+        {state.entries.length > 0 && (
+          <ul className={`${cardClass} p-2 rounded text-sm space-y-2`}>
+            {state.entries.map((entry, i) => (
+              <li
+                key={`${direction}-${i}`}
+                className="cursor-pointer"
+                onClick={() => highlightEntry(entry)}
+                title="Highlight in graph"
+              >
+                <div>
+                  {entry.action !== RULE_ACTION_ALLOW && (
+                    <span className={`font-semibold ${warningText}`}>
+                      {entry.action}:{" "}
+                    </span>
+                  )}
+                  {describePeer(entry.peer, direction)}
+                </div>
+                <div className={`text-xs ${mutedText}`}>
+                  Ports: {getPortsText(entry.ports)}
+                </div>
+                <div className="text-xs font-mono">
+                  {entry.sources.map((source) => (
+                    <div
+                      key={`${source.namespace}/${source.policy}/${getRulePath(source)}`}
+                    >
+                      <button
+                        className={`block text-left ${linkClass}`}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          openPolicy(source.namespace, source.policy);
+                        }}
+                      >
+                        {`${source.policy} ${getRulePath(source)}`}
+                        {source.match !== MATCH_DEFINITE && " (possible)"}
+                      </button>
+                      {source.shadowedBy.map((shadow) => (
+                        <div
+                          key={`${shadow.namespace}/${shadow.policy}/${getRulePath(shadow)}`}
+                          className={`ml-2 ${warningText}`}
+                        >
+                          {`may be shadowed by ${shadow.action} ${shadow.policy} ${getRulePath(shadow)}`}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className={`${
+        theme === "dark"
+          ? "bg-gray-900 border-l border-cyan-800 text-gray-300"
+          : "bg-white border-l"
+      } fixed right-0 top-16 bottom-0 w-96 z-40 shadow-lg overflow-auto`}
+    >
+      <div
+        className={`${
+          theme === "dark"
+            ? "cyberpunk-header text-white"
+            : "bg-blue-600 text-white"
+        } px-4 py-2 flex justify-between items-center`}
+      >
+        <h3 className="text-lg font-semibold truncate" title={node.label}>
+          Effective Policy: {node.label}
+        </h3>
+        <button className="text-white hover:text-gray-200" onClick={onClose}>
+          ✕
+        </button>
+      </div>
+      <div className="p-4">
+        <div className="mb-4">
+          <h4 className={headingClass}>
+            Selected By ({effective.policies.length})
+          </h4>
+          {effective.policies.length === 0 ? (
+            <div className={`text-sm ${mutedText}`}>
+              No policy selects these pods
+            </div>
+          ) : (
+            <ul className={`${cardClass} p-2 rounded text-sm`}>
+              {effective.policies.map((entry) => (
+                <li
+                  key={`${entry.namespace}/${entry.policy}`}
+                  className="flex justify-between"
+                >
+                  <button
+                    className={`text-left ${linkClass}`}
+                    onClick={() => openPolicy(entry.namespace, entry.policy)}
+                  >
+                    {entry.policy}
+                    {entry.match !== MATCH_DEFINITE && " (possible)"}
+                  </button>
+                  <span className={`text-xs ${mutedText}`}>
+                    {entry.policyTypes.join(", ")}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {renderDirection("ingress")}
+        {renderDirection("egress")}
+      </div>
+    </div>
+  );
+};
+
+export default EffectivePolicyPanel;
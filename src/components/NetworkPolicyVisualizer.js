@@ -1,11 +1,21 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import PolicyDetails from "./PolicyDetails.js";
+import EffectivePolicyPanel from "./EffectivePolicyPanel.js";
 import GraphVisualization from "./graph/GraphVisualization.js";
 import Sidebar from "./sidebar/Sidebar.js";
 import ThemeToggle from "./ThemeToggle.js";
 import CyberpunkTheme from "./CyberpunkTheme.js";
-import { parseYaml, parseNetworkPolicy } from "../utils/parsers.js";
-import { buildGraphData } from "../utils/enhancedParsers.js";
+import { parseYaml } from "../utils/parsers.js";
+import {
+  flattenDocuments,
+  parseEntries,
+  parsePolicyDocuments,
+  parsePolicyEntries,
+} from "../utils/policyDocuments.js";
+import { loadCidrCatalog, saveCidrCatalog } from "../utils/cidrCatalog.js";
+import { createInventoryFromDocuments } from "../utils/workloads.js";
+import { parseAuthorizationPolicies } from "../utils/istio.js";
+import { runGraphTask, isCancelled } from "../workers/graphWorkerClient.js";
 
 const NetworkPolicyVisualizer = () => {
   const [graphData, setGraphData] = useState({ nodes: [], links: [] });
@@ -21,6 +31,31 @@ const NetworkPolicyVisualizer = () => {
   const [deduplicateNodes, setDeduplicateNodes] = useState(true);
   // Add state for theme
   const [theme, setTheme] = useState("light");
+  // Nodes and rules to emphasize in the graph (e.g. a reachability answer)
+  const [graphHighlight, setGraphHighlight] = useState(null);
+  // Pod selector node whose effective policy is shown in the side panel
+  const [selectedNodeId, setSelectedNodeId] = useState(null);
+  // Saved "before" policy set and whether the graph shows the diff against it
+  const [diffBaseline, setDiffBaseline] = useState(null);
+  const [showDiffInGraph, setShowDiffInGraph] = useState(true);
+  // Friendly names for ipBlock CIDRs, kept in the browser between sessions
+  const [cidrCatalog, setCidrCatalog] = useState(loadCidrCatalog);
+  // Real Pods and Namespaces that selector nodes are resolved against
+  const [inventory, setInventory] = useState(null);
+  // Istio AuthorizationPolicies, compared with the NetworkPolicies in the
+  // Istio overlay of the graph
+  const [authorizationPolicies, setAuthorizationPolicies] = useState([]);
+  // Connections where the NetworkPolicies and Istio disagree
+  const [istioOverlay, setIstioOverlay] = useState([]);
+  // Rules fully covered by broader rules, across every loaded policy
+  const [redundantRules, setRedundantRules] = useState([]);
+  // Stage and progress of the graph build running in the worker
+  const [graphProgress, setGraphProgress] = useState(null);
+  const graphRunRef = useRef(null);
+
+  useEffect(() => {
+    saveCidrCatalog(cidrCatalog);
+  }, [cidrCatalog]);
 
   const readFileContent = (file) => {
     return new Promise((resolve, reject) => {
@@ -31,46 +66,93 @@ const NetworkPolicyVisualizer = () => {
     });
   };
 
-  // Memoize the graph data to prevent unnecessary recalculations
-  // Enhanced to apply direction filtering at the graph level
-  const memoizedGraphData = useMemo(() => {
-    // Create graph data with deduplication based on user preference
-    const baseGraphData = buildGraphData(filteredPolicies, deduplicateNodes);
-
-    // If directionFilter is "all", return the full graph
-    if (directionFilter === "all") {
-      return baseGraphData;
-    }
-
-    // Filter links based on direction
-    const filteredLinks = baseGraphData.links.filter(
-      (link) => link.direction === directionFilter,
+  // Build the graph and run the analysis passes in the graph worker. A change
+  // of inputs cancels the run still working on the previous ones.
+  useEffect(() => {
+    const run = runGraphTask(
+      "build",
+      {
+        allPolicies,
+        filteredPolicies,
+        baselinePolicies:
+          diffBaseline && showDiffInGraph ? diffBaseline.policies : null,
+        deduplicateNodes,
+        cidrCatalog,
+        inventory,
+        directionFilter,
+        authorizationPolicies,
+      },
+      (stage, progress) => setGraphProgress({ stage, progress }),
     );
+    graphRunRef.current = run;
+
+    run.promise
+      .then((result) => {
+        setGraphData(result.graphData);
+        setRedundantRules(result.redundantRules);
+        setIstioOverlay(result.istioOverlay);
+      })
+      .catch((err) => {
+        if (!isCancelled(err)) {
+          setError(`Error building graph: ${err.message}`);
+        }
+      })
+      .finally(() => {
+        if (graphRunRef.current === run) {
+          graphRunRef.current = null;
+          setGraphProgress(null);
+        }
+      });
 
-    // Get unique node IDs that are still being used in the filtered links
-    const nodeIdsInUse = new Set();
-    filteredLinks.forEach((link) => {
-      nodeIdsInUse.add(link.source);
-      nodeIdsInUse.add(link.target);
-    });
+    return () => run.cancel();
+  }, [
+    filteredPolicies,
+    allPolicies,
+    directionFilter,
+    deduplicateNodes,
+    diffBaseline,
+    showDiffInGraph,
+    cidrCatalog,
+    inventory,
+    authorizationPolicies,
+  ]);
+
+  // Stops the build in progress; the graph keeps showing the last result
+  const cancelGraphBuild = () => {
+    if (graphRunRef.current) graphRunRef.current.cancel();
+  };
 
-    // Filter nodes to only include those that are connected in the filtered links
-    const filteredNodes = baseGraphData.nodes.filter(
-      (node) =>
-        nodeIdsInUse.has(node.id) ||
-        (typeof node.id === "object" && nodeIdsInUse.has(node.id.id)),
+  // Loads policies, Istio AuthorizationPolicies and the workload inventory
+  // from manifests unwrapped by flattenDocuments. Each part only replaces the
+  // current one when the manifests contain it, so they can be loaded
+  // separately. Parse errors name the position of the failing manifest.
+  const loadDocuments = (entries) => {
+    const newPolicies = parsePolicyEntries(entries);
+    const newAuthorizationPolicies = parseEntries(
+      entries,
+      parseAuthorizationPolicies,
+    );
+    const newInventory = createInventoryFromDocuments(
+      entries.map((entry) => entry.doc),
     );
 
-    return {
-      nodes: filteredNodes,
-      links: filteredLinks,
-    };
-  }, [filteredPolicies, directionFilter, deduplicateNodes]);
+    if (newPolicies.length > 0) {
+      setAllPolicies(newPolicies);
+      setFilteredPolicies(newPolicies);
+    }
+    if (newAuthorizationPolicies.length > 0) {
+      setAuthorizationPolicies(newAuthorizationPolicies);
+    }
+    if (newInventory) {
+      setInventory(newInventory);
+    }
 
-  // Only update graph data when the memoized value changes
-  useEffect(() => {
-    setGraphData(memoizedGraphData);
-  }, [memoizedGraphData]);
+    return (
+      newPolicies.length > 0 ||
+      newAuthorizationPolicies.length > 0 ||
+      !!newInventory
+    );
+  };
 
   const handleFileUpload = async (event) => {
     setError(null);
@@ -82,43 +164,36 @@ const NetworkPolicyVisualizer = () => {
       return;
     }
 
-    const newPolicies = [];
+    const entries = [];
 
     try {
       for (let i = 0; i < files.length; i++) {
         const file = files[i];
         const content = await readFileContent(file);
 
-        // Parse content based on file type
-        let documents;
+        // Parse content based on file type; List documents are unwrapped
         if (file.name.endsWith(".yaml") || file.name.endsWith(".yml")) {
-          documents = parseYaml(content);
+          entries.push(
+            ...flattenDocuments(parseYaml(content, file.name), file.name),
+          );
         } else if (file.name.endsWith(".json")) {
           // Handle single JSON or array of JSON objects
           const parsedJson = JSON.parse(content);
-          documents = Array.isArray(parsedJson) ? parsedJson : [parsedJson];
+          entries.push(
+            ...flattenDocuments(
+              Array.isArray(parsedJson) ? parsedJson : [parsedJson],
+              file.name,
+            ),
+          );
         } else {
           throw new Error(`Unsupported file format: ${file.name}`);
         }
-
-        // Filter for NetworkPolicy kinds
-        documents.forEach((doc) => {
-          if (doc.kind === "NetworkPolicy") {
-            const parsedPolicy = parseNetworkPolicy(doc);
-            if (parsedPolicy) {
-              newPolicies.push(parsedPolicy);
-            }
-          }
-        });
       }
 
-      if (newPolicies.length === 0) {
+      if (!loadDocuments(entries)) {
         setError(
-          "No valid NetworkPolicy resources found in the uploaded files.",
+          "No valid policy, workload or Namespace resources found in the uploaded files.",
         );
-      } else {
-        setAllPolicies(newPolicies);
-        setFilteredPolicies(newPolicies);
       }
     } catch (err) {
       console.error("Error processing files:", err);
@@ -138,27 +213,15 @@ const NetworkPolicyVisualizer = () => {
     setLoading(true);
 
     try {
-      const documents = parseYaml(pasteContent);
-
-      const newPolicies = [];
-
-      // Filter for NetworkPolicy kinds
-      documents.forEach((doc) => {
-        if (doc.kind === "NetworkPolicy") {
-          const parsedPolicy = parseNetworkPolicy(doc);
-          if (parsedPolicy) {
-            newPolicies.push(parsedPolicy);
-          }
-        }
-      });
+      const entries = flattenDocuments(
+        parseYaml(pasteContent, "pasted content"),
+        "pasted content",
+      );
 
-      if (newPolicies.length === 0) {
+      if (!loadDocuments(entries)) {
         setError(
-          "No valid NetworkPolicy resources found in the pasted content.",
+          "No valid policy, workload or Namespace resources found in the pasted content.",
         );
-      } else {
-        setAllPolicies(newPolicies);
-        setFilteredPolicies(newPolicies);
       }
     } catch (err) {
       console.error("Error processing pasted content:", err);
@@ -416,11 +479,8 @@ spec:
 
   const handleUseSampleData = () => {
     try {
-      const documents = parseYaml(getSampleYaml());
-      const samplePolicies = documents
-        .filter((doc) => doc.kind === "NetworkPolicy")
-        .map(parseNetworkPolicy)
-        .filter(Boolean);
+      const documents = parseYaml(getSampleYaml(), "sample data");
+      const samplePolicies = parsePolicyDocuments(documents, "sample data");
 
       setAllPolicies(samplePolicies);
       setFilteredPolicies(samplePolicies);
@@ -440,6 +500,19 @@ spec:
     setDeduplicateNodes(deduplicate);
   };
 
+  // Only pod selector nodes carry an effective policy
+  const handleNodeClick = (node) => {
+    if (node.type === "pod" && node.effectivePolicy) {
+      setSelectedNodeId(node.id);
+    }
+  };
+
+  // Look the node up again so the panel follows graph rebuilds
+  const selectedNode = useMemo(
+    () => graphData.nodes.find((node) => node.id === selectedNodeId) || null,
+    [graphData, selectedNodeId],
+  );
+
   // Apply theme class to body
   useEffect(() => {
     document.body.className = theme === "dark" ? "theme-dark" : "theme-light";
@@ -477,6 +550,19 @@ spec:
           deduplicateNodes={deduplicateNodes}
           onDeduplicateNodesChange={handleDeduplicateNodesChange}
           theme={theme}
+          graphNodes={graphData.nodes}
+          onHighlightChange={setGraphHighlight}
+          redundantRules={redundantRules}
+          diffBaseline={diffBaseline}
+          onDiffBaselineChange={setDiffBaseline}
+          showDiffInGraph={showDiffInGraph}
+          onShowDiffInGraphChange={setShowDiffInGraph}
+          graphDiff={graphData.diff}
+          cidrCatalog={cidrCatalog}
+          onCidrCatalogChange={setCidrCatalog}
+          onInventoryLoaded={setInventory}
+          inventory={inventory}
+          hasIstioPolicies={authorizationPolicies.length > 0}
           onPoliciesLoaded={(policies) => {
             setAllPolicies(policies);
             setFilteredPolicies(policies);
@@ -487,16 +573,41 @@ spec:
           graphData={graphData}
           deduplicateNodes={deduplicateNodes}
           theme={theme}
+          highlight={graphHighlight}
+          onNodeClick={handleNodeClick}
+          policies={filteredPolicies}
+          inventory={inventory}
+          setShowPolicyDetails={setShowPolicyDetails}
+          buildProgress={graphProgress}
+          onCancelBuild={cancelGraphBuild}
+          istioOverlay={istioOverlay}
+          hasIstioPolicies={authorizationPolicies.length > 0}
         />
 
         {/* Theme toggle button */}
         <ThemeToggle theme={theme} setTheme={setTheme} />
       </div>
 
+      {selectedNode && (
+        <EffectivePolicyPanel
+          node={selectedNode}
+          policies={allPolicies}
+          setShowPolicyDetails={setShowPolicyDetails}
+          onHighlightChange={setGraphHighlight}
+          onClose={() => {
+            setSelectedNodeId(null);
+            setGraphHighlight(null);
+          }}
+          theme={theme}
+        />
+      )}
+
       {showPolicyDetails && (
         <PolicyDetails
+          key={`${showPolicyDetails.namespace}/${showPolicyDetails.name}`}
           policy={showPolicyDetails}
           onClose={() => setShowPolicyDetails(null)}
+          redundantRules={redundantRules}
           theme={theme}
         />
       )}
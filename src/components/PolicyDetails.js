@@ -1,8 +1,63 @@
-import React from "react";
+import React, { useState } from "react";
+import yaml from "js-yaml";
+import { isRuleOfPolicy, removeRedundantRules } from "../utils/redundancy.js";
+import {
+  describeCiliumPeer,
+  describeL7Rules,
+  isCiliumPeer,
+  isCiliumPolicy,
+} from "../utils/cilium.js";
+import { ALL_NAMESPACES } from "../utils/selectors.js";
+import { isCalicoPolicy } from "../utils/calico.js";
+import { isAdminPolicy } from "../utils/adminNetworkPolicy.js";
+import { formatSelector } from "../utils/effectivePolicy.js";
+import { formatSourcePosition } from "../utils/policyDocuments.js";
+import { getManifestRuleIndex } from "../utils/parsers.js";
+
+const PolicyDetails = ({
+  policy,
+  onClose,
+  redundantRules = [],
+  theme = "light",
+}) => {
+  const [showCleanedPreview, setShowCleanedPreview] = useState(false);
 
-const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
   if (!policy) return null;
 
+  // Cilium policies are parsed into the same shape and keep their kind
+  const isCilium = isCiliumPolicy(policy);
+  const isCalico = isCalicoPolicy(policy);
+  const isAdmin = isAdminPolicy(policy);
+  // Cilium selectors are shown as written, with their label prefixes
+  const selector = isCilium ? policy.endpointSelector : policy.podSelector;
+  let selectorTitle = "Pod Selector";
+  if (isCilium) selectorTitle = "Endpoint Selector";
+  if (isCalico) selectorTitle = "Selector";
+  if (isAdmin) selectorTitle = "Subject";
+
+  const policyRedundantRules = redundantRules.filter((entry) =>
+    isRuleOfPolicy(entry, policy),
+  );
+  const cleanedManifest =
+    policyRedundantRules.length > 0
+      ? removeRedundantRules(policy, policyRedundantRules)
+      : null;
+
+  // Number of a rule as written in the manifest, which may differ from its
+  // position in the parsed list when rules could not be drawn
+  const getRuleNumber = (direction, index) =>
+    getManifestRuleIndex(policy, direction, index) + 1;
+
+  const findRedundantRule = (direction, index) =>
+    policyRedundantRules.find(
+      (entry) =>
+        entry.direction === direction &&
+        entry.ruleIndex === getManifestRuleIndex(policy, direction, index),
+    );
+
+  const describeCoveringRule = ({ coveredBy }) =>
+    `${isRuleOfPolicy(coveredBy, policy) ? "" : `${coveredBy.namespace}/${coveredBy.policy} `}spec.${coveredBy.direction}[${coveredBy.ruleIndex}]`;
+
   const formatLabels = (labels) => {
     if (!labels) return "None";
     return Object.entries(labels)
@@ -22,6 +77,8 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
 
   const formatRule = (rule, direction) => {
     let result = "";
+    if (rule.name) result += `- Name: ${rule.name}\n`;
+    if (rule.action) result += `- Action: ${rule.action}\n`;
 
     if (direction === "ingress") {
       if (!rule.from || rule.from.length === 0) {
@@ -29,6 +86,10 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
       } else {
         rule.from.forEach((from, i) => {
           result += `- From (${i + 1}):\n`;
+          if (isCiliumPeer(from)) {
+            result += `  ${describeCiliumPeer(from)}\n`;
+            return;
+          }
           if (from.podSelector) {
             result += `  Pod Selector:\n`;
             if (from.podSelector.matchLabels) {
@@ -48,6 +109,9 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                   )
                   .join("\n") + "\n";
             }
+            if (from.podSelector.expression) {
+              result += `    Expression: ${from.podSelector.expression}\n`;
+            }
           }
           if (from.namespaceSelector) {
             result += `  Namespace Selector:\n`;
@@ -68,6 +132,9 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                   )
                   .join("\n") + "\n";
             }
+            if (from.namespaceSelector.expression) {
+              result += `    Expression: ${from.namespaceSelector.expression}\n`;
+            }
           }
           if (from.ipBlock) {
             result += `  IP Block:\n`;
@@ -84,6 +151,10 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
       } else {
         rule.to.forEach((to, i) => {
           result += `- To (${i + 1}):\n`;
+          if (isCiliumPeer(to)) {
+            result += `  ${describeCiliumPeer(to)}\n`;
+            return;
+          }
           if (to.podSelector) {
             result += `  Pod Selector:\n`;
             if (to.podSelector.matchLabels) {
@@ -103,6 +174,9 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                   )
                   .join("\n") + "\n";
             }
+            if (to.podSelector.expression) {
+              result += `    Expression: ${to.podSelector.expression}\n`;
+            }
           }
           if (to.namespaceSelector) {
             result += `  Namespace Selector:\n`;
@@ -123,6 +197,9 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                   )
                   .join("\n") + "\n";
             }
+            if (to.namespaceSelector.expression) {
+              result += `    Expression: ${to.namespaceSelector.expression}\n`;
+            }
           }
           if (to.ipBlock) {
             result += `  IP Block:\n`;
@@ -154,9 +231,88 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
       result += "- Ports: All Ports\n";
     }
 
+    if (rule.l7) {
+      result += "- L7 Rules:\n";
+      describeL7Rules(rule.l7).forEach((line) => {
+        result += `    ${line}\n`;
+      });
+    }
+
     return result;
   };
 
+  // Summarizes what the policy does for one direction of traffic
+  const describeEffect = (direction) => {
+    const effect = policy[`${direction}Effect`];
+    const state = policy[`${direction}State`];
+    const policyType = direction === "ingress" ? "Ingress" : "Egress";
+
+    // Admin policy rules apply in order and never isolate the subject
+    if (isAdmin) {
+      switch (effect) {
+        case "deny-all":
+          return "deny all (first rule matches every pod)";
+        case "allow-all":
+          return "allow all (first rule matches every pod)";
+        case "specific":
+          return "listed peers are allowed, denied or passed, first match wins";
+        default:
+          return `no ${direction} rules`;
+      }
+    }
+
+    switch (effect) {
+      case "deny-all":
+        return state === "empty"
+          ? `deny all (${direction}: [])`
+          : `deny all (no ${direction} rules)`;
+      case "allow-all":
+        return state === "allow-all"
+          ? `allow all (a rule without peers or ports, e.g. ${direction}: [{}])`
+          : "allow all (rule without peers or ports)";
+      case "specific":
+        return "allow listed peers and ports only";
+      default:
+        return isCilium
+          ? `unrestricted (no ${direction} section)`
+          : `unrestricted (${policyType} not in policyTypes)`;
+    }
+  };
+
+  // Rules of a direction missing from policyTypes are ignored by Kubernetes
+  const renderIgnoredNote = (direction) =>
+    !isCilium &&
+    policy[`${direction}Effect`] === "unrestricted" && (
+      <div
+        className={`mb-2 font-sans text-xs ${
+          theme === "dark" ? "text-yellow-400" : "text-yellow-700"
+        }`}
+      >
+        These rules are ignored:{" "}
+        {direction === "ingress" ? "Ingress" : "Egress"} is not in policyTypes.
+      </div>
+    );
+
+  // A rule without peers or ports makes the other rules of its list moot
+  const renderAllowAllNote = (direction) => {
+    if (
+      policy[`${direction}Effect`] !== "allow-all" ||
+      policy[`${direction}State`] !== "allow-all"
+    ) {
+      return null;
+    }
+    return (
+      <div
+        className={`mb-2 font-sans text-xs ${
+          theme === "dark" ? "text-yellow-400" : "text-yellow-700"
+        }`}
+      >
+        A rule without peers or ports allows all {direction} traffic, so the
+        other rules add nothing.
+      </div>
+    );
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div
@@ -199,8 +355,36 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
               }`}
             >
               Name: {policy.name}
-              Namespace: {policy.namespace}
+              Kind: {policy.kind || "NetworkPolicy"}
+              {(isCalico || isAdmin) && ` (${policy.apiVersion})`}
+              Namespace:{" "}
+              {policy.namespace === ALL_NAMESPACES
+                ? "all (clusterwide)"
+                : policy.namespace}
               Types: {policy.policyTypes?.join(", ") || "None"}
+              {policy.policyTypesDefaulted && " (defaulted by API server)"}
+              {policy.description && (
+                <div>Description: {policy.description}</div>
+              )}
+              {policy.position && (
+                <div>Source: {formatSourcePosition(policy.position)}</div>
+              )}
+              {isAdmin && (
+                <div>
+                  Priority:{" "}
+                  {policy.priority ??
+                    "baseline (evaluated after NetworkPolicies)"}
+                </div>
+              )}
+              {isCalico && (
+                <div>
+                  Tier: {policy.tier}, order:{" "}
+                  {policy.order ?? "none (evaluated last in its tier)"}
+                </div>
+              )}
+              <div>Effect:</div>
+              <div className="ml-4">Ingress: {describeEffect("ingress")}</div>
+              <div className="ml-4">Egress: {describeEffect("egress")}</div>
             </div>
           </div>
 
@@ -210,7 +394,7 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                 theme === "dark" ? "text-cyan-400" : ""
               }`}
             >
-              Pod Selector
+              {selectorTitle}
             </h4>
             <div
               className={`${
@@ -221,27 +405,37 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                 theme === "dark" ? "text-gray-300" : ""
               }`}
             >
-              {policy.podSelector?.matchLabels ? (
+              {/* Calico selectors are shown as written, then as converted */}
+              {isCalico && <div>selector: {policy.selector}</div>}
+              {(isCalico || isAdmin) && policy.namespaceSelector && (
+                <div>
+                  namespaceSelector: {formatSelector(policy.namespaceSelector)}
+                </div>
+              )}
+              {selector?.matchLabels ? (
                 <div>
                   <div>matchLabels:</div>
                   <div className="ml-4">
-                    {formatLabels(policy.podSelector.matchLabels)}
+                    {formatLabels(selector.matchLabels)}
                   </div>
                 </div>
               ) : (
                 "No matchLabels"
               )}
 
-              {policy.podSelector?.matchExpressions ? (
+              {selector?.matchExpressions ? (
                 <div>
                   <div>matchExpressions:</div>
                   <div className="ml-4">
-                    {formatExpressions(policy.podSelector.matchExpressions)}
+                    {formatExpressions(selector.matchExpressions)}
                   </div>
                 </div>
               ) : (
                 "No matchExpressions"
               )}
+              {selector?.expression && (
+                <div>expression: {selector.expression}</div>
+              )}
             </div>
           </div>
 
@@ -263,6 +457,8 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                   theme === "dark" ? "text-gray-300" : ""
                 }`}
               >
+                {renderIgnoredNote("ingress")}
+                {renderAllowAllNote("ingress")}
                 {policy.ingress.map((rule, i) => (
                   <div key={`ingress-${i}`} className="mb-2">
                     <div
@@ -270,7 +466,21 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                         theme === "dark" ? "text-cyan-300" : ""
                       }`}
                     >
-                      Rule {i + 1}:
+                      Rule {getRuleNumber("ingress", i)}:
+                      {findRedundantRule("ingress", i) && (
+                        <span
+                          className={`ml-2 font-normal ${
+                            theme === "dark"
+                              ? "text-yellow-400"
+                              : "text-yellow-700"
+                          }`}
+                        >
+                          redundant, covered by{" "}
+                          {describeCoveringRule(
+                            findRedundantRule("ingress", i),
+                          )}
+                        </span>
+                      )}
                     </div>
                     <div className="ml-2">{formatRule(rule, "ingress")}</div>
                   </div>
@@ -297,6 +507,8 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                   theme === "dark" ? "text-gray-300" : ""
                 }`}
               >
+                {renderIgnoredNote("egress")}
+                {renderAllowAllNote("egress")}
                 {policy.egress.map((rule, i) => (
                   <div key={`egress-${i}`} className="mb-2">
                     <div
@@ -304,7 +516,19 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
                         theme === "dark" ? "text-cyan-300" : ""
                       }`}
                     >
-                      Rule {i + 1}:
+                      Rule {getRuleNumber("egress", i)}:
+                      {findRedundantRule("egress", i) && (
+                        <span
+                          className={`ml-2 font-normal ${
+                            theme === "dark"
+                              ? "text-yellow-400"
+                              : "text-yellow-700"
+                          }`}
+                        >
+                          redundant, covered by{" "}
+                          {describeCoveringRule(findRedundantRule("egress", i))}
+                        </span>
+                      )}
                     </div>
                     <div className="ml-2">{formatRule(rule, "egress")}</div>
                   </div>
@@ -312,6 +536,63 @@ const PolicyDetails = ({ policy, onClose, theme = "light" }) => {
               </div>
             </div>
           )}
+
+          {policy.unsupported?.length > 0 && (
+            <div
+              className={`mb-4 text-xs ${
+                theme === "dark" ? "text-yellow-400" : "text-yellow-700"
+              }`}
+            >
+              Not drawn in the graph: {policy.unsupported.join(", ")}
+            </div>
+          )}
+
+          {policyRedundantRules.length > 0 && (
+            <div className="mb-4">
+              <div className="flex justify-between items-center">
+                <h4
+                  className={`font-semibold ${
+                    theme === "dark" ? "text-cyan-400" : ""
+                  }`}
+                >
+                  Redundant Rules ({policyRedundantRules.length})
+                </h4>
+                {cleanedManifest && (
+                  <button
+                    className={`${
+                      theme === "dark"
+                        ? "text-cyan-400 hover:text-cyan-300 bg-gray-800 hover:bg-gray-700"
+                        : "text-blue-500 hover:text-blue-700 bg-blue-50"
+                    } text-xs px-2 py-1 rounded`}
+                    onClick={() => setShowCleanedPreview(!showCleanedPreview)}
+                  >
+                    {showCleanedPreview
+                      ? "Hide preview"
+                      : "Preview without redundant rules"}
+                  </button>
+                )}
+              </div>
+              <div
+                className={`text-xs mb-1 ${
+                  theme === "dark" ? "text-gray-400" : "text-gray-600"
+                }`}
+              >
+                These rules allow nothing that another rule for the same pods
+                does not already allow.
+              </div>
+              {cleanedManifest && showCleanedPreview && (
+                <pre
+                  className={`${
+                    theme === "dark"
+                      ? "bg-gray-800 border border-gray-700 text-gray-300"
+                      : "bg-gray-100"
+                  } p-2 rounded font-mono text-sm overflow-auto`}
+                >
+                  {yaml.dump(cleanedManifest)}
+                </pre>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
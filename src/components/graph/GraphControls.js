@@ -8,6 +8,18 @@ import React from "react";
  * @param {String} props.visualizationType - Current visualization type
  * @param {Function} props.setVisualizationType - Set visualization type function
  * @param {Function} props.resetLayout - Function to reset graph layout
+ * @param {Boolean} props.nestCidrs - Whether contained ipBlocks are drawn next to their parent block
+ * @param {Function} props.setNestCidrs - Set CIDR nesting function
+ * @param {Boolean} props.hasNestedCidrs - Whether any ipBlock lies inside another one
+ * @param {Boolean} props.showIstioOverlay - Whether the Istio overlay is drawn
+ * @param {Function} props.setShowIstioOverlay - Set Istio overlay function
+ * @param {Boolean} props.hasIstioPolicies - Whether Istio AuthorizationPolicies are loaded
+ * @param {Array} props.namespaces - Namespaces with pods in the graph
+ * @param {Array} props.collapsedNamespaces - Namespaces drawn as a single node
+ * @param {Function} props.setCollapsedNamespaces - Set collapsed namespaces function
+ * @param {String} props.renderer - 'auto', 'svg' or 'canvas'
+ * @param {Function} props.setRenderer - Set renderer function
+ * @param {Boolean} props.usesCanvas - Whether the graph is currently drawn on a canvas
  * @param {String} props.theme - Current theme ('light' or 'dark')
  * @returns {React.Component}
  */
@@ -15,6 +27,18 @@ export const GraphControlPanel = ({
   visualizationType,
   setVisualizationType,
   resetLayout,
+  nestCidrs = false,
+  setNestCidrs,
+  hasNestedCidrs = false,
+  showIstioOverlay = false,
+  setShowIstioOverlay,
+  hasIstioPolicies = false,
+  namespaces = [],
+  collapsedNamespaces = [],
+  setCollapsedNamespaces,
+  renderer = "auto",
+  setRenderer,
+  usesCanvas = false,
   theme = "light",
 }) => {
   // Function to re-arrange nodes randomly (only for classic view)
@@ -25,6 +49,14 @@ export const GraphControlPanel = ({
     }
   };
 
+  const showNamespaceToggles =
+    namespaces.length > 1 &&
+    setCollapsedNamespaces &&
+    visualizationType !== "matrix";
+
+  const showIstioToggle =
+    hasIstioPolicies && setShowIstioOverlay && visualizationType !== "matrix";
+
   return (
     <div
       className={`absolute top-4 right-4 ${
@@ -70,18 +102,50 @@ export const GraphControlPanel = ({
           >
             Classic
           </button>
+          <button
+            className={`px-3 py-1 text-sm rounded ${
+              visualizationType === "layered"
+                ? theme === "dark"
+                  ? "bg-cyan-600 text-white"
+                  : "bg-blue-500 text-white"
+                : theme === "dark"
+                  ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+            }`}
+            onClick={() => setVisualizationType("layered")}
+            aria-label="Switch to layered visualization"
+          >
+            Layered
+          </button>
+          <button
+            className={`px-3 py-1 text-sm rounded ${
+              visualizationType === "matrix"
+                ? theme === "dark"
+                  ? "bg-cyan-600 text-white"
+                  : "bg-blue-500 text-white"
+                : theme === "dark"
+                  ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+            }`}
+            onClick={() => setVisualizationType("matrix")}
+            aria-label="Switch to namespace matrix"
+          >
+            Matrix
+          </button>
         </div>
-        <button
-          className={`${
-            theme === "dark"
-              ? "bg-cyan-700 hover:bg-cyan-600 text-white shadow shadow-cyan-900/50"
-              : "bg-blue-500 hover:bg-blue-600 text-white"
-          } px-3 py-1 text-sm rounded transition-colors`}
-          onClick={resetLayout}
-          aria-label="Reset graph layout"
-        >
-          Reset Layout
-        </button>
+        {visualizationType !== "matrix" && (
+          <button
+            className={`${
+              theme === "dark"
+                ? "bg-cyan-700 hover:bg-cyan-600 text-white shadow shadow-cyan-900/50"
+                : "bg-blue-500 hover:bg-blue-600 text-white"
+            } px-3 py-1 text-sm rounded transition-colors`}
+            onClick={resetLayout}
+            aria-label="Reset graph layout"
+          >
+            Reset Layout
+          </button>
+        )}
 
         {/* Show Re-arrange button only in classic view */}
         {visualizationType === "classic" && (
@@ -97,11 +161,116 @@ export const GraphControlPanel = ({
             Re-arrange Nodes
           </button>
         )}
+
+        {hasNestedCidrs && setNestCidrs && visualizationType !== "matrix" && (
+          <label
+            className={`flex items-center text-sm ${
+              theme === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={nestCidrs}
+              onChange={(e) => setNestCidrs(e.target.checked)}
+            />
+            Nest CIDR blocks
+          </label>
+        )}
+
+        {showIstioToggle && (
+          <label
+            className={`flex items-center text-sm ${
+              theme === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={showIstioOverlay}
+              onChange={(e) => setShowIstioOverlay(e.target.checked)}
+            />
+            Istio overlay
+          </label>
+        )}
+
+        {showNamespaceToggles && (
+          <div className="flex space-x-2">
+            <button
+              className={`flex-1 px-3 py-1 text-sm rounded ${
+                theme === "dark"
+                  ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+              onClick={() => setCollapsedNamespaces(namespaces)}
+              disabled={collapsedNamespaces.length === namespaces.length}
+              aria-label="Collapse all namespaces"
+            >
+              Collapse all
+            </button>
+            <button
+              className={`flex-1 px-3 py-1 text-sm rounded ${
+                theme === "dark"
+                  ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+              onClick={() => setCollapsedNamespaces([])}
+              disabled={collapsedNamespaces.length === 0}
+              aria-label="Expand all namespaces"
+            >
+              Expand all
+            </button>
+          </div>
+        )}
+
+        {setRenderer && visualizationType !== "matrix" && (
+          <label
+            className={`flex items-center text-sm ${
+              theme === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            <span className="mr-2">Renderer</span>
+            <select
+              value={renderer}
+              onChange={(e) => setRenderer(e.target.value)}
+              className={`flex-1 border p-1 rounded text-sm ${
+                theme === "dark" ? "cyberpunk-input" : "bg-white"
+              }`}
+              aria-label="Graph renderer"
+            >
+              <option value="auto">
+                Auto ({usesCanvas ? "canvas" : "SVG"})
+              </option>
+              <option value="svg">SVG</option>
+              <option value="canvas">Canvas</option>
+            </select>
+          </label>
+        )}
       </div>
     </div>
   );
 };
 
+const VIEW_DESCRIPTIONS = {
+  enhanced: "Enhanced View: Curved lines, namespace clustering, better spacing",
+  classic:
+    "Classic View: Traditional visualization with straight lines and improved spacing",
+  layered:
+    "Layered View: Ingress peers, policy targets and egress peers in fixed columns",
+  matrix:
+    "Matrix View: Allowed, partial or denied traffic from each namespace (rows) to each namespace (columns)",
+};
+
+const VIEW_TIPS = {
+  enhanced:
+    "Nodes stay where you drag them. Hover for details, click a pod node for its effective policy. Click a namespace heading to collapse it, and the collapsed node to expand it.",
+  classic:
+    "Drag nodes to arrange. Use 'Re-arrange Nodes' button if nodes overlap.",
+  layered:
+    "The layout is the same on every load. Drag nodes to adjust, 'Reset Layout' puts them back.",
+  matrix: "Click a cell for the policies and rules behind it.",
+};
+
 /**
  * Renders an information panel with tips based on current visualization type
  * @param {Object} props - Component props
@@ -128,17 +297,8 @@ export const InfoPanel = ({
           theme === "dark" ? "text-gray-300" : "text-gray-700"
         }`}
       >
-        <p className="font-medium">
-          {visualizationType === "enhanced"
-            ? "Enhanced View: Curved lines, namespace clustering, better spacing"
-            : "Classic View: Traditional visualization with straight lines and improved spacing"}
-        </p>
-        <p>
-          Tip:{" "}
-          {visualizationType === "enhanced"
-            ? "Nodes stay where you drag them. Hover for details."
-            : "Drag nodes to arrange. Use 'Re-arrange Nodes' button if nodes overlap."}
-        </p>
+        <p className="font-medium">{VIEW_DESCRIPTIONS[visualizationType]}</p>
+        <p>Tip: {VIEW_TIPS[visualizationType]}</p>
         {additionalInfo && (
           <p className="mt-1 text-xs italic">{additionalInfo}</p>
         )}
@@ -0,0 +1,58 @@
+import React from "react";
+
+/**
+ * Progress of a graph build or layout running in the background, with a
+ * button to cancel it
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.progress - { stage, progress } with progress from 0 to 1
+ * @param {Function} props.onCancel - Cancels the run
+ * @param {String} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} - The rendered component
+ */
+const GraphProgress = ({ progress, onCancel, theme = "light" }) => {
+  const percent = Math.round(progress.progress * 100);
+
+  return (
+    <div
+      className={`absolute top-4 left-1/2 -translate-x-1/2 transform w-72 rounded shadow-lg p-3 z-20 text-sm ${
+        theme === "dark"
+          ? "bg-gray-900 border border-cyan-800 text-gray-300"
+          : "bg-white border"
+      }`}
+      role="status"
+    >
+      <div className="flex justify-between items-center mb-2">
+        <span>
+          {progress.stage}… {percent}%
+        </span>
+        {onCancel && (
+          <button
+            className={`px-2 py-0.5 rounded text-xs ${
+              theme === "dark"
+                ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+            }`}
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+      <div
+        className={`h-1.5 rounded ${
+          theme === "dark" ? "bg-gray-800" : "bg-gray-200"
+        }`}
+      >
+        <div
+          className={`h-1.5 rounded ${
+            theme === "dark" ? "bg-cyan-500" : "bg-blue-500"
+          }`}
+          style={{ width: `${percent}%` }}
+        ></div>
+      </div>
+    </div>
+  );
+};
+
+export default GraphProgress;
@@ -1,38 +1,355 @@
 // Main component for NetworkPolicy graph visualization that uses the modular components
 
-import React, { useRef, useEffect, useState } from "react";
+import React, { useRef, useEffect, useState, useMemo } from "react";
 import * as d3 from "d3";
 import _ from "lodash";
 import { getPortsText } from "../../utils/formatters.js";
-import { createSimulation, createDragBehavior } from "./useGraphSimulation.js";
+import {
+  createSimulation,
+  createDragBehavior,
+  groupNodesByNamespace,
+} from "./useGraphSimulation.js";
 import {
   createLinkPath,
   getLinkColor,
   getLinkOpacity,
   getLinkWidth,
+  getLinkDashArray,
+  getDiffColor,
+  getNodeOpacity,
   getNodeTooltipContent,
   getLinkTooltipContent,
+  getIstioOverlayColor,
+  getIstioOverlayDashArray,
+  getIstioOverlayTooltipContent,
+  applyGraphHighlight,
 } from "./graphStyleHelpers.js";
 import { createImprovedNode } from "./ImprovedNodeRenderer.js";
 import { GraphControlPanel, InfoPanel, EmptyState } from "./GraphControls.js";
 import NodeCountDisplay from "./NodeCountDisplay.js";
+import NamespaceMatrix from "./NamespaceMatrix.js";
+import { LAYERED_COLUMNS } from "./layeredLayout.js";
+import { getLinkKey, indexLinksByNode } from "./linkIndex.js";
+import GraphProgress from "./GraphProgress.js";
+import { runGraphTask, isCancelled } from "../../workers/graphWorkerClient.js";
+import {
+  CANVAS_NODE_THRESHOLD,
+  createCanvasRenderer,
+} from "./canvasRenderer.js";
+import {
+  NAMESPACE_GROUP_TYPE,
+  collapseNamespaces,
+  getCollapsedHighlight,
+  getGraphNamespaces,
+  getNamespaceRegionBounds,
+  getNodeNamespace,
+} from "./namespaceGroups.js";
+
+// Link ends are ids before a simulation has resolved them and nodes after
+const getEndId = (end) => (typeof end === "object" ? end.id : end);
+
+// How long new nodes take to grow in after a graph update
+const ENTER_DURATION = 600;
+
+/**
+ * Copies the position and pin of every node still in the graph from the
+ * node drawn before, so a filter change does not move it
+ * @param {Array} previousNodes - Nodes of the last layout
+ * @param {Array} nodes - Nodes of the new graph, updated in place
+ * @returns {Array} - [{ id, x, y }] positions of the kept nodes
+ */
+const keepNodePositions = (previousNodes, nodes) => {
+  const previous = new Map(
+    previousNodes
+      .filter((node) => typeof node.x === "number")
+      .map((node) => [node.id, node]),
+  );
+  return nodes
+    .filter((node) => previous.has(node.id))
+    .map((node) => {
+      const { x, y, fx, fy } = previous.get(node.id);
+      Object.assign(node, { x, y, fx, fy });
+      return { id: node.id, x, y };
+    });
+};
+
+/**
+ * Sets up the parts of the SVG that outlive a graph update: zoom, arrow
+ * markers and one layer per kind of element, joined with the data on every
+ * render
+ * @param {SVGElement} svgElement - The graph's SVG element
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @param {Boolean} drawsPaths - Whether links are paths with arrow markers
+ * @returns {Object} - { svg, container, zoom, layers }
+ */
+const createSvgScene = (svgElement, theme, drawsPaths) => {
+  const svg = d3.select(svgElement);
+
+  // Apply theme-specific background color
+  svg.style("background-color", theme === "dark" ? "#0a0e17" : null);
+
+  // Create container for zoom
+  const container = svg.append("g");
+
+  // Add zoom behavior
+  const zoom = d3
+    .zoom()
+    .scaleExtent([0.1, 4])
+    .on("zoom", (event) => {
+      container.attr("transform", event.transform);
+    });
+
+  svg.call(zoom);
+
+  if (drawsPaths) {
+    // Add arrows along the path
+    svg
+      .append("defs")
+      .selectAll("marker")
+      .data([
+        "ingress",
+        "egress",
+        "ingress-cross",
+        "egress-cross",
+        "added",
+        "removed",
+      ])
+      .enter()
+      .append("marker")
+      .attr("id", (d) => `arrowhead-${d}`)
+      .attr("viewBox", "0 -5 10 10")
+      .attr("refX", 28)
+      .attr("refY", 0)
+      .attr("markerWidth", 6)
+      .attr("markerHeight", 6)
+      .attr("orient", "auto")
+      .append("path")
+      .attr("d", "M0,-5L10,0L0,5")
+      .attr("fill", (d) => {
+        if (d === "added" || d === "removed") return getDiffColor(d, theme);
+        if (theme === "dark") {
+          if (d === "ingress") return "#f43f5e";
+          if (d === "egress") return "#10b981";
+          if (d === "ingress-cross") return "#e11d48";
+          if (d === "egress-cross") return "#059669";
+          return "#64748b";
+        } else {
+          if (d === "ingress") return "#ff6666";
+          if (d === "egress") return "#66ff66";
+          if (d === "ingress-cross") return "#ff3366";
+          if (d === "egress-cross") return "#33ff66";
+          return "#aaaaaa";
+        }
+      });
+  }
+
+  // Regions behind links, links behind nodes
+  const addLayer = (className) =>
+    container.append("g").attr("class", className);
+  const layers = {
+    regions: addLayer("namespace-regions"),
+    nesting: addLayer("cidr-nesting"),
+    links: addLayer("graph-links"),
+    overlay: addLayer("istio-overlay"),
+    badges: addLayer("link-count-badges").attr("pointer-events", "none"),
+    nodes: addLayer("graph-nodes"),
+    labels: addLayer("layer-labels"),
+  };
+
+  return { svg, container, zoom, layers };
+};
 
 /**
  * Main component for rendering Network Policy visualization
+ * @param {Object} props - Component properties
+ * @param {Object} props.highlight - Nodes, rules and links to emphasize
+ * @param {Function} props.onNodeClick - Called with the clicked node
+ * @param {Array} props.policies - Policies shown, used by the namespace matrix
+ * @param {Object} props.inventory - Workload inventory, used by the namespace matrix
+ * @param {Function} props.setShowPolicyDetails - Opens PolicyDetails for a policy
+ * @param {Object} props.buildProgress - Progress of the graph build in the worker, if running
+ * @param {Function} props.onCancelBuild - Cancels the graph build
+ * @param {Array} props.istioOverlay - Connections where the NetworkPolicies and Istio disagree
+ * @param {Boolean} props.hasIstioPolicies - Whether Istio AuthorizationPolicies are loaded
  */
 const GraphVisualization = ({
   graphData,
   deduplicateNodes = true,
   theme = "light",
+  highlight = null,
+  onNodeClick = null,
+  policies = [],
+  inventory = null,
+  setShowPolicyDetails = null,
+  buildProgress = null,
+  onCancelBuild = null,
+  istioOverlay = [],
+  hasIstioPolicies = false,
 }) => {
   const svgRef = useRef(null);
+  const canvasRef = useRef(null);
   const graphContainerRef = useRef(null);
-  const [visualizationType, setVisualizationType] = useState("enhanced"); // 'enhanced' or 'classic'
+  // Rendered selections and the active highlight, so highlights apply without a re-render
+  const graphSelectionRef = useRef(null);
+  const canvasRendererRef = useRef(null);
+  // SVG scene kept between renders of one view, and the node ids drawn last
+  const sceneRef = useRef(null);
+  const renderedIdsRef = useRef(new Set());
+  // Stops the simulation and listeners of the last render
+  const renderCleanupRef = useRef(null);
+  // Latest renderGraph, called when a worker layout finishes
+  const renderGraphRef = useRef(null);
+  // Layout running in the worker, its progress and the inputs of the last one
+  const layoutRunRef = useRef(null);
+  const [layoutProgress, setLayoutProgress] = useState(null);
+  const laidOutRef = useRef(null);
+  const highlightRef = useRef(highlight);
+  // Latest click handler, read by the d3 listeners bound during renderGraph
+  const onNodeClickRef = useRef(onNodeClick);
+  onNodeClickRef.current = onNodeClick;
+  const [visualizationType, setVisualizationType] = useState("enhanced"); // 'enhanced', 'classic', 'layered' or 'matrix'
+  // Whether the last render pinned every node for the layered layout
+  const layeredPinsRef = useRef(false);
+  // 'auto' draws on a canvas above CANVAS_NODE_THRESHOLD nodes, 'svg' or 'canvas' force one
+  const [renderer, setRenderer] = useState("auto");
+  // Pull ipBlock nodes towards the smallest block containing them
+  const [nestCidrs, setNestCidrs] = useState(false);
+  // Draw the lines where L4 and Istio authorization disagree
+  const [showIstioOverlay, setShowIstioOverlay] = useState(false);
+  // Namespaces drawn as a single node
+  const [collapsedNamespaces, setCollapsedNamespaces] = useState([]);
+
+  const namespaces = useMemo(
+    () => getGraphNamespaces(graphData.nodes),
+    [graphData],
+  );
+  // Graph as rendered, with collapsed namespaces replaced by one node each
+  const displayData = useMemo(
+    () => collapseNamespaces(graphData, collapsedNamespaces),
+    [graphData, collapsedNamespaces],
+  );
+
+  const drawsOnCanvas =
+    renderer === "canvas" ||
+    (renderer === "auto" && displayData.nodes.length > CANVAS_NODE_THRESHOLD);
+
+  const collapseNamespace = (namespace) =>
+    setCollapsedNamespaces((current) => _.union(current, [namespace]));
+  const expandNamespace = (namespace) =>
+    setCollapsedNamespaces((current) => _.without(current, namespace));
+
+  // Clicking a collapsed namespace expands it again
+  const handleNodeClick = (node) => {
+    if (node.type === NAMESPACE_GROUP_TYPE) {
+      expandNamespace(node.details.namespace);
+    } else if (onNodeClickRef.current) {
+      onNodeClickRef.current(node);
+    }
+  };
+
+  // Connect each ipBlock node to the block containing it, e.g. 10.0.1.0/24 to 10.0.0.0/8
+  const getContainmentLinks = () => {
+    const nodeIds = new Set(displayData.nodes.map((node) => node.id));
+    return displayData.nodes
+      .filter(
+        (node) =>
+          nestCidrs && node.cidr?.parentId && nodeIds.has(node.cidr.parentId),
+      )
+      .map((node) => ({ source: node.id, target: node.cidr.parentId }));
+  };
+
+  // Istio overlay lines between the nodes drawn, resolved to the nodes
+  const getOverlayLinks = () => {
+    if (!showIstioOverlay) return [];
+    const nodesById = new Map(displayData.nodes.map((node) => [node.id, node]));
+    return istioOverlay
+      .filter(
+        (link) => nodesById.has(link.source) && nodesById.has(link.target),
+      )
+      .map((link) => ({
+        ...link,
+        source: nodesById.get(link.source),
+        target: nodesById.get(link.target),
+      }));
+  };
+
+  // Positions of the nodes drawn so far, to redraw without a new layout
+  const getCurrentPositions = () =>
+    displayData.nodes
+      .filter((node) => typeof node.x === "number")
+      .map(({ id, x, y }) => ({ id, x, y }));
+
+  // Lays the graph out in the worker and draws it at the positions it hands
+  // out while running, so the first frame comes after a few ticks, then at
+  // the final ones. Anchored nodes keep their position and only the others
+  // are placed. The layered layout needs no simulation and is drawn directly.
+  const layoutAndRender = (anchors = []) => {
+    if (layoutRunRef.current) layoutRunRef.current.cancel();
+    if (visualizationType !== "enhanced" && visualizationType !== "classic") {
+      renderGraph();
+      return;
+    }
+
+    const run = runGraphTask(
+      "layout",
+      {
+        nodes: displayData.nodes.map((node) => ({
+          id: node.id,
+          type: node.type,
+          details: node.details && { namespace: node.details.namespace },
+          adminKind: node.adminKind,
+          fx: node.fx,
+          fy: node.fy,
+        })),
+        links: displayData.links.map((link) => ({
+          source: getEndId(link.source),
+          target: getEndId(link.target),
+          crossPolicy: link.crossPolicy,
+        })),
+        containmentLinks: getContainmentLinks(),
+        anchors,
+        dimensions: {
+          width: graphContainerRef.current?.clientWidth || 800,
+          height: graphContainerRef.current?.clientHeight || 600,
+        },
+        visualizationType,
+      },
+      (stage, progress) => setLayoutProgress({ stage, progress }),
+      (positions) => renderGraphRef.current({ positions }),
+    );
+    layoutRunRef.current = run;
+
+    run.promise
+      // The latest renderGraph, in case the theme changed during the layout
+      .then((positions) => renderGraphRef.current({ positions }))
+      .catch((err) => {
+        if (isCancelled(err)) return;
+        // Without a worker result, animate the layout on the main thread
+        console.error("Error laying out graph:", err);
+        renderGraphRef.current();
+      })
+      .finally(() => {
+        if (layoutRunRef.current === run) {
+          layoutRunRef.current = null;
+          setLayoutProgress(null);
+        }
+      });
+  };
+
+  // Stops the layout in progress and draws the nodes where they start
+  const cancelLayout = () => {
+    if (!layoutRunRef.current) return;
+    layoutRunRef.current.cancel();
+    renderGraph({ positions: [] });
+  };
 
   // Function to reset layout with optional parameters
   const resetLayout = (options = {}) => {
-    if (graphData.nodes.length > 0) {
+    if (graphData.nodes.length === 0) return;
+    if (options.shuffleNodes) {
       renderGraph(options);
+    } else {
+      layoutAndRender();
     }
   };
 
@@ -45,10 +362,14 @@ const GraphVisualization = ({
 
   // Main graph rendering function
   const renderGraph = (options = {}) => {
-    if (!svgRef.current || !graphData.nodes.length) return;
+    const surface = drawsOnCanvas ? canvasRef.current : svgRef.current;
+    if (!surface || !displayData.nodes.length) return;
 
-    // Clear previous graph
-    d3.select(svgRef.current).selectAll("*").remove();
+    // Stop the simulation and listeners of the previous render
+    if (renderCleanupRef.current) {
+      renderCleanupRef.current();
+      renderCleanupRef.current = null;
+    }
 
     // Remove any existing tooltips
     d3.select(graphContainerRef.current).selectAll(".graph-tooltip").remove();
@@ -56,9 +377,18 @@ const GraphVisualization = ({
     const width = graphContainerRef.current.clientWidth || 800;
     const height = graphContainerRef.current.clientHeight || 600;
 
+    // Release the nodes pinned by the layered layout when leaving it
+    if (layeredPinsRef.current && visualizationType !== "layered") {
+      displayData.nodes.forEach((node) => {
+        node.fx = null;
+        node.fy = null;
+      });
+    }
+    layeredPinsRef.current = visualizationType === "layered";
+
     // If classic view and shuffleNodes is requested, jitter the initial positions
     if (visualizationType === "classic" && options.shuffleNodes) {
-      graphData.nodes.forEach((node) => {
+      displayData.nodes.forEach((node) => {
         // Add random offset to create more space between nodes
         const randomAngle = Math.random() * 2 * Math.PI;
         const randomDistance = 50 + Math.random() * 150;
@@ -73,17 +403,6 @@ const GraphVisualization = ({
       });
     }
 
-    const svg = d3
-      .select(svgRef.current)
-      .attr("width", width)
-      .attr("height", height)
-      .attr("viewBox", [0, 0, width, height]);
-
-    // Apply theme-specific background color
-    if (theme === "dark") {
-      svg.style("background-color", "#0a0e17");
-    }
-
     // Create a tooltip with improved formatting and positioning
     const tooltip = d3
       .select(graphContainerRef.current)
@@ -100,100 +419,198 @@ const GraphVisualization = ({
       .style("white-space", "pre-wrap")
       .style("z-index", 1000); // Ensure tooltip is above other elements
 
-    // Create container for zoom
-    const container = svg.append("g");
-
-    // Add zoom behavior
-    const zoom = d3
-      .zoom()
-      .scaleExtent([0.1, 4])
-      .on("zoom", (event) => {
-        container.attr("transform", event.transform);
-      });
-
-    svg.call(zoom);
-
     // Save visualizationType in a local variable for use in callbacks
     const currentVisualizationType = visualizationType;
+    // Enhanced and layered views draw links as paths, classic as lines
+    const drawsPaths = currentVisualizationType !== "classic";
 
     // Group nodes by namespace to reduce line crossings (for enhanced view)
-    const nodesByNamespace = _.groupBy(graphData.nodes, (node) => {
-      if (node.details && node.details.namespace) {
-        return node.details.namespace;
-      }
-      // Extract namespace from the node ID if possible
-      const parts = node.id.split(":");
-      if (parts.length > 1 && parts[0] === "pod") {
-        return parts[1];
-      }
-      return "other";
-    });
+    const nodesByNamespace = groupNodesByNamespace(displayData.nodes);
 
     // Create simulation using the useGraphSimulation helper
     const simulation = createSimulation(
-      graphData.nodes,
-      graphData.links,
+      displayData.nodes,
+      displayData.links,
       { width, height },
       currentVisualizationType,
       nodesByNamespace,
     );
 
+    // Shaded region per expanded namespace (enhanced view only)
+    let regionData = [];
+    if (currentVisualizationType === "enhanced") {
+      regionData = getGraphNamespaces(displayData.nodes).map((namespace) => ({
+        namespace,
+        nodes: displayData.nodes.filter(
+          (node) => getNodeNamespace(node) === namespace,
+        ),
+      }));
+    }
+
+    const containmentLinks = getContainmentLinks();
+    const overlayLinks = getOverlayLinks();
+
+    if (containmentLinks.length > 0) {
+      simulation.force(
+        "cidrNesting",
+        d3
+          .forceLink(containmentLinks)
+          .id((d) => d.id)
+          .distance(60)
+          .strength(0.8),
+      );
+    }
+
     // If we're in classic view with shuffleNodes, apply a stronger initial force
     if (visualizationType === "classic" && options.shuffleNodes) {
       simulation.alpha(1).alphaDecay(0.02);
     }
 
+    // Positions laid out in the worker, or kept from the last render: draw
+    // them as they are and only run the simulation while a node is dragged
+    const isStatic =
+      currentVisualizationType === "layered" || !!options.positions;
+    if (options.positions) {
+      const nodesById = new Map(
+        displayData.nodes.map((node) => [node.id, node]),
+      );
+      options.positions.forEach(({ id, x, y }) => {
+        const node = nodesById.get(id);
+        if (!node) return;
+        node.x = x;
+        node.y = y;
+        node.vx = 0;
+        node.vy = 0;
+      });
+      simulation.alpha(0).stop();
+    }
+
+    if (drawsOnCanvas) {
+      graphSelectionRef.current = null;
+      const renderer = createCanvasRenderer(canvasRef.current, {
+        nodes: displayData.nodes,
+        links: displayData.links,
+        regions: regionData,
+        extraLinks: containmentLinks,
+        overlayLinks,
+        simulation,
+        tooltip,
+        dimensions: { width, height },
+        visualizationType: currentVisualizationType,
+        theme,
+        onNodeClick: handleNodeClick,
+        onRegionClick: collapseNamespace,
+      });
+      canvasRendererRef.current = renderer;
+      renderedIdsRef.current = new Set(
+        displayData.nodes.map((node) => node.id),
+      );
+      renderer.setHighlight(
+        getCollapsedHighlight(highlightRef.current, displayData.nodes),
+      );
+      const fitTimer = setTimeout(renderer.fit, 500);
+
+      renderCleanupRef.current = () => {
+        clearTimeout(fitTimer);
+        renderer.destroy();
+        tooltip.remove();
+        simulation.stop();
+        canvasRendererRef.current = null;
+      };
+      return;
+    }
+
+    // The scene is kept while the view and theme stay the same, and the
+    // elements drawn in it are joined with the new graph by key: elements of
+    // nodes and links still in the graph are updated where they are
+    const sceneKey = `${currentVisualizationType}|${theme}`;
+    let scene = sceneRef.current;
+    const isNewScene =
+      !scene || scene.key !== sceneKey || scene.svg.node() !== svgRef.current;
+    if (isNewScene) {
+      d3.select(svgRef.current).selectAll("*").remove();
+      scene = {
+        key: sceneKey,
+        ...createSvgScene(svgRef.current, theme, drawsPaths),
+      };
+      sceneRef.current = scene;
+    }
+    const { svg, container, zoom, layers } = scene;
+    svg
+      .attr("width", width)
+      .attr("height", height)
+      .attr("viewBox", [0, 0, width, height]);
+
+    // Draw the regions behind links and nodes
+    const namespaceRegions = layers.regions
+      .selectAll("g.namespace-region")
+      .data(regionData, (d) => d.namespace)
+      .join((enter) => {
+        const region = enter.append("g").attr("class", "namespace-region");
+
+        region
+          .append("rect")
+          .attr("rx", 12)
+          .attr("ry", 12)
+          .attr("fill", theme === "dark" ? "#0e7490" : "#dbeafe")
+          .attr("fill-opacity", theme === "dark" ? 0.12 : 0.35)
+          .attr("stroke", theme === "dark" ? "#155e75" : "#93c5fd")
+          .attr("stroke-dasharray", "6,4")
+          .attr("pointer-events", "none");
+
+        // The region heading collapses the namespace into a single node
+        region
+          .append("text")
+          .attr("class", "namespace-label")
+          .attr("font-size", "14px")
+          .attr("font-weight", "bold")
+          .attr("fill", theme === "dark" ? "#94a3b8" : "#333333")
+          .attr("stroke", theme === "dark" ? "#0f172a" : "#ffffff")
+          .attr("stroke-width", 0.5)
+          .attr("paint-order", "stroke")
+          .style("cursor", "pointer")
+          .text((d) => `⊟ Namespace: ${d.namespace}`)
+          .on("click", (event, d) => {
+            event.stopPropagation();
+            collapseNamespace(d.namespace);
+          })
+          .append("title")
+          .text("Collapse namespace");
+
+        return region;
+      });
+
+    const nestingLines = layers.nesting
+      .selectAll("line")
+      .data(
+        containmentLinks,
+        (d) => `${getEndId(d.source)}|${getEndId(d.target)}`,
+      )
+      .join("line")
+      .attr("stroke", theme === "dark" ? "#64748b" : "#9ca3af")
+      .attr("stroke-width", 1.5)
+      .attr("stroke-dasharray", "2,3");
+
     // Create the links - either curved paths or straight lines
     let link;
 
-    if (currentVisualizationType === "enhanced") {
-      // Enhanced: curved paths
-      link = container
-        .append("g")
+    if (drawsPaths) {
+      // Enhanced and layered: curved paths
+      link = layers.links
         .selectAll("path")
-        .data(graphData.links)
-        .join("path")
-        .attr("fill", "none")
+        .data(displayData.links, getLinkKey)
+        .join((enter) => enter.append("path").attr("fill", "none"))
         .attr("stroke", (d) => getLinkColor(d, theme))
         .attr("stroke-opacity", (d) => getLinkOpacity(d))
         .attr("stroke-width", (d) => getLinkWidth(d))
-        .attr("stroke-dasharray", (d) => (d.crossPolicy ? "5,3" : null))
+        .attr("stroke-dasharray", (d) => getLinkDashArray(d))
         .attr("d", (d) => createLinkPath(d, currentVisualizationType));
 
-      // Add arrows along the path
-      const marker = svg
-        .append("defs")
-        .selectAll("marker")
-        .data(["ingress", "egress", "ingress-cross", "egress-cross"])
-        .enter()
-        .append("marker")
-        .attr("id", (d) => `arrowhead-${d}`)
-        .attr("viewBox", "0 -5 10 10")
-        .attr("refX", 28)
-        .attr("refY", 0)
-        .attr("markerWidth", 6)
-        .attr("markerHeight", 6)
-        .attr("orient", "auto")
-        .append("path")
-        .attr("d", "M0,-5L10,0L0,5")
-        .attr("fill", (d) => {
-          if (theme === "dark") {
-            if (d === "ingress") return "#f43f5e";
-            if (d === "egress") return "#10b981";
-            if (d === "ingress-cross") return "#e11d48";
-            if (d === "egress-cross") return "#059669";
-            return "#64748b";
-          } else {
-            if (d === "ingress") return "#ff6666";
-            if (d === "egress") return "#66ff66";
-            if (d === "ingress-cross") return "#ff3366";
-            if (d === "egress-cross") return "#33ff66";
-            return "#aaaaaa";
-          }
-        });
-
       // Apply the markers to the paths
       link.attr("marker-end", (d) => {
+        if (d.diffStatus) {
+          return `url(#arrowhead-${d.diffStatus})`;
+        }
         if (d.crossPolicy) {
           return d.direction === "ingress"
             ? "url(#arrowhead-ingress-cross)"
@@ -205,33 +622,96 @@ const GraphVisualization = ({
       });
     } else {
       // Classic: IMPROVED lines with separate arrow markers
-      link = container
-        .append("g")
+      link = layers.links
         .selectAll("g")
-        .data(graphData.links)
-        .join("g");
+        .data(displayData.links, getLinkKey)
+        .join((enter) => {
+          const linkG = enter.append("g");
+          linkG.append("line");
+          // Add improved arrows to links - larger and more visible
+          linkG.append("polygon").attr("points", "0,-4 8,0 0,4"); // Bigger arrows (was 0,-3 6,0 0,3)
+          return linkG;
+        });
 
-      // Add link lines with improved styling
-      const linkLine = link
-        .append("line")
+      // select() hands the updated link down to the line and arrow
+      link
+        .select("line")
         .attr("stroke", (d) => getLinkColor(d, theme))
         .attr("stroke-opacity", (d) => getLinkOpacity(d))
         .attr("stroke-width", (d) => getLinkWidth(d) * 1.2) // Slightly thicker lines
-        .attr("stroke-dasharray", (d) => (d.crossPolicy ? "5,3" : null));
+        .attr("stroke-dasharray", (d) => getLinkDashArray(d));
 
-      // Add improved arrows to links - larger and more visible
-      link
-        .append("polygon")
-        .attr("points", "0,-4 8,0 0,4") // Bigger arrows (was 0,-3 6,0 0,3)
-        .attr("fill", (d) => getLinkColor(d, theme));
+      link.select("polygon").attr("fill", (d) => getLinkColor(d, theme));
     }
 
+    // Istio overlay above the links, with its own tooltip
+    const overlayLines = layers.overlay
+      .selectAll("line")
+      .data(overlayLinks, (d) => `${d.source.id}|${d.target.id}`)
+      .join("line")
+      .attr("stroke", (d) => getIstioOverlayColor(d.kind, theme))
+      .attr("stroke-width", 2.5)
+      .attr("stroke-opacity", 0.9)
+      .attr("stroke-dasharray", (d) => getIstioOverlayDashArray(d.kind))
+      .on("mouseover", (event, d) => {
+        const [x, y] = d3.pointer(event, graphContainerRef.current);
+        tooltip
+          .html(getIstioOverlayTooltipContent(d, theme))
+          .style("left", x + 10 + "px")
+          .style("top", y - 10 + "px")
+          .classed("hidden", false);
+      })
+      .on("mouseout", () => tooltip.classed("hidden", true));
+
+    const positionOverlayLines = () =>
+      overlayLines
+        .attr("x1", (d) => d.source.x)
+        .attr("y1", (d) => d.source.y)
+        .attr("x2", (d) => d.target.x)
+        .attr("y2", (d) => d.target.y);
+
+    // Count badges on links standing for several links of collapsed namespaces
+    const linkBadges = layers.badges
+      .selectAll("g")
+      .data(
+        displayData.links.filter((d) => d.aggregatedCount > 1),
+        getLinkKey,
+      )
+      .join((enter) => {
+        const badge = enter.append("g");
+        badge
+          .append("circle")
+          .attr("r", 9)
+          .attr("stroke", theme === "dark" ? "#0f172a" : "#ffffff")
+          .attr("stroke-width", 1);
+        badge
+          .append("text")
+          .attr("text-anchor", "middle")
+          .attr("dy", "0.35em")
+          .attr("font-size", "9px")
+          .attr("font-weight", "bold")
+          .attr("fill", "#ffffff");
+        return badge;
+      });
+
+    linkBadges.select("circle").attr("fill", (d) => getLinkColor(d, theme));
+    linkBadges.select("text").text((d) => d.aggregatedCount);
+
+    const positionLinkBadges = () =>
+      linkBadges.attr(
+        "transform",
+        (d) =>
+          `translate(${(d.source.x + d.target.x) / 2}, ${(d.source.y + d.target.y) / 2})`,
+      );
+
     // Create node drag behavior with update handler
     const dragBehavior = createDragBehavior(
       simulation,
       (event) => {
+        positionLinkBadges();
+        positionOverlayLines();
         // Update links in real-time during drag
-        if (currentVisualizationType === "enhanced") {
+        if (drawsPaths) {
           link.attr("d", (d) => createLinkPath(d, currentVisualizationType));
         } else {
           // For classic view, update the lines and arrow positions with better spacing
@@ -274,55 +754,95 @@ const GraphVisualization = ({
       currentVisualizationType,
     );
 
-    // Create nodes container
-    const nodesGroup = container
-      .append("g")
-      .selectAll("g")
-      .data(graphData.nodes)
-      .join("g")
-      .call(dragBehavior);
+    // Join the nodes by id; nodes kept from the last render stay in place
+    const nodesGroup = layers.nodes
+      .selectAll("g.graph-node")
+      .data(displayData.nodes, (d) => d.id)
+      .join((enter) => enter.append("g").attr("class", "graph-node"))
+      .attr("opacity", (d) => getNodeOpacity(d))
+      .call(dragBehavior)
+      // d3-drag suppresses the click that ends a drag, so this is a plain click
+      .on("click", (event, d) => handleNodeClick(d));
+
+    graphSelectionRef.current = {
+      links: drawsPaths ? link : link.selectAll("line"),
+      nodes: nodesGroup,
+      widthScale: drawsPaths ? 1 : 1.2,
+    };
 
-    // Create node elements using the improved node renderer
+    // Re-apply the active highlight after hover effects reset the styles
+    const restoreHighlight = () => {
+      // Diff graphs are restored too, since hover resets ignore diff styling
+      if (highlightRef.current || displayData.diff) {
+        const { links, nodes, widthScale } = graphSelectionRef.current;
+        applyGraphHighlight(
+          links,
+          nodes,
+          getCollapsedHighlight(highlightRef.current, displayData.nodes),
+          theme,
+          widthScale,
+        );
+      }
+    };
+
+    // Create node elements using the improved node renderer. The body is
+    // redrawn on every render, since the node's policies may have changed.
     nodesGroup.each(function (d) {
       const nodeElement = this;
       const nodeG = d3.select(nodeElement);
       const isMultiPolicy = d.policies && d.policies.length > 1;
 
+      nodeG.selectAll("*").remove();
+      const body = nodeG.append("g").attr("class", "node-body");
+
       // Use the improved node renderer with theme
-      createImprovedNode(d, nodeG, isMultiPolicy, theme);
+      createImprovedNode(d, body, isMultiPolicy, theme);
     });
 
-    // Add namespace labels (enhanced view only)
-    if (currentVisualizationType === "enhanced") {
-      Object.entries(nodesByNamespace).forEach(([namespace, nodes]) => {
-        if (nodes.length > 0 && namespace !== "other") {
-          // Calculate average position of nodes in this namespace
-          const avgX =
-            nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
-          const avgY =
-            nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
-
-          // Add namespace label
-          container
-            .append("text")
-            .attr("class", "namespace-label")
-            .attr("x", avgX)
-            .attr("y", avgY - 55) // Position above the nodes
-            .attr("text-anchor", "middle")
-            .attr("font-size", "14px")
-            .attr("font-weight", "bold")
-            .attr("fill", theme === "dark" ? "#94a3b8" : "#333333")
-            .attr("stroke", theme === "dark" ? "#0f172a" : "#ffffff")
-            .attr("stroke-width", 0.5)
-            .attr("paint-order", "stroke")
-            .text(`Namespace: ${namespace}`);
-        }
+    // Nodes new to an updated graph grow in; kept nodes do not move
+    const previousIds = renderedIdsRef.current;
+    const keepsNodes = displayData.nodes.some((node) =>
+      previousIds.has(node.id),
+    );
+    if (keepsNodes) {
+      nodesGroup
+        .filter((d) => !previousIds.has(d.id))
+        .select(".node-body")
+        .attr("opacity", 0)
+        .attr("transform", "scale(0.3)")
+        .transition()
+        .duration(ENTER_DURATION)
+        .attr("opacity", 1)
+        .attr("transform", "scale(1)");
+    }
+    renderedIdsRef.current = new Set(displayData.nodes.map((node) => node.id));
+
+    // Add column headings (layered view only)
+    layers.labels.selectAll("*").remove();
+    if (currentVisualizationType === "layered") {
+      LAYERED_COLUMNS.forEach(({ key, label }) => {
+        const columnNodes = displayData.nodes.filter(
+          (node) => node.layer === key,
+        );
+        if (columnNodes.length === 0) return;
+
+        layers.labels
+          .append("text")
+          .attr("class", "layer-label")
+          .attr("x", columnNodes[0].x)
+          .attr("y", Math.min(...columnNodes.map((node) => node.y)) - 55)
+          .attr("text-anchor", "middle")
+          .attr("font-size", "14px")
+          .attr("font-weight", "bold")
+          .attr("fill", theme === "dark" ? "#94a3b8" : "#333333")
+          .text(label);
       });
     }
 
     // Add hover effects based on visualization type
-    if (currentVisualizationType === "enhanced") {
-      // Enhanced hover effects for nodes
+    const linksByNode = indexLinksByNode(displayData.links);
+    if (drawsPaths) {
+      // Enhanced hover effects for nodes, also used by the layered view
       nodesGroup
         .on("mouseover", function (event, d) {
           // Highlight the node
@@ -332,21 +852,19 @@ const GraphVisualization = ({
             .attr("stroke-width", 3);
 
           // Find all links connected to this node
-          const connectedLinks = graphData.links.filter(
-            (link) => link.source.id === d.id || link.target.id === d.id,
-          );
+          const connectedLinks = new Set(linksByNode.get(d.id));
 
           // Highlight connected links
           link
             .attr("stroke-width", (l) => {
-              if (connectedLinks.includes(l)) {
+              if (connectedLinks.has(l)) {
                 return l.crossPolicy ? 4 : 3;
               } else {
                 return l.crossPolicy ? 2 : 1.5;
               }
             })
             .attr("stroke-opacity", (l) => {
-              if (connectedLinks.includes(l)) {
+              if (connectedLinks.has(l)) {
                 return l.crossPolicy ? 1 : 0.8;
               } else {
                 return l.crossPolicy ? 0.3 : 0.2; // Dim other links
@@ -405,10 +923,11 @@ const GraphVisualization = ({
           // Restore link appearance
           link
             .attr("stroke-width", (d) => (d.crossPolicy ? 2 : 1.5))
-            .attr("stroke-opacity", (d) => (d.crossPolicy ? 0.7 : 0.5));
+            .attr("stroke-opacity", (d) => getLinkOpacity(d));
 
           // Hide tooltip
           tooltip.classed("hidden", true);
+          restoreHighlight();
         });
 
       // Enhanced hover effects for links
@@ -493,7 +1012,7 @@ const GraphVisualization = ({
           // Restore link appearance
           d3.select(this)
             .attr("stroke-width", (d) => (d.crossPolicy ? 2 : 1.5))
-            .attr("stroke-opacity", (d) => (d.crossPolicy ? 0.7 : 0.5));
+            .attr("stroke-opacity", (d) => getLinkOpacity(d));
 
           // Restore node appearance
           nodesGroup
@@ -516,6 +1035,7 @@ const GraphVisualization = ({
 
           // Hide tooltip
           tooltip.classed("hidden", true);
+          restoreHighlight();
         });
     } else {
       // Classic hover effects for nodes
@@ -528,17 +1048,13 @@ const GraphVisualization = ({
             .attr("stroke-width", 3);
 
           // Find connected links for the classic view
-          const connectedLinks = graphData.links.filter(
-            (link) => link.source.id === d.id || link.target.id === d.id,
-          );
+          const connectedLinks = new Set(linksByNode.get(d.id));
 
           // Highlight connected links differently based on view
           if (currentVisualizationType === "classic") {
             link
               .selectAll("line")
-              .attr("stroke-width", (l) =>
-                connectedLinks.includes(l) ? 3 : 1,
-              );
+              .attr("stroke-width", (l) => (connectedLinks.has(l) ? 3 : 1));
           }
 
           // Calculate position near the node (not cursor)
@@ -584,6 +1100,7 @@ const GraphVisualization = ({
 
           // Hide tooltip
           tooltip.classed("hidden", true);
+          restoreHighlight();
         });
 
       // Classic hover effects for links
@@ -645,6 +1162,7 @@ const GraphVisualization = ({
 
             // Hide tooltip
             tooltip.classed("hidden", true);
+            restoreHighlight();
           });
       }
     }
@@ -652,45 +1170,28 @@ const GraphVisualization = ({
     // Update position on simulation tick
     simulation.on("tick", () => {
       // Use the local currentVisualizationType variable from closure
-      if (currentVisualizationType === "enhanced") {
-        // For enhanced view with curved paths
+      if (drawsPaths) {
+        // For enhanced and layered views with curved paths
         link.attr("d", (d) => createLinkPath(d, currentVisualizationType));
+      }
 
-        // Update namespace labels
-        const namespaceLabels = container
-          .selectAll("text.namespace-label")
-          .data(
-            Object.entries(nodesByNamespace).filter(
-              ([ns, nodes]) => ns !== "other" && nodes.length > 0,
-            ),
-          );
-
-        // Enter + update namespace labels
-        namespaceLabels
-          .enter()
-          .append("text")
-          .attr("class", "namespace-label")
-          .merge(namespaceLabels)
-          .attr("x", ([namespace, nodes]) => {
-            return nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
-          })
-          .attr("y", ([namespace, nodes]) => {
-            return (
-              nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length - 55
-            );
-          })
-          .attr("text-anchor", "middle")
-          .attr("font-size", "14px")
-          .attr("font-weight", "bold")
-          .attr("fill", theme === "dark" ? "#94a3b8" : "#333333")
-          .attr("stroke", theme === "dark" ? "#0f172a" : "#ffffff")
-          .attr("stroke-width", 0.5)
-          .attr("paint-order", "stroke")
-          .text(([namespace]) => `Namespace: ${namespace}`);
-
-        // Exit
-        namespaceLabels.exit().remove();
-      } else {
+      if (currentVisualizationType === "enhanced") {
+        // Fit each namespace region around its pods
+        namespaceRegions.each(function (d) {
+          const bounds = getNamespaceRegionBounds(d.nodes);
+          const region = d3.select(this);
+          region
+            .select("rect")
+            .attr("x", bounds.x)
+            .attr("y", bounds.y)
+            .attr("width", bounds.width)
+            .attr("height", bounds.height);
+          region
+            .select("text")
+            .attr("x", bounds.x + 10)
+            .attr("y", bounds.y - 8);
+        });
+      } else if (currentVisualizationType === "classic") {
         // For classic view with straight lines - IMPROVED positioning
         link
           .selectAll("line")
@@ -738,54 +1239,148 @@ const GraphVisualization = ({
       }
 
       nodesGroup.attr("transform", (d) => `translate(${d.x}, ${d.y})`);
+      positionLinkBadges();
+      positionOverlayLines();
+
+      nestingLines
+        .attr("x1", (d) => d.source.x)
+        .attr("y1", (d) => d.source.y)
+        .attr("x2", (d) => d.target.x)
+        .attr("y2", (d) => d.target.y);
     });
 
-    // Auto-fit the graph with a transition
-    setTimeout(() => {
-      const bounds = container.node().getBBox();
-      const dx = bounds.width;
-      const dy = bounds.height;
-      const x = bounds.x + dx / 2;
-      const y = bounds.y + dy / 2;
-
-      // Calculate appropriate scale to fit the graph
-      const scale = Math.min(0.8, 0.8 / Math.max(dx / width, dy / height));
-      const translate = [width / 2 - scale * x, height / 2 - scale * y];
+    // Static layouts are drawn once instead of animated
+    if (isStatic) {
+      simulation.on("tick")();
+    }
 
-      // Apply the transformation
-      svg
-        .transition()
-        .duration(750)
-        .call(
-          zoom.transform,
-          d3.zoomIdentity.translate(translate[0], translate[1]).scale(scale),
-        );
-    }, 500);
+    restoreHighlight();
+
+    // Auto-fit the graph with a transition, unless it is an update of the
+    // graph on screen, which keeps the user's view
+    let fitTimer = null;
+    if (isNewScene || !keepsNodes) {
+      fitTimer = setTimeout(() => {
+        const bounds = container.node().getBBox();
+        const dx = bounds.width;
+        const dy = bounds.height;
+        const x = bounds.x + dx / 2;
+        const y = bounds.y + dy / 2;
+
+        // Calculate appropriate scale to fit the graph
+        const scale = Math.min(0.8, 0.8 / Math.max(dx / width, dy / height));
+        const translate = [width / 2 - scale * x, height / 2 - scale * y];
+
+        // Apply the transformation
+        svg
+          .transition()
+          .duration(750)
+          .call(
+            zoom.transform,
+            d3.zoomIdentity.translate(translate[0], translate[1]).scale(scale),
+          );
+      }, 500);
+    }
 
-    return () => {
+    renderCleanupRef.current = () => {
+      clearTimeout(fitTimer);
       tooltip.remove();
       simulation.stop();
     };
   };
 
-  // Update graph when data changes or visualization type changes
+  renderGraphRef.current = renderGraph;
+
+  // Lay the graph out again when data, view or nesting change; a theme,
+  // renderer or Istio overlay change only redraws it where it is
   useEffect(() => {
-    if (graphData.nodes.length > 0) {
-      renderGraph();
+    if (displayData.nodes.length === 0) return;
+
+    const laidOut = laidOutRef.current;
+    const sameView =
+      laidOut?.visualizationType === visualizationType &&
+      laidOut.nestCidrs === nestCidrs;
+    if (sameView && laidOut.displayData === displayData) {
+      // A layout still running draws with the latest settings when done
+      if (!layoutRunRef.current) {
+        renderGraph({ positions: getCurrentPositions() });
+      }
+      return;
+    }
+
+    laidOutRef.current = { displayData, visualizationType, nestCidrs };
+
+    // New data in the same force layout, e.g. after a filter change: nodes
+    // still in the graph stay where they are and only new ones are placed
+    const isForceLayout =
+      visualizationType === "enhanced" || visualizationType === "classic";
+    const kept =
+      sameView && isForceLayout
+        ? keepNodePositions(laidOut.displayData.nodes, displayData.nodes)
+        : [];
+    if (kept.length > 0 && kept.length === displayData.nodes.length) {
+      if (layoutRunRef.current) layoutRunRef.current.cancel();
+      renderGraph({ positions: kept });
+      return;
     }
-  }, [graphData, visualizationType, theme]);
+    layoutAndRender(kept);
+  }, [
+    displayData,
+    visualizationType,
+    theme,
+    nestCidrs,
+    drawsOnCanvas,
+    showIstioOverlay,
+    istioOverlay,
+  ]);
+
+  // Stop the layout and the simulation when the graph is unmounted
+  useEffect(
+    () => () => {
+      if (layoutRunRef.current) layoutRunRef.current.cancel();
+      if (renderCleanupRef.current) renderCleanupRef.current();
+    },
+    [],
+  );
+
+  // Apply highlight changes to the rendered graph without restarting the layout
+  useEffect(() => {
+    highlightRef.current = highlight;
+    if (canvasRendererRef.current) {
+      canvasRendererRef.current.setHighlight(
+        getCollapsedHighlight(highlight, displayData.nodes),
+      );
+    } else if (graphSelectionRef.current) {
+      const { links, nodes, widthScale } = graphSelectionRef.current;
+      applyGraphHighlight(
+        links,
+        nodes,
+        getCollapsedHighlight(highlight, displayData.nodes),
+        theme,
+        widthScale,
+      );
+    }
+  }, [highlight, theme]);
 
   // Update graph on window resize
   useEffect(() => {
     const handleResize = _.debounce(() => {
-      if (graphData.nodes.length > 0) {
-        renderGraph();
+      if (displayData.nodes.length > 0 && !layoutRunRef.current) {
+        renderGraph({ positions: getCurrentPositions() });
       }
     }, 200);
 
     window.addEventListener("resize", handleResize);
     return () => window.removeEventListener("resize", handleResize);
-  }, [graphData, visualizationType, theme]);
+  }, [
+    displayData,
+    visualizationType,
+    theme,
+    nestCidrs,
+    drawsOnCanvas,
+    showIstioOverlay,
+    istioOverlay,
+  ]);
 
   return (
     <div
@@ -793,12 +1388,38 @@ const GraphVisualization = ({
       ref={graphContainerRef}
       onDoubleClick={handleBackgroundDoubleClick}
     >
+      {buildProgress && (
+        <GraphProgress
+          progress={buildProgress}
+          onCancel={onCancelBuild}
+          theme={theme}
+        />
+      )}
+      {!buildProgress && layoutProgress && (
+        <GraphProgress
+          progress={layoutProgress}
+          onCancel={cancelLayout}
+          theme={theme}
+        />
+      )}
       {graphData.nodes.length > 0 ? (
         <>
           <GraphControlPanel
             visualizationType={visualizationType}
             setVisualizationType={setVisualizationType}
             resetLayout={resetLayout}
+            nestCidrs={nestCidrs}
+            setNestCidrs={setNestCidrs}
+            hasNestedCidrs={graphData.nodes.some((node) => node.cidr?.parentId)}
+            showIstioOverlay={showIstioOverlay}
+            setShowIstioOverlay={setShowIstioOverlay}
+            hasIstioPolicies={hasIstioPolicies}
+            namespaces={namespaces}
+            collapsedNamespaces={collapsedNamespaces}
+            setCollapsedNamespaces={setCollapsedNamespaces}
+            renderer={renderer}
+            setRenderer={setRenderer}
+            usesCanvas={drawsOnCanvas}
             theme={theme}
           />
           <InfoPanel
@@ -810,12 +1431,27 @@ const GraphVisualization = ({
                 : ""
             }
           />
-          <NodeCountDisplay
-            graphData={graphData}
-            deduplicateNodes={deduplicateNodes}
-            theme={theme}
-          />
-          <svg ref={svgRef} className="w-full h-full"></svg>
+          {visualizationType === "matrix" ? (
+            <NamespaceMatrix
+              policies={policies}
+              inventory={inventory}
+              setShowPolicyDetails={setShowPolicyDetails}
+              theme={theme}
+            />
+          ) : (
+            <>
+              <NodeCountDisplay
+                graphData={graphData}
+                deduplicateNodes={deduplicateNodes}
+                theme={theme}
+              />
+              {drawsOnCanvas ? (
+                <canvas ref={canvasRef} className="block w-full h-full" />
+              ) : (
+                <svg ref={svgRef} className="w-full h-full"></svg>
+              )}
+            </>
+          )}
         </>
       ) : (
         <EmptyState theme={theme} />
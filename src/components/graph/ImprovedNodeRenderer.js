@@ -1,3 +1,11 @@
+import { describeWorkloadCount } from "../../utils/workloads.js";
+import { NAMESPACE_GROUP_TYPE } from "./namespaceGroups.js";
+import {
+  getDenyAllColor,
+  getIsolationBadgeColor,
+  getNodeStrokeColor,
+} from "./graphStyleHelpers.js";
+
 /**
  * Helper function to extract namespace name from selector
  * @param {Object} namespaceSelector - The namespace selector object
@@ -93,6 +101,91 @@ const extractPodLabel = (podSelector) => {
   return "Pod";
 };
 
+/**
+ * Draws ingress/egress isolation badges and the "deny all" marker for pod nodes.
+ * Pod-level isolation uses round badges, namespace-wide isolation square ones.
+ * @param {Object} node - The node data object
+ * @param {D3Selection} nodeG - The D3 selection for the node container
+ * @param {Number} boxWidth - Width of the node box
+ * @param {Number} boxHeight - Height of the node box
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @returns {void}
+ */
+const renderIsolationBadges = (node, nodeG, boxWidth, boxHeight, theme) => {
+  if (!node.isolation) return;
+
+  const badges = ["ingress", "egress"].filter(
+    (direction) => node.isolation[direction]?.isolated,
+  );
+
+  badges.forEach((direction, index) => {
+    const state = node.isolation[direction];
+    const cx = -boxWidth / 2 + 8 + index * 16;
+    const cy = -boxHeight / 2;
+    const color = getIsolationBadgeColor(direction, theme);
+
+    let badge;
+    if (state.namespaceWide) {
+      badge = nodeG
+        .append("rect")
+        .attr("x", cx - 7)
+        .attr("y", cy - 7)
+        .attr("width", 14)
+        .attr("height", 14)
+        .attr("rx", 2);
+    } else {
+      badge = nodeG.append("circle").attr("cx", cx).attr("cy", cy).attr("r", 7);
+    }
+
+    badge
+      .attr("class", "isolation-badge")
+      .attr("fill", color)
+      .attr("stroke", theme === "dark" ? "#0f172a" : "#ffffff")
+      .attr("stroke-width", 1);
+
+    nodeG
+      .append("text")
+      .attr("x", cx)
+      .attr("y", cy + 3)
+      .attr("text-anchor", "middle")
+      .attr("font-size", "8px")
+      .attr("font-weight", "bold")
+      .attr("fill", "#ffffff")
+      .text(direction === "ingress" ? "I" : "E");
+  });
+
+  const deniedDirections = ["ingress", "egress"].filter(
+    (direction) => node.isolation[direction]?.denyAll,
+  );
+
+  if (deniedDirections.length > 0) {
+    const markerText =
+      deniedDirections.length === 2
+        ? "⊘ deny all"
+        : `⊘ deny all ${deniedDirections[0]}`;
+
+    nodeG
+      .append("rect")
+      .attr("class", "deny-all-marker")
+      .attr("x", -boxWidth / 2)
+      .attr("y", boxHeight / 2 + 2)
+      .attr("width", boxWidth)
+      .attr("height", 14)
+      .attr("rx", 3)
+      .attr("fill", getDenyAllColor(theme));
+
+    nodeG
+      .append("text")
+      .attr("x", 0)
+      .attr("y", boxHeight / 2 + 12)
+      .attr("text-anchor", "middle")
+      .attr("font-size", "9px")
+      .attr("font-weight", "bold")
+      .attr("fill", "#ffffff")
+      .text(markerText);
+  }
+};
+
 /**
  * Improved node renderer for D3 integration that creates a better visual structure with theme support
  *
@@ -111,10 +204,12 @@ export const createImprovedNode = (
   // Create group for the node
   const nodeG = container;
 
+  const isNamespaceGroup = node.type === NAMESPACE_GROUP_TYPE;
+
   // Calculate node dimensions based on label
   const labelWidth = Math.min(Math.max(node.label.length * 7, 80), 150); // Adaptive width based on label length
-  const boxWidth = labelWidth + 20; // Add padding
-  const boxHeight = 40; // Fixed height
+  const boxWidth = labelWidth + (isNamespaceGroup ? 50 : 20); // Add padding
+  const boxHeight = isNamespaceGroup ? 52 : 40; // Fixed height
 
   // Create border box for the entire node
   nodeG
@@ -126,17 +221,15 @@ export const createImprovedNode = (
     .attr("rx", 5)
     .attr("ry", 5)
     .attr("fill", theme === "dark" ? "#1a2235" : "#ffffff")
+    .attr("stroke", getNodeStrokeColor(node, theme))
     .attr(
-      "stroke",
-      isMultiPolicy
-        ? theme === "dark"
-          ? "#f59e0b"
-          : "#ff9900"
-        : theme === "dark"
-          ? "#4b5563"
-          : "#666666",
+      "stroke-width",
+      isMultiPolicy || node.diffStatus || node.adminKind ? 2 : 1,
     )
-    .attr("stroke-width", isMultiPolicy ? 2 : 1)
+    .attr("stroke-dasharray", () => {
+      if (node.diffStatus === "removed") return "4,3";
+      return isNamespaceGroup ? "6,3" : null;
+    })
     .attr("stroke-opacity", 0.8)
     .attr("fill-opacity", theme === "dark" ? 0.8 : 0.9);
 
@@ -165,9 +258,21 @@ export const createImprovedNode = (
     if (node.details && node.details.namespace) {
       extractedNamespace = extractNamespaceFromSelector(node.details.namespace);
     }
+  } else if (isNamespaceGroup) {
+    iconType = "rect";
+    iconColor = theme === "dark" ? "#0e7490" : "#93c5fd";
   } else if (node.type === "anywhere") {
     iconType = "circle";
     iconColor = theme === "dark" ? "#374151" : "#dddddd";
+  } else if (node.type === "entity") {
+    iconType = "diamond";
+    iconColor = theme === "dark" ? "#2dd4bf" : "#14b8a6";
+  } else if (node.type === "fqdn") {
+    iconType = "triangle";
+    iconColor = theme === "dark" ? "#f472b6" : "#ec4899";
+  } else if (node.type === "service") {
+    iconType = "rect";
+    iconColor = theme === "dark" ? "#facc15" : "#eab308";
   }
 
   // Add appropriate icon
@@ -206,6 +311,8 @@ export const createImprovedNode = (
       .attr("stroke-width", 1);
   }
 
+  renderIsolationBadges(node, nodeG, boxWidth, boxHeight, theme);
+
   // Add policy count badge for multi-policy nodes
   if (isMultiPolicy) {
     nodeG
@@ -255,6 +362,98 @@ export const createImprovedNode = (
         : node.label;
     });
 
+  // Number of workloads the selector resolves to; selectors matching nothing are flagged
+  if (node.workloads) {
+    const { unmatched } = node.workloads;
+    const countText = unmatched
+      ? "no match"
+      : describeWorkloadCount(node.workloads.workloads);
+    const badgeWidth = countText.length * 5 + 8;
+
+    nodeG
+      .append("rect")
+      .attr("class", "workload-badge")
+      .attr("x", boxWidth / 2 - badgeWidth)
+      .attr("y", -boxHeight / 2 - 7)
+      .attr("width", badgeWidth)
+      .attr("height", 12)
+      .attr("rx", 6)
+      .attr("fill", () => {
+        if (unmatched) return getDenyAllColor(theme);
+        return theme === "dark" ? "#334155" : "#e5e7eb";
+      })
+      .attr("stroke", theme === "dark" ? "#0f172a" : "#ffffff")
+      .attr("stroke-width", 1);
+
+    nodeG
+      .append("text")
+      .attr("x", boxWidth / 2 - badgeWidth / 2)
+      .attr("y", -boxHeight / 2 + 2)
+      .attr("text-anchor", "middle")
+      .attr("font-size", "8px")
+      .attr("font-weight", unmatched ? "bold" : "normal")
+      .attr("fill", () => {
+        if (unmatched) return "#ffffff";
+        return theme === "dark" ? "#e2f3f5" : "#333333";
+      })
+      .text(countText);
+  }
+
+  // Collapsed namespaces show how many nodes they hold; click to expand
+  if (isNamespaceGroup) {
+    const countText = `${node.members.length} nodes`;
+    const badgeWidth = countText.length * 5 + 8;
+
+    nodeG
+      .append("rect")
+      .attr("class", "member-count-badge")
+      .attr("x", boxWidth / 2 - badgeWidth)
+      .attr("y", -boxHeight / 2 - 7)
+      .attr("width", badgeWidth)
+      .attr("height", 12)
+      .attr("rx", 6)
+      .attr("fill", theme === "dark" ? "#0e7490" : "#2563eb")
+      .attr("stroke", theme === "dark" ? "#0f172a" : "#ffffff")
+      .attr("stroke-width", 1);
+
+    nodeG
+      .append("text")
+      .attr("x", boxWidth / 2 - badgeWidth / 2)
+      .attr("y", -boxHeight / 2 + 2)
+      .attr("text-anchor", "middle")
+      .attr("font-size", "8px")
+      .attr("font-weight", "bold")
+      .attr("fill", "#ffffff")
+      .text(countText);
+
+    nodeG
+      .append("text")
+      .attr("x", 0)
+      .attr("y", 22)
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "middle")
+      .attr("font-size", "8px")
+      .attr("font-style", "italic")
+      .attr("fill", theme === "dark" ? "#94a3b8" : "#666666")
+      .text("(namespace, collapsed)");
+
+    nodeG.style("cursor", "pointer");
+  }
+
+  // Named ipBlocks keep their CIDR visible below the catalog name
+  if (node.type === "ipBlock" && node.catalog && node.details?.cidr) {
+    nodeG
+      .append("text")
+      .attr("x", 0)
+      .attr("y", 22)
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "middle")
+      .attr("font-size", "8px")
+      .attr("font-style", "italic")
+      .attr("fill", theme === "dark" ? "#94a3b8" : "#666666")
+      .text(`(${node.details.cidr})`);
+  }
+
   // Add namespace label for pod nodes or combined nodes with namespace info
   if (
     (node.type === "pod" || node.type === "combined") &&
@@ -0,0 +1,259 @@
+import React, { useState, useMemo } from "react";
+import { getPortsText } from "../../utils/formatters.js";
+import {
+  MATRIX_ALLOWED,
+  MATRIX_PARTIAL,
+  MATRIX_DENIED,
+} from "../../utils/namespaceMatrix.js";
+import { MATCH_DEFINITE } from "../../utils/selectors.js";
+import { useGraphTask } from "../../workers/useGraphTask.js";
+
+const STATUS_LABELS = {
+  [MATRIX_ALLOWED]: "Allowed",
+  [MATRIX_PARTIAL]: "Partial",
+  [MATRIX_DENIED]: "Denied",
+};
+
+const getStatusClass = (status, theme) => {
+  if (status === MATRIX_ALLOWED) {
+    return theme === "dark"
+      ? "bg-green-900 text-green-300"
+      : "bg-green-200 text-green-900";
+  }
+  if (status === MATRIX_PARTIAL) {
+    return theme === "dark"
+      ? "bg-yellow-900 text-yellow-300"
+      : "bg-yellow-100 text-yellow-800";
+  }
+  return theme === "dark"
+    ? "bg-red-900 text-red-300"
+    : "bg-red-100 text-red-800";
+};
+
+// Short cell text: the allowed ports, or a dash when nothing is allowed
+const getCellText = (cell) => {
+  if (cell.status === MATRIX_DENIED) return "—";
+  return cell.ports ? getPortsText(cell.ports) : "all";
+};
+
+/**
+ * Heatmap of namespace-to-namespace connectivity: source namespaces as rows,
+ * destination namespaces as columns. Clicking a cell lists the policies and
+ * the rules allowing or denying it.
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.policies - Policies shown in the graph
+ * @param {Object} props.inventory - Workload inventory, if loaded
+ * @param {Function} props.setShowPolicyDetails - Opens PolicyDetails for a policy
+ * @param {String} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} - The rendered component
+ */
+const NamespaceMatrix = ({
+  policies,
+  inventory = null,
+  setShowPolicyDetails,
+  theme = "light",
+}) => {
+  const [selected, setSelected] = useState(null);
+
+  const payload = useMemo(
+    () => ({ policies, inventory }),
+    [policies, inventory],
+  );
+  const { result: matrix } = useGraphTask("matrix", payload);
+
+  const selectedCell =
+    selected && matrix?.cells[selected.source]?.[selected.destination];
+
+  const mutedText = theme === "dark" ? "text-gray-400" : "text-gray-600";
+  const linkClass =
+    theme === "dark"
+      ? "text-cyan-400 hover:text-cyan-300"
+      : "text-blue-600 hover:text-blue-800";
+  const headingClass = `font-semibold ${theme === "dark" ? "text-cyan-400" : ""}`;
+
+  const openPolicy = (namespace, name) => {
+    const policy = policies.find(
+      (p) => p.namespace === namespace && p.name === name,
+    );
+    if (policy && setShowPolicyDetails) {
+      setShowPolicyDetails(policy);
+    }
+  };
+
+  // Rules of one side with their ports, each opening its policy
+  const renderRules = (rules, label) => {
+    if (rules.length === 0) return null;
+    return (
+      <>
+        <div className={`text-xs ${mutedText}`}>{label}</div>
+        <ul className="text-xs font-mono">
+          {rules.map((rule) => (
+            <li key={`${rule.namespace}/${rule.policy}/${rule.ruleIndex}`}>
+              <button
+                className={`text-left ${linkClass}`}
+                onClick={() => openPolicy(rule.namespace, rule.policy)}
+              >
+                {`${rule.policy} spec.${rule.direction}[${rule.ruleIndex}]`}
+                {rule.match !== MATCH_DEFINITE && " (possible)"}
+              </button>
+              <span className={mutedText}> {getPortsText(rule.ports)}</span>
+            </li>
+          ))}
+        </ul>
+      </>
+    );
+  };
+
+  const renderSide = (cell, direction) => {
+    const side = cell[direction];
+    const namespace = direction === "egress" ? cell.source : cell.destination;
+    const title =
+      direction === "egress"
+        ? `Egress from ${cell.source}`
+        : `Ingress to ${cell.destination}`;
+    const decided = side.rules.length > 0 || side.denyingRules.length > 0;
+
+    let isolation = `No policy in ${namespace} isolates these pods for ${direction}`;
+    if (side.isolatingPolicies.length > 0) {
+      isolation = `Isolated by ${side.isolatingPolicies
+        .map(({ policy }) => policy)
+        .join(", ")}`;
+    }
+
+    return (
+      <div className="mb-3">
+        <h4 className={headingClass}>{title}</h4>
+        <div className={`text-xs ${mutedText}`}>{isolation}</div>
+        {renderRules(side.rules, "Allowed by")}
+        {renderRules(side.denyingRules, "Denied by")}
+        {side.isolatingPolicies.length > 0 && !decided && (
+          <div className="text-xs">No rule admits the other namespace</div>
+        )}
+      </div>
+    );
+  };
+
+  if (!matrix || matrix.namespaces.length === 0) return null;
+
+  return (
+    <div className="absolute inset-0">
+      <div className="absolute inset-0 overflow-auto p-4">
+        <table className="border-collapse text-xs">
+          <thead>
+            <tr>
+              <th className={`text-left align-bottom p-1 ${mutedText}`}>
+                from ↓ / to →
+              </th>
+              {matrix.namespaces.map((destination) => (
+                <th key={destination} className="align-bottom p-1 font-medium">
+                  <div
+                    className="whitespace-nowrap mx-auto"
+                    style={{
+                      writingMode: "vertical-rl",
+                      transform: "rotate(180deg)",
+                    }}
+                  >
+                    {destination}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.namespaces.map((source) => (
+              <tr key={source}>
+                <th className="text-right font-medium whitespace-nowrap pr-2">
+                  {source}
+                </th>
+                {matrix.namespaces.map((destination) => {
+                  const cell = matrix.cells[source][destination];
+                  const isSelected =
+                    selected?.source === source &&
+                    selected?.destination === destination;
+                  return (
+                    <td
+                      key={destination}
+                      className={`h-8 px-1 text-center cursor-pointer border ${
+                        theme === "dark" ? "border-gray-800" : "border-white"
+                      } ${getStatusClass(cell.status, theme)} ${
+                        isSelected ? "ring-2 ring-blue-500" : ""
+                      }`}
+                      title={`${source} → ${destination}: ${STATUS_LABELS[cell.status]} (${getCellText(cell)})`}
+                      onClick={() =>
+                        setSelected(isSelected ? null : { source, destination })
+                      }
+                    >
+                      <div className="w-16 truncate">{getCellText(cell)}</div>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex space-x-3 mt-3 text-xs">
+          {[MATRIX_ALLOWED, MATRIX_PARTIAL, MATRIX_DENIED].map((status) => (
+            <span key={status} className="flex items-center">
+              <span
+                className={`inline-block w-3 h-3 mr-1 rounded ${getStatusClass(status, theme)}`}
+              ></span>
+              {STATUS_LABELS[status]}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {selectedCell && (
+        <div
+          className={`absolute right-4 bottom-4 w-96 max-h-96 overflow-auto rounded shadow-lg p-3 z-20 text-sm ${
+            theme === "dark"
+              ? "bg-gray-900 border border-cyan-800 text-gray-300"
+              : "bg-white border"
+          }`}
+        >
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="font-semibold truncate">
+              {selectedCell.source} → {selectedCell.destination}
+            </h3>
+            <button
+              className={mutedText}
+              onClick={() => setSelected(null)}
+              aria-label="Close cell details"
+            >
+              ✕
+            </button>
+          </div>
+          <div className="mb-3 text-xs">
+            <span
+              className={`px-1 rounded ${getStatusClass(selectedCell.status, theme)}`}
+            >
+              {STATUS_LABELS[selectedCell.status]}
+            </span>{" "}
+            {selectedCell.status !== MATRIX_DENIED &&
+              getPortsText(selectedCell.ports)}
+          </div>
+
+          {renderSide(selectedCell, "egress")}
+          {renderSide(selectedCell, "ingress")}
+
+          <h4 className={headingClass}>Pods</h4>
+          <ul className="text-xs">
+            {selectedCell.pairs.map((pair) => (
+              <li
+                key={`${pair.source}→${pair.destination}`}
+                className={pair.allowed ? "" : mutedText}
+              >
+                {pair.allowed ? "✓" : "✗"} {pair.source} → {pair.destination}
+                {pair.allowed && pair.match !== MATCH_DEFINITE && " (possible)"}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NamespaceMatrix;
@@ -0,0 +1,554 @@
+// Canvas renderer for graphs too large for SVG. It draws the same nodes and
+// links with the same style helpers, and supports the SVG view's interactions:
+// zoom, drag, hover tooltips, neighbour and graph highlighting.
+
+import * as d3 from "d3";
+import { getPortsText } from "../../utils/formatters.js";
+import {
+  createLinkPath,
+  getHighlightColor,
+  getLinkColor,
+  getLinkDashArray,
+  getLinkOpacity,
+  getLinkTooltipContent,
+  getLinkWidth,
+  getIstioOverlayColor,
+  getIstioOverlayDashArray,
+  getIstioOverlayTooltipContent,
+  getNodeOpacity,
+  getNodeStrokeColor,
+  getNodeTooltipContent,
+  isLinkHighlighted,
+} from "./graphStyleHelpers.js";
+import { indexLinksByNode } from "./linkIndex.js";
+import {
+  NAMESPACE_GROUP_TYPE,
+  getNamespaceRegionBounds,
+} from "./namespaceGroups.js";
+
+// Above this many nodes the SVG renderer becomes too slow to interact with
+export const CANVAS_NODE_THRESHOLD = 400;
+
+const NODE_HEIGHT = 30;
+const GROUP_HEIGHT = 40;
+// Labels and arrowheads are skipped when zoomed out further than this
+const DETAIL_SCALE = 0.5;
+// Distance in pixels within which the pointer hovers a link
+const LINK_HIT_WIDTH = 8;
+
+const NODE_COLORS = {
+  pod: "#66aaff",
+  namespace: "#44cc44",
+  ipBlock: "#ffaa44",
+  combined: "#9966cc",
+  entity: "#14b8a6",
+  fqdn: "#ec4899",
+  service: "#eab308",
+  [NAMESPACE_GROUP_TYPE]: "#93c5fd",
+};
+
+const getNodeWidth = (node) =>
+  Math.min(Math.max(node.label.length * 6, 60), 140) + 24;
+
+const getNodeHeight = (node) =>
+  node.type === NAMESPACE_GROUP_TYPE ? GROUP_HEIGHT : NODE_HEIGHT;
+
+const getNodeColor = (node, theme) => {
+  if (NODE_COLORS[node.type]) return NODE_COLORS[node.type];
+  return theme === "dark" ? "#374151" : "#dddddd";
+};
+
+const truncate = (text, maxLength) =>
+  text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+
+const toDashPattern = (dashArray) =>
+  dashArray ? dashArray.split(",").map(Number) : [];
+
+/**
+ * Draws a graph on a canvas and wires its interactions. The simulation keeps
+ * running as for the SVG view; the canvas is redrawn on every tick.
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Object} options - Rendering options
+ * @param {Array} options.nodes - Graph nodes
+ * @param {Array} options.links - Graph links, resolved to nodes by the simulation
+ * @param {Array} options.regions - Namespace regions ({ namespace, nodes }) to shade
+ * @param {Array} options.extraLinks - Undirected helper lines, e.g. CIDR nesting
+ * @param {Array} options.overlayLinks - Istio overlay lines, drawn above the links
+ * @param {Object} options.simulation - d3 force simulation of the nodes
+ * @param {Object} options.tooltip - d3 selection of the tooltip element
+ * @param {Object} options.dimensions - {width, height}
+ * @param {String} options.visualizationType - 'enhanced', 'classic' or 'layered'
+ * @param {String} options.theme - Current theme ('light' or 'dark')
+ * @param {Function} options.onNodeClick - Called with the clicked node
+ * @param {Function} options.onRegionClick - Called with the namespace of a clicked region heading
+ * @returns {Object} - { draw, setHighlight, fit, destroy }
+ */
+export const createCanvasRenderer = (canvas, options) => {
+  const {
+    nodes,
+    links,
+    regions = [],
+    extraLinks = [],
+    overlayLinks = [],
+    simulation,
+    tooltip,
+    dimensions,
+    visualizationType,
+    theme = "light",
+    onNodeClick,
+    onRegionClick,
+  } = options;
+  const { width, height } = dimensions;
+
+  // Backing store at device resolution, so text stays sharp
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  const context = canvas.getContext("2d");
+
+  let transform = d3.zoomIdentity;
+  let highlight = null;
+  let hoveredNode = null;
+  let hoveredLink = null;
+  let hoveredOverlay = null;
+  // Paths and region headings of the last frame, reused for hit testing
+  let linkPaths = new Map();
+  let regionHeadings = [];
+  const linksByNode = indexLinksByNode(links);
+
+  const applyTransform = () => {
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.translate(transform.x, transform.y);
+    context.scale(transform.k, transform.k);
+  };
+
+  // Emphasis of the current frame: the hovered node's neighbourhood, else the graph highlight
+  const getEmphasis = () => {
+    if (hoveredNode) {
+      const nodeIds = new Set([hoveredNode.id]);
+      const linkSet = new Set(linksByNode.get(hoveredNode.id));
+      linkSet.forEach((link) => {
+        nodeIds.add(link.source.id);
+        nodeIds.add(link.target.id);
+      });
+      return {
+        links: linkSet,
+        nodeIds,
+        listedIds: new Set([hoveredNode.id]),
+        color: getHighlightColor("info", theme),
+      };
+    }
+    if (highlight) {
+      const nodeIds = new Set(highlight.nodeIds || []);
+      const linkSet = new Set(
+        links.filter((link) => isLinkHighlighted(link, highlight)),
+      );
+      linkSet.forEach((link) => {
+        nodeIds.add(link.source.id);
+        nodeIds.add(link.target.id);
+      });
+      return {
+        links: linkSet,
+        nodeIds,
+        listedIds: new Set(highlight.nodeIds || []),
+        color: getHighlightColor(highlight.tone, theme),
+      };
+    }
+    return null;
+  };
+
+  const drawRegions = () => {
+    regionHeadings = [];
+    context.font = "bold 14px sans-serif";
+    regions.forEach((region) => {
+      const bounds = getNamespaceRegionBounds(region.nodes);
+      context.beginPath();
+      context.roundRect(bounds.x, bounds.y, bounds.width, bounds.height, 12);
+      context.globalAlpha = theme === "dark" ? 0.12 : 0.35;
+      context.fillStyle = theme === "dark" ? "#0e7490" : "#dbeafe";
+      context.fill();
+      context.globalAlpha = 1;
+      context.setLineDash([6, 4]);
+      context.strokeStyle = theme === "dark" ? "#155e75" : "#93c5fd";
+      context.lineWidth = 1;
+      context.stroke();
+      context.setLineDash([]);
+
+      const text = `⊟ Namespace: ${region.namespace}`;
+      const x = bounds.x + 10;
+      const y = bounds.y - 8;
+      context.fillStyle = theme === "dark" ? "#94a3b8" : "#333333";
+      context.fillText(text, x, y);
+      regionHeadings.push({
+        namespace: region.namespace,
+        x,
+        y: y - 14,
+        width: context.measureText(text).width,
+        height: 18,
+      });
+    });
+  };
+
+  const drawArrow = (link, color) => {
+    const dx = link.target.x - link.source.x;
+    const dy = link.target.y - link.source.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance < 1) return;
+    // Stop at the border of the target box
+    const offset = Math.min(getNodeWidth(link.target) / 2, distance / 2);
+    const angle = Math.atan2(dy, dx);
+    context.save();
+    context.translate(
+      link.target.x - (dx / distance) * offset,
+      link.target.y - (dy / distance) * offset,
+    );
+    context.rotate(angle);
+    context.beginPath();
+    context.moveTo(-8, -4);
+    context.lineTo(0, 0);
+    context.lineTo(-8, 4);
+    context.closePath();
+    context.fillStyle = color;
+    context.fill();
+    context.restore();
+  };
+
+  const drawLinks = (emphasis) => {
+    linkPaths = new Map();
+    const showArrows = transform.k >= DETAIL_SCALE;
+
+    context.strokeStyle = theme === "dark" ? "#64748b" : "#9ca3af";
+    context.lineWidth = 1.5;
+    context.setLineDash([2, 3]);
+    extraLinks.forEach((link) => {
+      context.beginPath();
+      context.moveTo(link.source.x, link.source.y);
+      context.lineTo(link.target.x, link.target.y);
+      context.stroke();
+    });
+
+    links.forEach((link) => {
+      const path = new Path2D(createLinkPath(link, visualizationType));
+      linkPaths.set(link, path);
+
+      const emphasized = !!emphasis && emphasis.links.has(link);
+      let color = getLinkColor(link, theme);
+      let opacity = getLinkOpacity(link, emphasized);
+      if (emphasized && !hoveredNode) color = emphasis.color;
+      if (emphasis && !emphasized) opacity = 0.1;
+
+      context.globalAlpha = opacity;
+      context.strokeStyle = color;
+      context.lineWidth = getLinkWidth(
+        link,
+        emphasized || link === hoveredLink,
+      );
+      context.setLineDash(toDashPattern(getLinkDashArray(link)));
+      context.stroke(path);
+      if (showArrows) drawArrow(link, color);
+    });
+
+    context.globalAlpha = 0.9;
+    overlayLinks.forEach((link) => {
+      context.strokeStyle = getIstioOverlayColor(link.kind, theme);
+      context.lineWidth = link === hoveredOverlay ? 4 : 2.5;
+      context.setLineDash(toDashPattern(getIstioOverlayDashArray(link.kind)));
+      context.beginPath();
+      context.moveTo(link.source.x, link.source.y);
+      context.lineTo(link.target.x, link.target.y);
+      context.stroke();
+    });
+    context.globalAlpha = 1;
+    context.setLineDash([]);
+  };
+
+  const drawNode = (node, emphasis) => {
+    const boxWidth = getNodeWidth(node);
+    const boxHeight = getNodeHeight(node);
+    const x = node.x - boxWidth / 2;
+    const y = node.y - boxHeight / 2;
+    const listed = !!emphasis && emphasis.listedIds.has(node.id);
+
+    let opacity = getNodeOpacity(node);
+    if (emphasis && !emphasis.nodeIds.has(node.id)) opacity *= 0.35;
+    context.globalAlpha = opacity;
+
+    context.beginPath();
+    context.roundRect(x, y, boxWidth, boxHeight, 5);
+    context.fillStyle = theme === "dark" ? "#1a2235" : "#ffffff";
+    context.fill();
+    let lineWidth = 1;
+    if (listed) {
+      lineWidth = 3;
+    } else if (
+      (node.policies && node.policies.length > 1) ||
+      node.diffStatus ||
+      node.adminKind
+    ) {
+      lineWidth = 2;
+    }
+    context.lineWidth = lineWidth;
+    context.strokeStyle = listed
+      ? emphasis.color
+      : getNodeStrokeColor(node, theme);
+    if (node.diffStatus === "removed") {
+      context.setLineDash([4, 3]);
+    } else if (node.type === NAMESPACE_GROUP_TYPE) {
+      context.setLineDash([6, 3]);
+    }
+    context.stroke();
+    context.setLineDash([]);
+
+    // Type marker on the left edge of the box
+    context.beginPath();
+    context.arc(x + 10, node.y, 5, 0, 2 * Math.PI);
+    context.fillStyle = getNodeColor(node, theme);
+    context.fill();
+
+    if (transform.k >= DETAIL_SCALE) {
+      context.fillStyle = theme === "dark" ? "#e2f3f5" : "#333333";
+      context.font = "bold 10px sans-serif";
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.fillText(truncate(node.label, 20), node.x + 6, node.y);
+      if (node.type === NAMESPACE_GROUP_TYPE) {
+        context.font = "italic 8px sans-serif";
+        context.fillText(
+          `${node.members.length} nodes, collapsed`,
+          node.x + 6,
+          node.y + 12,
+        );
+      }
+      context.textAlign = "start";
+      context.textBaseline = "alphabetic";
+    }
+    context.globalAlpha = 1;
+  };
+
+  const draw = () => {
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (theme === "dark") {
+      context.fillStyle = "#0a0e17";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    applyTransform();
+
+    const emphasis = getEmphasis();
+    drawRegions();
+    drawLinks(emphasis);
+    nodes.forEach((node) => drawNode(node, emphasis));
+  };
+
+  // Topmost node under a point in graph coordinates
+  const findNode = (x, y) => {
+    for (let index = nodes.length - 1; index >= 0; index--) {
+      const node = nodes[index];
+      if (
+        Math.abs(x - node.x) <= getNodeWidth(node) / 2 &&
+        Math.abs(y - node.y) <= getNodeHeight(node) / 2
+      ) {
+        return node;
+      }
+    }
+    return null;
+  };
+
+  // Link whose stroke passes under a point in canvas pixels
+  const findLink = (pointerX, pointerY) => {
+    applyTransform();
+    context.lineWidth = LINK_HIT_WIDTH / transform.k;
+    for (const [link, path] of linkPaths) {
+      if (context.isPointInStroke(path, pointerX * ratio, pointerY * ratio)) {
+        return link;
+      }
+    }
+    return null;
+  };
+
+  // Istio overlay line passing near a point in graph coordinates
+  const findOverlayLink = (x, y) =>
+    overlayLinks.find(({ source, target }) => {
+      const dx = target.x - source.x;
+      const dy = target.y - source.y;
+      const lengthSquared = dx * dx + dy * dy;
+      // Closest point of the segment, as a fraction of its length
+      const projection =
+        lengthSquared > 0
+          ? ((x - source.x) * dx + (y - source.y) * dy) / lengthSquared
+          : 0;
+      const t = Math.max(0, Math.min(1, projection));
+      const distance = Math.hypot(
+        x - (source.x + t * dx),
+        y - (source.y + t * dy),
+      );
+      return distance <= LINK_HIT_WIDTH / transform.k;
+    }) || null;
+
+  const findRegionHeading = (x, y) =>
+    regionHeadings.find(
+      (heading) =>
+        x >= heading.x &&
+        x <= heading.x + heading.width &&
+        y >= heading.y &&
+        y <= heading.y + heading.height,
+    );
+
+  const showTooltip = (html, pointerX, pointerY) => {
+    tooltip
+      .html(html)
+      .style("left", `${pointerX + 15}px`)
+      .style("top", `${pointerY - 10}px`)
+      .classed("hidden", false);
+  };
+
+  const handlePointerMove = (event) => {
+    const [pointerX, pointerY] = d3.pointer(event, canvas);
+    const [x, y] = transform.invert([pointerX, pointerY]);
+    const node = findNode(x, y);
+    const overlay = node ? null : findOverlayLink(x, y);
+    const link = node || overlay ? null : findLink(pointerX, pointerY);
+    const heading = node || overlay || link ? null : findRegionHeading(x, y);
+
+    canvas.style.cursor = node || heading ? "pointer" : "default";
+    if (
+      node === hoveredNode &&
+      link === hoveredLink &&
+      overlay === hoveredOverlay
+    ) {
+      return;
+    }
+    hoveredNode = node;
+    hoveredLink = link;
+    hoveredOverlay = overlay;
+
+    if (node) {
+      showTooltip(getNodeTooltipContent(node, theme), pointerX, pointerY);
+    } else if (overlay) {
+      showTooltip(
+        getIstioOverlayTooltipContent(overlay, theme),
+        pointerX,
+        pointerY,
+      );
+    } else if (link) {
+      showTooltip(
+        getLinkTooltipContent(link, getPortsText, theme),
+        pointerX,
+        pointerY,
+      );
+    } else {
+      tooltip.classed("hidden", true);
+    }
+    draw();
+  };
+
+  const handlePointerLeave = () => {
+    hoveredNode = null;
+    hoveredLink = null;
+    hoveredOverlay = null;
+    tooltip.classed("hidden", true);
+    draw();
+  };
+
+  const handleClick = (event) => {
+    const [x, y] = transform.invert(d3.pointer(event, canvas));
+    const node = findNode(x, y);
+    if (node) {
+      if (onNodeClick) onNodeClick(node);
+      return;
+    }
+    const heading = findRegionHeading(x, y);
+    if (heading && onRegionClick) onRegionClick(heading.namespace);
+  };
+
+  // Drag a node; the subject is kept in screen coordinates so zoom does not skew it
+  const drag = d3
+    .drag()
+    .subject((event) => {
+      const [x, y] = transform.invert(d3.pointer(event, canvas));
+      const node = findNode(x, y);
+      if (!node) return null;
+      return { node, x: transform.applyX(node.x), y: transform.applyY(node.y) };
+    })
+    .on("start", (event) => {
+      if (!event.active) simulation.alphaTarget(0.3).restart();
+      event.subject.node.fx = event.subject.node.x;
+      event.subject.node.fy = event.subject.node.y;
+      tooltip.classed("hidden", true);
+    })
+    .on("drag", (event) => {
+      const { node } = event.subject;
+      node.fx = transform.invertX(event.x);
+      node.fy = transform.invertY(event.y);
+      // The layered layout has no running simulation to move the node
+      node.x = node.fx;
+      node.y = node.fy;
+      draw();
+    })
+    .on("end", (event) => {
+      if (!event.active) simulation.alphaTarget(0);
+      // Keep nodes fixed where user dragged them, except in classic view
+      if (visualizationType === "classic") {
+        event.subject.node.fx = null;
+        event.subject.node.fy = null;
+      }
+    });
+
+  const zoom = d3
+    .zoom()
+    .scaleExtent([0.05, 4])
+    .on("zoom", (event) => {
+      transform = event.transform;
+      draw();
+    });
+
+  // Drag first, so pressing on a node moves it instead of panning
+  const selection = d3
+    .select(canvas)
+    .call(drag)
+    .call(zoom)
+    .on("mousemove.hover", handlePointerMove)
+    .on("mouseleave.hover", handlePointerLeave)
+    .on("click.node", handleClick);
+
+  simulation.on("tick.canvas", draw);
+
+  // Zoom to fit every node, as the SVG view does
+  const fit = () => {
+    if (nodes.length === 0) return;
+    const [minX, maxX] = d3.extent(nodes, (node) => node.x);
+    const [minY, maxY] = d3.extent(nodes, (node) => node.y);
+    const dx = maxX - minX + 200;
+    const dy = maxY - minY + 100;
+    const scale = Math.min(0.8, 0.8 / Math.max(dx / width, dy / height));
+    selection
+      .transition()
+      .duration(750)
+      .call(
+        zoom.transform,
+        d3.zoomIdentity
+          .translate(
+            width / 2 - (scale * (minX + maxX)) / 2,
+            height / 2 - (scale * (minY + maxY)) / 2,
+          )
+          .scale(scale),
+      );
+  };
+
+  const setHighlight = (nextHighlight) => {
+    highlight = nextHighlight;
+    draw();
+  };
+
+  const destroy = () => {
+    simulation.on("tick.canvas", null);
+    selection.on(".drag", null).on(".zoom", null).on(".hover", null);
+    selection.on("click.node", null);
+  };
+
+  draw();
+
+  return { draw, setHighlight, fit, destroy };
+};
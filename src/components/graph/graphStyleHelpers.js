@@ -1,3 +1,14 @@
+import { describeIsolation } from "../../utils/isolation.js";
+import { describeL7Rules, getCiliumPeerName } from "../../utils/cilium.js";
+import { formatSelector } from "../../utils/effectivePolicy.js";
+import {
+  OVERLAY_ISTIO_CONDITIONAL,
+  OVERLAY_ISTIO_CUSTOM,
+  OVERLAY_ISTIO_DENIED,
+  OVERLAY_L4_DENIED,
+} from "../../utils/istio.js";
+import { NAMESPACE_GROUP_TYPE } from "./namespaceGroups.js";
+
 /**
  * Extracts namespace name from selector for tooltip display
  * This function handles both matchLabels and matchExpressions
@@ -62,7 +73,7 @@ const extractNamespaceForTooltip = (namespaceSelector) => {
 /**
  * Generates a path for a link between nodes
  * @param {Object} link - The link data with source and target nodes
- * @param {String} visualizationType - 'enhanced' or 'classic'
+ * @param {String} visualizationType - 'enhanced', 'classic' or 'layered'
  * @returns {String} - SVG path command
  */
 export const createLinkPath = (link, visualizationType) => {
@@ -91,8 +102,14 @@ export const createLinkPath = (link, visualizationType) => {
     return "M0,0 L0,0"; // Return dummy path to avoid rendering errors
   }
 
-  if (visualizationType === "enhanced") {
-    // Curved paths for enhanced view
+  if (visualizationType === "layered" && Math.abs(targetX - sourceX) > 1) {
+    // Horizontal S-curves between the columns of the layered layout
+    const midX = (sourceX + targetX) / 2;
+    return `M${sourceX},${sourceY} C${midX},${sourceY} ${midX},${targetY} ${targetX},${targetY}`;
+  }
+
+  if (visualizationType !== "classic") {
+    // Curved paths for enhanced view and links within a layered column
     // Direct distance between nodes
     const dx = targetX - sourceX;
     const dy = targetY - sourceY;
@@ -138,6 +155,28 @@ export const createLinkPath = (link, visualizationType) => {
   }
 };
 
+/**
+ * Gets the color marking an element added or removed by a policy set diff
+ * @param {String} diffStatus - 'added' or 'removed'
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @returns {String} - CSS color
+ */
+export const getDiffColor = (diffStatus, theme = "light") => {
+  if (diffStatus === "added") return theme === "dark" ? "#22c55e" : "#16a34a";
+  return theme === "dark" ? "#ef4444" : "#dc2626";
+};
+
+/**
+ * Gets the color of a link drawn for a Calico Deny or Pass rule
+ * @param {String} action - "Deny" or "Pass"
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @returns {String} - CSS color
+ */
+export const getRuleActionColor = (action, theme = "light") => {
+  if (action === "Deny") return theme === "dark" ? "#fb923c" : "#ea580c";
+  return theme === "dark" ? "#64748b" : "#9ca3af";
+};
+
 /**
  * Gets color for a link based on its properties and theme
  * @param {Object} link - The link data
@@ -145,6 +184,9 @@ export const createLinkPath = (link, visualizationType) => {
  * @returns {String} - CSS color
  */
 export const getLinkColor = (link, theme = "light") => {
+  if (link.diffStatus) return getDiffColor(link.diffStatus, theme);
+  if (link.action) return getRuleActionColor(link.action, theme);
+
   if (theme === "dark") {
     if (link.crossPolicy) {
       return link.direction === "ingress" ? "#e11d48" : "#059669"; // Red and green for dark theme
@@ -173,9 +215,42 @@ export const getLinkOpacity = (link, isHighlighted = false) => {
   if (isHighlighted) {
     return 1;
   }
+  if (link.diffStatus === "removed") {
+    return 0.35; // Ghost of an edge that only exists in the "before" set
+  }
+  if (link.diffStatus === "added") {
+    return 0.9;
+  }
+  if (link.possibleMatch) {
+    return 0.45;
+  }
+  if (link.action === "Deny") {
+    return 0.8;
+  }
   return link.crossPolicy ? 0.7 : 0.5;
 };
 
+/**
+ * Gets stroke dash pattern for a link
+ * @param {Object} link - The link data
+ * @returns {String|null} - SVG dash array, or null for a solid line
+ */
+export const getLinkDashArray = (link) => {
+  if (link.diffStatus === "removed") {
+    return "6,4";
+  }
+  if (link.possibleMatch) {
+    return "2,4"; // Dotted: selectors may or may not select the same pods
+  }
+  if (link.action === "Deny") {
+    return "8,3,2,3"; // Dash-dot: the rule denies this traffic
+  }
+  if (link.action === "Pass") {
+    return "1,4"; // Sparse dots: the next tier decides
+  }
+  return link.crossPolicy ? "5,3" : null;
+};
+
 /**
  * Gets stroke width for a link
  * @param {Object} link - The link data
@@ -186,9 +261,92 @@ export const getLinkWidth = (link, isHighlighted = false) => {
   if (isHighlighted) {
     return link.crossPolicy ? 4 : 3;
   }
+  if (link.diffStatus || link.action === "Deny") {
+    return 2.5;
+  }
   return link.crossPolicy ? 2 : 1.5;
 };
 
+// What each Istio overlay line means, shown in its tooltip
+const ISTIO_OVERLAY_LABELS = {
+  [OVERLAY_ISTIO_DENIED]: "L4 allows, Istio denies",
+  [OVERLAY_ISTIO_CONDITIONAL]: "L4 allows, Istio allows some requests",
+  [OVERLAY_ISTIO_CUSTOM]: "L4 allows, an external authorizer decides",
+  [OVERLAY_L4_DENIED]: "Istio allows, L4 denies",
+};
+
+/**
+ * Gets the color of an Istio overlay line
+ * @param {String} kind - Overlay kind, e.g. "istio-denied"
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @returns {String} - CSS color
+ */
+export const getIstioOverlayColor = (kind, theme = "light") => {
+  if (kind === OVERLAY_ISTIO_DENIED) {
+    return theme === "dark" ? "#e879f9" : "#c026d3";
+  }
+  if (kind === OVERLAY_ISTIO_CONDITIONAL) {
+    return theme === "dark" ? "#facc15" : "#ca8a04";
+  }
+  if (kind === OVERLAY_ISTIO_CUSTOM) {
+    return theme === "dark" ? "#a78bfa" : "#7c3aed";
+  }
+  return theme === "dark" ? "#2dd4bf" : "#0d9488";
+};
+
+/**
+ * Gets the stroke dash pattern of an Istio overlay line
+ * @param {String} kind - Overlay kind
+ * @returns {String} - SVG dash array
+ */
+export const getIstioOverlayDashArray = (kind) => {
+  if (kind === OVERLAY_ISTIO_CONDITIONAL) return "2,4";
+  if (kind === OVERLAY_ISTIO_CUSTOM) return "8,4,2,4";
+  return "8,4";
+};
+
+/**
+ * Prepares tooltip content for an Istio overlay line
+ * @param {Object} link - Overlay link, with source and target resolved to nodes
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @returns {String} - HTML content for tooltip
+ */
+export const getIstioOverlayTooltipContent = (link, theme = "light") => {
+  const textColor = theme === "dark" ? "#e2f3f5" : "#333333";
+  const labelColor = theme === "dark" ? "#06b6d4" : "#666666";
+  const borderColor = theme === "dark" ? "#1e40af" : "#e5e7eb";
+
+  let tooltipContent = `<div style="font-weight: bold; font-size: 14px; margin-bottom: 5px; border-bottom: 1px solid ${borderColor}; padding-bottom: 5px; color: ${getIstioOverlayColor(link.kind, theme)};">${ISTIO_OVERLAY_LABELS[link.kind]}</div>`;
+
+  tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Connection:</span> <span style="color: ${textColor};">${link.source.label} → ${link.target.label}</span></div>`;
+
+  tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Istio verdict:</span> <span style="color: ${textColor};">${link.verdict}</span></div>`;
+
+  if (link.policies.length > 0) {
+    const policyLines = link.policies
+      .map((reference) => {
+        const rule =
+          reference.ruleIndex !== null ? `, rule ${reference.ruleIndex}` : "";
+        const provider = reference.provider ? `, ${reference.provider}` : "";
+        return `<div style="margin-left: 10px; color: ${textColor};">${reference.namespace}/${reference.policy} (${reference.action}${provider}${rule})</div>`;
+      })
+      .join("");
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">AuthorizationPolicies:</span>${policyLines}</div>`;
+  } else {
+    tooltipContent += `<div style="color: ${textColor}; font-style: italic;">No ALLOW rule matches</div>`;
+  }
+
+  return tooltipContent;
+};
+
+/**
+ * Gets the color marking the subjects of admin policies
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @returns {String} - CSS color
+ */
+export const getAdminLayerColor = (theme = "light") =>
+  theme === "dark" ? "#818cf8" : "#4f46e5";
+
 /**
  * Gets node stroke color based on its properties and theme
  * @param {Object} node - The node data
@@ -196,6 +354,9 @@ export const getLinkWidth = (link, isHighlighted = false) => {
  * @returns {String} - CSS color
  */
 export const getNodeStrokeColor = (node, theme = "light") => {
+  if (node.diffStatus) return getDiffColor(node.diffStatus, theme);
+  if (node.adminKind) return getAdminLayerColor(theme);
+
   const isMultiPolicy = node.policies && node.policies.length > 1;
 
   if (theme === "dark") {
@@ -205,6 +366,35 @@ export const getNodeStrokeColor = (node, theme = "light") => {
   }
 };
 
+/**
+ * Gets the opacity of a node group; removed nodes of a diff are ghosts
+ * @param {Object} node - The node data
+ * @returns {Number} - Opacity value (0-1)
+ */
+export const getNodeOpacity = (node) =>
+  node.diffStatus === "removed" ? 0.45 : 1;
+
+/**
+ * Gets the badge color for an isolated direction
+ * @param {String} direction - 'ingress' or 'egress'
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @returns {String} - CSS color
+ */
+export const getIsolationBadgeColor = (direction, theme = "light") => {
+  if (direction === "ingress") {
+    return theme === "dark" ? "#be123c" : "#e11d48";
+  }
+  return theme === "dark" ? "#047857" : "#059669";
+};
+
+/**
+ * Gets the fill color of the "deny all" marker
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @returns {String} - CSS color
+ */
+export const getDenyAllColor = (theme = "light") =>
+  theme === "dark" ? "#7f1d1d" : "#b91c1c";
+
 /**
  * Prepares tooltip content for a node with improved namespace extraction and theme support
  * @param {Object} node - The node data
@@ -227,6 +417,21 @@ export const getNodeTooltipContent = (node, theme = "light") => {
     tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Namespace:</span> <span style="color: ${textColor};">${node.details.namespace}</span></div>`;
   }
 
+  // Subjects of admin policies: which layer and which namespaces
+  if (node.adminKind) {
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Layer:</span> <span style="color: ${textColor};">${node.adminKind} subject</span></div>`;
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Namespaces:</span> <span style="color: ${textColor};">${formatSelector(node.details.namespaceSelector)}</span></div>`;
+  }
+
+  // Collapsed namespace: what it stands for
+  if (node.type === NAMESPACE_GROUP_TYPE) {
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Contains:</span> <span style="color: ${textColor};">${node.members.length} pod selector node(s), ${node.internalLinks} link(s) inside the namespace</span></div>`;
+    if (node.groupPolicies.length > 0) {
+      tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Policies:</span> <span style="color: ${textColor};">${node.groupPolicies.join(", ")}</span></div>`;
+    }
+    tooltipContent += `<div style="color: ${textColor}; font-style: italic;">Click to expand</div>`;
+  }
+
   // Add selector details
   if (node.type === "pod" && node.details && node.details.podSelector) {
     let selectorText = "";
@@ -265,6 +470,46 @@ export const getNodeTooltipContent = (node, theme = "light") => {
     if (node.details.except && node.details.except.length > 0) {
       tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Except:</span> <span style="color: ${textColor};">${node.details.except.join(", ")}</span></div>`;
     }
+
+    if (node.catalog) {
+      const catalogNames = node.catalog.entries
+        .map((entry) => `${entry.name} (${entry.cidr})`)
+        .join(", ");
+      const catalogText =
+        node.catalog.match === "exact"
+          ? catalogNames
+          : node.catalog.match === "within"
+            ? `Part of ${catalogNames}`
+            : `Includes ${catalogNames}`;
+      tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Catalog:</span> <span style="color: ${textColor};">${catalogText}</span></div>`;
+    }
+
+    if (node.cidr) {
+      const rangeNotes = [];
+      if (node.cidr.parentCidr) {
+        rangeNotes.push(`Inside ${node.cidr.parentCidr}`);
+      }
+      if (node.cidr.contains.length > 0) {
+        rangeNotes.push(`Contains ${node.cidr.contains.length} other block(s)`);
+      }
+      if (node.cidr.overlaps.length > 0) {
+        rangeNotes.push(
+          `Same range as ${node.cidr.overlaps.length} other block(s)`,
+        );
+      }
+      if (rangeNotes.length > 0) {
+        tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Range:</span>${rangeNotes
+          .map(
+            (note) =>
+              `<div style="margin-left: 10px; color: ${textColor};">${note}</div>`,
+          )
+          .join("")}</div>`;
+      }
+
+      node.cidr.problems.forEach((problem) => {
+        tooltipContent += `<div style="margin-bottom: 5px; color: ${problem.severity === "error" ? getDenyAllColor(theme) : "#d97706"};">${problem.field}: ${problem.message}</div>`;
+      });
+    }
   }
 
   // Improved combined selector info
@@ -334,6 +579,75 @@ export const getNodeTooltipContent = (node, theme = "light") => {
     }
   }
 
+  // What a Cilium entity, FQDN or service peer names
+  const ciliumLabels = {
+    entity: "Entity",
+    fqdn: node.details?.fqdn?.matchPattern ? "DNS Pattern" : "DNS Name",
+    service: "Service",
+  };
+  const ciliumLabel = ciliumLabels[node.type];
+  if (ciliumLabel && node.details) {
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">${ciliumLabel}:</span> <span style="color: ${textColor};">${getCiliumPeerName(node.details)}</span></div>`;
+  }
+
+  // Workloads and namespaces of the inventory the selector resolves to
+  if (node.workloads) {
+    const { namespaces, workloads, unmatched } = node.workloads;
+    const shownWorkloads = workloads.slice(0, 8);
+    const moreWorkloads = workloads.length - shownWorkloads.length;
+
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Matches:</span> <span style="color: ${textColor};">${workloads.length} workload(s) in ${namespaces.length} namespace(s)</span>`;
+    if (node.type !== "pod" && namespaces.length > 0) {
+      tooltipContent += `<div style="margin-left: 10px; color: ${textColor};">Namespaces: ${namespaces.join(", ")}</div>`;
+    }
+    tooltipContent += shownWorkloads
+      .map(
+        (workload) =>
+          `<div style="margin-left: 10px; color: ${textColor};">• ${workload.kind} ${workload.namespace}/${workload.name}</div>`,
+      )
+      .join("");
+    if (moreWorkloads > 0) {
+      tooltipContent += `<div style="margin-left: 10px; color: ${labelColor};">and ${moreWorkloads} more</div>`;
+    }
+    if (unmatched) {
+      tooltipContent += `<div style="margin-left: 10px; color: ${getDenyAllColor(theme)}; font-weight: 600;">Selector matches nothing in the inventory</div>`;
+    }
+    tooltipContent += "</div>";
+  }
+
+  // Explain ingress/egress isolation of the selected pods
+  if (node.isolation) {
+    const isolationText = ["ingress", "egress"]
+      .map((direction) => {
+        const state = node.isolation[direction];
+        if (!state || state.reasons.length === 0) return "";
+
+        const status = state.denyAll
+          ? "isolated, all traffic denied"
+          : state.isolated
+            ? "isolated"
+            : "possibly isolated";
+        const heading = `${direction.charAt(0).toUpperCase() + direction.slice(1)}: ${status}`;
+
+        return `<div style="margin-left: 10px; margin-bottom: 5px; background-color: ${sectionBgColor}; padding: 4px; border-radius: 3px;"><span style="text-decoration: underline; color: ${getIsolationBadgeColor(direction, theme)};">${heading}</span><br/>${describeIsolation(
+          state,
+          direction,
+          node.details?.namespace,
+        )
+          .map(
+            (reason) =>
+              `<div style="margin-left: 15px; color: ${textColor};">${reason}</div>`,
+          )
+          .join("")}</div>`;
+      })
+      .join("");
+
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Isolation:</span><br/>${
+      isolationText ||
+      `<div style="margin-left: 10px; color: ${textColor};">Not isolated: no policy selects these pods, all traffic is allowed</div>`
+    }</div>`;
+  }
+
   // Add policies that reference this node
   if (node.policies && node.policies.length > 0) {
     tooltipContent += `<div style="margin-top: 10px; border-top: 1px solid ${borderColor}; padding-top: 5px;">
@@ -342,6 +656,12 @@ export const getNodeTooltipContent = (node, theme = "light") => {
     </div>`;
   }
 
+  if (node.diffStatus) {
+    tooltipContent += `<div style="margin-top: 8px; color: ${getDiffColor(node.diffStatus, theme)}; font-weight: 600; text-align: center;">
+      ${node.diffStatus === "added" ? "Added: only in the after set" : "Removed: only in the before set"}
+    </div>`;
+  }
+
   return tooltipContent;
 };
 
@@ -379,6 +699,11 @@ export const getLinkTooltipContent = (link, getPortsText, theme = "light") => {
     </span>
   </div>`;
 
+  // Calico rules that do not allow
+  if (link.action) {
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Action:</span> <span style="color: ${getRuleActionColor(link.action, theme)}; font-weight: 600;">${link.action}</span></div>`;
+  }
+
   // Handle different ports per policy
   if (link.detailedPorts && link.portDetails) {
     tooltipContent += `<div style="margin-bottom: 8px;">
@@ -401,17 +726,163 @@ export const getLinkTooltipContent = (link, getPortsText, theme = "light") => {
     </div>`;
   }
 
+  // Cilium L7 rules further restrict the traffic on the ports
+  if (link.l7) {
+    const l7Lines = describeL7Rules(link.l7)
+      .map(
+        (line) =>
+          `<div style="margin-left: 10px; color: ${textColor};">${line}</div>`,
+      )
+      .join("");
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">L7 Rules:</span>${l7Lines}</div>`;
+  }
+
+  if (link.aggregatedCount) {
+    tooltipContent += `<div style="margin-bottom: 8px;"><span style="font-weight: 600; color: ${labelColor};">Aggregated:</span> <span style="color: ${textColor};">${link.aggregatedCount} link(s) between collapsed namespaces</span></div>`;
+  }
+
   if (link.crossPolicy) {
     tooltipContent += `<div style="margin-top: 8px; color: ${theme === "dark" ? "#f59e0b" : "#ff9900"}; font-weight: 600; text-align: center; padding: 2px; background-color: ${theme === "dark" ? "rgba(245, 158, 11, 0.1)" : "rgba(255, 153, 0, 0.1)"}; border-radius: 3px;">
       Cross-Policy Connection
     </div>`;
   }
 
+  if (link.possibleMatch) {
+    tooltipContent += `<div style="margin-top: 8px; color: ${textColor}; font-style: italic; text-align: center;">
+      Possible match: the selectors can overlap, but only if pods carry labels not covered by the policies
+    </div>`;
+  }
+
   if (link.combinedSelector) {
     tooltipContent += `<div style="margin-top: 8px; color: ${theme === "dark" ? "#8b5cf6" : "#9966cc"}; font-weight: 600; text-align: center; padding: 2px; background-color: ${theme === "dark" ? "rgba(139, 92, 246, 0.1)" : "rgba(153, 102, 204, 0.1)"}; border-radius: 3px;">
       Combined namespace+pod selector
     </div>`;
   }
 
+  if (link.diffStatus) {
+    tooltipContent += `<div style="margin-top: 8px; color: ${getDiffColor(link.diffStatus, theme)}; font-weight: 600; text-align: center;">
+      ${link.diffStatus === "added" ? "Added: only in the after set" : "Removed: only in the before set"}
+    </div>`;
+  }
+
   return tooltipContent;
 };
+
+/**
+ * Checks whether a link belongs to a graph highlight. A highlight lists node ids,
+ * policy rules ({ policy, namespace, direction, ruleIndex }) and node pairs
+ * ([sourceId, targetId]). Rules match on the policy namespace and name, since
+ * policies in different namespaces may share a name.
+ * @param {Object} link - The link data (source/target resolved to nodes)
+ * @param {Object} highlight - The active highlight
+ * @returns {Boolean}
+ */
+export const isLinkHighlighted = (link, highlight) => {
+  if (!highlight) return false;
+
+  const sourceId = link.source?.id ?? link.source;
+  const targetId = link.target?.id ?? link.target;
+
+  if (
+    (highlight.linkEnds || []).some(
+      ([from, to]) => from === sourceId && to === targetId,
+    )
+  ) {
+    return true;
+  }
+
+  if (link.crossPolicy) return false;
+
+  return (highlight.rules || []).some(
+    (rule) =>
+      rule.direction === link.direction &&
+      (link.ruleRefs || []).some(
+        (ref) =>
+          ref.policy === rule.policy &&
+          ref.namespace === rule.namespace &&
+          ref.ruleIndex === rule.ruleIndex,
+      ),
+  );
+};
+
+/**
+ * Gets the emphasis color for a highlight tone
+ * @param {String} tone - 'allowed', 'denied' or 'info'
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @returns {String} - CSS color
+ */
+export const getHighlightColor = (tone, theme = "light") => {
+  if (tone === "allowed") return theme === "dark" ? "#22c55e" : "#16a34a";
+  if (tone === "denied") return theme === "dark" ? "#ef4444" : "#dc2626";
+  return theme === "dark" ? "#06b6d4" : "#ff3366";
+};
+
+/**
+ * Applies (or clears) a graph highlight on rendered link and node selections
+ * @param {Object} linkSelection - D3 selection of the stroked link elements
+ * @param {Object} nodeSelection - D3 selection of the node groups
+ * @param {Object|null} highlight - The active highlight, or null to clear it
+ * @param {String} theme - Current theme ('light' or 'dark')
+ * @param {Number} widthScale - Base width multiplier used by the current view
+ * @returns {void}
+ */
+export const applyGraphHighlight = (
+  linkSelection,
+  nodeSelection,
+  highlight,
+  theme = "light",
+  widthScale = 1,
+) => {
+  if (!linkSelection || !nodeSelection) return;
+
+  if (!highlight) {
+    linkSelection
+      .attr("stroke", (d) => getLinkColor(d, theme))
+      .attr("stroke-width", (d) => getLinkWidth(d) * widthScale)
+      .attr("stroke-opacity", (d) => getLinkOpacity(d));
+    nodeSelection
+      .select("rect")
+      .attr("stroke", (d) => getNodeStrokeColor(d, theme))
+      .attr("stroke-width", (d) =>
+        (d.policies && d.policies.length > 1) || d.diffStatus ? 2 : 1,
+      )
+      .attr("stroke-opacity", 0.8);
+    nodeSelection.attr("opacity", (d) => getNodeOpacity(d));
+    return;
+  }
+
+  const color = getHighlightColor(highlight.tone, theme);
+  const nodeIds = new Set(highlight.nodeIds || []);
+
+  linkSelection
+    .attr("stroke", (d) =>
+      isLinkHighlighted(d, highlight) ? color : getLinkColor(d, theme),
+    )
+    .attr("stroke-width", (d) =>
+      isLinkHighlighted(d, highlight)
+        ? getLinkWidth(d, true) * widthScale
+        : getLinkWidth(d) * widthScale,
+    )
+    .attr("stroke-opacity", (d) => (isLinkHighlighted(d, highlight) ? 1 : 0.1));
+
+  // Nodes on a highlighted link stay visible alongside the listed nodes
+  linkSelection.each((d) => {
+    if (isLinkHighlighted(d, highlight)) {
+      nodeIds.add(d.source?.id ?? d.source);
+      nodeIds.add(d.target?.id ?? d.target);
+    }
+  });
+
+  nodeSelection
+    .attr("opacity", (d) => (nodeIds.has(d.id) ? 1 : 0.35))
+    .select("rect")
+    .attr("stroke", (d) =>
+      (highlight.nodeIds || []).includes(d.id)
+        ? color
+        : getNodeStrokeColor(d, theme),
+    )
+    .attr("stroke-width", (d) =>
+      (highlight.nodeIds || []).includes(d.id) ? 3 : 1,
+    )
+    .attr("stroke-opacity", 1);
+};
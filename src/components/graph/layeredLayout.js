@@ -0,0 +1,171 @@
+// Deterministic left-to-right layout: ingress peers, policy targets, egress peers
+
+import {
+  ADMIN_POLICY_KIND,
+  BASELINE_ADMIN_POLICY_KIND,
+} from "../../utils/adminNetworkPolicy.js";
+
+export const LAYERED_COLUMNS = [
+  { key: "ingress", label: "Ingress peers" },
+  { key: "target", label: "Policy targets" },
+  { key: "egress", label: "Egress peers" },
+];
+
+const COLUMN_GAP = 420;
+const ROW_GAP = 80;
+// Barycenter sweeps; a few are enough for the crossing count to settle
+const SWEEPS = 4;
+
+// Link ends are ids before a simulation has resolved them and nodes after
+const getEndId = (end) => (typeof end === "object" ? end.id : end);
+
+const ADMIN_LAYER_RANKS = {
+  [ADMIN_POLICY_KIND]: 2,
+  [BASELINE_ADMIN_POLICY_KIND]: 1,
+};
+
+/**
+ * Rank of the layer a node is drawn in: admin policy subjects go above the
+ * namespace policies, in evaluation order
+ * @param {Object} node - Graph node
+ * @returns {Number} - 2 for AdminNetworkPolicy subjects, 1 for
+ *   BaselineAdminNetworkPolicy subjects, 0 for other nodes
+ */
+export const getLayerRank = (node) => ADMIN_LAYER_RANKS[node.adminKind] || 0;
+
+/**
+ * Assigns every node to a column. Nodes selected by a policy go in the middle;
+ * peers go left when they only send traffic to targets and right when they
+ * only receive it. A peer used both ways goes to the side with more links.
+ * @param {Array} nodes - Graph nodes
+ * @param {Array} links - Graph links
+ * @returns {Map} - Node id to "ingress", "target" or "egress"
+ */
+export const assignLayeredColumns = (nodes, links) => {
+  const targets = new Set();
+  const ingressLinks = new Map();
+  const egressLinks = new Map();
+  const count = (map, id) => map.set(id, (map.get(id) || 0) + 1);
+
+  links.forEach((link) => {
+    const source = getEndId(link.source);
+    const target = getEndId(link.target);
+    if (link.crossPolicy) {
+      targets.add(source);
+      targets.add(target);
+    } else if (link.direction === "ingress") {
+      targets.add(target);
+      count(ingressLinks, source);
+    } else {
+      targets.add(source);
+      count(egressLinks, target);
+    }
+  });
+
+  const columns = new Map();
+  nodes.forEach((node) => {
+    const ingress = ingressLinks.get(node.id) || 0;
+    const egress = egressLinks.get(node.id) || 0;
+    if (targets.has(node.id) || ingress + egress === 0) {
+      columns.set(node.id, "target");
+    } else {
+      columns.set(node.id, egress > ingress ? "egress" : "ingress");
+    }
+  });
+  return columns;
+};
+
+// Combined selector nodes keep a namespace selector instead of a name
+const getNamespaceName = (node) =>
+  typeof node.details?.namespace === "string" ? node.details.namespace : "";
+
+// Initial order: by namespace, then label, so equal inputs give equal layouts
+const compareNodes = (a, b) =>
+  getLayerRank(b) - getLayerRank(a) ||
+  getNamespaceName(a).localeCompare(getNamespaceName(b)) ||
+  (a.label || "").localeCompare(b.label || "") ||
+  String(a.id).localeCompare(String(b.id));
+
+/**
+ * Positions nodes in three columns and pins them with fx/fy, so no force
+ * simulation moves them. Rows are ordered with the barycenter heuristic:
+ * each node moves towards the average row of its neighbours in the adjacent
+ * column, which removes most edge crossings.
+ * @param {Array} nodes - Graph nodes, updated in place
+ * @param {Array} links - Graph links
+ * @param {Object} dimensions - {width, height}
+ * @returns {void}
+ */
+export const applyLayeredLayout = (nodes, links, dimensions) => {
+  const { width, height } = dimensions;
+  const columnOf = assignLayeredColumns(nodes, links);
+
+  const neighbours = new Map(nodes.map((node) => [node.id, []]));
+  links.forEach((link) => {
+    const source = getEndId(link.source);
+    const target = getEndId(link.target);
+    if (!neighbours.has(source) || !neighbours.has(target)) return;
+    neighbours.get(source).push(target);
+    neighbours.get(target).push(source);
+  });
+
+  const orders = Object.fromEntries(
+    LAYERED_COLUMNS.map(({ key }) => [
+      key,
+      nodes.filter((node) => columnOf.get(node.id) === key).sort(compareNodes),
+    ]),
+  );
+
+  // Row offset of every node, centred per column
+  const rows = new Map();
+  const updateRows = (key) => {
+    const column = orders[key];
+    column.forEach((node, index) => {
+      rows.set(node.id, index - (column.length - 1) / 2);
+    });
+  };
+  LAYERED_COLUMNS.forEach(({ key }) => updateRows(key));
+
+  // Reorders a column by the mean row of its neighbours in the given columns
+  const reorder = (key, referenceKeys) => {
+    const barycenters = new Map(
+      orders[key].map((node) => {
+        const rowsOfNeighbours = neighbours
+          .get(node.id)
+          .filter((id) => referenceKeys.includes(columnOf.get(id)))
+          .map((id) => rows.get(id));
+        const barycenter =
+          rowsOfNeighbours.length > 0
+            ? rowsOfNeighbours.reduce((sum, row) => sum + row, 0) /
+              rowsOfNeighbours.length
+            : rows.get(node.id);
+        return [node.id, barycenter];
+      }),
+    );
+    // Array.prototype.sort is stable, so ties keep their previous order
+    orders[key].sort(
+      (a, b) =>
+        getLayerRank(b) - getLayerRank(a) ||
+        barycenters.get(a.id) - barycenters.get(b.id),
+    );
+    updateRows(key);
+  };
+
+  for (let sweep = 0; sweep < SWEEPS; sweep++) {
+    reorder("ingress", ["target"]);
+    reorder("egress", ["target"]);
+    reorder("target", ["ingress", "egress"]);
+  }
+
+  LAYERED_COLUMNS.forEach(({ key }, columnIndex) => {
+    orders[key].forEach((node) => {
+      node.layer = key;
+      node.x = width / 2 + (columnIndex - 1) * COLUMN_GAP;
+      node.y = height / 2 + rows.get(node.id) * ROW_GAP;
+      node.fx = node.x;
+      node.fy = node.y;
+      node.vx = 0;
+      node.vy = 0;
+    });
+  });
+};
@@ -0,0 +1,54 @@
+// Links by node, built once per graph so that forces and hover effects do not
+// scan every link for every node, and link identity across graph updates
+
+// Link ends are ids before a simulation has resolved them and nodes after
+const getEndId = (end) => (typeof end === "object" ? end.id : end);
+
+/**
+ * Indexes links by the nodes they connect. A link between a node and itself
+ * is listed once for it.
+ * @param {Array} links - Graph links
+ * @returns {Map} - Node id to the links touching it
+ */
+export const indexLinksByNode = (links) => {
+  const index = new Map();
+  const add = (id, link) => {
+    if (!index.has(id)) index.set(id, []);
+    index.get(id).push(link);
+  };
+
+  links.forEach((link) => {
+    const sourceId = getEndId(link.source);
+    const targetId = getEndId(link.target);
+    add(sourceId, link);
+    if (targetId !== sourceId) add(targetId, link);
+  });
+
+  return index;
+};
+
+/**
+ * Number of links touching a node
+ * @param {Map} linksByNode - Index from indexLinksByNode
+ * @param {Object|String} node - Node or node id
+ * @returns {Number}
+ */
+export const getNodeDegree = (linksByNode, node) =>
+  linksByNode.get(getEndId(node))?.length || 0;
+
+/**
+ * Key identifying a link across rebuilds of the graph, e.g. to match the
+ * links of a filtered graph with the ones already drawn. Merged policy names
+ * are left out so that a link stays the same when one of them is filtered.
+ * @param {Object} link - Graph link
+ * @returns {String}
+ */
+export const getLinkKey = (link) =>
+  [
+    getEndId(link.source),
+    getEndId(link.target),
+    link.direction,
+    link.crossPolicy ? link.policy : "",
+    link.action || "",
+    link.diffStatus || "",
+  ].join("|");
@@ -0,0 +1,199 @@
+// Namespace compound nodes: regions around the pods of a namespace, which can
+// be collapsed into a single node
+
+import _ from "lodash";
+
+export const NAMESPACE_GROUP_TYPE = "namespaceGroup";
+
+// Padding between the pods of a namespace and the border of its region
+const REGION_PADDING = 45;
+
+// Link ends are ids before a simulation has resolved them and nodes after
+const getEndId = (end) => (typeof end === "object" ? end.id : end);
+
+/**
+ * Namespace a node belongs to. Only pod selector nodes live in a namespace;
+ * namespace selectors, ipBlocks, "anywhere" peers and the subjects of admin
+ * policies, drawn as layers of their own, are outside all of them.
+ * @param {Object} node - Graph node
+ * @returns {String|null}
+ */
+export const getNodeNamespace = (node) =>
+  node.type === "pod" &&
+  !node.adminKind &&
+  typeof node.details?.namespace === "string"
+    ? node.details.namespace
+    : null;
+
+/**
+ * Id of the node standing for a collapsed namespace
+ * @param {String} namespace - Namespace name
+ * @returns {String}
+ */
+export const getNamespaceGroupId = (namespace) =>
+  `namespace-group:${namespace}`;
+
+/**
+ * Lists the namespaces that have pod nodes in the graph
+ * @param {Array} nodes - Graph nodes
+ * @returns {Array} - Sorted namespace names
+ */
+export const getGraphNamespaces = (nodes) =>
+  _.uniq(nodes.map(getNodeNamespace).filter(Boolean)).sort();
+
+// Merges the ports of aggregated links; "all" wins over any port list
+const mergeLinkPorts = (links) => {
+  if (links.some((link) => !Array.isArray(link.ports))) return "all";
+  return _.uniqWith(
+    links.flatMap((link) => link.ports),
+    _.isEqual,
+  );
+};
+
+/**
+ * Replaces the pods of collapsed namespaces with one node per namespace.
+ * Links to those pods are redirected to the namespace node; parallel links
+ * are merged into one carrying `aggregatedCount`, and links inside a
+ * collapsed namespace are counted on its node.
+ * @param {Object} graphData - { nodes, links, diff }
+ * @param {Array} collapsedNamespaces - Names of the collapsed namespaces
+ * @returns {Object} - Graph data to render, graphData itself if nothing is collapsed
+ */
+export const collapseNamespaces = (graphData, collapsedNamespaces) => {
+  const collapsed = new Set(collapsedNamespaces);
+  const groupOf = new Map();
+  graphData.nodes.forEach((node) => {
+    const namespace = getNodeNamespace(node);
+    if (namespace && collapsed.has(namespace)) {
+      groupOf.set(node.id, getNamespaceGroupId(namespace));
+    }
+  });
+  if (groupOf.size === 0) return graphData;
+
+  const groups = new Map();
+  const nodes = [];
+  graphData.nodes.forEach((node) => {
+    const groupId = groupOf.get(node.id);
+    if (!groupId) {
+      nodes.push(node);
+      return;
+    }
+
+    if (!groups.has(groupId)) {
+      const namespace = getNodeNamespace(node);
+      const group = {
+        id: groupId,
+        label: namespace,
+        type: NAMESPACE_GROUP_TYPE,
+        details: { namespace },
+        members: [],
+        groupPolicies: [],
+        internalLinks: 0,
+        // Start where the namespace's pods were, so collapsing does not jump
+        x: node.x,
+        y: node.y,
+      };
+      groups.set(groupId, group);
+      nodes.push(group);
+    }
+    const group = groups.get(groupId);
+    group.members.push(node.id);
+    group.groupPolicies = _.union(group.groupPolicies, node.policies || []);
+  });
+
+  const links = [];
+  const aggregated = new Map();
+  graphData.links.forEach((link) => {
+    const sourceId = getEndId(link.source);
+    const targetId = getEndId(link.target);
+    const source = groupOf.get(sourceId) || sourceId;
+    const target = groupOf.get(targetId) || targetId;
+
+    if (source === sourceId && target === targetId) {
+      links.push(link);
+      return;
+    }
+    if (source === target) {
+      groups.get(source).internalLinks += 1;
+      return;
+    }
+
+    // Deny links and diff ghosts keep their own aggregate
+    const key = [
+      source,
+      target,
+      link.direction,
+      !!link.crossPolicy,
+      link.action || "",
+      link.diffStatus || "",
+    ].join("|");
+    if (!aggregated.has(key)) aggregated.set(key, []);
+    aggregated.get(key).push(link);
+  });
+
+  aggregated.forEach((members, key) => {
+    const [source, target] = key.split("|");
+    const [first] = members;
+    if (members.length === 1) {
+      links.push({ ...first, source, target });
+      return;
+    }
+    const policies = _.uniq(
+      members.flatMap((link) => link.policies || [link.policy]),
+    );
+    links.push({
+      source,
+      target,
+      direction: first.direction,
+      policy: policies.join(", "),
+      policies,
+      ruleRefs: members.flatMap((link) => link.ruleRefs || []),
+      ports: mergeLinkPorts(members),
+      crossPolicy: first.crossPolicy,
+      ...(first.action && { action: first.action }),
+      ...(first.diffStatus && { diffStatus: first.diffStatus }),
+      possibleMatch: members.every((link) => link.possibleMatch),
+      aggregatedCount: members.length,
+    });
+  });
+
+  return { ...graphData, nodes, links };
+};
+
+/**
+ * Extends a highlight to the collapsed namespaces holding highlighted nodes
+ * @param {Object|null} highlight - The active highlight
+ * @param {Array} nodes - Rendered nodes, including namespace nodes
+ * @returns {Object|null}
+ */
+export const getCollapsedHighlight = (highlight, nodes) => {
+  if (!highlight?.nodeIds) return highlight;
+  const nodeIds = new Set(highlight.nodeIds);
+  const groupIds = nodes
+    .filter(
+      (node) =>
+        node.type === NAMESPACE_GROUP_TYPE &&
+        node.members.some((id) => nodeIds.has(id)),
+    )
+    .map((node) => node.id);
+  if (groupIds.length === 0) return highlight;
+  return { ...highlight, nodeIds: [...highlight.nodeIds, ...groupIds] };
+};
+
+/**
+ * Bounding box of a namespace region around its pod nodes
+ * @param {Array} nodes - Pod nodes of the namespace, with positions
+ * @returns {Object} - { x, y, width, height }
+ */
+export const getNamespaceRegionBounds = (nodes) => {
+  const xs = nodes.map((node) => node.x);
+  const ys = nodes.map((node) => node.y);
+  const x = Math.min(...xs) - REGION_PADDING * 2;
+  const y = Math.min(...ys) - REGION_PADDING;
+  return {
+    x,
+    y,
+    width: Math.max(...xs) + REGION_PADDING * 2 - x,
+    height: Math.max(...ys) + REGION_PADDING - y,
+  };
+};
@@ -1,15 +1,58 @@
 // This file provides custom hook for creating and managing the D3 force simulation
 
 import * as d3 from "d3";
+import _ from "lodash";
+import { applyLayeredLayout, getLayerRank } from "./layeredLayout.js";
+import { getNodeDegree, indexLinksByNode } from "./linkIndex.js";
+
+// Progress is reported every this many ticks of an off-screen layout
+const PROGRESS_INTERVAL = 10;
+
+// An off-screen layout hands out its first positions after this many ticks,
+// so a frame can be drawn long before the simulation settles, and then again
+// every POSITIONS_INTERVAL ticks
+const FIRST_FRAME_TICKS = 5;
+const POSITIONS_INTERVAL = 60;
+
+// Connections beyond this many give a node no more space. Hubs such as the
+// node of a default deny policy would otherwise get collision radii spanning
+// the whole graph, which makes the collision force quadratic.
+const MAX_WEIGHTED_DEGREE = 20;
+
+// Admin policy subjects form rows above the namespace clusters
+const ADMIN_LAYER_GAP = 160;
+const ADMIN_NODE_SPACING = 220;
+
+/**
+ * Groups nodes by namespace, the clusters of the enhanced view. Admin policy
+ * subjects are left out: they are laid out in layers instead.
+ * @param {Array} nodes - Graph nodes
+ * @returns {Object} - Namespace (or "other") to nodes
+ */
+export const groupNodesByNamespace = (nodes) =>
+  _.groupBy(
+    nodes.filter((node) => !node.adminKind),
+    (node) => {
+      if (node.details && node.details.namespace) {
+        return node.details.namespace;
+      }
+      // Extract namespace from the node ID if possible
+      const parts = node.id.split(":");
+      if (parts.length > 1 && parts[0] === "pod") {
+        return parts[1];
+      }
+      return "other";
+    },
+  );
 
 /**
  * Creates and configures a D3 force simulation based on visualization type
  * @param {Array} nodes - Graph nodes
  * @param {Array} links - Graph links
  * @param {Object} dimensions - {width, height}
- * @param {String} visualizationType - 'enhanced' or 'classic'
+ * @param {String} visualizationType - 'enhanced', 'classic' or 'layered'
  * @param {Object} nodesByNamespace - Nodes grouped by namespace
- * @returns {Object} - D3 simulation instance
+ * @returns {Object} - D3 simulation instance, stopped for the layered layout
  */
 export const createSimulation = (
   nodes,
@@ -20,23 +63,83 @@ export const createSimulation = (
 ) => {
   const { width, height } = dimensions;
 
+  // The layered layout pins every node, so the simulation only resolves link
+  // ends and redraws while a node is dragged
+  if (visualizationType === "layered") {
+    applyLayeredLayout(nodes, links, dimensions);
+    return d3
+      .forceSimulation(nodes)
+      .force(
+        "link",
+        d3
+          .forceLink(links)
+          .id((d) => d.id)
+          .strength(0),
+      )
+      .alpha(0)
+      .stop();
+  }
+
+  // Connection counts, computed once for the accessors of every force
+  const linksByNode = indexLinksByNode(links);
+  const degree = (node) =>
+    Math.min(getNodeDegree(linksByNode, node), MAX_WEIGHTED_DEGREE);
+
+  // Clusters are placed in a circle around the center, one per namespace
+  const namespaceKeys = Object.keys(nodesByNamespace);
+  const clusterRadius = Math.min(width, height) * 0.35;
+  const clusterAngles = new Map(
+    namespaceKeys.map((key, index) => [
+      key,
+      (2 * Math.PI * index) / Math.max(namespaceKeys.length, 1),
+    ]),
+  );
+  // Angle of a namespace missing from nodesByNamespace (index -1)
+  const getClusterAngle = (namespace) =>
+    clusterAngles.has(namespace)
+      ? clusterAngles.get(namespace)
+      : (-2 * Math.PI) / Math.max(namespaceKeys.length, 1);
+
+  // Slot of every admin policy subject in its layer, centred horizontally
+  const adminSlots = new Map();
+  const adminLayers = _.groupBy(
+    nodes.filter((node) => node.adminKind),
+    "adminKind",
+  );
+  Object.values(adminLayers).forEach((layer) => {
+    layer.forEach((node, index) => {
+      adminSlots.set(node, {
+        cx: width / 2 + (index - (layer.length - 1) / 2) * ADMIN_NODE_SPACING,
+        cy: height / 2 - clusterRadius - getLayerRank(node) * ADMIN_LAYER_GAP,
+      });
+    });
+  });
+
   // Position nodes initially for enhanced view
   if (visualizationType === "enhanced") {
+    // Where each node sits in its namespace group
+    const groupPositions = new Map();
+    Object.values(nodesByNamespace).forEach((group) =>
+      group.forEach((node, index) =>
+        groupPositions.set(node, { group, index }),
+      ),
+    );
+
     nodes.forEach((node) => {
+      if (adminSlots.has(node)) {
+        node.x = adminSlots.get(node).cx;
+        node.y = adminSlots.get(node).cy;
+        return;
+      }
+
       // Position nodes in a circular arrangement within their namespace group
       const namespace =
         nodesByNamespace[node.details?.namespace || "other"] || [];
       const angleStep = (2 * Math.PI) / Math.max(namespace.length, 1);
-      const index = namespace.indexOf(node);
+      const position = groupPositions.get(node);
+      const index = position?.group === namespace ? position.index : -1;
 
-      // Position clusters in a circle around the center
-      const namespaceKeys = Object.keys(nodesByNamespace);
-      const namespaceIndex = namespaceKeys.indexOf(
-        node.details?.namespace || "other",
-      );
-      const clusterAngle =
-        (2 * Math.PI * namespaceIndex) / Math.max(namespaceKeys.length, 1);
-      const clusterRadius = Math.min(width, height) * 0.35;
+      const clusterAngle = getClusterAngle(node.details?.namespace || "other");
 
       // Calculate position within namespace cluster
       const nodeRadius = 60 + namespace.length * 5;
@@ -71,6 +174,27 @@ export const createSimulation = (
   // Create simulation based on the selected visualization type
   let simulation;
   if (visualizationType === "enhanced") {
+    // Center of the cluster each node is pulled towards
+    const clusterCenters = new Map(
+      nodes.map((node) => {
+        if (adminSlots.has(node)) return [node, adminSlots.get(node)];
+
+        const namespace =
+          node.details?.namespace ||
+          (node.id.split(":").length > 1 && node.id.split(":")[0] === "pod"
+            ? node.id.split(":")[1]
+            : "other");
+        const clusterAngle = getClusterAngle(namespace);
+        return [
+          node,
+          {
+            cx: width / 2 + Math.cos(clusterAngle) * clusterRadius,
+            cy: height / 2 + Math.sin(clusterAngle) * clusterRadius,
+          },
+        ];
+      }),
+    );
+
     // Enhanced simulation with better parameters to minimize crossing lines
     simulation = d3
       .forceSimulation(nodes)
@@ -83,17 +207,7 @@ export const createSimulation = (
             // Give more space to cross-policy links
             if (d.crossPolicy) return 250;
             // Give more space based on the number of connections
-            const sourceConnections = links.filter(
-              (link) =>
-                link.source.id === d.source.id ||
-                link.target.id === d.source.id,
-            ).length;
-            const targetConnections = links.filter(
-              (link) =>
-                link.source.id === d.target.id ||
-                link.target.id === d.target.id,
-            ).length;
-            return 150 + (sourceConnections + targetConnections) * 5;
+            return 150 + (degree(d.source) + degree(d.target)) * 5;
           })
           .strength(0.2),
       ) // Lower strength allows more flexibility
@@ -103,10 +217,7 @@ export const createSimulation = (
           .forceManyBody()
           .strength((d) => {
             // Nodes with many connections repel more
-            const connections = links.filter(
-              (link) => link.source.id === d.id || link.target.id === d.id,
-            ).length;
-            return -500 - connections * 100;
+            return -500 - degree(d) * 100;
           })
           .distanceMax(500),
       ) // Limit the range of charge
@@ -117,33 +228,15 @@ export const createSimulation = (
         "collision",
         d3.forceCollide().radius((d) => {
           // Nodes with more connections get more space
-          const connections = links.filter(
-            (link) => link.source.id === d.id || link.target.id === d.id,
-          ).length;
-          return 60 + connections * 5;
+          return 60 + degree(d) * 5;
         }),
       )
       // Add clustering force to keep namespace groups together
       .force("cluster", (alpha) => {
         const k = alpha * 0.5;
         nodes.forEach((node) => {
-          const namespace =
-            node.details?.namespace ||
-            (node.id.split(":").length > 1 && node.id.split(":")[0] === "pod"
-              ? node.id.split(":")[1]
-              : "other");
-
-          const namespaceKeys = Object.keys(nodesByNamespace);
-          const namespaceIndex = namespaceKeys.indexOf(namespace);
-          const clusterAngle =
-            (2 * Math.PI * namespaceIndex) / Math.max(namespaceKeys.length, 1);
-          const clusterRadius = Math.min(width, height) * 0.35;
-
-          // Get cluster center
-          const cx = width / 2 + Math.cos(clusterAngle) * clusterRadius;
-          const cy = height / 2 + Math.sin(clusterAngle) * clusterRadius;
-
           // Apply force towards cluster center
+          const { cx, cy } = clusterCenters.get(node);
           node.vx = (node.vx || 0) + (cx - node.x) * k;
           node.vy = (node.vy || 0) + (cy - node.y) * k;
         });
@@ -161,20 +254,9 @@ export const createSimulation = (
             // Increase link distance for better spacing
             if (d.crossPolicy) return 250; // Even more space for cross-policy links
 
-            // Add more space based on connections
-            const sourceConnections = links.filter(
-              (link) =>
-                link.source.id === d.source.id ||
-                link.target.id === d.source.id,
-            ).length;
-            const targetConnections = links.filter(
-              (link) =>
-                link.source.id === d.target.id ||
-                link.target.id === d.target.id,
-            ).length;
-
-            // Base distance is higher than before (180 instead of 120)
-            return 180 + (sourceConnections + targetConnections) * 10;
+            // Add more space based on connections; the base distance is
+            // higher than before (180 instead of 120)
+            return 180 + (degree(d.source) + degree(d.target)) * 10;
           })
           .strength(0.15), // Lower link strength for more flexibility
       )
@@ -184,11 +266,8 @@ export const createSimulation = (
           .forceManyBody()
           .strength((d) => {
             // Stronger repulsion based on number of connections
-            const connections = links.filter(
-              (link) => link.source.id === d.id || link.target.id === d.id,
-            ).length;
             // More negative value = stronger repulsion
-            return -800 - connections * 150;
+            return -800 - degree(d) * 150;
           })
           .distanceMax(1000), // Increased maximum distance of effect
       )
@@ -202,11 +281,8 @@ export const createSimulation = (
         d3
           .forceCollide()
           .radius((d) => {
-            const connections = links.filter(
-              (link) => link.source.id === d.id || link.target.id === d.id,
-            ).length;
             // Larger base radius (60 instead of 40)
-            return 60 + connections * 8;
+            return 60 + degree(d) * 8;
           })
           .strength(0.9), // Stronger collision force
       );
@@ -219,7 +295,7 @@ export const createSimulation = (
  * Creates a drag behavior for nodes
  * @param {Object} simulation - D3 force simulation
  * @param {Function} onDrag - Callback to handle position updates during drag
- * @param {String} visualizationType - 'enhanced' or 'classic'
+ * @param {String} visualizationType - 'enhanced', 'classic' or 'layered'
  * @returns {Function} - D3 drag behavior
  */
 export const createDragBehavior = (simulation, onDrag, visualizationType) => {
@@ -241,8 +317,8 @@ export const createDragBehavior = (simulation, onDrag, visualizationType) => {
 
   function dragended(event) {
     if (!event.active) simulation.alphaTarget(0);
-    // Keep nodes fixed where user dragged them in enhanced view
-    if (visualizationType !== "enhanced") {
+    // Keep nodes fixed where user dragged them, except in classic view
+    if (visualizationType === "classic") {
       event.subject.fx = null;
       event.subject.fy = null;
     }
@@ -254,3 +330,120 @@ export const createDragBehavior = (simulation, onDrag, visualizationType) => {
     .on("drag", dragged)
     .on("end", dragended);
 };
+
+// Distance from a kept neighbour at which a new node starts
+const ENTER_OFFSET = 80;
+// Turn between the new nodes of one neighbour, so they do not line up
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Pins the nodes kept from an earlier layout where they were, and starts each
+ * new node next to a kept neighbour so it settles near the nodes it links to.
+ * New nodes without kept neighbours keep their initial position.
+ * @param {Array} nodes - Simulation nodes
+ * @param {Array} links - Links resolved to nodes by the simulation
+ * @param {Array} anchors - [{ id, x, y }] positions of the kept nodes
+ * @returns {void}
+ */
+const anchorNodes = (nodes, links, anchors) => {
+  const anchored = new Map(anchors.map((anchor) => [anchor.id, anchor]));
+  nodes.forEach((node) => {
+    const anchor = anchored.get(node.id);
+    if (!anchor) return;
+    node.x = node.fx = anchor.x;
+    node.y = node.fy = anchor.y;
+  });
+
+  // Spread the new nodes of one neighbour around it
+  const placed = new Set();
+  const entered = new Map();
+  links.forEach((link) => {
+    [
+      [link.source, link.target],
+      [link.target, link.source],
+    ].forEach(([node, neighbour]) => {
+      if (anchored.has(node.id) || placed.has(node)) return;
+      if (!anchored.has(neighbour.id)) return;
+
+      const count = entered.get(neighbour) || 0;
+      entered.set(neighbour, count + 1);
+      const angle = count * GOLDEN_ANGLE;
+      node.x = neighbour.x + Math.cos(angle) * ENTER_OFFSET;
+      node.y = neighbour.y + Math.sin(angle) * ENTER_OFFSET;
+      placed.add(node);
+    });
+  });
+};
+
+/**
+ * Runs a force simulation to the end without drawing it, e.g. in a worker.
+ * Nodes only need id, type and details.namespace; links need source, target
+ * and crossPolicy.
+ * @param {Object} options - Layout inputs
+ * @param {Array} options.nodes - Graph nodes, updated in place
+ * @param {Array} options.links - Graph links
+ * @param {Array} options.containmentLinks - ipBlock to containing block links
+ * @param {Object} options.dimensions - {width, height}
+ * @param {String} options.visualizationType - 'enhanced' or 'classic'
+ * @param {Array} options.anchors - [{ id, x, y }] nodes of an earlier layout that keep their position
+ * @param {Function} onProgress - Called with (stage, fraction done)
+ * @param {Function} onPositions - Called with [{ id, x, y }] positions of the layout so far
+ * @returns {Array} - [{ id, x, y }] final node positions
+ */
+export const runSimulationLayout = (
+  options,
+  onProgress = () => {},
+  onPositions = () => {},
+) => {
+  const {
+    nodes,
+    links,
+    containmentLinks = [],
+    dimensions,
+    anchors = [],
+  } = options;
+  const simulation = createSimulation(
+    nodes,
+    links,
+    dimensions,
+    options.visualizationType,
+    groupNodesByNamespace(nodes),
+  ).stop();
+
+  if (containmentLinks.length > 0) {
+    simulation.force(
+      "cidrNesting",
+      d3
+        .forceLink(containmentLinks)
+        .id((d) => d.id)
+        .distance(60)
+        .strength(0.8),
+    );
+  }
+
+  if (anchors.length > 0) {
+    anchorNodes(nodes, links, anchors);
+  }
+
+  // Ticks until alpha decays below alphaMin, as a running simulation would
+  const ticks = Math.ceil(
+    Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay()),
+  );
+  const getPositions = () =>
+    nodes.map((node) => ({ id: node.id, x: node.x, y: node.y }));
+  for (let tick = 0; tick < ticks; tick++) {
+    if (tick % PROGRESS_INTERVAL === 0) {
+      onProgress("Laying out graph", tick / ticks);
+    }
+    if (
+      tick >= FIRST_FRAME_TICKS &&
+      (tick - FIRST_FRAME_TICKS) % POSITIONS_INTERVAL === 0
+    ) {
+      onPositions(getPositions());
+    }
+    simulation.tick();
+  }
+  onProgress("Laying out graph", 1);
+
+  return getPositions();
+};
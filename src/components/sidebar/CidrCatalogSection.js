@@ -0,0 +1,198 @@
+import React, { useState } from "react";
+import {
+  normalizeCidrCatalog,
+  parseCidrCatalogYaml,
+  formatCidrCatalogYaml,
+} from "../../utils/cidrCatalog.js";
+
+/**
+ * CIDR catalog section: friendly names for ipBlock ranges, saved in the
+ * browser and shared as YAML
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.catalog - Catalog entries: [{ name, cidr, description }]
+ * @param {Function} props.onCatalogChange - Called with the new list of entries
+ * @param {String} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} - The rendered component
+ */
+const CidrCatalogSection = ({ catalog, onCatalogChange, theme = "light" }) => {
+  const [name, setName] = useState("");
+  const [cidr, setCidr] = useState("");
+  const [yamlText, setYamlText] = useState("");
+  const [catalogError, setCatalogError] = useState(null);
+
+  const inputClassName = `border p-2 rounded w-full text-sm ${
+    theme === "dark" ? "cyberpunk-input" : "bg-white"
+  }`;
+  const buttonClass = `${
+    theme === "dark"
+      ? "cyberpunk-button"
+      : "bg-blue-500 text-white hover:bg-blue-600"
+  } p-2 rounded transition-colors text-sm`;
+  const secondaryButtonClass = `${
+    theme === "dark"
+      ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+      : "bg-gray-300 hover:bg-gray-400"
+  } p-2 rounded transition-colors text-sm`;
+  const mutedText = theme === "dark" ? "text-gray-400" : "text-gray-600";
+
+  const addEntry = () => {
+    try {
+      const [entry] = normalizeCidrCatalog([{ name, cidr: cidr.trim() }]);
+      onCatalogChange([...catalog, entry]);
+      setName("");
+      setCidr("");
+      setCatalogError(null);
+    } catch (err) {
+      setCatalogError(err.message);
+    }
+  };
+
+  const removeEntry = (index) => {
+    onCatalogChange(catalog.filter((entry, i) => i !== index));
+  };
+
+  // Imported entries replace the catalog, so a shared file is the source of truth
+  const importYaml = (text) => {
+    try {
+      onCatalogChange(parseCidrCatalogYaml(text));
+      setYamlText("");
+      setCatalogError(null);
+    } catch (err) {
+      setCatalogError(`Error importing catalog: ${err.message}`);
+    }
+  };
+
+  const handleFileImport = async (event) => {
+    const [file] = event.target.files || [];
+    if (!file) return;
+    importYaml(await file.text());
+    event.target.value = "";
+  };
+
+  const exportYaml = () => {
+    const blob = new Blob([formatCidrCatalogYaml(catalog)], {
+      type: "application/x-yaml",
+    });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = "cidr-catalog.yaml";
+    anchor.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="h-full overflow-auto">
+      <h2 className="text-lg font-semibold mb-2">CIDR Catalog</h2>
+      <p className={`text-xs mb-2 ${mutedText}`}>
+        Names replace CIDRs on ipBlock nodes. A block inside a named range is
+        shown as part of it.
+      </p>
+
+      <div className="space-y-2">
+        <input
+          type="text"
+          placeholder="Name, e.g. Corp VPN"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={inputClassName}
+        />
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            placeholder="CIDR, e.g. 10.8.0.0/16"
+            value={cidr}
+            onChange={(e) => setCidr(e.target.value)}
+            className={`${inputClassName} flex-1`}
+          />
+          <button
+            onClick={addEntry}
+            disabled={!name.trim() || !cidr.trim()}
+            className={buttonClass}
+          >
+            Add
+          </button>
+        </div>
+
+        {catalogError && (
+          <div
+            className={`text-xs ${
+              theme === "dark" ? "text-red-400" : "text-red-600"
+            }`}
+          >
+            {catalogError}
+          </div>
+        )}
+
+        {catalog.length === 0 ? (
+          <p className={`text-sm ${mutedText}`}>No named CIDRs yet.</p>
+        ) : (
+          <ul
+            className={`border rounded divide-y text-xs ${
+              theme === "dark"
+                ? "bg-gray-900 border-cyan-900 divide-gray-800"
+                : "bg-white divide-gray-200"
+            }`}
+          >
+            {catalog.map((entry, index) => (
+              <li
+                key={`${entry.name}/${entry.cidr}`}
+                className="p-2 flex justify-between items-center"
+              >
+                <div>
+                  <div className="font-medium">{entry.name}</div>
+                  <div className={`font-mono ${mutedText}`}>{entry.cidr}</div>
+                </div>
+                <button
+                  onClick={() => removeEntry(index)}
+                  className={`px-2 ${mutedText} hover:text-red-500`}
+                  aria-label={`Remove ${entry.name}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex space-x-2">
+          <label className={`flex-1 text-center cursor-pointer ${buttonClass}`}>
+            Import YAML
+            <input
+              type="file"
+              accept=".yaml,.yml"
+              className="hidden"
+              onChange={handleFileImport}
+            />
+          </label>
+          <button
+            onClick={exportYaml}
+            disabled={catalog.length === 0}
+            className={secondaryButtonClass}
+          >
+            Export
+          </button>
+        </div>
+
+        <textarea
+          className={`${inputClassName} h-24 font-mono`}
+          placeholder={
+            "entries:\n  - name: Payment provider\n    cidr: 203.0.113.0/24"
+          }
+          value={yamlText}
+          onChange={(e) => setYamlText(e.target.value)}
+        />
+        <button
+          onClick={() => importYaml(yamlText)}
+          disabled={!yamlText.trim()}
+          className={`w-full ${secondaryButtonClass}`}
+        >
+          Replace catalog with pasted YAML
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CidrCatalogSection;
@@ -1,22 +1,72 @@
 import React, { useState } from "react";
 import { parseNetworkPolicy } from "../../utils/parsers.js";
+import { parseCiliumPolicy } from "../../utils/cilium.js";
+import { createInventory } from "../../utils/workloads.js";
+
+// Fetches a JSON list, returning null when the endpoint fails (e.g. no RBAC)
+const fetchOptionalList = async (endpoint) => {
+  try {
+    const response = await fetch(endpoint);
+    if (!response.ok) return null;
+    const items = await response.json();
+    return Array.isArray(items) ? items : null;
+  } catch (err) {
+    console.error(`Error loading ${endpoint}:`, err);
+    return null;
+  }
+};
 
 /**
  * Component for handling loading network policies directly from the Kubernetes cluster
  *
  * @param {Object} props - Component properties
  * @param {Function} props.onPoliciesLoaded - Callback when policies are loaded from the cluster
+ * @param {Function} props.onInventoryLoaded - Callback with the Pods and Namespaces of the cluster
  * @param {String} props.theme - Current theme ('light' or 'dark')
  * @returns {JSX.Element} - The rendered component
  */
-const ClusterIntegration = ({ onPoliciesLoaded, theme = "light" }) => {
+const ClusterIntegration = ({
+  onPoliciesLoaded,
+  onInventoryLoaded,
+  theme = "light",
+}) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [namespace, setNamespace] = useState("");
+  const [resolveWorkloads, setResolveWorkloads] = useState(true);
+  const [inventoryNote, setInventoryNote] = useState(null);
+
+  // Loads Pods and Namespaces so selectors can be resolved to real workloads
+  const loadInventory = async () => {
+    const [pods, namespaces] = await Promise.all([
+      fetchOptionalList(namespace ? `/api/pods/${namespace}` : "/api/pods"),
+      fetchOptionalList("/api/namespaces"),
+    ]);
+
+    if (!pods && !namespaces) {
+      setInventoryNote(
+        "Pods and Namespaces could not be read, so selectors are not resolved.",
+      );
+      onInventoryLoaded(null);
+      return;
+    }
+
+    const inventory = createInventory({
+      workloads: pods || [],
+      namespaces: namespaces || [],
+    });
+    const missing = pods ? "Namespaces" : "Pods";
+    const suffix = pods && namespaces ? "." : `; ${missing} could not be read.`;
+    setInventoryNote(
+      `Resolved against ${inventory.workloads.length} pods in ${inventory.namespaces.length} namespaces${suffix}`,
+    );
+    onInventoryLoaded(inventory);
+  };
 
   const loadFromCluster = async () => {
     setLoading(true);
     setError(null);
+    setInventoryNote(null);
 
     try {
       // Determine the endpoint based on namespace selection
@@ -36,9 +86,17 @@ const ClusterIntegration = ({ onPoliciesLoaded, theme = "light" }) => {
       }
 
       const rawPolicies = await response.json();
+      // Empty when Cilium is not installed or its policies cannot be read
+      const ciliumEndpoint = namespace
+        ? `/api/ciliumpolicies/${namespace}`
+        : "/api/ciliumpolicies";
+      const rawCiliumPolicies = (await fetchOptionalList(ciliumEndpoint)) || [];
 
-      if (Array.isArray(rawPolicies) && rawPolicies.length > 0) {
-        const parsedPolicies = rawPolicies
+      if (
+        (Array.isArray(rawPolicies) && rawPolicies.length > 0) ||
+        rawCiliumPolicies.length > 0
+      ) {
+        const parsedPolicies = (Array.isArray(rawPolicies) ? rawPolicies : [])
           .map((rawPolicy) => {
             try {
               // The cluster returns raw Kubernetes NetworkPolicy objects
@@ -55,12 +113,28 @@ const ClusterIntegration = ({ onPoliciesLoaded, theme = "light" }) => {
           })
           .filter(Boolean); // Remove any null entries from failed parsing
 
+        // The server sets the kind on each Cilium policy
+        rawCiliumPolicies.forEach((rawPolicy) => {
+          try {
+            parsedPolicies.push(...parseCiliumPolicy(rawPolicy));
+          } catch (parseError) {
+            console.error(
+              "Error parsing Cilium policy from cluster:",
+              parseError,
+              rawPolicy,
+            );
+          }
+        });
+
         if (parsedPolicies.length > 0) {
           console.log(
             "Successfully parsed policies from cluster:",
             parsedPolicies,
           );
           onPoliciesLoaded(parsedPolicies);
+          if (resolveWorkloads && onInventoryLoaded) {
+            await loadInventory();
+          }
         } else {
           setError(
             "No valid network policies could be parsed from the cluster",
@@ -110,6 +184,30 @@ const ClusterIntegration = ({ onPoliciesLoaded, theme = "light" }) => {
           </button>
         </div>
 
+        <label
+          className={`flex items-center text-xs ${
+            theme === "dark" ? "text-gray-300" : "text-gray-700"
+          }`}
+        >
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={resolveWorkloads}
+            onChange={(e) => setResolveWorkloads(e.target.checked)}
+          />
+          Resolve selectors to Pods and Namespaces
+        </label>
+
+        {inventoryNote && (
+          <div
+            className={`text-xs ${
+              theme === "dark" ? "text-gray-400" : "text-gray-600"
+            }`}
+          >
+            {inventoryNote}
+          </div>
+        )}
+
         {error && (
           <div
             className={`${
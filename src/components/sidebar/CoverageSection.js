@@ -0,0 +1,259 @@
+import React, { useState, useMemo } from "react";
+import {
+  formatCoverageCsv,
+  getWorkloadKey,
+  UNPROTECTED_INGRESS,
+  UNPROTECTED_EGRESS,
+  UNPROTECTED_BOTH,
+} from "../../utils/coverage.js";
+import { hasInventory } from "../../utils/workloads.js";
+import { useGraphTask } from "../../workers/useGraphTask.js";
+
+const VIEWS = [
+  { value: "any", label: "Ingress or egress" },
+  { value: UNPROTECTED_INGRESS, label: "Ingress" },
+  { value: UNPROTECTED_EGRESS, label: "Egress" },
+  { value: UNPROTECTED_BOTH, label: "Both" },
+];
+
+// Whether a coverage entry is unprotected in the selected view
+const isListed = (entry, view) => {
+  if (!entry.unprotected) return false;
+  if (view === "any" || entry.unprotected === UNPROTECTED_BOTH) return true;
+  return entry.unprotected === view;
+};
+
+const UNPROTECTED_LABELS = {
+  [UNPROTECTED_INGRESS]: "no ingress",
+  [UNPROTECTED_EGRESS]: "no egress",
+  [UNPROTECTED_BOTH]: "no ingress/egress",
+};
+
+/**
+ * Coverage section: workloads of the inventory that no NetworkPolicy isolates
+ * for ingress, egress or both, grouped by namespace
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.policies - All loaded policies (coverage ignores sidebar filters)
+ * @param {Object} props.inventory - Workload inventory from the cluster or uploads
+ * @param {Array} props.graphNodes - Nodes of the current graph, used to highlight unprotected workloads
+ * @param {Function} props.onHighlightChange - Called with the graph highlight of the unprotected workloads
+ * @param {String} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} - The rendered component
+ */
+const CoverageSection = ({
+  policies,
+  inventory,
+  graphNodes = [],
+  onHighlightChange,
+  theme = "light",
+}) => {
+  const [view, setView] = useState("any");
+  const [highlighted, setHighlighted] = useState(false);
+
+  const payload = useMemo(
+    () => (hasInventory(inventory) ? { policies, inventory } : null),
+    [policies, inventory],
+  );
+  const { result: coverage, error } = useGraphTask("coverage", payload);
+
+  const mutedText = theme === "dark" ? "text-gray-400" : "text-gray-600";
+  const errorText = theme === "dark" ? "text-red-400" : "text-red-600";
+  const buttonClass = `${
+    theme === "dark"
+      ? "cyberpunk-button"
+      : "bg-blue-500 text-white hover:bg-blue-600"
+  } p-2 rounded transition-colors text-sm`;
+  const secondaryButtonClass = `${
+    theme === "dark"
+      ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+      : "bg-gray-300 hover:bg-gray-400"
+  } p-2 rounded transition-colors text-sm`;
+
+  if (!payload) {
+    return (
+      <div className="h-full overflow-auto">
+        <h2 className="text-lg font-semibold mb-2">Coverage</h2>
+        <p className={`text-sm ${mutedText}`}>
+          Load Pods and Namespaces from the cluster, or upload workload
+          manifests, to see which workloads no policy protects.
+        </p>
+      </div>
+    );
+  }
+
+  if (!coverage) {
+    return (
+      <div className="h-full overflow-auto">
+        <h2 className="text-lg font-semibold mb-2">Coverage</h2>
+        <p className={`text-sm ${error ? errorText : mutedText}`}>
+          {error ? `Error computing coverage: ${error}` : "Computing coverage…"}
+        </p>
+      </div>
+    );
+  }
+
+  const listed = coverage.workloads.filter((entry) => isListed(entry, view));
+
+  // Selector nodes matching at least one listed workload
+  const highlightUnprotected = (entries) => {
+    if (!onHighlightChange) return;
+    const keys = new Set(entries.map((entry) => entry.key));
+    onHighlightChange({
+      nodeIds: graphNodes
+        .filter((node) =>
+          (node.workloads?.workloads || []).some((workload) =>
+            keys.has(getWorkloadKey(workload)),
+          ),
+        )
+        .map((node) => node.id),
+      rules: [],
+      linkEnds: [],
+      tone: "denied",
+    });
+  };
+
+  const toggleHighlight = () => {
+    if (highlighted) {
+      setHighlighted(false);
+      if (onHighlightChange) onHighlightChange(null);
+      return;
+    }
+    setHighlighted(true);
+    highlightUnprotected(listed);
+  };
+
+  const changeView = (value) => {
+    setView(value);
+    if (highlighted) {
+      highlightUnprotected(
+        coverage.workloads.filter((entry) => isListed(entry, value)),
+      );
+    }
+  };
+
+  const downloadCsv = () => {
+    const blob = new Blob([formatCoverageCsv(coverage)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = "networkpolicy-coverage.csv";
+    anchor.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const { totals } = coverage;
+
+  return (
+    <div className="h-full overflow-auto">
+      <h2 className="text-lg font-semibold mb-2">
+        Coverage ({listed.length} unprotected)
+      </h2>
+
+      <div
+        className={`grid grid-cols-3 gap-1 text-center text-xs p-2 mb-2 ${
+          theme === "dark" ? "cyberpunk-card" : "bg-white rounded shadow-sm"
+        }`}
+      >
+        <div>
+          <div className="text-base font-semibold">
+            {totals.ingressPercent}%
+          </div>
+          <div className={mutedText}>ingress</div>
+        </div>
+        <div>
+          <div className="text-base font-semibold">{totals.egressPercent}%</div>
+          <div className={mutedText}>egress</div>
+        </div>
+        <div>
+          <div className="text-base font-semibold">{totals.bothPercent}%</div>
+          <div className={mutedText}>both</div>
+        </div>
+      </div>
+      <p className={`text-xs mb-2 ${mutedText}`}>
+        Share of {totals.total} workloads isolated by at least one policy.
+      </p>
+
+      <label className="block text-xs mb-1">Unprotected for</label>
+      <select
+        value={view}
+        onChange={(e) => changeView(e.target.value)}
+        className={`border p-1 rounded w-full text-sm mb-2 ${
+          theme === "dark" ? "cyberpunk-input" : "bg-white"
+        }`}
+      >
+        {VIEWS.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      <div className="flex space-x-2 mb-2">
+        <button
+          onClick={toggleHighlight}
+          className={`flex-1 ${highlighted ? buttonClass : secondaryButtonClass}`}
+        >
+          {highlighted ? "Clear highlight" : "Highlight in graph"}
+        </button>
+        <button onClick={downloadCsv} className={secondaryButtonClass}>
+          Export CSV
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {coverage.namespaces.map((namespace) => {
+          const entries = namespace.workloads.filter((entry) =>
+            isListed(entry, view),
+          );
+          return (
+            <div
+              key={namespace.namespace}
+              className={`p-2 text-xs ${
+                theme === "dark"
+                  ? "cyberpunk-card"
+                  : "bg-white rounded shadow-sm"
+              }`}
+            >
+              <div className="flex justify-between font-medium">
+                <span>{namespace.namespace}</span>
+                <span className={mutedText}>{namespace.total} workloads</span>
+              </div>
+              <div className={`mb-1 ${mutedText}`}>
+                ingress {namespace.ingressPercent}% · egress{" "}
+                {namespace.egressPercent}% · both {namespace.bothPercent}%
+              </div>
+              {entries.length === 0 ? (
+                <div className={mutedText}>All protected</div>
+              ) : (
+                <ul className="space-y-0.5">
+                  {entries.map((entry) => (
+                    <li
+                      key={entry.key}
+                      className="flex justify-between items-center"
+                    >
+                      <span className="font-mono truncate">
+                        {entry.workload.kind}/{entry.workload.name}
+                      </span>
+                      <span
+                        className={`ml-1 px-1 rounded whitespace-nowrap ${
+                          theme === "dark"
+                            ? "bg-red-900 text-red-300"
+                            : "bg-red-100 text-red-800"
+                        }`}
+                      >
+                        {UNPROTECTED_LABELS[entry.unprotected]}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CoverageSection;
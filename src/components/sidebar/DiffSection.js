@@ -0,0 +1,216 @@
+import React, { useMemo, useState } from "react";
+import {
+  diffPolicySets,
+  formatDiffMarkdown,
+  DIFF_ADDED,
+  DIFF_REMOVED,
+} from "../../utils/policyDiff.js";
+
+/**
+ * Diff section comparing a saved "before" baseline with the loaded policies.
+ * Any source can be on either side: save the baseline, then load the other
+ * set from a file, pasted YAML or the cluster.
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.policies - Currently loaded policies (the "after" set)
+ * @param {Object|null} props.baseline - Saved "before" set: { policies, savedAt }
+ * @param {Function} props.onBaselineChange - Called with a new baseline, or null to clear it
+ * @param {Boolean} props.showDiffInGraph - Whether the graph shows the diff
+ * @param {Function} props.onShowDiffInGraphChange - Toggles the graph diff
+ * @param {Object|null} props.graphDiff - Edge and node counts of the graph delta
+ * @param {Function} props.setShowPolicyDetails - Opens PolicyDetails for a policy
+ * @param {String} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} - The rendered component
+ */
+const DiffSection = ({
+  policies,
+  baseline,
+  onBaselineChange,
+  showDiffInGraph,
+  onShowDiffInGraphChange,
+  graphDiff = null,
+  setShowPolicyDetails,
+  theme = "light",
+}) => {
+  const [copied, setCopied] = useState(false);
+
+  const diff = useMemo(
+    () => (baseline ? diffPolicySets(baseline.policies, policies) : null),
+    [baseline, policies],
+  );
+
+  const mutedText = theme === "dark" ? "text-gray-400" : "text-gray-600";
+  const buttonClass = `${
+    theme === "dark"
+      ? "cyberpunk-button"
+      : "bg-blue-500 text-white hover:bg-blue-600"
+  } p-2 rounded transition-colors text-sm`;
+  const secondaryButtonClass = `${
+    theme === "dark"
+      ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+      : "bg-gray-300 hover:bg-gray-400"
+  } p-2 rounded transition-colors text-sm`;
+  const addedClass = theme === "dark" ? "text-green-400" : "text-green-700";
+  const removedClass = theme === "dark" ? "text-red-400" : "text-red-700";
+
+  const saveBaseline = () => {
+    onBaselineChange({ policies, savedAt: new Date().toLocaleString() });
+  };
+
+  const getMarkdown = () => formatDiffMarkdown(diff, graphDiff);
+
+  const copyMarkdown = async () => {
+    try {
+      await navigator.clipboard.writeText(getMarkdown());
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error("Error copying diff:", err);
+    }
+  };
+
+  const downloadMarkdown = () => {
+    const blob = new Blob([getMarkdown()], { type: "text/markdown" });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = "networkpolicy-diff.md";
+    anchor.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const getChangeClass = (kind) => {
+    if (kind === DIFF_ADDED) return addedClass;
+    if (kind === DIFF_REMOVED) return removedClass;
+    return theme === "dark" ? "text-yellow-400" : "text-yellow-700";
+  };
+
+  return (
+    <div className="h-full overflow-auto">
+      <h2 className="text-lg font-semibold mb-2">Policy Diff</h2>
+
+      {!baseline ? (
+        <div className="space-y-2">
+          <p className={`text-sm ${mutedText}`}>
+            Load the &quot;before&quot; policies and save them as the baseline,
+            then load the &quot;after&quot; policies from a file, pasted YAML or
+            the cluster.
+          </p>
+          <button
+            onClick={saveBaseline}
+            disabled={policies.length === 0}
+            className={`w-full ${buttonClass}`}
+          >
+            Save current policies as baseline
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <div className={`text-xs ${mutedText}`}>
+            Baseline: {baseline.policies.length} policies saved{" "}
+            {baseline.savedAt}
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={saveBaseline}
+              className={`flex-1 ${secondaryButtonClass}`}
+            >
+              Replace baseline
+            </button>
+            <button
+              onClick={() => onBaselineChange(null)}
+              className={secondaryButtonClass}
+            >
+              Clear
+            </button>
+          </div>
+
+          <label className="flex items-center text-sm">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={showDiffInGraph}
+              onChange={(e) => onShowDiffInGraphChange(e.target.checked)}
+            />
+            Show diff in graph
+          </label>
+
+          <div
+            className={`p-2 rounded text-sm ${
+              theme === "dark" ? "cyberpunk-card" : "bg-white shadow-sm"
+            }`}
+          >
+            <div>
+              <span className={addedClass}>+{diff.added.length} added</span>
+              {", "}
+              <span className={removedClass}>
+                -{diff.removed.length} removed
+              </span>
+              {`, ${diff.changed.length} changed, ${diff.unchanged} unchanged`}
+            </div>
+            {showDiffInGraph && graphDiff && (
+              <div className={`text-xs ${mutedText}`}>
+                Graph: +{graphDiff.addedLinks} / -{graphDiff.removedLinks}{" "}
+                edges, +{graphDiff.addedNodes} / -{graphDiff.removedNodes} nodes
+              </div>
+            )}
+          </div>
+
+          <div className="flex space-x-2">
+            <button onClick={copyMarkdown} className={`flex-1 ${buttonClass}`}>
+              {copied ? "Copied!" : "Copy Markdown"}
+            </button>
+            <button onClick={downloadMarkdown} className={secondaryButtonClass}>
+              Download .md
+            </button>
+          </div>
+
+          <ul className="text-xs space-y-1">
+            {diff.added.map((policy) => (
+              <li key={`added-${policy.namespace}/${policy.name}`}>
+                <button
+                  className={`text-left ${addedClass}`}
+                  onClick={() => setShowPolicyDetails(policy)}
+                >
+                  + {policy.namespace}/{policy.name}
+                </button>
+              </li>
+            ))}
+            {diff.removed.map((policy) => (
+              <li key={`removed-${policy.namespace}/${policy.name}`}>
+                <button
+                  className={`text-left ${removedClass}`}
+                  onClick={() => setShowPolicyDetails(policy)}
+                >
+                  - {policy.namespace}/{policy.name}
+                </button>
+              </li>
+            ))}
+            {diff.changed.map(({ policy, changes }) => (
+              <li key={`changed-${policy.namespace}/${policy.name}`}>
+                <button
+                  className="text-left font-medium"
+                  onClick={() => setShowPolicyDetails(policy)}
+                >
+                  ~ {policy.namespace}/{policy.name}
+                </button>
+                <ul className="ml-3 font-mono">
+                  {changes.map((change) => (
+                    <li
+                      key={`${change.kind}-${change.path}`}
+                      className={getChangeClass(change.kind)}
+                    >
+                      {change.kind} {change.path}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiffSection;
@@ -0,0 +1,158 @@
+import React, { useState } from "react";
+import { findIpBlockRules } from "../../utils/reachability.js";
+import { ipBlockMatchesIp } from "../../utils/cidr.js";
+
+/**
+ * IP lookup: which ipBlock rules match an address once their except entries
+ * are applied
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.policies - All loaded policies (the lookup ignores sidebar filters)
+ * @param {Array} props.graphNodes - Nodes of the current graph, used to highlight matching ipBlocks
+ * @param {Function} props.onHighlightChange - Called with the graph highlight for the matches
+ * @param {String} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} - The rendered component
+ */
+const IpLookupSection = ({
+  policies,
+  graphNodes = [],
+  onHighlightChange,
+  theme = "light",
+}) => {
+  const [address, setAddress] = useState("");
+  const [result, setResult] = useState(null);
+
+  const runLookup = () => {
+    const query = address.trim();
+    const matches = findIpBlockRules(policies, query);
+    setResult({ address: query, matches });
+    if (!matches || !onHighlightChange) return;
+
+    const matching = matches.filter((match) => match.matches);
+    onHighlightChange({
+      nodeIds: graphNodes
+        .filter(
+          (node) =>
+            node.type === "ipBlock" &&
+            node.details &&
+            ipBlockMatchesIp(node.details, query).matches,
+        )
+        .map((node) => node.id),
+      rules: matching.map(({ policy, namespace, direction, ruleIndex }) => ({
+        policy,
+        namespace,
+        direction,
+        ruleIndex,
+      })),
+      linkEnds: [],
+      tone: matching.length > 0 ? "allowed" : "denied",
+    });
+  };
+
+  const clearLookup = () => {
+    setResult(null);
+    if (onHighlightChange) {
+      onHighlightChange(null);
+    }
+  };
+
+  const inputClassName = `border p-2 rounded w-full text-sm ${
+    theme === "dark" ? "cyberpunk-input" : "bg-white"
+  }`;
+  const mutedText = theme === "dark" ? "text-gray-400" : "text-gray-600";
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-lg font-semibold mb-2">IP Lookup</h2>
+
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          placeholder="10.0.1.5 or 2001:db8::1"
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && address.trim()) runLookup();
+          }}
+          className={`${inputClassName} flex-1`}
+        />
+        <button
+          onClick={runLookup}
+          disabled={!address.trim()}
+          className={`${
+            theme === "dark"
+              ? "cyberpunk-button"
+              : "bg-blue-500 text-white hover:bg-blue-600"
+          } px-3 rounded transition-colors text-sm`}
+        >
+          Look up
+        </button>
+        {result && (
+          <button
+            onClick={clearLookup}
+            className={`${
+              theme === "dark"
+                ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                : "bg-gray-300 hover:bg-gray-400"
+            } px-2 rounded transition-colors text-sm`}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {result && !result.matches && (
+        <p
+          className={`text-xs mt-2 ${theme === "dark" ? "text-red-400" : "text-red-600"}`}
+        >
+          {result.address} is not a valid IPv4 or IPv6 address.
+        </p>
+      )}
+
+      {result && result.matches && result.matches.length === 0 && (
+        <p className={`text-xs mt-2 ${mutedText}`}>
+          No ipBlock rule covers {result.address}.
+        </p>
+      )}
+
+      {result && result.matches && result.matches.length > 0 && (
+        <ul className="text-xs mt-2 space-y-1">
+          {result.matches.map((match) => (
+            <li
+              key={`${match.namespace}/${match.policy}/${match.path}`}
+              className={
+                match.matches
+                  ? ""
+                  : theme === "dark"
+                    ? "text-gray-500"
+                    : "text-gray-400"
+              }
+            >
+              <div className="flex justify-between items-center">
+                <span className="font-mono">{match.ipBlock.cidr}</span>
+                <span
+                  className={`px-1 rounded ${
+                    match.matches
+                      ? theme === "dark"
+                        ? "bg-green-900 text-green-300"
+                        : "bg-green-100 text-green-800"
+                      : theme === "dark"
+                        ? "bg-gray-800 text-gray-400"
+                        : "bg-gray-200 text-gray-600"
+                  }`}
+                >
+                  {match.matches ? "match" : `except ${match.excludedBy}`}
+                </span>
+              </div>
+              <div className={`font-mono ${mutedText}`}>
+                {`${match.namespace}/${match.policy} ${match.path}`}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default IpLookupSection;
@@ -0,0 +1,203 @@
+import React, { useState, useMemo } from "react";
+import _ from "lodash";
+import {
+  SEVERITY_ERROR,
+  SEVERITY_WARNING,
+  SEVERITY_INFO,
+} from "../../utils/policyLint.js";
+import { useGraphTask } from "../../workers/useGraphTask.js";
+
+const SEVERITIES = [SEVERITY_ERROR, SEVERITY_WARNING, SEVERITY_INFO];
+
+const getSeverityClass = (severity, theme) => {
+  if (severity === SEVERITY_ERROR) {
+    return theme === "dark"
+      ? "bg-red-900 text-red-300"
+      : "bg-red-100 text-red-800";
+  }
+  if (severity === SEVERITY_WARNING) {
+    return theme === "dark"
+      ? "bg-yellow-900 text-yellow-300"
+      : "bg-yellow-100 text-yellow-800";
+  }
+  return theme === "dark"
+    ? "bg-gray-700 text-gray-300"
+    : "bg-gray-200 text-gray-700";
+};
+
+/**
+ * Lint section listing findings of the built-in policy rule pack
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.policies - All loaded policies (lint ignores sidebar filters)
+ * @param {Array} props.graphNodes - Nodes of the current graph, used to highlight findings
+ * @param {Function} props.onHighlightChange - Called with the graph highlight of a finding
+ * @param {String} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} - The rendered component
+ */
+const LintSection = ({
+  policies,
+  graphNodes = [],
+  onHighlightChange,
+  theme = "light",
+}) => {
+  const [hiddenSeverities, setHiddenSeverities] = useState([SEVERITY_INFO]);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const payload = useMemo(() => ({ policies }), [policies]);
+  const { result, error } = useGraphTask("lint", payload);
+  const findings = useMemo(() => result || [], [result]);
+
+  const counts = useMemo(() => _.countBy(findings, "severity"), [findings]);
+
+  const visibleFindings = findings.filter(
+    (finding) => !hiddenSeverities.includes(finding.severity),
+  );
+
+  const getFindingKey = (finding) =>
+    `${finding.ruleId}/${finding.namespace}/${finding.policy}/${finding.path}`;
+
+  const toggleSeverity = (severity) => {
+    setHiddenSeverities((current) =>
+      current.includes(severity)
+        ? current.filter((s) => s !== severity)
+        : [...current, severity],
+    );
+  };
+
+  const selectFinding = (finding) => {
+    const key = getFindingKey(finding);
+    if (key === selectedKey) {
+      setSelectedKey(null);
+      if (onHighlightChange) onHighlightChange(null);
+      return;
+    }
+    setSelectedKey(key);
+
+    const policy = policies.find(
+      (p) => p.namespace === finding.namespace && p.name === finding.policy,
+    );
+    if (!policy || !onHighlightChange) return;
+
+    // The pod node the policy applies to
+    const nodeIds = graphNodes
+      .filter(
+        (node) =>
+          node.type === "pod" &&
+          node.details?.namespace === policy.namespace &&
+          _.isEqual(node.details.podSelector || {}, policy.podSelector || {}),
+      )
+      .map((node) => node.id);
+
+    // Findings about a whole direction highlight every rule of it
+    const ruleIndexes =
+      finding.ruleIndex === null || finding.ruleIndex === undefined
+        ? (policy[finding.direction] || []).map((rule, i) => i)
+        : [finding.ruleIndex];
+
+    onHighlightChange({
+      nodeIds,
+      rules: ruleIndexes.map((ruleIndex) => ({
+        policy: policy.name,
+        namespace: policy.namespace,
+        direction: finding.direction,
+        ruleIndex,
+      })),
+      linkEnds: [],
+      tone: finding.severity === SEVERITY_ERROR ? "denied" : "info",
+    });
+  };
+
+  const mutedText = theme === "dark" ? "text-gray-400" : "text-gray-600";
+
+  // Shown instead of the findings when there are none to list
+  let emptyMessage = null;
+  if (policies.length === 0) {
+    emptyMessage = "Load policies to lint them.";
+  } else if (error) {
+    emptyMessage = `Error linting policies: ${error}`;
+  } else if (!result) {
+    emptyMessage = "Linting policies…";
+  } else if (visibleFindings.length === 0) {
+    emptyMessage = "No findings.";
+  }
+
+  return (
+    <div className="h-full flex flex-col overflow-hidden">
+      <h2 className="text-lg font-semibold mb-2">
+        Lint ({visibleFindings.length})
+      </h2>
+
+      <div className="flex space-x-1 mb-2 flex-shrink-0">
+        {SEVERITIES.map((severity) => (
+          <button
+            key={severity}
+            onClick={() => toggleSeverity(severity)}
+            className={`flex-1 text-xs px-2 py-0.5 rounded ${
+              hiddenSeverities.includes(severity)
+                ? theme === "dark"
+                  ? "bg-gray-800 text-gray-500"
+                  : "bg-gray-300 text-gray-500"
+                : getSeverityClass(severity, theme)
+            }`}
+            title={
+              hiddenSeverities.includes(severity)
+                ? `Show ${severity} findings`
+                : `Hide ${severity} findings`
+            }
+          >
+            {severity} ({counts[severity] || 0})
+          </button>
+        ))}
+      </div>
+
+      {emptyMessage ? (
+        <p className={`text-sm ${mutedText}`}>{emptyMessage}</p>
+      ) : (
+        <ul
+          className={`flex-1 overflow-auto border rounded divide-y ${
+            theme === "dark"
+              ? "bg-gray-900 border-cyan-900 divide-gray-800"
+              : "bg-white divide-gray-200"
+          }`}
+          style={{ minHeight: 0 }}
+        >
+          {visibleFindings.map((finding) => {
+            const key = getFindingKey(finding);
+            return (
+              <li
+                key={key}
+                className={`p-2 text-xs cursor-pointer ${
+                  key === selectedKey
+                    ? theme === "dark"
+                      ? "bg-gray-800"
+                      : "bg-blue-50"
+                    : ""
+                }`}
+                onClick={() => selectFinding(finding)}
+              >
+                <div className="flex justify-between items-center">
+                  <span
+                    className={`px-1 rounded ${getSeverityClass(
+                      finding.severity,
+                      theme,
+                    )}`}
+                  >
+                    {finding.ruleId}
+                  </span>
+                  <span className={mutedText}>
+                    {finding.namespace}/{finding.policy}
+                  </span>
+                </div>
+                <div className="font-mono mt-1 break-all">{finding.path}</div>
+                <div className={mutedText}>{finding.message}</div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LintSection;
@@ -1,4 +1,5 @@
 import React from "react";
+import { isRuleOfPolicy } from "../../utils/redundancy.js";
 
 /**
  * Policies section component that displays the list of policies
@@ -9,8 +10,12 @@ const PoliciesSection = ({
   sortPolicies,
   setSortPolicies,
   setShowPolicyDetails,
+  redundantRules = [],
   theme = "light",
 }) => {
+  const countRedundantRules = (policy) =>
+    redundantRules.filter((entry) => isRuleOfPolicy(entry, policy)).length;
+
   return (
     <div className="flex-1 flex flex-col overflow-hidden">
       <div className="flex justify-between items-center mb-2 flex-shrink-0">
@@ -89,6 +94,18 @@ const PoliciesSection = ({
                       {policy.namespace}
                     </div>
                   </div>
+                  {countRedundantRules(policy) > 0 && (
+                    <span
+                      className={`${
+                        theme === "dark"
+                          ? "bg-yellow-900 text-yellow-300"
+                          : "bg-yellow-100 text-yellow-800"
+                      } text-xs px-1 rounded flex-shrink-0 ml-2`}
+                      title={`${countRedundantRules(policy)} rule(s) covered by broader rules`}
+                    >
+                      redundant
+                    </span>
+                  )}
                   <button
                     className={`${
                       theme === "dark"
@@ -0,0 +1,278 @@
+import React, { useState, useMemo } from "react";
+import {
+  evaluateReachability,
+  getWorkloadCandidates,
+} from "../../utils/reachability.js";
+import { ADMIN_POLICY_KIND } from "../../utils/adminNetworkPolicy.js";
+
+/**
+ * Reachability query section: "can workload A talk to workload B on port X?"
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.policies - All loaded policies (the query ignores sidebar filters)
+ * @param {Array} props.graphNodes - Nodes of the current graph, used as workload candidates
+ * @param {Function} props.onHighlightChange - Called with the graph highlight for the answer
+ * @param {String} props.theme - Current theme ('light' or 'dark')
+ * @returns {JSX.Element} - The rendered component
+ */
+const ReachabilitySection = ({
+  policies,
+  graphNodes = [],
+  onHighlightChange,
+  theme = "light",
+}) => {
+  const [sourceId, setSourceId] = useState("");
+  const [destinationId, setDestinationId] = useState("");
+  const [port, setPort] = useState("");
+  const [protocol, setProtocol] = useState("TCP");
+  const [result, setResult] = useState(null);
+
+  const candidates = useMemo(
+    () => getWorkloadCandidates(graphNodes),
+    [graphNodes],
+  );
+
+  const runQuery = () => {
+    const source = candidates.find((c) => c.id === sourceId);
+    const destination = candidates.find((c) => c.id === destinationId);
+    if (!source || !destination) return;
+
+    const answer = evaluateReachability(policies, source, destination, {
+      port: port.trim() === "" ? null : port.trim(),
+      protocol,
+    });
+
+    setResult({ ...answer, source, destination });
+
+    if (onHighlightChange) {
+      onHighlightChange({
+        nodeIds: [source.id, destination.id],
+        rules: [
+          ...answer.egress.allowingRules,
+          ...answer.egress.denyingRules,
+          ...answer.egress.passingRules,
+          ...answer.ingress.allowingRules,
+          ...answer.ingress.denyingRules,
+          ...answer.ingress.passingRules,
+        ],
+        linkEnds: [[source.id, destination.id]],
+        tone: answer.allowed ? "allowed" : "denied",
+      });
+    }
+  };
+
+  const clearQuery = () => {
+    setResult(null);
+    if (onHighlightChange) {
+      onHighlightChange(null);
+    }
+  };
+
+  const selectClassName = `border p-2 rounded w-full text-sm ${
+    theme === "dark" ? "cyberpunk-input" : "bg-white"
+  }`;
+  const mutedText = theme === "dark" ? "text-gray-400" : "text-gray-600";
+
+  const renderSide = (side, subject) => {
+    const title =
+      side.direction === "egress"
+        ? `Egress from ${subject.label}`
+        : `Ingress to ${subject.label}`;
+
+    const verdict = side.allowed ? "Allowed" : "Denied";
+    let explanation;
+    if (side.decidedBy === ADMIN_POLICY_KIND) {
+      explanation = `${verdict} by an AdminNetworkPolicy, before any NetworkPolicy:`;
+    } else if (side.decidedBy) {
+      explanation = `${verdict} by the BaselineAdminNetworkPolicy, as no NetworkPolicy isolates it:`;
+    } else if (!side.isolated) {
+      explanation = `Not isolated: no policy selects it for ${
+        side.direction === "egress" ? "Egress" : "Ingress"
+      }, so all traffic is allowed.`;
+    } else if (side.passed) {
+      explanation =
+        "Allowed: every tier passes it on, so the default allow applies.";
+    } else if (side.allowed) {
+      explanation = "Allowed by:";
+    } else if (side.denyingRules.length > 0) {
+      explanation = "Denied by:";
+    } else if (side.deniedByTier) {
+      explanation = `Denied: no rule of tier ${side.deniedByTier} matches, so the tier ends with a deny.`;
+    } else {
+      explanation = `Denied: isolated by ${side.isolatingPolicies
+        .map((p) => `${p.namespace}/${p.policy}`)
+        .join(", ")} and no rule matches.`;
+    }
+
+    // Rules decide in order under Calico and admin policies, which record
+    // the action
+    const decidingRules = [...side.allowingRules, ...side.denyingRules];
+    const formatRule = (rule) =>
+      `${rule.namespace}/${rule.policy} spec.${rule.direction}[${rule.ruleIndex}]`;
+
+    return (
+      <div className="mb-2">
+        <div className="flex justify-between items-center">
+          <span className="text-sm font-medium">{title}</span>
+          <span
+            className={`text-xs px-1 rounded ${
+              side.allowed
+                ? theme === "dark"
+                  ? "bg-green-900 text-green-300"
+                  : "bg-green-100 text-green-800"
+                : theme === "dark"
+                  ? "bg-red-900 text-red-300"
+                  : "bg-red-100 text-red-800"
+            }`}
+          >
+            {side.allowed ? "allow" : "deny"}
+          </span>
+        </div>
+        {side.passingRules.map((rule) => (
+          <div
+            key={`pass/${rule.policy}/${rule.ruleIndex}`}
+            className={`text-xs ${mutedText}`}
+          >
+            Passed on to the NetworkPolicies by{" "}
+            <span className="font-mono">{formatRule(rule)}</span>.
+          </div>
+        ))}
+        <div className={`text-xs ${mutedText}`}>{explanation}</div>
+        {decidingRules.length > 0 && (
+          <ul className="text-xs ml-2">
+            {decidingRules.map((rule) => (
+              <li
+                key={`${rule.namespace}/${rule.policy}/${rule.ruleIndex}`}
+                className="font-mono"
+              >
+                {formatRule(rule)}
+                {rule.action && ` (${rule.action})`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <h2 className="text-lg font-semibold mb-2">Reachability Query</h2>
+
+      {candidates.length === 0 ? (
+        <p className={`text-sm ${mutedText}`}>
+          Load policies to pick a source and destination workload.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          <div>
+            <label className="block text-sm font-medium mb-1">Source</label>
+            <select
+              className={selectClassName}
+              value={sourceId}
+              onChange={(e) => setSourceId(e.target.value)}
+            >
+              <option value="">Select a workload</option>
+              {candidates.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">
+              Destination
+            </label>
+            <select
+              className={selectClassName}
+              value={destinationId}
+              onChange={(e) => setDestinationId(e.target.value)}
+            >
+              <option value="">Select a workload</option>
+              {candidates.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              placeholder="Port (any)"
+              value={port}
+              onChange={(e) => setPort(e.target.value)}
+              className={`${selectClassName} flex-1`}
+            />
+            <select
+              className={`border p-2 rounded text-sm ${
+                theme === "dark" ? "cyberpunk-input" : "bg-white"
+              }`}
+              value={protocol}
+              onChange={(e) => setProtocol(e.target.value)}
+            >
+              <option value="TCP">TCP</option>
+              <option value="UDP">UDP</option>
+              <option value="SCTP">SCTP</option>
+            </select>
+          </div>
+
+          <div className="flex space-x-2">
+            <button
+              onClick={runQuery}
+              disabled={!sourceId || !destinationId}
+              className={`flex-1 ${
+                theme === "dark"
+                  ? "cyberpunk-button"
+                  : "bg-blue-500 text-white hover:bg-blue-600"
+              } p-2 rounded transition-colors`}
+            >
+              Check
+            </button>
+            {result && (
+              <button
+                onClick={clearQuery}
+                className={`${
+                  theme === "dark"
+                    ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                    : "bg-gray-300 hover:bg-gray-400"
+                } p-2 rounded transition-colors text-sm`}
+              >
+                Clear
+              </button>
+            )}
+          </div>
+
+          {result && (
+            <div
+              className={`p-2 rounded ${
+                theme === "dark" ? "cyberpunk-card" : "bg-white shadow-sm"
+              }`}
+            >
+              <div
+                className={`text-center font-bold mb-2 ${
+                  result.allowed
+                    ? theme === "dark"
+                      ? "text-green-400"
+                      : "text-green-600"
+                    : theme === "dark"
+                      ? "text-red-400"
+                      : "text-red-600"
+                }`}
+              >
+                {result.allowed ? "ALLOWED" : "DENIED"}
+              </div>
+              {renderSide(result.egress, result.source)}
+              {renderSide(result.ingress, result.destination)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReachabilitySection;
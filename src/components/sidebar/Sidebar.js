@@ -2,6 +2,14 @@ import React, { useState, useEffect, useMemo, useCallback } from "react";
 import UploadSection from "./UploadSection.js";
 import FiltersSection from "./FiltersSection.js";
 import PoliciesSection from "./PoliciesSection.js";
+import ReachabilitySection from "./ReachabilitySection.js";
+import IpLookupSection from "./IpLookupSection.js";
+import LintSection from "./LintSection.js";
+import DiffSection from "./DiffSection.js";
+import CidrCatalogSection from "./CidrCatalogSection.js";
+import CoverageSection from "./CoverageSection.js";
+import { isCalicoPolicy } from "../../utils/calico.js";
+import { isAdminPolicy } from "../../utils/adminNetworkPolicy.js";
 
 const Sidebar = ({
   policies,
@@ -20,6 +28,19 @@ const Sidebar = ({
   onDeduplicateNodesChange,
   theme = "light",
   graphData = null,
+  graphNodes = [],
+  onHighlightChange,
+  redundantRules = [],
+  diffBaseline = null,
+  onDiffBaselineChange,
+  showDiffInGraph = false,
+  onShowDiffInGraphChange,
+  graphDiff = null,
+  cidrCatalog = [],
+  onCidrCatalogChange,
+  onInventoryLoaded,
+  inventory = null,
+  hasIstioPolicies = false,
   onPoliciesLoaded, // This replaces setAllPolicies and should be passed from parent
 }) => {
   const [filters, setFilters] = useState({
@@ -123,6 +144,16 @@ const Sidebar = ({
     return null;
   };
 
+  // Cilium policies add entity, FQDN and service nodes
+  const hasCiliumNodes = graphNodes.some((node) =>
+    ["entity", "fqdn", "service"].includes(node.type),
+  );
+
+  // Calico policies add Deny and Pass rule links
+  const hasAdminPolicies = (policies || []).some(isAdminPolicy);
+  const hasRuleActions =
+    hasAdminPolicies || (policies || []).some(isCalicoPolicy);
+
   // Extract available filter options from policies
   useEffect(() => {
     const namespaces = new Set(policies.map((p) => p.namespace));
@@ -361,7 +392,7 @@ const Sidebar = ({
       style={{ height: "100%", overflow: "hidden" }}
     >
       {/* Section Toggle Buttons */}
-      <div className="flex space-x-1 mb-4">
+      <div className="grid grid-cols-3 gap-1 mb-4">
         <button
           className={`flex-1 px-2 py-1 text-xs rounded-t-md ${
             expandedSection === "upload"
@@ -404,6 +435,76 @@ const Sidebar = ({
         >
           Policies
         </button>
+        <button
+          className={`flex-1 px-2 py-1 text-xs rounded-t-md ${
+            expandedSection === "query"
+              ? theme === "dark"
+                ? "bg-cyan-600 text-white"
+                : "bg-blue-500 text-white"
+              : theme === "dark"
+                ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                : "bg-gray-300"
+          }`}
+          onClick={() => toggleSection("query")}
+        >
+          Query
+        </button>
+        <button
+          className={`flex-1 px-2 py-1 text-xs rounded-t-md ${
+            expandedSection === "lint"
+              ? theme === "dark"
+                ? "bg-cyan-600 text-white"
+                : "bg-blue-500 text-white"
+              : theme === "dark"
+                ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                : "bg-gray-300"
+          }`}
+          onClick={() => toggleSection("lint")}
+        >
+          Lint
+        </button>
+        <button
+          className={`flex-1 px-2 py-1 text-xs rounded-t-md ${
+            expandedSection === "diff"
+              ? theme === "dark"
+                ? "bg-cyan-600 text-white"
+                : "bg-blue-500 text-white"
+              : theme === "dark"
+                ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                : "bg-gray-300"
+          }`}
+          onClick={() => toggleSection("diff")}
+        >
+          Diff
+        </button>
+        <button
+          className={`flex-1 px-2 py-1 text-xs rounded-t-md ${
+            expandedSection === "cidrs"
+              ? theme === "dark"
+                ? "bg-cyan-600 text-white"
+                : "bg-blue-500 text-white"
+              : theme === "dark"
+                ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                : "bg-gray-300"
+          }`}
+          onClick={() => toggleSection("cidrs")}
+        >
+          CIDRs
+        </button>
+        <button
+          className={`flex-1 px-2 py-1 text-xs rounded-t-md ${
+            expandedSection === "coverage"
+              ? theme === "dark"
+                ? "bg-cyan-600 text-white"
+                : "bg-blue-500 text-white"
+              : theme === "dark"
+                ? "bg-gray-800 text-gray-300 hover:bg-gray-700"
+                : "bg-gray-300"
+          }`}
+          onClick={() => toggleSection("coverage")}
+        >
+          Coverage
+        </button>
       </div>
 
       {/* Legend - Always Visible */}
@@ -440,6 +541,32 @@ const Sidebar = ({
             ></div>
             <span>Combined Selectors</span>
           </div>
+          {hasCiliumNodes && (
+            <>
+              <div className="flex items-center">
+                <div
+                  className="w-3 h-3 bg-teal-500 mr-2"
+                  style={{
+                    clipPath: "polygon(50% 0%, 100% 50%, 50% 100%, 0% 50%)",
+                  }}
+                ></div>
+                <span>Cilium Entities</span>
+              </div>
+              <div className="flex items-center">
+                <div
+                  className="w-3 h-3 bg-pink-500 mr-2"
+                  style={{
+                    clipPath: "polygon(50% 0%, 100% 100%, 0% 100%)",
+                  }}
+                ></div>
+                <span>FQDNs</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 bg-yellow-500 rounded mr-2"></div>
+                <span>Services</span>
+              </div>
+            </>
+          )}
           <div className="flex items-center">
             <div className="w-3 h-3 border-t-2 border-red-500 mr-2"></div>
             <span>Ingress Rules</span>
@@ -448,6 +575,68 @@ const Sidebar = ({
             <div className="w-3 h-3 border-t-2 border-green-400 mr-2"></div>
             <span>Egress Rules</span>
           </div>
+          {hasRuleActions && (
+            <>
+              <div className="flex items-center">
+                <div className="w-3 h-3 border-t-2 border-dashed border-orange-600 mr-2"></div>
+                <span>Deny Rules</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 border-t-2 border-dotted border-gray-400 mr-2"></div>
+                <span>Pass Rules (later policies decide)</span>
+              </div>
+            </>
+          )}
+          {hasAdminPolicies && (
+            <div className="flex items-center">
+              <div className="w-3 h-3 border-2 border-indigo-600 rounded-sm mr-2"></div>
+              <span>Admin Policy Subjects (layers above namespaces)</span>
+            </div>
+          )}
+          {hasIstioPolicies && (
+            <>
+              <div className="flex items-center">
+                <div className="w-3 h-3 border-t-2 border-dashed border-fuchsia-600 mr-2"></div>
+                <span>Istio overlay: L4 allows, Istio denies</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 border-t-2 border-dotted border-yellow-600 mr-2"></div>
+                <span>Istio overlay: Istio allows some requests</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 border-t-2 border-dashed border-violet-600 mr-2"></div>
+                <span>Istio overlay: external authorizer (CUSTOM)</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 border-t-2 border-dashed border-teal-600 mr-2"></div>
+                <span>Istio overlay: Istio allows, L4 denies</span>
+              </div>
+            </>
+          )}
+          <div className="flex items-center">
+            <div className="w-3 h-3 bg-rose-600 rounded-full mr-2"></div>
+            <span>Isolated (I = ingress, E = egress)</span>
+          </div>
+          <div className="flex items-center">
+            <div className="w-3 h-3 bg-rose-600 rounded-sm mr-2"></div>
+            <span>Namespace-wide isolation</span>
+          </div>
+          <div className="flex items-center">
+            <div className="w-3 h-3 bg-red-700 rounded-sm mr-2"></div>
+            <span>Deny all (no rules allow traffic)</span>
+          </div>
+          {graphDiff && (
+            <>
+              <div className="flex items-center">
+                <div className="w-3 h-3 border-t-2 border-green-600 mr-2"></div>
+                <span>Added (after set only)</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 border-t-2 border-dashed border-red-600 mr-2 opacity-50"></div>
+                <span>Removed (before set only)</span>
+              </div>
+            </>
+          )}
         </div>
       </div>
 
@@ -464,6 +653,8 @@ const Sidebar = ({
             handleUseSampleData={handleUseSampleData}
             handlePasteContent={handlePasteContent}
             onPoliciesLoaded={onPoliciesLoaded}
+            onInventoryLoaded={onInventoryLoaded}
+            inventory={inventory}
             theme={theme}
           />
         )}
@@ -506,6 +697,69 @@ const Sidebar = ({
             sortPolicies={sortPolicies}
             setSortPolicies={setSortPolicies}
             setShowPolicyDetails={setShowPolicyDetails}
+            redundantRules={redundantRules}
+            theme={theme}
+          />
+        )}
+
+        {/* Reachability Query Section */}
+        {expandedSection === "query" && (
+          <div className="h-full overflow-auto">
+            <ReachabilitySection
+              policies={policies}
+              graphNodes={graphNodes}
+              onHighlightChange={onHighlightChange}
+              theme={theme}
+            />
+            <IpLookupSection
+              policies={policies}
+              graphNodes={graphNodes}
+              onHighlightChange={onHighlightChange}
+              theme={theme}
+            />
+          </div>
+        )}
+
+        {/* Policy Lint Section */}
+        {expandedSection === "lint" && (
+          <LintSection
+            policies={policies}
+            graphNodes={graphNodes}
+            onHighlightChange={onHighlightChange}
+            theme={theme}
+          />
+        )}
+
+        {/* Policy Diff Section */}
+        {expandedSection === "diff" && (
+          <DiffSection
+            policies={policies}
+            baseline={diffBaseline}
+            onBaselineChange={onDiffBaselineChange}
+            showDiffInGraph={showDiffInGraph}
+            onShowDiffInGraphChange={onShowDiffInGraphChange}
+            graphDiff={graphDiff}
+            setShowPolicyDetails={setShowPolicyDetails}
+            theme={theme}
+          />
+        )}
+
+        {/* CIDR Catalog Section */}
+        {expandedSection === "cidrs" && (
+          <CidrCatalogSection
+            catalog={cidrCatalog}
+            onCatalogChange={onCidrCatalogChange}
+            theme={theme}
+          />
+        )}
+
+        {/* Coverage Report Section */}
+        {expandedSection === "coverage" && (
+          <CoverageSection
+            policies={policies}
+            inventory={inventory}
+            graphNodes={graphNodes}
+            onHighlightChange={onHighlightChange}
             theme={theme}
           />
         )}
@@ -13,6 +13,8 @@ const UploadSection = ({
   handleUseSampleData,
   handlePasteContent,
   onPoliciesLoaded, // This will be passed from the parent
+  onInventoryLoaded,
+  inventory = null,
   theme = "light",
 }) => {
   return (
@@ -53,6 +55,31 @@ const UploadSection = ({
           >
             Use Sample Data
           </button>
+          <p
+            className={`text-xs ${theme === "dark" ? "text-gray-400" : "text-gray-500"}`}
+          >
+            Deployments, StatefulSets, DaemonSets, Jobs, CronJobs, Pods and
+            Namespaces are loaded as the workload inventory that selectors are
+            resolved against.
+          </p>
+          {inventory && (
+            <div
+              className={`flex justify-between items-center text-xs p-2 rounded ${
+                theme === "dark" ? "cyberpunk-card" : "bg-white shadow-sm"
+              }`}
+            >
+              <span>
+                Inventory: {inventory.workloads.length} workloads in{" "}
+                {inventory.namespaces.length} namespaces
+              </span>
+              <button
+                onClick={() => onInventoryLoaded(null)}
+                className={theme === "dark" ? "text-cyan-400" : "text-blue-600"}
+              >
+                Clear
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -95,12 +122,14 @@ const UploadSection = ({
           </p>
           <ClusterIntegration
             onPoliciesLoaded={onPoliciesLoaded}
+            onInventoryLoaded={onInventoryLoaded}
             theme={theme}
           />
           <div
             className={`text-xs ${theme === "dark" ? "text-gray-400" : "text-gray-500"}`}
           >
-            Requires RBAC permissions to read NetworkPolicy resources.
+            Requires RBAC permissions to read NetworkPolicy resources, and Pods
+            and Namespaces to resolve selectors.
           </div>
         </div>
       </div>
@@ -0,0 +1,250 @@
+import { ALL_NAMESPACES, isEmptySelector } from "./selectors.js";
+import { RULE_ACTION_ALLOW, RULE_ACTION_DENY } from "./calico.js";
+import { convertRules } from "./parsers.js";
+
+// AdminNetworkPolicy and BaselineAdminNetworkPolicy
+// (policy.networking.k8s.io), converted to the parsed NetworkPolicy shape.
+// Both are cluster-scoped: their subject selects namespaces, or pods in
+// selected namespaces, and every rule has an action. They do not isolate
+// pods; reachability evaluates them around the NetworkPolicies instead.
+
+export const ADMIN_POLICY_KIND = "AdminNetworkPolicy";
+export const BASELINE_ADMIN_POLICY_KIND = "BaselineAdminNetworkPolicy";
+
+const ADMIN_POLICY_API_GROUP = "policy.networking.k8s.io/";
+
+/**
+ * Checks whether a manifest or parsed policy is an AdminNetworkPolicy or a
+ * BaselineAdminNetworkPolicy
+ * @param {Object} doc - Kubernetes manifest or parsed policy
+ * @returns {Boolean}
+ */
+export const isAdminPolicy = (doc) =>
+  (doc?.apiVersion || "").startsWith(ADMIN_POLICY_API_GROUP) &&
+  (doc.kind === ADMIN_POLICY_KIND || doc.kind === BASELINE_ADMIN_POLICY_KIND);
+
+/**
+ * Checks whether a parsed policy is a BaselineAdminNetworkPolicy
+ * @param {Object} policy - Parsed policy
+ * @returns {Boolean}
+ */
+export const isBaselineAdminPolicy = (policy) =>
+  isAdminPolicy(policy) && policy.kind === BASELINE_ADMIN_POLICY_KIND;
+
+// Selects namespaces, or pods in the selected namespaces
+const toSubject = (subject = {}) => {
+  if (subject.pods) {
+    return {
+      namespaceSelector: subject.pods.namespaceSelector || {},
+      podSelector: subject.pods.podSelector || {},
+    };
+  }
+  return { namespaceSelector: subject.namespaces || {}, podSelector: {} };
+};
+
+// Domain names with a wildcard are patterns, as in Cilium's toFQDNs
+const toFqdnPeer = (name) => ({
+  fqdn: name.includes("*") ? { matchPattern: name } : { matchName: name },
+});
+
+// One peer may list several networks or domain names; nodes are not drawn.
+// Each converted peer comes with where its fields are written in the rule.
+const toPeers = (peers, peerKey, path, unsupported) =>
+  peers.flatMap((peer, index) => {
+    if (!peer) return [];
+    const peerPath = `${peerKey}[${index}]`;
+    if (peer.namespaces) {
+      return [
+        {
+          peer: { namespaceSelector: peer.namespaces },
+          paths: { "": peerPath, namespaceSelector: `${peerPath}.namespaces` },
+        },
+      ];
+    }
+    if (peer.pods) {
+      return [
+        {
+          peer: {
+            namespaceSelector: peer.pods.namespaceSelector || {},
+            podSelector: peer.pods.podSelector || {},
+          },
+          paths: { "": `${peerPath}.pods` },
+        },
+      ];
+    }
+    if (peer.networks) {
+      return peer.networks.map((cidr, networkIndex) => {
+        const networkPath = `${peerPath}.networks[${networkIndex}]`;
+        return {
+          peer: { ipBlock: { cidr } },
+          paths: {
+            "": networkPath,
+            ipBlock: networkPath,
+            "ipBlock.cidr": networkPath,
+          },
+        };
+      });
+    }
+    if (peer.domainNames) {
+      return peer.domainNames.map((name, nameIndex) => {
+        const namePath = `${peerPath}.domainNames[${nameIndex}]`;
+        return {
+          peer: toFqdnPeer(name),
+          paths: { "": namePath, fqdn: namePath },
+        };
+      });
+    }
+
+    Object.keys(peer).forEach((field) =>
+      unsupported.push(`${path}[${index}].${field}`),
+    );
+    return [];
+  });
+
+// Port numbers, port ranges and named ports of the destination
+const toPorts = (ports) => {
+  if (!Array.isArray(ports) || ports.length === 0) return undefined;
+  return ports.map((port) => {
+    if (port.portNumber) {
+      return {
+        protocol: port.portNumber.protocol || "TCP",
+        port: port.portNumber.port,
+      };
+    }
+    if (port.portRange) {
+      return {
+        protocol: port.portRange.protocol || "TCP",
+        port: port.portRange.start,
+        endPort: port.portRange.end,
+      };
+    }
+    return { protocol: "TCP", port: port.namedPort };
+  });
+};
+
+/**
+ * Converts one rule. Rules whose peers are all unsupported are left out
+ * (null) rather than drawn as matching every peer.
+ * @param {Object} rule - Ingress or egress rule
+ * @param {String} direction - "ingress" or "egress"
+ * @param {Number} index - Position of the rule, for unsupported fields
+ * @param {Array} unsupported - Collects the fields that are not drawn
+ * @returns {Object|null} - { rule, peerPaths }, the parsed rule with
+ *   { action, name, from|to, ports } and where its peers are written
+ */
+const toRule = (rule, direction, index, unsupported) => {
+  if (!rule) return null;
+  const peerKey = direction === "ingress" ? "from" : "to";
+  const peers = toPeers(
+    rule[peerKey] || [],
+    peerKey,
+    `${direction}[${index}].${peerKey}`,
+    unsupported,
+  );
+  if (peers.length === 0) return null;
+
+  const ports = toPorts(rule.ports);
+  return {
+    rule: {
+      action: rule.action,
+      ...(rule.name && { name: rule.name }),
+      [peerKey]: peers.map(({ peer }) => peer),
+      ...(ports && { ports }),
+    },
+    peerPaths: peers.map(({ paths }) => paths),
+  };
+};
+
+// Rules apply in order, so a rule matching everything only decides when it
+// comes first
+const getAdminDirectionEffect = (policy, direction) => {
+  const [first] = policy[direction];
+  if (!first) return "unrestricted";
+
+  const peerKey = direction === "ingress" ? "from" : "to";
+  const matchesAll =
+    !first.ports &&
+    first[peerKey].some(
+      (peer) =>
+        isEmptySelector(peer.namespaceSelector) &&
+        isEmptySelector(peer.podSelector || {}),
+    );
+  if (matchesAll && first.action === RULE_ACTION_ALLOW) return "allow-all";
+  if (matchesAll && first.action === RULE_ACTION_DENY) return "deny-all";
+  return "specific";
+};
+
+/**
+ * Parses an AdminNetworkPolicy or BaselineAdminNetworkPolicy. The subject is
+ * kept as the policy's namespaceSelector and podSelector, in every
+ * namespace; policy types are the directions that have rules.
+ * @param {Object} doc - AdminNetworkPolicy or BaselineAdminNetworkPolicy
+ * @returns {Object} - Parsed policy with { kind, apiVersion, priority,
+ *   namespaceSelector, unsupported }
+ */
+export const parseAdminPolicy = (doc) => {
+  const metadata = doc.metadata || {};
+  const spec = doc.spec || {};
+  const unsupported = [];
+
+  if (!spec.subject?.namespaces && !spec.subject?.pods) {
+    unsupported.push("subject");
+  }
+  const { namespaceSelector, podSelector } = toSubject(spec.subject);
+
+  const convert = (direction) =>
+    convertRules(spec[direction], (rule, index) =>
+      toRule(rule, direction, index, unsupported),
+    );
+  const ingress = convert("ingress");
+  const egress = convert("egress");
+  const getState = (direction) => {
+    if (!spec[direction]) return "absent";
+    return spec[direction].length > 0 ? "present" : "empty";
+  };
+
+  const result = {
+    name: metadata.name || "unnamed-policy",
+    namespace: ALL_NAMESPACES,
+    kind: doc.kind,
+    apiVersion: doc.apiVersion,
+    ...(doc.kind === ADMIN_POLICY_KIND && {
+      priority: Number(spec.priority) || 0,
+    }),
+    namespaceSelector,
+    podSelector,
+    ingress: ingress.rules,
+    egress: egress.rules,
+    manifestRuleIndexes: { ingress: ingress.indexes, egress: egress.indexes },
+    manifestPeerPaths: { ingress: ingress.peerPaths, egress: egress.peerPaths },
+    policyTypesDefaulted: false,
+    ingressState: getState("ingress"),
+    egressState: getState("egress"),
+    unsupported,
+  };
+  result.policyTypes = [
+    ...(result.ingress.length > 0 ? ["Ingress"] : []),
+    ...(result.egress.length > 0 ? ["Egress"] : []),
+  ];
+  result.ingressEffect = getAdminDirectionEffect(result, "ingress");
+  result.egressEffect = getAdminDirectionEffect(result, "egress");
+
+  if (podSelector.matchLabels) {
+    result.podSelectorLabels = Object.entries(podSelector.matchLabels)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(", ");
+  }
+
+  return result;
+};
+
+/**
+ * Sorts AdminNetworkPolicies in evaluation order: by priority, a lower
+ * number first, then by name, since equal priorities have no defined order
+ * @param {Array} policies - Parsed AdminNetworkPolicies
+ * @returns {Array} - A sorted copy
+ */
+export const sortAdminPolicies = (policies) =>
+  [...policies].sort(
+    (a, b) => a.priority - b.priority || a.name.localeCompare(b.name),
+  );
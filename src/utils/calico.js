@@ -0,0 +1,417 @@
+import { calicoToLabelSelector } from "./calicoSelector.js";
+import { ALL_NAMESPACES, NAMESPACE_NAME_LABEL } from "./selectors.js";
+import { convertRules } from "./parsers.js";
+
+// Calico NetworkPolicy and GlobalNetworkPolicy (projectcalico.org/v3),
+// converted to the parsed NetworkPolicy shape. Rules keep their action
+// (Allow, Deny, Log or Pass) and policies their tier and order, so that
+// reachability can evaluate them in order like Calico does.
+
+export const CALICO_POLICY_KIND = "NetworkPolicy";
+export const CALICO_GLOBAL_POLICY_KIND = "GlobalNetworkPolicy";
+
+export const RULE_ACTION_ALLOW = "Allow";
+export const RULE_ACTION_DENY = "Deny";
+export const RULE_ACTION_LOG = "Log";
+export const RULE_ACTION_PASS = "Pass";
+
+export const DEFAULT_TIER = "default";
+
+// Order Calico gives Kubernetes NetworkPolicies in the default tier
+export const KUBERNETES_POLICY_ORDER = 1000;
+
+// Calico's own API and the CRDs it stores policies in
+const CALICO_API_VERSION = /^(crd\.)?projectcalico\.org\//;
+
+// Label Calico gives namespaces with their name
+const CALICO_NAMESPACE_NAME_LABEL = "projectcalico.org/name";
+
+const PROTOCOL_NAMES = {
+  1: "ICMP",
+  6: "TCP",
+  17: "UDP",
+  58: "ICMPv6",
+  132: "SCTP",
+};
+
+// Spec fields for host endpoints and service accounts, which are not drawn
+const UNSUPPORTED_SPEC_FIELDS = [
+  "serviceAccountSelector",
+  "doNotTrack",
+  "preDNAT",
+  "applyOnForward",
+];
+const UNSUPPORTED_RULE_FIELDS = ["notProtocol", "icmp", "notICMP"];
+const UNSUPPORTED_PEER_FIELDS = ["serviceAccounts", "services", "notPorts"];
+
+/**
+ * Checks whether a manifest or parsed policy is a Calico policy
+ * @param {Object} doc - Kubernetes manifest or parsed policy
+ * @returns {Boolean}
+ */
+export const isCalicoPolicy = (doc) =>
+  CALICO_API_VERSION.test(doc?.apiVersion || "") &&
+  (doc.kind === CALICO_POLICY_KIND || doc.kind === CALICO_GLOBAL_POLICY_KIND);
+
+/**
+ * Returns the action of a rule. Kubernetes and Cilium rules only allow.
+ * @param {Object} rule - Parsed rule
+ * @returns {String} - "Allow", "Deny", "Log" or "Pass"
+ */
+export const getRuleAction = (rule) => rule?.action || RULE_ACTION_ALLOW;
+
+/**
+ * Checks whether a rule allows the traffic it matches
+ * @param {Object} rule - Parsed rule
+ * @returns {Boolean}
+ */
+export const isAllowRule = (rule) => getRuleAction(rule) === RULE_ACTION_ALLOW;
+
+// Older manifests write actions in lower case
+const normalizeAction = (action = RULE_ACTION_ALLOW) =>
+  `${action.charAt(0).toUpperCase()}${action.slice(1).toLowerCase()}`;
+
+const toNamespaceKey = (key) =>
+  key === CALICO_NAMESPACE_NAME_LABEL ? NAMESPACE_NAME_LABEL : key;
+
+// An invalid selector is kept as an expression, which selects nothing
+const convertSelector = (text, path, unsupported, renameKey) => {
+  try {
+    return calicoToLabelSelector(text, renameKey);
+  } catch (error) {
+    unsupported.push(`${path} (${error.message})`);
+    return { expression: String(text) };
+  }
+};
+
+/**
+ * Converts the peer side of a rule (source of an ingress rule, destination
+ * of an egress rule). Endpoints of a namespaced policy are in its namespace
+ * unless a namespaceSelector is given; those of a global policy are in any
+ * namespace.
+ * @param {Object} side - Rule source or destination
+ * @param {String} sideKey - "source" or "destination"
+ * @param {String} path - Location of the side, for unsupported fields
+ * @param {Boolean} global - Whether the policy is a GlobalNetworkPolicy
+ * @param {Array} unsupported - Collects the fields that are not drawn
+ * @returns {Object} - { peers, peerPaths }, the rule peers and where their
+ *   fields are written in the rule
+ */
+const toPeers = (side = {}, sideKey, path, global, unsupported) => {
+  const peers = [];
+  const peerPaths = [];
+  const hasSelector =
+    side.selector !== undefined || side.notSelector !== undefined;
+
+  if (hasSelector || side.namespaceSelector !== undefined) {
+    let selector = side.selector || "all()";
+    if (side.notSelector) {
+      selector = `(${selector}) && !(${side.notSelector})`;
+    }
+    const podSelector = hasSelector
+      ? convertSelector(selector, `${path}.selector`, unsupported)
+      : undefined;
+
+    let namespaceSelector = global ? {} : undefined;
+    if (side.namespaceSelector !== undefined) {
+      namespaceSelector = convertSelector(
+        side.namespaceSelector,
+        `${path}.namespaceSelector`,
+        unsupported,
+        toNamespaceKey,
+      );
+    }
+
+    peers.push({
+      ...(namespaceSelector && { namespaceSelector }),
+      ...(podSelector && { podSelector }),
+    });
+    // The namespaceSelector of a global policy's peer may be implied
+    peerPaths.push({
+      "": sideKey,
+      namespaceSelector:
+        side.namespaceSelector !== undefined
+          ? `${sideKey}.namespaceSelector`
+          : sideKey,
+      podSelector: `${sideKey}.selector`,
+    });
+  }
+
+  // Nets alongside a selector narrow it down, which peers cannot express
+  if (side.nets?.length && peers.length > 0) {
+    unsupported.push(`${path}.nets with selectors`);
+  }
+  (side.nets || []).forEach((cidr, index) => {
+    peers.push({
+      ipBlock: side.notNets?.length ? { cidr, except: side.notNets } : { cidr },
+    });
+    peerPaths.push({
+      "": `${sideKey}.nets[${index}]`,
+      ipBlock: `${sideKey}.nets[${index}]`,
+      "ipBlock.cidr": `${sideKey}.nets[${index}]`,
+      "ipBlock.except": `${sideKey}.notNets`,
+    });
+  });
+  if (side.notNets?.length && !side.nets?.length) {
+    unsupported.push(`${path}.notNets`);
+  }
+
+  UNSUPPORTED_PEER_FIELDS.filter((field) => side[field] !== undefined).forEach(
+    (field) => unsupported.push(`${path}.${field}`),
+  );
+
+  return { peers, peerPaths };
+};
+
+const toProtocol = (protocol) =>
+  typeof protocol === "number"
+    ? PROTOCOL_NAMES[protocol] || String(protocol)
+    : protocol;
+
+// Calico ports are numbers, named ports or "first:last" ranges
+const toPort = (port, protocol) => {
+  const range = typeof port === "string" && port.match(/^(\d+):(\d+)$/);
+  if (range) {
+    return { protocol, port: Number(range[1]), endPort: Number(range[2]) };
+  }
+  const number = Number(port);
+  return { protocol, port: Number.isNaN(number) ? port : number };
+};
+
+// Ports are destination ports; a protocol without ports allows all of them
+const toPorts = (rule) => {
+  const protocol =
+    rule.protocol === undefined ? undefined : toProtocol(rule.protocol);
+  const ports = rule.destination?.ports || [];
+  if (ports.length === 0) return protocol ? [{ protocol }] : undefined;
+  return ports.map((port) => toPort(port, protocol || "TCP"));
+};
+
+// HTTP match criteria, in the shape of Cilium's L7 rules
+const toL7 = (http, ports = []) => {
+  const methods = http.methods?.length ? http.methods : [undefined];
+  const paths = http.paths?.length
+    ? http.paths.map((path) => path.exact || `${path.prefix}.*`)
+    : [undefined];
+  return [
+    {
+      ports,
+      http: methods.flatMap((method) =>
+        paths.map((path) => ({
+          ...(method && { method }),
+          ...(path && { path }),
+        })),
+      ),
+    },
+  ];
+};
+
+/**
+ * Converts one Calico rule. Rules whose peers are all unsupported are left
+ * out (null) rather than drawn as matching every peer.
+ * @param {Object} rule - Calico ingress or egress rule
+ * @param {String} direction - "ingress" or "egress"
+ * @param {Number} index - Position of the rule, for unsupported fields
+ * @param {Boolean} global - Whether the policy is a GlobalNetworkPolicy
+ * @param {Array} unsupported - Collects the fields that are not drawn
+ * @returns {Object|null} - { rule, peerPaths }, the parsed rule with
+ *   { action, from|to, ports, l7 } and where its peers are written
+ */
+const toRule = (rule, direction, index, global, unsupported) => {
+  if (!rule) return null;
+  const path = `${direction}[${index}]`;
+  const peerSide = direction === "ingress" ? "source" : "destination";
+  const localSide = direction === "ingress" ? "destination" : "source";
+  const { peers, peerPaths } = toPeers(
+    rule[peerSide],
+    peerSide,
+    `${path}.${peerSide}`,
+    global,
+    unsupported,
+  );
+
+  // The local side can only restrict the ports of the policy's endpoints
+  Object.keys(rule[localSide] || {})
+    .filter((field) => localSide === "source" || field !== "ports")
+    .forEach((field) => unsupported.push(`${path}.${localSide}.${field}`));
+  UNSUPPORTED_RULE_FIELDS.filter((field) => rule[field] !== undefined).forEach(
+    (field) => unsupported.push(`${path}.${field}`),
+  );
+
+  // Source ports of ingress traffic are not drawn either
+  if (rule.source?.ports && peerSide === "source") {
+    unsupported.push(`${path}.source.ports`);
+  }
+
+  const hasPeerFields = Object.keys(rule[peerSide] || {}).some(
+    (field) => field !== "ports",
+  );
+  if (peers.length === 0 && hasPeerFields) return null;
+
+  const peerKey = direction === "ingress" ? "from" : "to";
+  const ports = toPorts(rule);
+  return {
+    rule: {
+      action: normalizeAction(rule.action),
+      ...(peers.length > 0 && { [peerKey]: peers }),
+      ...(ports && { ports }),
+      ...(rule.http && { l7: toL7(rule.http, ports) }),
+    },
+    peerPaths,
+  };
+};
+
+/**
+ * Computes what a Calico policy does for one direction. Rules apply in
+ * order, so a rule matching everything only decides when it comes first.
+ * @param {Object} policy - Parsed Calico policy
+ * @param {String} direction - "ingress" or "egress"
+ * @returns {String} - "unrestricted", "deny-all", "allow-all" or "specific"
+ */
+const getCalicoDirectionEffect = (policy, direction) => {
+  const policyType = direction === "ingress" ? "Ingress" : "Egress";
+  if (!policy.policyTypes.includes(policyType)) return "unrestricted";
+
+  const peerKey = direction === "ingress" ? "from" : "to";
+  const rules = policy[direction].filter(
+    (rule) => rule.action !== RULE_ACTION_LOG,
+  );
+  // Without Allow or Pass rules the tier ends with a deny
+  if (rules.every((rule) => rule.action === RULE_ACTION_DENY)) {
+    return "deny-all";
+  }
+  const [first] = rules;
+  return first.action === RULE_ACTION_ALLOW && !first[peerKey] && !first.ports
+    ? "allow-all"
+    : "specific";
+};
+
+/**
+ * Parses a Calico NetworkPolicy or GlobalNetworkPolicy. A global policy
+ * selects pods in every namespace, or in the namespace its namespaceSelector
+ * names; other namespaceSelectors are kept on the policy.
+ * @param {Object} doc - Calico policy manifest
+ * @returns {Object} - Parsed policy with { kind, apiVersion, tier, order,
+ *   selector, namespaceSelector, unsupported }
+ */
+export const parseCalicoPolicy = (doc) => {
+  const metadata = doc.metadata || {};
+  const spec = doc.spec || {};
+  const global = doc.kind === CALICO_GLOBAL_POLICY_KIND;
+  const unsupported = [];
+
+  const selector = spec.selector || "all()";
+  const podSelector = convertSelector(selector, "selector", unsupported);
+
+  let namespace = metadata.namespace || "default";
+  let namespaceSelector;
+  if (global) {
+    namespace = ALL_NAMESPACES;
+    if (spec.namespaceSelector) {
+      namespaceSelector = convertSelector(
+        spec.namespaceSelector,
+        "namespaceSelector",
+        unsupported,
+        toNamespaceKey,
+      );
+      namespace =
+        namespaceSelector.matchLabels?.[NAMESPACE_NAME_LABEL] || namespace;
+    }
+  }
+
+  // Calico defaults types from the rules that are present
+  const hasRules = (direction) => (spec[direction] || []).length > 0;
+  let policyTypes = spec.types;
+  const defaulted = !Array.isArray(policyTypes) || policyTypes.length === 0;
+  if (defaulted) {
+    policyTypes = [];
+    if (hasRules("ingress") || !hasRules("egress")) policyTypes.push("Ingress");
+    if (hasRules("egress")) policyTypes.push("Egress");
+  }
+
+  UNSUPPORTED_SPEC_FIELDS.filter((field) => spec[field]).forEach((field) =>
+    unsupported.push(field),
+  );
+
+  const convert = (direction) =>
+    convertRules(spec[direction], (rule, index) =>
+      toRule(rule, direction, index, global, unsupported),
+    );
+  const ingress = convert("ingress");
+  const egress = convert("egress");
+  const getState = (direction) => {
+    if (!spec[direction]) return "absent";
+    return hasRules(direction) ? "present" : "empty";
+  };
+
+  const result = {
+    name: metadata.name || "unnamed-policy",
+    namespace,
+    kind: doc.kind,
+    apiVersion: doc.apiVersion,
+    podSelector,
+    selector,
+    ...(namespaceSelector && { namespaceSelector }),
+    tier: spec.tier || DEFAULT_TIER,
+    order: spec.order === undefined ? undefined : Number(spec.order),
+    ingress: ingress.rules,
+    egress: egress.rules,
+    manifestRuleIndexes: { ingress: ingress.indexes, egress: egress.indexes },
+    manifestPeerPaths: { ingress: ingress.peerPaths, egress: egress.peerPaths },
+    policyTypes,
+    policyTypesDefaulted: defaulted,
+    ingressState: getState("ingress"),
+    egressState: getState("egress"),
+    unsupported,
+  };
+  result.ingressEffect = getCalicoDirectionEffect(result, "ingress");
+  result.egressEffect = getCalicoDirectionEffect(result, "egress");
+
+  if (podSelector.matchLabels) {
+    result.podSelectorLabels = Object.entries(podSelector.matchLabels)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(", ");
+  }
+
+  return result;
+};
+
+/**
+ * Groups policies by tier in evaluation order, each tier's policies sorted
+ * by order and then by name. Policies without order come last in their
+ * tier; Kubernetes NetworkPolicies are in the default tier with order 1000.
+ * Tier resources are not loaded, so other tiers come before the default
+ * one, by name.
+ * @param {Array} policies - Parsed policies
+ * @returns {Array} - [{ tier, policies }]
+ */
+export const getPolicyTiers = (policies) => {
+  const getOrdering = (policy) =>
+    isCalicoPolicy(policy)
+      ? { tier: policy.tier || DEFAULT_TIER, order: policy.order ?? Infinity }
+      : { tier: DEFAULT_TIER, order: KUBERNETES_POLICY_ORDER };
+
+  const tiers = new Map();
+  policies.forEach((policy) => {
+    const { tier, order } = getOrdering(policy);
+    if (!tiers.has(tier)) tiers.set(tier, []);
+    tiers.get(tier).push({ policy, order });
+  });
+
+  const compareTiers = (a, b) => {
+    if (a === DEFAULT_TIER) return 1;
+    if (b === DEFAULT_TIER) return -1;
+    return a.localeCompare(b);
+  };
+
+  return [...tiers.keys()].sort(compareTiers).map((tier) => ({
+    tier,
+    policies: tiers
+      .get(tier)
+      .sort(
+        (a, b) =>
+          a.order - b.order || a.policy.name.localeCompare(b.policy.name),
+      )
+      .map(({ policy }) => policy),
+  }));
+};
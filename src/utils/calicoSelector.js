@@ -0,0 +1,419 @@
+// Calico selector expressions, e.g. "app == 'web' && has(tier)". They are
+// parsed into a small syntax tree, evaluated against labels, and converted
+// into Kubernetes label selectors where their requirements allow it.
+
+// Multi-character operators first, so "!=" is not read as "!"
+const PUNCTUATION = ["&&", "||", "==", "!=", "!", "(", ")", "{", "}", ","];
+const WORD = /^[A-Za-z0-9_./-]+/;
+
+const tokenize = (text) => {
+  const tokens = [];
+  let rest = text;
+
+  while (rest.length > 0) {
+    const spaces = rest.match(/^\s+/);
+    if (spaces) {
+      rest = rest.slice(spaces[0].length);
+      continue;
+    }
+
+    const punctuation = PUNCTUATION.find((symbol) => rest.startsWith(symbol));
+    if (punctuation) {
+      tokens.push({ type: "symbol", value: punctuation });
+      rest = rest.slice(punctuation.length);
+      continue;
+    }
+
+    if (rest[0] === "'" || rest[0] === '"') {
+      const end = rest.indexOf(rest[0], 1);
+      if (end === -1) throw new Error("Unterminated string");
+      tokens.push({ type: "string", value: rest.slice(1, end) });
+      rest = rest.slice(end + 1);
+      continue;
+    }
+
+    const word = rest.match(WORD);
+    if (!word) throw new Error(`Unexpected character "${rest[0]}"`);
+    tokens.push({ type: "word", value: word[0] });
+    rest = rest.slice(word[0].length);
+  }
+
+  return tokens;
+};
+
+// Recursive descent over the tokens: || binds looser than &&, which binds
+// looser than !
+const parseTokens = (tokens) => {
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const isSymbol = (value, offset = 0) =>
+    peek(offset)?.type === "symbol" && peek(offset).value === value;
+  const isWord = (value, offset = 0) =>
+    peek(offset)?.type === "word" && peek(offset).value === value;
+
+  const expect = (type, value) => {
+    const token = peek();
+    if (!token || token.type !== type || (value && token.value !== value)) {
+      throw new Error(`Expected ${value || type}`);
+    }
+    position += 1;
+    return token.value;
+  };
+
+  const parseSet = () => {
+    expect("symbol", "{");
+    const values = [];
+    while (!isSymbol("}")) {
+      values.push(expect("string"));
+      if (!isSymbol("}")) expect("symbol", ",");
+    }
+    expect("symbol", "}");
+    return values;
+  };
+
+  const parseComparison = () => {
+    const key = expect("word");
+    if (isSymbol("==")) {
+      position += 1;
+      return { type: "eq", key, value: expect("string") };
+    }
+    if (isSymbol("!=")) {
+      position += 1;
+      return { type: "ne", key, value: expect("string") };
+    }
+    if (isWord("in")) {
+      position += 1;
+      return { type: "in", key, values: parseSet() };
+    }
+    if (isWord("not") && isWord("in", 1)) {
+      position += 2;
+      return { type: "notin", key, values: parseSet() };
+    }
+    if (isWord("contains")) {
+      position += 1;
+      return { type: "contains", key, value: expect("string") };
+    }
+    if (isWord("starts") && isWord("with", 1)) {
+      position += 2;
+      return { type: "startswith", key, value: expect("string") };
+    }
+    if (isWord("ends") && isWord("with", 1)) {
+      position += 2;
+      return { type: "endswith", key, value: expect("string") };
+    }
+    throw new Error(`Expected an operator after "${key}"`);
+  };
+
+  const parseUnary = () => {
+    if (isSymbol("!")) {
+      position += 1;
+      return { type: "not", operand: parseUnary() };
+    }
+    if (isSymbol("(")) {
+      position += 1;
+      const inner = parseOr();
+      expect("symbol", ")");
+      return inner;
+    }
+    if ((isWord("all") || isWord("global")) && isSymbol("(", 1)) {
+      const type = peek().value;
+      position += 2;
+      expect("symbol", ")");
+      return { type };
+    }
+    if (isWord("has") && isSymbol("(", 1)) {
+      position += 2;
+      const key = expect("word");
+      expect("symbol", ")");
+      return { type: "has", key };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    const operands = [parseUnary()];
+    while (isSymbol("&&")) {
+      position += 1;
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: "and", operands };
+  };
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (isSymbol("||")) {
+      position += 1;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: "or", operands };
+  };
+
+  // An empty selector is the same as all()
+  if (tokens.length === 0) return { type: "all" };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`);
+  }
+  return tree;
+};
+
+/**
+ * Parses a Calico selector expression
+ * @param {String} text - Selector, e.g. "app == 'web' && has(tier)"
+ * @returns {Object} - Syntax tree
+ * @throws {Error} - When the expression is not valid
+ */
+export const parseCalicoSelector = (text = "") =>
+  parseTokens(tokenize(String(text)));
+
+/**
+ * Evaluates a parsed Calico selector against labels. Like Calico, "!=" and
+ * "not in" also match when the label is missing; global() only matches
+ * resources outside namespaces, so never a pod.
+ * @param {Object} tree - Tree from parseCalicoSelector
+ * @param {Object} labels - Labels of the object being tested
+ * @returns {Boolean}
+ */
+export const evaluateCalicoSelector = (tree, labels = {}) => {
+  const hasKey = (key) => Object.prototype.hasOwnProperty.call(labels, key);
+  const valueOf = (key) => (hasKey(key) ? String(labels[key]) : null);
+
+  switch (tree.type) {
+    case "all":
+      return true;
+    case "global":
+      return false;
+    case "has":
+      return hasKey(tree.key);
+    case "eq":
+      return valueOf(tree.key) === tree.value;
+    case "ne":
+      return valueOf(tree.key) !== tree.value;
+    case "in":
+      return hasKey(tree.key) && tree.values.includes(valueOf(tree.key));
+    case "notin":
+      return !hasKey(tree.key) || !tree.values.includes(valueOf(tree.key));
+    case "contains":
+      return hasKey(tree.key) && valueOf(tree.key).includes(tree.value);
+    case "startswith":
+      return hasKey(tree.key) && valueOf(tree.key).startsWith(tree.value);
+    case "endswith":
+      return hasKey(tree.key) && valueOf(tree.key).endsWith(tree.value);
+    case "not":
+      return !evaluateCalicoSelector(tree.operand, labels);
+    case "and":
+      return tree.operands.every((operand) =>
+        evaluateCalicoSelector(operand, labels),
+      );
+    case "or":
+      return tree.operands.some((operand) =>
+        evaluateCalicoSelector(operand, labels),
+      );
+    default:
+      return false;
+  }
+};
+
+const quote = (value) => (value.includes("'") ? `"${value}"` : `'${value}'`);
+const formatSet = (values) => `{${values.map(quote).join(", ")}}`;
+
+/**
+ * Writes a parsed Calico selector back as an expression
+ * @param {Object} tree - Tree from parseCalicoSelector
+ * @returns {String}
+ */
+export const formatCalicoSelector = (tree) => {
+  // Operands binding looser than their parent need parentheses
+  const wrap = (operand, parentType) => {
+    const text = formatCalicoSelector(operand);
+    const looser =
+      operand.type === "or" || (operand.type === "and" && parentType !== "or");
+    return looser ? `(${text})` : text;
+  };
+
+  switch (tree.type) {
+    case "all":
+    case "global":
+      return `${tree.type}()`;
+    case "has":
+      return `has(${tree.key})`;
+    case "eq":
+      return `${tree.key} == ${quote(tree.value)}`;
+    case "ne":
+      return `${tree.key} != ${quote(tree.value)}`;
+    case "in":
+      return `${tree.key} in ${formatSet(tree.values)}`;
+    case "notin":
+      return `${tree.key} not in ${formatSet(tree.values)}`;
+    case "contains":
+      return `${tree.key} contains ${quote(tree.value)}`;
+    case "startswith":
+      return `${tree.key} starts with ${quote(tree.value)}`;
+    case "endswith":
+      return `${tree.key} ends with ${quote(tree.value)}`;
+    case "not":
+      return `!${wrap(tree.operand, "not")}`;
+    case "and":
+      return tree.operands.map((operand) => wrap(operand, "and")).join(" && ");
+    case "or":
+      return tree.operands.map((operand) => wrap(operand, "or")).join(" || ");
+    default:
+      return "";
+  }
+};
+
+// Applies a key mapping to every label key of a tree
+const renameKeys = (tree, renameKey) => {
+  if (tree.key !== undefined) return { ...tree, key: renameKey(tree.key) };
+  if (tree.operand) {
+    return { ...tree, operand: renameKeys(tree.operand, renameKey) };
+  }
+  if (tree.operands) {
+    return {
+      ...tree,
+      operands: tree.operands.map((operand) => renameKeys(operand, renameKey)),
+    };
+  }
+  return tree;
+};
+
+// Expressions are evaluated for every pod a selector is compared with, so
+// their trees are kept; invalid expressions are kept as null
+const parsedExpressions = new Map();
+
+const getParsedExpression = (text) => {
+  if (!parsedExpressions.has(text)) {
+    try {
+      parsedExpressions.set(text, parseCalicoSelector(text));
+    } catch (error) {
+      parsedExpressions.set(text, null);
+    }
+  }
+  return parsedExpressions.get(text);
+};
+
+/**
+ * Evaluates a Calico selector expression against labels. An invalid
+ * expression matches nothing.
+ * @param {String} text - Selector expression
+ * @param {Object} labels - Labels of the object being tested
+ * @returns {Boolean}
+ */
+export const matchesCalicoExpression = (text, labels = {}) => {
+  const tree = getParsedExpression(text);
+  return tree ? evaluateCalicoSelector(tree, labels) : false;
+};
+
+// Converts a requirement to a label selector requirement, or null when
+// Kubernetes selectors cannot express it
+const toRequirement = (term) => {
+  switch (term.type) {
+    case "eq":
+      return { key: term.key, operator: "In", values: [term.value] };
+    case "ne":
+      return { key: term.key, operator: "NotIn", values: [term.value] };
+    case "in":
+      return { key: term.key, operator: "In", values: term.values };
+    case "notin":
+      return { key: term.key, operator: "NotIn", values: term.values };
+    case "has":
+      return { key: term.key, operator: "Exists" };
+    case "not":
+      return term.operand.type === "has"
+        ? { key: term.operand.key, operator: "DoesNotExist" }
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Converts a Calico selector into a Kubernetes label selector. Requirements
+ * joined by && become matchLabels and matchExpressions; when some cannot be
+ * written that way, the expression they form is kept in `expression`, which
+ * the selector engine evaluates as well.
+ * @param {String} text - Selector expression
+ * @param {Function} [renameKey] - Maps label keys, e.g. Calico's namespace
+ *   name label to the Kubernetes one
+ * @returns {Object} - { matchLabels, matchExpressions, expression }, with
+ *   empty parts left out
+ * @throws {Error} - When the expression is not valid
+ */
+export const calicoToLabelSelector = (text, renameKey = (key) => key) => {
+  const tree = renameKeys(parseCalicoSelector(text), renameKey);
+  const terms = tree.type === "and" ? tree.operands : [tree];
+
+  const matchLabels = {};
+  const matchExpressions = [];
+  const remaining = [];
+
+  terms.forEach((term) => {
+    if (term.type === "all") return;
+    if (
+      term.type === "eq" &&
+      !Object.prototype.hasOwnProperty.call(matchLabels, term.key)
+    ) {
+      matchLabels[term.key] = term.value;
+      return;
+    }
+    const requirement = toRequirement(term);
+    if (requirement) {
+      matchExpressions.push(requirement);
+    } else {
+      remaining.push(term);
+    }
+  });
+
+  let expression;
+  if (remaining.length === 1) expression = formatCalicoSelector(remaining[0]);
+  if (remaining.length > 1) {
+    expression = formatCalicoSelector({ type: "and", operands: remaining });
+  }
+
+  return {
+    ...(Object.keys(matchLabels).length > 0 && { matchLabels }),
+    ...(matchExpressions.length > 0 && { matchExpressions }),
+    ...(expression !== undefined && { expression }),
+  };
+};
+
+/**
+ * Builds labels that satisfy a Calico selector expression, choosing the
+ * first alternative of each ||. Used to stand in for pods known only by a
+ * selector; negations are left to the missing labels.
+ * @param {String} text - Selector expression
+ * @returns {Object} - Labels
+ */
+export const getCalicoExampleLabels = (text) => {
+  const labels = {};
+
+  const satisfy = (tree) => {
+    switch (tree.type) {
+      case "has":
+        if (labels[tree.key] === undefined) labels[tree.key] = "";
+        break;
+      case "eq":
+      case "contains":
+      case "startswith":
+      case "endswith":
+        labels[tree.key] = tree.value;
+        break;
+      case "in":
+        if (tree.values.length > 0) labels[tree.key] = tree.values[0];
+        break;
+      case "and":
+        tree.operands.forEach(satisfy);
+        break;
+      case "or":
+        satisfy(tree.operands[0]);
+        break;
+      default:
+    }
+  };
+
+  const tree = getParsedExpression(text);
+  if (tree) satisfy(tree);
+  return labels;
+};
@@ -0,0 +1,306 @@
+// CIDR parsing and containment for ipBlock peers (IPv4 and IPv6)
+
+/**
+ * Parses an IPv4 address into a BigInt
+ * @param {String} address - Dotted quad
+ * @returns {BigInt|null}
+ */
+const parseIPv4 = (address) => {
+  const parts = address.split(".");
+  if (parts.length !== 4) return null;
+
+  let value = 0n;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+    value = (value << 8n) + BigInt(part);
+  }
+  return value;
+};
+
+/**
+ * Parses an IPv6 address (with optional :: compression and a trailing
+ * dotted IPv4 part) into a BigInt
+ * @param {String} address - IPv6 address
+ * @returns {BigInt|null}
+ */
+const parseIPv6 = (address) => {
+  const halves = address.split("::");
+  if (halves.length > 2) return null;
+
+  const toGroups = (text) => {
+    if (text === "") return [];
+    const groups = text.split(":");
+    const last = groups[groups.length - 1];
+    if (last.includes(".")) {
+      const v4 = parseIPv4(last);
+      if (v4 === null) return null;
+      groups.splice(
+        -1,
+        1,
+        (v4 >> 16n).toString(16),
+        (v4 & 0xffffn).toString(16),
+      );
+    }
+    return groups.every((group) => /^[0-9a-fA-F]{1,4}$/.test(group))
+      ? groups
+      : null;
+  };
+
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+  if (!head || !tail) return null;
+
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...Array(missing).fill("0"), ...tail];
+  return groups.reduce(
+    (value, group) => (value << 16n) + BigInt(parseInt(group, 16)),
+    0n,
+  );
+};
+
+/**
+ * Parses a CIDR such as "10.0.0.0/8" or "2001:db8::/32". The network address
+ * is masked, so "10.1.2.3/8" parses to 10.0.0.0/8.
+ * @param {String} cidr - CIDR notation
+ * @returns {Object|null} - { version, bits, prefix, network, hostBitsSet } or null if invalid
+ */
+export const parseCidr = (cidr) => {
+  if (typeof cidr !== "string") return null;
+
+  const [address, prefixText, ...rest] = cidr.trim().split("/");
+  if (rest.length > 0 || prefixText === undefined) return null;
+  if (!/^\d{1,3}$/.test(prefixText)) return null;
+
+  const version = address.includes(":") ? 6 : 4;
+  const bits = version === 4 ? 32 : 128;
+  const prefix = Number(prefixText);
+  if (prefix > bits) return null;
+
+  const value = version === 4 ? parseIPv4(address) : parseIPv6(address);
+  if (value === null) return null;
+
+  const hostBits = BigInt(bits - prefix);
+  const network = (value >> hostBits) << hostBits;
+
+  return {
+    version,
+    bits,
+    prefix,
+    network,
+    hostBitsSet: network !== value,
+  };
+};
+
+/**
+ * Checks whether the inner CIDR lies entirely within the outer CIDR
+ * @param {String|Object} outer - CIDR string or parsed CIDR
+ * @param {String|Object} inner - CIDR string or parsed CIDR
+ * @returns {Boolean} - False when either CIDR is invalid or the versions differ
+ */
+export const cidrContains = (outer, inner) => {
+  const a = typeof outer === "string" ? parseCidr(outer) : outer;
+  const b = typeof inner === "string" ? parseCidr(inner) : inner;
+  if (!a || !b || a.version !== b.version) return false;
+  if (b.prefix < a.prefix) return false;
+
+  const hostBits = BigInt(a.bits - a.prefix);
+  return b.network >> hostBits === a.network >> hostBits;
+};
+
+/**
+ * Checks whether a CIDR covers the whole address space (0.0.0.0/0 or ::/0)
+ * @param {String} cidr - CIDR notation
+ * @returns {Boolean}
+ */
+export const isAnyAddressCidr = (cidr) => parseCidr(cidr)?.prefix === 0;
+
+/**
+ * Formats an address value as text; IPv6 uses the compressed form
+ * @param {BigInt} value - Address value
+ * @param {Number} version - 4 or 6
+ * @returns {String}
+ */
+const formatAddress = (value, version) => {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n]
+      .map((shift) => (value >> shift) & 0xffn)
+      .join(".");
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // Compress the longest run of two or more zero groups
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < groups.length; i++) {
+    let length = 0;
+    while (groups[i + length] === 0) length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map((group) => group.toString(16));
+  if (bestStart === -1) return hex.join(":");
+  return `${hex.slice(0, bestStart).join(":")}::${hex.slice(bestStart + bestLength).join(":")}`;
+};
+
+/**
+ * Returns the canonical form of a CIDR (masked network, compressed IPv6),
+ * so that equal ranges written differently compare equal
+ * @param {String} cidr - CIDR notation
+ * @returns {String} - Canonical CIDR, or the input unchanged if invalid
+ */
+export const normalizeCidr = (cidr) => {
+  const parsed = parseCidr(cidr);
+  if (!parsed) return cidr;
+  return `${formatAddress(parsed.network, parsed.version)}/${parsed.prefix}`;
+};
+
+/**
+ * Parses a single IP address as a host CIDR (/32 or /128)
+ * @param {String} address - IPv4 or IPv6 address, a prefix is not allowed
+ * @returns {Object|null} - Parsed CIDR, or null if invalid
+ */
+export const parseIpAddress = (address) => {
+  if (typeof address !== "string" || address.includes("/")) return null;
+  const trimmed = address.trim();
+  return parseCidr(`${trimmed}/${trimmed.includes(":") ? 128 : 32}`);
+};
+
+/**
+ * Checks whether two CIDRs share at least one address. CIDR ranges are
+ * either nested or disjoint, so they overlap when one contains the other.
+ * @param {String|Object} a - CIDR string or parsed CIDR
+ * @param {String|Object} b - CIDR string or parsed CIDR
+ * @returns {Boolean}
+ */
+export const cidrOverlaps = (a, b) => cidrContains(a, b) || cidrContains(b, a);
+
+/**
+ * Checks an ipBlock against the API server validation rules and flags host
+ * bits, which the API server accepts but which usually hint at a typo
+ * @param {Object} ipBlock - { cidr, except }
+ * @returns {Array} - [{ field, severity, message }], empty when valid
+ */
+export const validateIpBlock = (ipBlock) => {
+  const problems = [];
+  const cidr = parseCidr(ipBlock?.cidr);
+
+  if (!cidr) {
+    problems.push({
+      field: "cidr",
+      severity: "error",
+      message: `Invalid cidr ${ipBlock?.cidr}`,
+    });
+    return problems;
+  }
+
+  if (cidr.hostBitsSet) {
+    problems.push({
+      field: "cidr",
+      severity: "warning",
+      message: `${ipBlock.cidr} has host bits set; it means ${normalizeCidr(ipBlock.cidr)}`,
+    });
+  }
+
+  (ipBlock.except || []).forEach((except, index) => {
+    const parsed = parseCidr(except);
+    const field = `except[${index}]`;
+    if (!parsed) {
+      problems.push({
+        field,
+        severity: "error",
+        message: `Invalid except entry ${except}`,
+      });
+    } else if (!cidrContains(cidr, parsed)) {
+      problems.push({
+        field,
+        severity: "error",
+        message: `Except ${except} is outside cidr ${ipBlock.cidr}`,
+      });
+    } else if (parsed.prefix === cidr.prefix) {
+      // The API server requires except entries to be strict subsets of cidr
+      problems.push({
+        field,
+        severity: "error",
+        message: `Except ${except} covers the whole cidr ${ipBlock.cidr}`,
+      });
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Checks whether an IP address is allowed by an ipBlock after applying its
+ * exceptions
+ * @param {Object} ipBlock - { cidr, except }
+ * @param {String|Object} address - IP address or parsed host CIDR
+ * @returns {Object} - { inCidr, excludedBy, matches }
+ */
+export const ipBlockMatchesIp = (ipBlock, address) => {
+  const host = typeof address === "string" ? parseIpAddress(address) : address;
+  const inCidr = !!host && cidrContains(ipBlock?.cidr || "", host);
+  const excludedBy = inCidr
+    ? (ipBlock.except || []).find((except) => cidrContains(except, host)) ||
+      null
+    : null;
+
+  return { inCidr, excludedBy, matches: inCidr && !excludedBy };
+};
+
+/**
+ * Relates a set of ipBlocks to each other. A block's parent is the smallest
+ * other block containing it; a block lying inside an except entry of another
+ * block is not contained by it. Blocks with the same cidr are "overlapping"
+ * peers.
+ * @param {Array} entries - [{ id, cidr, except }]
+ * @returns {Map} - id => { parentId, containedIn, contains, overlaps }
+ */
+export const buildCidrHierarchy = (entries) => {
+  const parsed = entries
+    .map((entry) => ({ ...entry, parsed: parseCidr(entry.cidr) }))
+    .filter((entry) => entry.parsed);
+
+  const relations = new Map(
+    parsed.map((entry) => [
+      entry.id,
+      { parentId: null, containedIn: [], contains: [], overlaps: [] },
+    ]),
+  );
+
+  parsed.forEach((inner) => {
+    let parent = null;
+    parsed.forEach((outer) => {
+      if (outer === inner || !cidrContains(outer.parsed, inner.parsed)) return;
+      if (
+        (outer.except || []).some((except) =>
+          cidrContains(except, inner.parsed),
+        )
+      ) {
+        return;
+      }
+
+      if (outer.parsed.prefix === inner.parsed.prefix) {
+        relations.get(inner.id).overlaps.push(outer.id);
+        return;
+      }
+
+      relations.get(inner.id).containedIn.push(outer.id);
+      relations.get(outer.id).contains.push(inner.id);
+      if (!parent || outer.parsed.prefix > parent.parsed.prefix) {
+        parent = outer;
+      }
+    });
+    relations.get(inner.id).parentId = parent ? parent.id : null;
+  });
+
+  return relations;
+};
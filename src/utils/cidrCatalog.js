@@ -0,0 +1,149 @@
+import yaml from "js-yaml";
+import { parseCidr, cidrContains, normalizeCidr } from "./cidr.js";
+
+// Named CIDRs for external endpoints, e.g. "Corp VPN" or "Payment provider"
+
+export const CIDR_CATALOG_STORAGE_KEY = "networkPolicyVisualizer.cidrCatalog";
+
+export const CATALOG_MATCH_EXACT = "exact";
+export const CATALOG_MATCH_WITHIN = "within";
+export const CATALOG_MATCH_COVERS = "covers";
+
+/**
+ * Validates catalog entries and normalizes their CIDRs
+ * @param {Array} entries - [{ name, cidr, description }]
+ * @returns {Array} - Normalized entries
+ * @throws {Error} - If an entry has no name or an invalid cidr
+ */
+export const normalizeCidrCatalog = (entries) => {
+  if (!Array.isArray(entries)) {
+    throw new Error("CIDR catalog must be a list of entries");
+  }
+
+  return entries.map((entry, index) => {
+    const name = typeof entry?.name === "string" ? entry.name.trim() : "";
+    if (!name) {
+      throw new Error(`Catalog entry ${index + 1} has no name`);
+    }
+    if (typeof entry.cidr !== "string" || !parseCidr(entry.cidr)) {
+      throw new Error(
+        `Catalog entry "${name}" has an invalid cidr: ${entry.cidr}`,
+      );
+    }
+
+    const normalized = { name, cidr: normalizeCidr(entry.cidr) };
+    if (entry.description) normalized.description = String(entry.description);
+    return normalized;
+  });
+};
+
+/**
+ * Reads the catalog saved in the browser
+ * @returns {Array} - Catalog entries, empty if none are saved or they are unreadable
+ */
+export const loadCidrCatalog = () => {
+  try {
+    const saved = window.localStorage.getItem(CIDR_CATALOG_STORAGE_KEY);
+    return saved ? normalizeCidrCatalog(JSON.parse(saved)) : [];
+  } catch (error) {
+    console.error("Error loading CIDR catalog:", error);
+    return [];
+  }
+};
+
+/**
+ * Saves the catalog in the browser
+ * @param {Array} entries - Catalog entries
+ * @returns {void}
+ */
+export const saveCidrCatalog = (entries) => {
+  try {
+    window.localStorage.setItem(
+      CIDR_CATALOG_STORAGE_KEY,
+      JSON.stringify(entries),
+    );
+  } catch (error) {
+    console.error("Error saving CIDR catalog:", error);
+  }
+};
+
+/**
+ * Parses a catalog from YAML: either a list of entries or an object with an
+ * `entries` list
+ * @param {String} text - YAML text
+ * @returns {Array} - Normalized entries
+ * @throws {Error} - If the YAML or an entry is invalid
+ */
+export const parseCidrCatalogYaml = (text) => {
+  const document = yaml.load(text);
+  const entries = Array.isArray(document) ? document : document?.entries;
+  return normalizeCidrCatalog(entries);
+};
+
+/**
+ * Formats a catalog as YAML, the format read by parseCidrCatalogYaml
+ * @param {Array} entries - Catalog entries
+ * @returns {String} - YAML text
+ */
+export const formatCidrCatalogYaml = (entries) =>
+  yaml.dump({ entries }, { lineWidth: -1 });
+
+/**
+ * Finds the catalog name for a CIDR. An exact entry wins, then the smallest
+ * entry containing the CIDR, then the entries inside the CIDR (largest first).
+ * An any-address entry such as "Internet" only names a part of itself when
+ * nothing more specific overlaps.
+ * @param {Array} entries - Catalog entries
+ * @param {String} cidr - CIDR of an ipBlock
+ * @returns {Object|null} - { name, label, match, entries }, or null if nothing overlaps
+ */
+export const matchCidrCatalog = (entries, cidr) => {
+  const target = parseCidr(cidr);
+  if (!target || entries.length === 0) return null;
+
+  const parsed = entries
+    .map((entry) => ({ entry, range: parseCidr(entry.cidr) }))
+    .filter(({ range }) => range && range.version === target.version);
+
+  const exactMatch = parsed.find(
+    ({ range }) =>
+      range.prefix === target.prefix && cidrContains(range, target),
+  );
+  if (exactMatch) {
+    return {
+      name: exactMatch.entry.name,
+      label: exactMatch.entry.name,
+      match: CATALOG_MATCH_EXACT,
+      entries: [exactMatch.entry],
+    };
+  }
+
+  const containing = parsed
+    .filter(({ range }) => cidrContains(range, target))
+    .sort((a, b) => b.range.prefix - a.range.prefix);
+  const within = (entry) => ({
+    name: entry.name,
+    label: `${entry.name} (part)`,
+    match: CATALOG_MATCH_WITHIN,
+    entries: [entry],
+  });
+  if (containing.length > 0 && containing[0].range.prefix > 0) {
+    return within(containing[0].entry);
+  }
+
+  const contained = parsed
+    .filter(({ range }) => cidrContains(target, range))
+    .sort((a, b) => a.range.prefix - b.range.prefix);
+  if (contained.length > 0) {
+    const [first] = contained;
+    const more = contained.length > 1 ? ` +${contained.length - 1}` : "";
+    return {
+      name: first.entry.name,
+      label: `incl. ${first.entry.name}${more}`,
+      match: CATALOG_MATCH_COVERS,
+      entries: contained.map(({ entry }) => entry),
+    };
+  }
+
+  return containing.length > 0 ? within(containing[0].entry) : null;
+};
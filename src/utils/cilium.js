@@ -0,0 +1,421 @@
+import { convertRules, getDirectionEffect } from "./parsers.js";
+import { ALL_NAMESPACES, NAMESPACE_NAME_LABEL } from "./selectors.js";
+
+// CiliumNetworkPolicy and CiliumClusterwideNetworkPolicy, converted to the
+// parsed NetworkPolicy shape so the graph and the analyses can use them.
+// Peers that are not pods or CIDRs become entity, fqdn and service peers;
+// L7 rules stay on the rule they restrict.
+
+export const CILIUM_POLICY_KIND = "CiliumNetworkPolicy";
+export const CILIUM_CLUSTERWIDE_POLICY_KIND = "CiliumClusterwideNetworkPolicy";
+
+// Label Cilium gives every endpoint with its namespace name, and the prefix
+// of the labels it copies from the namespace
+const POD_NAMESPACE_LABEL = "io.kubernetes.pod.namespace";
+const NAMESPACE_LABELS_PREFIX = "io.cilium.k8s.namespace.labels.";
+
+// Entities that contain every pod of the cluster
+const CLUSTER_ENTITIES = ["cluster", "all"];
+
+// Peer fields that are drawn, per direction
+const PEER_FIELDS = {
+  ingress: ["fromEndpoints", "fromCIDR", "fromCIDRSet", "fromEntities"],
+  egress: [
+    "toEndpoints",
+    "toCIDR",
+    "toCIDRSet",
+    "toEntities",
+    "toFQDNs",
+    "toServices",
+  ],
+};
+
+// Peer fields that are not drawn; a rule using only these is left out
+const UNSUPPORTED_PEER_FIELDS = {
+  ingress: ["fromRequires", "fromGroups", "fromNodes"],
+  egress: ["toRequires", "toGroups", "toNodes"],
+};
+
+/**
+ * Checks whether a rule peer is a Cilium entity, FQDN or service peer
+ * @param {Object} peer - Rule peer
+ * @returns {Boolean}
+ */
+export const isCiliumPeer = (peer) =>
+  !!(peer?.entity || peer?.fqdn || peer?.service);
+
+/**
+ * Checks whether a manifest is a Cilium policy
+ * @param {Object} doc - Kubernetes manifest
+ * @returns {Boolean}
+ */
+export const isCiliumPolicy = (doc) =>
+  doc?.kind === CILIUM_POLICY_KIND ||
+  doc?.kind === CILIUM_CLUSTERWIDE_POLICY_KIND;
+
+// Label keys may carry a source prefix, e.g. "k8s:app" or "any:app"
+const stripLabelSource = (key) => key.replace(/^(k8s|any):/, "");
+
+// Maps an endpoint label key to a namespace label key, or null for pod labels
+const toNamespaceLabel = (key) => {
+  if (key === POD_NAMESPACE_LABEL) return NAMESPACE_NAME_LABEL;
+  if (key.startsWith(NAMESPACE_LABELS_PREFIX)) {
+    return key.slice(NAMESPACE_LABELS_PREFIX.length);
+  }
+  return null;
+};
+
+/**
+ * Splits a Cilium endpoint selector into the pod labels and the namespace
+ * labels it requires
+ * @param {Object} selector - endpointSelector or a fromEndpoints entry
+ * @returns {Object} - { podSelector, namespaceSelector } (null without
+ *   namespace requirements)
+ */
+export const splitEndpointSelector = (selector = {}) => {
+  const pod = { matchLabels: {}, matchExpressions: [] };
+  const namespace = { matchLabels: {}, matchExpressions: [] };
+
+  Object.entries(selector?.matchLabels || {}).forEach(([rawKey, value]) => {
+    const key = stripLabelSource(rawKey);
+    const namespaceKey = toNamespaceLabel(key);
+    if (namespaceKey) {
+      namespace.matchLabels[namespaceKey] = value;
+    } else {
+      pod.matchLabels[key] = value;
+    }
+  });
+
+  (selector?.matchExpressions || []).forEach((expr) => {
+    const key = stripLabelSource(expr.key);
+    const namespaceKey = toNamespaceLabel(key);
+    if (namespaceKey) {
+      namespace.matchExpressions.push({ ...expr, key: namespaceKey });
+    } else {
+      pod.matchExpressions.push({ ...expr, key });
+    }
+  });
+
+  // Empty parts are dropped so the selectors read like hand-written ones
+  const compact = ({ matchLabels, matchExpressions }) => ({
+    ...(Object.keys(matchLabels).length > 0 && { matchLabels }),
+    ...(matchExpressions.length > 0 && { matchExpressions }),
+  });
+  const hasNamespace =
+    Object.keys(namespace.matchLabels).length > 0 ||
+    namespace.matchExpressions.length > 0;
+
+  return {
+    podSelector: compact(pod),
+    namespaceSelector: hasNamespace ? compact(namespace) : null,
+  };
+};
+
+// Endpoints of a namespaced policy are in its namespace unless the selector
+// names others; those of a clusterwide policy are in any namespace
+const toEndpointPeer = (selector, clusterwide) => {
+  const { podSelector, namespaceSelector } = splitEndpointSelector(selector);
+  if (namespaceSelector) return { namespaceSelector, podSelector };
+  return clusterwide ? { namespaceSelector: {}, podSelector } : { podSelector };
+};
+
+// Entities spanning the cluster also select its pods
+const toEntityPeer = (entity) =>
+  CLUSTER_ENTITIES.includes(entity)
+    ? { entity, namespaceSelector: {} }
+    : { entity };
+
+// Services of a namespaced policy default to its namespace
+const toServicePeer = (service, policyNamespace) => {
+  if (service.k8sService) {
+    return {
+      service: {
+        name: service.k8sService.serviceName,
+        namespace: service.k8sService.namespace || policyNamespace,
+      },
+    };
+  }
+  return {
+    service: {
+      selector: service.k8sServiceSelector?.selector || {},
+      namespace: service.k8sServiceSelector?.namespace || policyNamespace,
+    },
+  };
+};
+
+// Converts the peers of a rule; CIDRs become ipBlock peers. Each converted
+// peer comes with where its fields are written in the rule.
+const toPeers = (rule, clusterwide, policyNamespace) => {
+  // Entries of the first of the fields the rule has, with their paths
+  const entriesOf = (...fields) => {
+    const field = fields.find((name) => rule[name]);
+    return (rule[field] || []).map((entry, index) => ({
+      entry,
+      path: `${field}[${index}]`,
+    }));
+  };
+
+  return [
+    ...entriesOf("fromEndpoints", "toEndpoints").map(({ entry, path }) => ({
+      peer: toEndpointPeer(entry, clusterwide),
+      paths: { "": path, podSelector: path, namespaceSelector: path },
+    })),
+    ...entriesOf("fromCIDR", "toCIDR").map(({ entry, path }) => ({
+      peer: { ipBlock: { cidr: entry } },
+      paths: { "": path, ipBlock: path, "ipBlock.cidr": path },
+    })),
+    ...entriesOf("fromCIDRSet", "toCIDRSet")
+      .filter(({ entry }) => entry.cidr)
+      .map(({ entry, path }) => ({
+        peer: {
+          ipBlock: entry.except?.length
+            ? { cidr: entry.cidr, except: entry.except }
+            : { cidr: entry.cidr },
+        },
+        paths: { "": path, ipBlock: path },
+      })),
+    ...entriesOf("fromEntities", "toEntities").map(({ entry, path }) => ({
+      peer: toEntityPeer(entry),
+      paths: { "": path, entity: path, namespaceSelector: path },
+    })),
+    ...entriesOf("toFQDNs").map(({ entry, path }) => ({
+      peer: { fqdn: entry },
+      paths: { "": path, fqdn: path },
+    })),
+    ...entriesOf("toServices").map(({ entry, path }) => ({
+      peer: toServicePeer(entry, policyNamespace),
+      paths: { "": path, service: path },
+    })),
+  ];
+};
+
+// Cilium ports are strings and "ANY" stands for every protocol
+const toPorts = (portProtocols = []) =>
+  portProtocols.flatMap((entry) => {
+    const number = Number(entry.port);
+    const port =
+      entry.port === undefined || Number.isNaN(number) ? entry.port : number;
+    const base = {
+      ...(port !== undefined && port !== 0 && { port }),
+      ...(entry.endPort !== undefined && { endPort: Number(entry.endPort) }),
+    };
+    const protocol = entry.protocol || "ANY";
+    const protocols = protocol === "ANY" ? ["TCP", "UDP"] : [protocol];
+    return protocols.map((name) => ({ ...base, protocol: name }));
+  });
+
+/**
+ * Converts one Cilium rule. Rules without any peer field allow every peer on
+ * their ports; rules with peers that cannot be drawn are left out (null).
+ * @param {Object} rule - Cilium ingress or egress rule
+ * @param {String} direction - "ingress" or "egress"
+ * @param {Boolean} clusterwide - Whether the policy is clusterwide
+ * @param {String|undefined} policyNamespace - Namespace of a namespaced policy
+ * @returns {Object|null} - { rule, peerPaths }, the parsed rule with
+ *   { from|to, ports, l7 } and where its peers are written
+ */
+const toRule = (rule, direction, clusterwide, policyNamespace) => {
+  if (!rule) return null;
+  const peerKey = direction === "ingress" ? "from" : "to";
+  const hasField = (field) => rule[field] !== undefined;
+  const peers = toPeers(rule, clusterwide, policyNamespace);
+  const toPortsList = Array.isArray(rule.toPorts) ? rule.toPorts : [];
+
+  if (peers.length === 0) {
+    // Peers that are not drawn, an ICMP-only rule or "{}", which only
+    // turns on enforcement in Cilium
+    if (UNSUPPORTED_PEER_FIELDS[direction].some(hasField)) return null;
+    if (PEER_FIELDS[direction].some(hasField)) return null;
+    if (toPortsList.length === 0) return null;
+  }
+
+  const result = {};
+  if (peers.length > 0) result[peerKey] = peers.map(({ peer }) => peer);
+
+  // A toPorts entry without ports covers every port
+  if (
+    toPortsList.length > 0 &&
+    !toPortsList.some((entry) => !entry.ports?.length)
+  ) {
+    result.ports = toPorts(toPortsList.flatMap((entry) => entry.ports));
+  }
+
+  const l7 = toPortsList
+    .filter(
+      (entry) =>
+        entry.rules?.http?.length ||
+        entry.rules?.kafka?.length ||
+        entry.rules?.dns?.length,
+    )
+    .map((entry) => ({
+      ports: toPorts(entry.ports || []),
+      ...(entry.rules.http?.length && { http: entry.rules.http }),
+      ...(entry.rules.kafka?.length && { kafka: entry.rules.kafka }),
+      ...(entry.rules.dns?.length && { dns: entry.rules.dns }),
+    }));
+  if (l7.length > 0) result.l7 = l7;
+
+  return { rule: result, peerPaths: peers.map(({ paths }) => paths) };
+};
+
+// Fields of the spec that the graph does not show, for PolicyDetails
+const findUnsupported = (spec) => {
+  const fields = new Set();
+  ["ingressDeny", "egressDeny", "nodeSelector"].forEach((field) => {
+    if (spec[field]) fields.add(field);
+  });
+  ["ingress", "egress"].forEach((direction) => {
+    (spec[direction] || []).forEach((rule) => {
+      UNSUPPORTED_PEER_FIELDS[direction]
+        .concat("icmps")
+        .filter((field) => rule?.[field] !== undefined)
+        .forEach((field) => fields.add(`${direction}.${field}`));
+    });
+  });
+  return [...fields];
+};
+
+/**
+ * Converts one spec of a Cilium policy into a parsed policy
+ * @param {Object} spec - Cilium policy spec
+ * @param {Object} metadata - Manifest metadata
+ * @param {String} kind - Manifest kind
+ * @param {String} name - Name given to the parsed policy
+ * @param {String} specPath - Where the spec is written, "spec" or "specs[i]"
+ * @returns {Object} - Parsed policy
+ */
+const parseCiliumSpec = (spec, metadata, kind, name, specPath) => {
+  const clusterwide = kind === CILIUM_CLUSTERWIDE_POLICY_KIND;
+  const { podSelector, namespaceSelector } = splitEndpointSelector(
+    spec.endpointSelector,
+  );
+
+  // A clusterwide policy pinned to one namespace by name belongs to it
+  const pinnedNamespace =
+    namespaceSelector?.matchLabels?.[NAMESPACE_NAME_LABEL];
+  let namespace = metadata.namespace || "default";
+  if (clusterwide) namespace = pinnedNamespace || ALL_NAMESPACES;
+
+  // Enforcement is turned on per direction by having rules for it
+  const enforces = (direction) =>
+    (spec[direction] || []).length > 0 ||
+    (spec[`${direction}Deny`] || []).length > 0;
+  const policyTypes = [];
+  if (enforces("ingress")) policyTypes.push("Ingress");
+  if (enforces("egress")) policyTypes.push("Egress");
+
+  const ingress = convertRules(spec.ingress, (rule) =>
+    toRule(rule, "ingress", clusterwide, clusterwide ? undefined : namespace),
+  );
+  const egress = convertRules(spec.egress, (rule) =>
+    toRule(rule, "egress", clusterwide, clusterwide ? undefined : namespace),
+  );
+
+  const result = {
+    name,
+    namespace,
+    kind,
+    podSelector,
+    endpointSelector: spec.endpointSelector || {},
+    description: spec.description,
+    ingress: ingress.rules,
+    egress: egress.rules,
+    manifestRuleIndexes: { ingress: ingress.indexes, egress: egress.indexes },
+    manifestPeerPaths: { ingress: ingress.peerPaths, egress: egress.peerPaths },
+    manifestSpecPath: specPath,
+    policyTypes,
+    policyTypesDefaulted: false,
+    ingressState: enforces("ingress") ? "present" : "absent",
+    egressState: enforces("egress") ? "present" : "absent",
+    unsupported: findUnsupported(spec),
+  };
+  result.ingressEffect = getDirectionEffect(result, "ingress");
+  result.egressEffect = getDirectionEffect(result, "egress");
+
+  if (podSelector.matchLabels) {
+    result.podSelectorLabels = Object.entries(podSelector.matchLabels)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(", ");
+  }
+
+  return result;
+};
+
+/**
+ * Parses a CiliumNetworkPolicy or CiliumClusterwideNetworkPolicy. A manifest
+ * with several `specs` gives one policy per spec, named name[index].
+ * @param {Object} doc - Cilium policy manifest
+ * @returns {Array} - Parsed policies
+ */
+export const parseCiliumPolicy = (doc) => {
+  const metadata = doc.metadata || {};
+  const name = metadata.name || "unnamed-policy";
+
+  if (Array.isArray(doc.specs) && doc.specs.length > 0) {
+    return doc.specs.map((spec, index) =>
+      parseCiliumSpec(
+        spec || {},
+        metadata,
+        doc.kind,
+        doc.specs.length > 1 ? `${name}[${index}]` : name,
+        `specs[${index}]`,
+      ),
+    );
+  }
+  return [parseCiliumSpec(doc.spec || {}, metadata, doc.kind, name, "spec")];
+};
+
+/**
+ * Describes the L7 rules of a rule, one line per HTTP, Kafka or DNS rule
+ * @param {Array} l7 - The rule's l7 entries
+ * @returns {Array} - Lines such as "HTTP GET /api/.*" or "Kafka produce orders"
+ */
+export const describeL7Rules = (l7 = []) =>
+  l7.flatMap((entry) => [
+    ...(entry.http || []).map((rule) => {
+      const parts = [rule.method || "*", rule.path || "/*"];
+      if (rule.host) parts.push(`host ${rule.host}`);
+      if (rule.headers?.length)
+        parts.push(`headers ${rule.headers.join(", ")}`);
+      return `HTTP ${parts.join(" ")}`;
+    }),
+    ...(entry.kafka || []).map((rule) => {
+      const parts = [rule.role || rule.apiKey || "any", rule.topic || "*"];
+      if (rule.clientID) parts.push(`client ${rule.clientID}`);
+      return `Kafka ${parts.join(" ")}`;
+    }),
+    ...(entry.dns || []).map(
+      (rule) => `DNS ${rule.matchName || rule.matchPattern}`,
+    ),
+  ]);
+
+/**
+ * Names what a Cilium entity, FQDN or service peer stands for
+ * @param {Object} peer - Rule peer with entity, fqdn or service
+ * @returns {String|null} - e.g. "world", "*.example.com" or "db/postgres"
+ */
+export const getCiliumPeerName = (peer) => {
+  if (peer?.entity) return peer.entity;
+  if (peer?.fqdn) return peer.fqdn.matchName || peer.fqdn.matchPattern;
+  if (peer?.service) {
+    const { name, namespace, selector } = peer.service;
+    const labels = Object.entries(selector?.matchLabels || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join(", ");
+    const target = name || `services(${labels || "all"})`;
+    return namespace ? `${namespace}/${target}` : target;
+  }
+  return null;
+};
+
+/**
+ * Describes a Cilium entity, FQDN or service peer in one line
+ * @param {Object} peer - Rule peer with entity, fqdn or service
+ * @returns {String} - e.g. "Entity world" or "FQDN *.example.com"
+ */
+export const describeCiliumPeer = (peer) => {
+  let type = "Service";
+  if (peer.entity) type = "Entity";
+  else if (peer.fqdn) type = "FQDN";
+  return `${type} ${getCiliumPeerName(peer)}`;
+};
@@ -0,0 +1,139 @@
+import _ from "lodash";
+import { matchesSelector } from "./selectors.js";
+import { getEffectivePolicyTypes } from "./reachability.js";
+
+// Which inventory workloads are isolated by at least one NetworkPolicy
+
+export const UNPROTECTED_INGRESS = "ingress";
+export const UNPROTECTED_EGRESS = "egress";
+export const UNPROTECTED_BOTH = "both";
+
+/**
+ * Identifies an inventory workload, e.g. "shop/Deployment/web"
+ * @param {Object} workload - Inventory workload
+ * @returns {String}
+ */
+export const getWorkloadKey = (workload) =>
+  `${workload.namespace}/${workload.kind}/${workload.name}`;
+
+/**
+ * Lists the unprotected directions of a workload coverage entry
+ * @param {Object} entry - Entry of computeCoverage's workloads
+ * @returns {String|null} - UNPROTECTED_INGRESS, UNPROTECTED_EGRESS,
+ *   UNPROTECTED_BOTH, or null if both directions are protected
+ */
+export const getUnprotectedDirections = (entry) => {
+  const ingress = entry.ingress.length === 0;
+  const egress = entry.egress.length === 0;
+  if (ingress && egress) return UNPROTECTED_BOTH;
+  if (ingress) return UNPROTECTED_INGRESS;
+  if (egress) return UNPROTECTED_EGRESS;
+  return null;
+};
+
+const percent = (count, total) =>
+  total === 0 ? 100 : Math.round((count / total) * 100);
+
+/**
+ * Computes which workloads are selected by a policy isolating them for
+ * ingress and for egress. A workload no policy isolates accepts and sends
+ * any traffic in that direction.
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {Object} inventory - Inventory from createInventory
+ * @returns {Object} - { workloads, namespaces, totals }. Each workload entry is
+ *   { workload, key, ingress, egress, unprotected } where ingress and egress
+ *   list the "namespace/name" of the policies isolating it. Namespace and
+ *   total entries count { total, ingress, egress, both } protected workloads
+ *   with the matching percentages.
+ */
+export const computeCoverage = (policies, inventory) => {
+  const policiesByNamespace = _.groupBy(policies, "namespace");
+
+  const workloads = inventory.workloads.map((workload) => {
+    const selecting = (policiesByNamespace[workload.namespace] || []).filter(
+      (policy) => matchesSelector(policy.podSelector || {}, workload.labels),
+    );
+    const isolating = (policyType) =>
+      selecting
+        .filter((policy) =>
+          getEffectivePolicyTypes(policy).includes(policyType),
+        )
+        .map((policy) => `${policy.namespace}/${policy.name}`);
+
+    const entry = {
+      workload,
+      key: getWorkloadKey(workload),
+      ingress: isolating("Ingress"),
+      egress: isolating("Egress"),
+    };
+    entry.unprotected = getUnprotectedDirections(entry);
+    return entry;
+  });
+
+  const summarize = (entries) => {
+    const ingress = entries.filter((entry) => entry.ingress.length > 0).length;
+    const egress = entries.filter((entry) => entry.egress.length > 0).length;
+    const both = entries.filter((entry) => !entry.unprotected).length;
+    return {
+      total: entries.length,
+      ingress,
+      egress,
+      both,
+      ingressPercent: percent(ingress, entries.length),
+      egressPercent: percent(egress, entries.length),
+      bothPercent: percent(both, entries.length),
+    };
+  };
+
+  const namespaces = _.sortBy(
+    Object.entries(_.groupBy(workloads, "workload.namespace")),
+    ([namespace]) => namespace,
+  ).map(([namespace, entries]) => ({
+    namespace,
+    workloads: _.sortBy(entries, "key"),
+    ...summarize(entries),
+  }));
+
+  return { workloads, namespaces, totals: summarize(workloads) };
+};
+
+// Quotes a CSV field when it contains a separator, quote or line break
+const toCsvField = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats a coverage report as CSV, one row per workload
+ * @param {Object} coverage - Result of computeCoverage
+ * @returns {String} - CSV text with a header row
+ */
+export const formatCoverageCsv = (coverage) => {
+  const header = [
+    "namespace",
+    "kind",
+    "name",
+    "ingress_protected",
+    "egress_protected",
+    "unprotected",
+    "ingress_policies",
+    "egress_policies",
+  ];
+  const rows = coverage.namespaces.flatMap(({ workloads }) =>
+    workloads.map(({ workload, ingress, egress, unprotected }) => [
+      workload.namespace,
+      workload.kind,
+      workload.name,
+      ingress.length > 0,
+      egress.length > 0,
+      unprotected || "",
+      ingress.join(" "),
+      egress.join(" "),
+    ]),
+  );
+
+  return [header, ...rows]
+    .map((row) => row.map(toCsvField).join(","))
+    .join("\n")
+    .concat("\n");
+};
@@ -0,0 +1,352 @@
+import _ from "lodash";
+import {
+  isEmptySelector,
+  MATCH_DEFINITE,
+  MATCH_NONE,
+  namespaceSelectorOverlap,
+  policySelectsPods,
+  selectorOverlap,
+} from "./selectors.js";
+import { getEffectivePolicyTypes } from "./reachability.js";
+import { describeCiliumPeer, isCiliumPeer } from "./cilium.js";
+import { cidrOverlaps } from "./cidr.js";
+import {
+  getPolicyTiers,
+  getRuleAction,
+  isCalicoPolicy,
+  RULE_ACTION_ALLOW,
+  RULE_ACTION_DENY,
+  RULE_ACTION_LOG,
+} from "./calico.js";
+import {
+  isAdminPolicy,
+  isBaselineAdminPolicy,
+  sortAdminPolicies,
+} from "./adminNetworkPolicy.js";
+import { getManifestRuleIndex } from "./parsers.js";
+
+const DIRECTIONS = [
+  { direction: "ingress", policyType: "Ingress", peerKey: "from" },
+  { direction: "egress", policyType: "Egress", peerKey: "to" },
+];
+
+/**
+ * Formats a label selector as a compact string, e.g. "app=web, tier In (a, b)"
+ * @param {Object} selector - Label selector
+ * @returns {String}
+ */
+export const formatSelector = (selector) => {
+  if (!selector || isEmptySelector(selector)) return "all";
+
+  const labels = Object.entries(selector.matchLabels || {}).map(
+    ([key, value]) => `${key}=${value}`,
+  );
+  const expressions = (selector.matchExpressions || []).map((expr) =>
+    expr.values?.length
+      ? `${expr.key} ${expr.operator} (${expr.values.join(", ")})`
+      : `${expr.key} ${expr.operator}`,
+  );
+  const calicoExpression = selector.expression ? [selector.expression] : [];
+  return [...labels, ...expressions, ...calicoExpression].join(", ");
+};
+
+/**
+ * Normalizes a rule peer so identical peers from different policies compare
+ * equal. Peers without namespaceSelector are scoped to the policy namespace.
+ * @param {Object|null} peer - Rule peer, null for a rule without peers
+ * @param {String} policyNamespace - Namespace of the policy owning the rule
+ * @returns {Object} - { kind, namespace, namespaceSelector, podSelector,
+ *   ipBlock, name }
+ */
+const normalizePeer = (peer, policyNamespace) => {
+  if (!peer) return { kind: "anywhere" };
+  if (isCiliumPeer(peer)) {
+    return { kind: "cilium", name: describeCiliumPeer(peer) };
+  }
+  if (peer.ipBlock) {
+    return {
+      kind: "ipBlock",
+      ipBlock: { cidr: peer.ipBlock.cidr, except: peer.ipBlock.except || [] },
+    };
+  }
+  if (peer.namespaceSelector) {
+    return {
+      kind: "namespaces",
+      namespaceSelector: peer.namespaceSelector,
+      podSelector: peer.podSelector || {},
+    };
+  }
+  return {
+    kind: "pods",
+    namespace: policyNamespace,
+    podSelector: peer.podSelector || {},
+  };
+};
+
+/**
+ * Describes a normalized peer in one line
+ * @param {Object} peer - Normalized peer
+ * @param {String} direction - "ingress" or "egress"
+ * @returns {String}
+ */
+export const describePeer = (peer, direction) => {
+  switch (peer.kind) {
+    case "anywhere":
+      return direction === "ingress" ? "Any source" : "Any destination";
+    case "ipBlock":
+      return peer.ipBlock.except.length > 0
+        ? `CIDR ${peer.ipBlock.cidr} except ${peer.ipBlock.except.join(", ")}`
+        : `CIDR ${peer.ipBlock.cidr}`;
+    case "namespaces":
+      return `Pods (${formatSelector(peer.podSelector)}) in namespaces (${formatSelector(peer.namespaceSelector)})`;
+    case "cilium":
+      return peer.name;
+    default:
+      return `Pods (${formatSelector(peer.podSelector)}) in ${peer.namespace}`;
+  }
+};
+
+// Whether two normalized peers can stand for the same traffic
+const peersMayOverlap = (a, b) => {
+  if (a.kind === "anywhere" || b.kind === "anywhere") return true;
+  if (a.kind === "ipBlock" || b.kind === "ipBlock") {
+    return a.kind === b.kind && cidrOverlaps(a.ipBlock.cidr, b.ipBlock.cidr);
+  }
+  if (a.kind === "cilium" || b.kind === "cilium") return a.name === b.name;
+
+  // Both select pods, in the policy namespace or by namespace selector
+  let namespaceMatch;
+  if (a.kind === "pods" && b.kind === "pods") {
+    namespaceMatch = a.namespace === b.namespace ? MATCH_DEFINITE : MATCH_NONE;
+  } else if (a.kind === "pods" || b.kind === "pods") {
+    const [pods, namespaces] = a.kind === "pods" ? [a, b] : [b, a];
+    namespaceMatch = namespaceSelectorOverlap(
+      namespaces.namespaceSelector,
+      pods.namespace,
+    );
+  } else {
+    namespaceMatch = selectorOverlap(a.namespaceSelector, b.namespaceSelector);
+  }
+  return (
+    namespaceMatch !== MATCH_NONE &&
+    selectorOverlap(a.podSelector, b.podSelector) !== MATCH_NONE
+  );
+};
+
+// Whether two port lists (null for every port) can admit the same port.
+// Named ports may stand for any number.
+const portsMayOverlap = (a, b) => {
+  if (!a || !b) return true;
+  const toRange = (entry) => {
+    if (entry.port === undefined || entry.port === null) return null;
+    const start = Number(entry.port);
+    if (Number.isNaN(start)) return null;
+    return [start, entry.endPort !== undefined ? Number(entry.endPort) : start];
+  };
+  return a.some((left) =>
+    b.some((right) => {
+      if ((left.protocol || "TCP") !== (right.protocol || "TCP")) return false;
+      const [leftRange, rightRange] = [toRange(left), toRange(right)];
+      if (!leftRange || !rightRange) return true;
+      return leftRange[0] <= rightRange[1] && rightRange[0] <= leftRange[1];
+    }),
+  );
+};
+
+// Earlier Deny and Pass peers that may take the traffic of a peer first. A
+// Deny ends the evaluation, a Pass only skips the rest of its stage.
+const findShadowingRules = (blockers, peer, ports, stage) =>
+  blockers
+    .filter(
+      (blocker) =>
+        (blocker.reference.action === RULE_ACTION_DENY ||
+          blocker.stage === stage) &&
+        peersMayOverlap(blocker.peer, peer) &&
+        portsMayOverlap(blocker.ports, ports),
+    )
+    .map((blocker) => blocker.reference);
+
+/**
+ * Puts the policies of one direction in evaluation order: AdminNetworkPolicies
+ * by priority, then the NetworkPolicies, tier by tier when Calico policies
+ * are among them, then the BaselineAdminNetworkPolicy. Each policy gets the
+ * stage its Pass rules skip the rest of.
+ * @param {Array} applying - [{ policy, match }] policies of the direction
+ * @returns {Array} - [{ policy, match, stage }]
+ */
+const getEvaluationOrder = (applying) => {
+  const matches = new Map(applying.map(({ policy, match }) => [policy, match]));
+  const policies = applying.map(({ policy }) => policy);
+  const withStage = (stagePolicies, stage) =>
+    stagePolicies.map((policy) => ({
+      policy,
+      match: matches.get(policy),
+      stage,
+    }));
+
+  const networkPolicies = policies.filter((policy) => !isAdminPolicy(policy));
+  let networkStages = withStage(networkPolicies, "network");
+  if (networkPolicies.some(isCalicoPolicy)) {
+    networkStages = getPolicyTiers(networkPolicies).flatMap(
+      ({ tier, policies: tiered }) => withStage(tiered, `tier:${tier}`),
+    );
+  }
+
+  return [
+    ...withStage(
+      sortAdminPolicies(
+        policies.filter(
+          (policy) => isAdminPolicy(policy) && !isBaselineAdminPolicy(policy),
+        ),
+      ),
+      "admin",
+    ),
+    ...networkStages,
+    ...withStage(policies.filter(isBaselineAdminPolicy), "baseline"),
+  ];
+};
+
+/**
+ * Computes the effective policy of the pods chosen by a pod selector: every
+ * policy selecting them and, per direction, their rules in evaluation order.
+ * NetworkPolicy rules are additive; admin and Calico rules apply in order, so
+ * their Deny and Pass rules are listed too and every Allow rule names the
+ * earlier Deny and Pass rules that may take its traffic first (shadowedBy).
+ * Each rule is flattened into one entry per peer; identical peer, ports and
+ * action entries are merged and keep a link to every source rule.
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {String} namespace - Namespace of the pods
+ * @param {Object} podSelector - Selector describing the pods
+ * @returns {Object} - { namespace, podSelector, policies, ingress, egress }
+ */
+export const computeEffectivePolicy = (policies, namespace, podSelector) => {
+  const selecting = [];
+  policies.forEach((policy) => {
+    const match = policySelectsPods(policy, namespace, podSelector);
+    if (match === MATCH_NONE) return;
+
+    selecting.push({
+      policy,
+      match,
+      policyTypes: getEffectivePolicyTypes(policy),
+    });
+  });
+
+  const result = {
+    namespace,
+    podSelector,
+    policies: selecting.map(({ policy, match, policyTypes }) => ({
+      policy: policy.name,
+      namespace: policy.namespace,
+      match,
+      policyTypes,
+    })),
+  };
+
+  DIRECTIONS.forEach(({ direction, policyType, peerKey }) => {
+    const applying = selecting.filter(({ policyTypes }) =>
+      policyTypes.includes(policyType),
+    );
+    const entries = [];
+    // Deny and Pass peers seen so far, which may shadow later Allow rules
+    const blockers = [];
+    // Allow entries of NetworkPolicies, which decide the status
+    const networkAllows = [];
+
+    getEvaluationOrder(applying).forEach(({ policy, match, stage }) => {
+      (policy[direction] || []).forEach((rule, ruleIndex) => {
+        const action = getRuleAction(rule);
+        // Log rules only record traffic
+        if (!rule || action === RULE_ACTION_LOG) return;
+
+        const ports =
+          Array.isArray(rule.ports) && rule.ports.length > 0
+            ? rule.ports
+            : null;
+        const peers =
+          Array.isArray(rule[peerKey]) && rule[peerKey].length > 0
+            ? rule[peerKey]
+            : [null];
+
+        const ruleBlockers = [];
+        peers.forEach((rawPeer, peerIndex) => {
+          const peer = normalizePeer(rawPeer, policy.namespace);
+          const source = {
+            policy: policy.name,
+            namespace: policy.namespace,
+            direction,
+            ruleIndex: getManifestRuleIndex(policy, direction, ruleIndex),
+            peerIndex: rawPeer ? peerIndex : null,
+            match,
+            action,
+            shadowedBy:
+              action === RULE_ACTION_ALLOW
+                ? findShadowingRules(blockers, peer, ports, stage)
+                : [],
+          };
+
+          if (action !== RULE_ACTION_ALLOW) {
+            ruleBlockers.push({
+              peer,
+              ports,
+              stage,
+              reference: _.pick(source, [
+                "policy",
+                "namespace",
+                "direction",
+                "ruleIndex",
+                "peerIndex",
+                "action",
+              ]),
+            });
+          } else if (!isAdminPolicy(policy)) {
+            networkAllows.push({ peer, ports, source });
+          }
+
+          const existing = entries.find(
+            (entry) =>
+              entry.action === action &&
+              _.isEqual(entry.peer, peer) &&
+              _.isEqual(entry.ports, ports),
+          );
+          if (existing) {
+            existing.sources.push(source);
+          } else {
+            entries.push({ peer, ports, action, sources: [source] });
+          }
+        });
+        blockers.push(...ruleBlockers);
+      });
+    });
+
+    // Admin policies do not isolate pods
+    const isolated = applying.some(
+      ({ policy, match }) => !isAdminPolicy(policy) && match === MATCH_DEFINITE,
+    );
+
+    let status = "restricted";
+    if (!isolated) {
+      status = "unrestricted";
+    } else if (networkAllows.length === 0) {
+      status = "deny-all";
+    } else if (
+      networkAllows.some(
+        ({ peer, ports, source }) =>
+          peer.kind === "anywhere" && !ports && source.shadowedBy.length === 0,
+      )
+    ) {
+      status = "allow-all";
+    }
+
+    result[direction] = {
+      status,
+      isolated,
+      // Only policies that may or may not select the pods apply
+      possiblyIsolated:
+        !isolated && applying.some(({ policy }) => !isAdminPolicy(policy)),
+      entries,
+    };
+  });
+
+  return result;
+};
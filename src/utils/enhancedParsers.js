@@ -1,11 +1,97 @@
+import {
+  isEmptySelector,
+  MATCH_DEFINITE,
+  MATCH_NONE,
+  MATCH_POSSIBLE,
+  peerSelectsPods,
+} from "./selectors.js";
+import { computeIsolation } from "./isolation.js";
+import { computeEffectivePolicy, formatSelector } from "./effectivePolicy.js";
+import { buildCidrHierarchy, normalizeCidr, validateIpBlock } from "./cidr.js";
+import { matchCidrCatalog } from "./cidrCatalog.js";
+import { getEffectivePolicyTypes } from "./reachability.js";
+import { createPolicySelectorIndex } from "./selectorIndex.js";
+import { getCiliumPeerName, isCiliumPeer } from "./cilium.js";
+import { RULE_ACTION_ALLOW, RULE_ACTION_LOG } from "./calico.js";
+import { isAdminPolicy } from "./adminNetworkPolicy.js";
+import { getManifestRuleIndex } from "./parsers.js";
+
+/**
+ * Returns the rules of a direction that take effect. Rules for a direction
+ * missing from policyTypes are ignored by Kubernetes, so they are not drawn.
+ * @param {Object} policy - Parsed NetworkPolicy
+ * @param {String} direction - "ingress" or "egress"
+ * @returns {Array} - The rules (indexes preserved) or an empty array
+ */
+const getActiveRules = (policy, direction) => {
+  const policyType = direction === "ingress" ? "Ingress" : "Egress";
+  return getEffectivePolicyTypes(policy).includes(policyType)
+    ? policy[direction] || []
+    : [];
+};
+
+// Fill color of each node type
+const NODE_COLORS = {
+  pod: "#66aaff",
+  namespace: "#44cc44",
+  ipBlock: "#ffaa44",
+  combined: "#9966cc",
+  entity: "#14b8a6",
+  fqdn: "#ec4899",
+  service: "#eab308",
+};
+
+// Node type of a Cilium entity, FQDN or service peer
+const getCiliumPeerType = (peer) => {
+  if (peer.entity) return "entity";
+  return peer.fqdn ? "fqdn" : "service";
+};
+
+// Links carry the L7 rules of their rule, for the tooltip, and the action of
+// Calico and admin policy rules that do not allow
+const getRuleLinkOptions = (rule) => {
+  const otherAction = rule.action && rule.action !== RULE_ACTION_ALLOW;
+  return {
+    ...(rule.l7 && { l7: rule.l7 }),
+    ...(otherAction && { action: rule.action }),
+  };
+};
+
+// Log rules of Calico policies change nothing, so they are not drawn
+const isDrawnRule = (rule) => !!rule && rule.action !== RULE_ACTION_LOG;
+
+// Namespace part of a policy target label; policies selecting namespaces by
+// label show the selector
+const getTargetNamespaceLabel = (policy) =>
+  policy.namespaceSelector
+    ? `ns(${formatSelector(policy.namespaceSelector)})`
+    : policy.namespace;
+
+// Canonical identity of an ipBlock: equal ranges written differently share a node
+const getIpBlockKey = (ipBlock) => {
+  const except = (ipBlock.except || []).map(normalizeCidr).sort();
+  const cidr = ipBlock.cidr ? normalizeCidr(ipBlock.cidr) : "unknown";
+  return except.length > 0 ? `${cidr}:except:${except.join(",")}` : cidr;
+};
+
 /**
  * Builds graph data from NetworkPolicy objects with improved cross-policy connections
- * and node deduplication logic
+ * and node deduplication logic. Cross-policy links are found with the label selector
+ * engine; links that can only possibly match are flagged with `possibleMatch`.
  * @param {Array} policies Array of parsed NetworkPolicy objects
  * @param {Boolean} deduplicateNodes Whether to deduplicate nodes with identical selectors
+ * @param {Array} cidrCatalog Named CIDRs used to label ipBlock nodes
+ * @param {Array} selectingPolicies Policies that isolate the pods of the nodes,
+ * defaults to the drawn ones; pass every loaded policy when the drawn ones are
+ * filtered, since hidden policies still isolate pods
  * @returns {Object} Graph data with nodes and links
  */
-export const buildGraphData = (policies, deduplicateNodes = true) => {
+export const buildGraphData = (
+  policies,
+  deduplicateNodes = true,
+  cidrCatalog = [],
+  selectingPolicies = policies,
+) => {
   const nodes = new Map();
   const links = [];
   const linkRegistry = new Map(); // Track created links to avoid duplicates
@@ -40,33 +126,63 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
     // If deduplication is disabled, include policy name in the ID to make it unique
     const policyPart = deduplicateNodes ? "" : `:policy:${policyName}`;
 
+    // Targets of policies selecting namespaces by label keep that selector
+    const namespaceSelectorPart = details.namespaceSelector
+      ? `:ns:${normalizeSelector(details.namespaceSelector)}`
+      : "";
+
     switch (type) {
       case "pod":
         // For pod selectors, we only care about the selector itself, not any policy-specific info
         // Unless deduplication is disabled
-        return `pod:${namespace}:${normalizeSelector(details.podSelector)}${policyPart}`;
+        return `pod:${namespace}:${normalizeSelector(details.podSelector)}${namespaceSelectorPart}${policyPart}`;
       case "namespace":
         // For namespace selectors, we only care about the selector itself
         return `namespace:${normalizeSelector(details)}${policyPart}`;
       case "ipBlock":
-        // For IP blocks, the CIDR is the unique identifier
-        return `ipBlock:${details.cidr || "unknown"}${policyPart}`;
+        // For IP blocks, the canonical CIDR and its exceptions identify the range
+        return `ipBlock:${getIpBlockKey(details)}${policyPart}`;
       case "combined":
         // For combined selectors, we need both the namespace and pod selectors
         return `combined:${namespace}:${normalizeSelector(details.namespace)}:${normalizeSelector(details.pod)}${policyPart}`;
       case "anywhere":
         // For "any" destinations or sources, we only distinguish by direction
         return `anywhere:${details.direction}${policyPart}`;
+      case "entity":
+      case "fqdn":
+      case "service":
+        // Cilium peers are identified by what they name
+        return `${type}:${getCiliumPeerName(details)}${policyPart}`;
       default:
         return `unknown:${namespace}:${JSON.stringify(details)}${policyPart}`;
     }
   };
 
-  // Helper to generate link ID that ignores ports
-  const generateLinkId = (sourceId, targetId, direction, policyName = "") => {
+  // Node of the pods a policy selects
+  const getTargetNodeId = (policy) =>
+    generateNodeId(
+      "pod",
+      policy.namespace,
+      {
+        podSelector: policy.podSelector,
+        namespaceSelector: policy.namespaceSelector,
+      },
+      policy.name,
+    );
+
+  // Helper to generate link ID that ignores ports; links of Deny and Pass
+  // rules are kept apart from the ones that allow
+  const generateLinkId = (
+    sourceId,
+    targetId,
+    direction,
+    policyName = "",
+    action = "",
+  ) => {
     // If deduplication is disabled, include policy name in the link ID
     const policyPart = deduplicateNodes ? "" : `:policy:${policyName}`;
-    return `link:${sourceId}:${targetId}:${direction}${policyPart}`;
+    const actionPart = action ? `:${action}` : "";
+    return `link:${sourceId}:${targetId}:${direction}${actionPart}${policyPart}`;
   };
 
   // First pass: build all policy nodes and their direct rules
@@ -77,12 +193,7 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
       if (!Array.isArray(policy.egress)) policy.egress = [];
 
       // Create source node for the policy target - using standardized ID generation
-      const sourceId = generateNodeId(
-        "pod",
-        policy.namespace,
-        { podSelector: policy.podSelector },
-        policy.name,
-      );
+      const sourceId = getTargetNodeId(policy);
 
       // Create a label for pod nodes
       const createPodLabel = (namespace, podSelector) => {
@@ -97,6 +208,11 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
           }
         }
 
+        // Calico selectors that labels cannot express
+        if (podSelector?.expression) {
+          label += `[${podSelector.expression}]`;
+        }
+
         return label;
       };
 
@@ -104,11 +220,17 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
       if (!nodes.has(sourceId)) {
         nodes.set(sourceId, {
           id: sourceId,
-          label: createPodLabel(policy.namespace, policy.podSelector),
+          label: createPodLabel(
+            getTargetNamespaceLabel(policy),
+            policy.podSelector,
+          ),
           type: "pod",
           details: {
             namespace: policy.namespace,
             podSelector: policy.podSelector,
+            ...(policy.namespaceSelector && {
+              namespaceSelector: policy.namespaceSelector,
+            }),
             podSelectorLabels: policy.podSelectorLabels,
           },
           detailText: policy.podSelectorLabels
@@ -137,7 +259,14 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
         }
       }
 
-      // Helper to add a link with deduplication
+      // Admin policy subjects are drawn as cluster-scoped layers
+      if (isAdminPolicy(policy)) {
+        nodes.get(sourceId).adminKind = policy.kind;
+      }
+
+      // Helper to add a link with deduplication. Links list the rules they
+      // come from, so that highlights tell apart policies sharing a name.
+      const policyNamespace = policy.namespace;
       const addLink = (
         sourceId,
         targetId,
@@ -152,6 +281,7 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
           targetId,
           direction,
           policy,
+          options.action,
         );
 
         // Check if we already have a similar link (ignoring ports)
@@ -167,6 +297,11 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
             existingLink.policies.push(policy);
             existingLink.policy = existingLink.policies.join(", ");
           }
+          existingLink.ruleRefs.push({
+            policy,
+            namespace: policyNamespace,
+            ruleIndex,
+          });
 
           // Merge ports if they differ
           if (JSON.stringify(existingLink.ports) !== JSON.stringify(ports)) {
@@ -184,6 +319,10 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
             existingLink.detailedPorts = true;
           }
 
+          if (options.l7) {
+            existingLink.l7 = [...(existingLink.l7 || []), ...options.l7];
+          }
+
           return existingLink;
         } else {
           // Create new link
@@ -194,6 +333,7 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
             direction,
             policy,
             ruleIndex,
+            ruleRefs: [{ policy, namespace: policyNamespace, ruleIndex }],
             ...options,
           };
 
@@ -251,11 +391,16 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
                     return `${expr.key} ${expr.operator} [${expr.values?.join(", ") || ""}]`;
                   })
                   .join("\n");
+            } else if (details.expression) {
+              label = `ns:(${details.expression})`;
+              detailText = `Selector: ${details.expression}`;
             } else {
               label = "ns:selector";
             }
           } else if (type === "ipBlock") {
-            label = `CIDR:${details.cidr}`;
+            label = details.except?.length
+              ? `CIDR:${details.cidr} (-${details.except.length})`
+              : `CIDR:${details.cidr}`;
             detailText = `CIDR: ${details.cidr}`;
             if (details.except) {
               detailText += `\nExcept: ${details.except.join(", ")}`;
@@ -275,12 +420,18 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
                     `${e.key.split("/").pop()} ${e.operator} [${e.values?.join(", ") || ""}]`,
                 )
                 .join(", ");
+            } else if (details.namespace?.expression) {
+              nsLabel = details.namespace.expression;
+            } else if (isEmptySelector(details.namespace)) {
+              nsLabel = "all";
             }
 
             if (details.pod?.matchLabels) {
               podLabel = Object.entries(details.pod.matchLabels)
                 .map(([key, value]) => `${key.split("/").pop()}: ${value}`)
                 .join(", ");
+            } else if (details.pod?.expression) {
+              podLabel = details.pod.expression;
             }
 
             label = `ns:(${nsLabel})+pod(${podLabel})`;
@@ -316,6 +467,17 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
               details.direction === "ingress"
                 ? "Any Source"
                 : "Any Destination";
+          } else if (type === "entity") {
+            label = `entity:${details.entity}`;
+            detailText = `Cilium entity: ${details.entity}`;
+          } else if (type === "fqdn") {
+            label = `fqdn:${getCiliumPeerName(details)}`;
+            detailText = details.fqdn.matchName
+              ? `DNS name: ${details.fqdn.matchName}`
+              : `DNS pattern: ${details.fqdn.matchPattern}`;
+          } else if (type === "service") {
+            label = `svc:${getCiliumPeerName(details)}`;
+            detailText = `Kubernetes service: ${getCiliumPeerName(details)}`;
           }
 
           // CRITICAL FIX: For combined nodes, preserve the actual selectors in details
@@ -339,16 +501,7 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
             details: nodeDetails, // Use the corrected details object
             direction,
             detailText,
-            color:
-              type === "pod"
-                ? "#66aaff"
-                : type === "namespace"
-                  ? "#44cc44"
-                  : type === "ipBlock"
-                    ? "#ffaa44"
-                    : type === "combined"
-                      ? "#9966cc"
-                      : "#dddddd",
+            color: NODE_COLORS[type] || "#dddddd",
             policies: [policy.name],
           });
         } else {
@@ -374,8 +527,9 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
       };
 
       // Process ingress rules
-      policy.ingress.forEach((rule, ruleIndex) => {
-        if (!rule) return;
+      getActiveRules(policy, "ingress").forEach((rule, index) => {
+        if (!isDrawnRule(rule)) return;
+        const ruleIndex = getManifestRuleIndex(policy, "ingress", index);
 
         if (!rule.from || !Array.isArray(rule.from) || rule.from.length === 0) {
           // Allow from anywhere
@@ -392,6 +546,7 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
             "ingress",
             policy.name,
             ruleIndex,
+            getRuleLinkOptions(rule),
           );
         } else {
           rule.from.forEach((from, fromIndex) => {
@@ -399,7 +554,14 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
 
             let fromId;
 
-            if (from.namespaceSelector && from.podSelector) {
+            if (isCiliumPeer(from)) {
+              fromId = addNode(
+                getCiliumPeerType(from),
+                policy.namespace,
+                from,
+                "ingress",
+              );
+            } else if (from.namespaceSelector && from.podSelector) {
               // Combined selector - CRITICAL FIX: Preserve both selectors
               fromId = addNode(
                 "combined",
@@ -441,6 +603,7 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
                 "ingress",
                 policy.name,
                 ruleIndex,
+                getRuleLinkOptions(rule),
               );
             }
           });
@@ -448,8 +611,9 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
       });
 
       // Process egress rules
-      policy.egress.forEach((rule, ruleIndex) => {
-        if (!rule) return;
+      getActiveRules(policy, "egress").forEach((rule, index) => {
+        if (!isDrawnRule(rule)) return;
+        const ruleIndex = getManifestRuleIndex(policy, "egress", index);
 
         if (!rule.to || !Array.isArray(rule.to) || rule.to.length === 0) {
           // Allow to anywhere
@@ -466,6 +630,7 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
             "egress",
             policy.name,
             ruleIndex,
+            getRuleLinkOptions(rule),
           );
         } else {
           rule.to.forEach((to, toIndex) => {
@@ -473,7 +638,14 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
 
             let toId;
 
-            if (to.namespaceSelector && to.podSelector) {
+            if (isCiliumPeer(to)) {
+              toId = addNode(
+                getCiliumPeerType(to),
+                policy.namespace,
+                to,
+                "egress",
+              );
+            } else if (to.namespaceSelector && to.podSelector) {
               // Combined selector - CRITICAL FIX: Preserve both selectors
               toId = addNode(
                 "combined",
@@ -510,6 +682,7 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
                 "egress",
                 policy.name,
                 ruleIndex,
+                getRuleLinkOptions(rule),
               );
             }
           });
@@ -520,9 +693,61 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
     }
   });
 
+  const policyIndex = createPolicySelectorIndex(policies);
+
   // Only generate cross-policy connections if deduplication is enabled
   if (deduplicateNodes) {
     // Second pass: Connect NetworkPolicies to each other based on selectors
+    const addCrossPolicyLink = (
+      fromPolicy,
+      toPolicy,
+      direction,
+      rule,
+      peer,
+      matchType,
+    ) => {
+      const sourceId = getTargetNodeId(fromPolicy);
+      const targetId = getTargetNodeId(toPolicy);
+      // Policies sharing a pod selector already share a node
+      if (sourceId === targetId) return;
+
+      // Generate a consistent link ID that is order-dependent
+      const linkOptions = getRuleLinkOptions(rule);
+      const linkId = generateLinkId(
+        sourceId,
+        targetId,
+        direction,
+        `${fromPolicy.name}->${toPolicy.name}`,
+        linkOptions.action,
+      );
+      const existingLink = linkRegistry.get(linkId);
+
+      if (existingLink) {
+        // A definite match from another peer outranks a possible one
+        if (matchType === MATCH_DEFINITE && existingLink.possibleMatch) {
+          existingLink.possibleMatch = false;
+          existingLink.ports = rule.ports || "all";
+        }
+        return;
+      }
+
+      const newLink = {
+        source: sourceId,
+        target: targetId,
+        direction,
+        policy: `${fromPolicy.name} → ${toPolicy.name}`,
+        ports: rule.ports || "all",
+        crossPolicy: true,
+        possibleMatch: matchType === MATCH_POSSIBLE,
+        combinedSelector: !!(peer.namespaceSelector && peer.podSelector),
+        ...linkOptions,
+      };
+
+      links.push(newLink);
+      // Register the link to avoid duplicates
+      linkRegistry.set(linkId, newLink);
+    };
+
     policies.forEach((sourcePolicy) => {
       // Skip if no ingress or egress rules
       if (
@@ -532,150 +757,127 @@ export const buildGraphData = (policies, deduplicateNodes = true) => {
         return;
       }
 
-      const sourcePodDetails = { podSelector: sourcePolicy.podSelector };
-      const sourcePolicyId = generateNodeId(
-        "pod",
-        sourcePolicy.namespace,
-        sourcePodDetails,
-        sourcePolicy.name,
-      );
-
-      // Function to check if a pod selector matches a policy's pod selector
-      const doesSelectorMatch = (selector, targetSelector) => {
-        // If either doesn't have matchLabels, can't determine a match
-        if (!selector.matchLabels || !targetSelector.matchLabels) {
-          return false;
-        }
+      // Find the other policies whose pod selector can be matched by a peer
+      const forEachMatchingPolicy = (peer, callback) => {
+        if (!peer || peer.ipBlock) return;
 
-        // Check if all labels in the selector match the target
-        // This is a simplified approach; in K8s, the actual selector matching is more complex
-        return Object.entries(selector.matchLabels).every(([key, value]) => {
-          return targetSelector.matchLabels[key] === value;
-        });
-      };
+        policyIndex
+          .getCandidates(peer, sourcePolicy.namespace)
+          .forEach((targetPolicy) => {
+            if (sourcePolicy === targetPolicy) return;
 
-      // Check ingress rules
-      sourcePolicy.ingress.forEach((rule, ruleIndex) => {
-        if (!rule.from || !Array.isArray(rule.from)) return;
-
-        rule.from.forEach((from, fromIndex) => {
-          if (!from.podSelector) return;
-
-          // Find policies whose pod selector matches this ingress rule's from.podSelector
-          policies.forEach((targetPolicy) => {
-            // Skip self-references or cross-namespace (unless explicitly allowed)
-            if (
-              sourcePolicy.name === targetPolicy.name ||
-              (sourcePolicy.namespace !== targetPolicy.namespace &&
-                !from.namespaceSelector)
-            ) {
-              return;
-            }
-
-            // Check if the targetPolicy's podSelector matches the from.podSelector
-            if (doesSelectorMatch(from.podSelector, targetPolicy.podSelector)) {
-              const targetPodDetails = {
-                podSelector: targetPolicy.podSelector,
-              };
-              const targetPolicyId = generateNodeId(
-                "pod",
-                targetPolicy.namespace,
-                targetPodDetails,
-                targetPolicy.name,
-              );
-
-              // Generate a consistent link ID that is order-dependent
-              const linkId = generateLinkId(
-                targetPolicyId,
-                sourcePolicyId,
-                "ingress",
-                `${targetPolicy.name}->${sourcePolicy.name}`,
-              );
-              const policyName = `${targetPolicy.name} → ${sourcePolicy.name}`;
-
-              // Check if this link already exists
-              if (!linkRegistry.has(linkId)) {
-                const newLink = {
-                  source: targetPolicyId,
-                  target: sourcePolicyId,
-                  direction: "ingress",
-                  policy: policyName,
-                  ports: rule.ports || "all",
-                  crossPolicy: true,
-                  combinedSelector: from.namespaceSelector && from.podSelector,
-                };
+            const matchType = peerSelectsPods(
+              peer,
+              sourcePolicy.namespace,
+              targetPolicy.podSelector,
+              targetPolicy.namespace,
+            );
 
-                links.push(newLink);
-                // Register the link to avoid duplicates
-                linkRegistry.set(linkId, newLink);
-              }
+            if (matchType !== MATCH_NONE) {
+              callback(targetPolicy, matchType);
             }
           });
+      };
+
+      // Check ingress rules
+      getActiveRules(sourcePolicy, "ingress").forEach((rule) => {
+        if (!isDrawnRule(rule) || !Array.isArray(rule.from)) return;
+
+        rule.from.forEach((from) => {
+          forEachMatchingPolicy(from, (targetPolicy, matchType) =>
+            addCrossPolicyLink(
+              targetPolicy,
+              sourcePolicy,
+              "ingress",
+              rule,
+              from,
+              matchType,
+            ),
+          );
         });
       });
 
       // Check egress rules
-      sourcePolicy.egress.forEach((rule, ruleIndex) => {
-        if (!rule.to || !Array.isArray(rule.to)) return;
-
-        rule.to.forEach((to, toIndex) => {
-          if (!to.podSelector) return;
-
-          // Find policies whose pod selector matches this egress rule's to.podSelector
-          policies.forEach((targetPolicy) => {
-            // Skip self-references or cross-namespace (unless explicitly allowed)
-            if (
-              sourcePolicy.name === targetPolicy.name ||
-              (sourcePolicy.namespace !== targetPolicy.namespace &&
-                !to.namespaceSelector)
-            ) {
-              return;
-            }
-
-            // Check if the targetPolicy's podSelector matches the to.podSelector
-            if (doesSelectorMatch(to.podSelector, targetPolicy.podSelector)) {
-              const targetPodDetails = {
-                podSelector: targetPolicy.podSelector,
-              };
-              const targetPolicyId = generateNodeId(
-                "pod",
-                targetPolicy.namespace,
-                targetPodDetails,
-                targetPolicy.name,
-              );
-
-              // Generate a consistent link ID that is order-dependent
-              const linkId = generateLinkId(
-                sourcePolicyId,
-                targetPolicyId,
-                "egress",
-                `${sourcePolicy.name}->${targetPolicy.name}`,
-              );
-              const policyName = `${sourcePolicy.name} → ${targetPolicy.name}`;
-
-              // Check if this link already exists
-              if (!linkRegistry.has(linkId)) {
-                const newLink = {
-                  source: sourcePolicyId,
-                  target: targetPolicyId,
-                  direction: "egress",
-                  policy: policyName,
-                  ports: rule.ports || "all",
-                  crossPolicy: true,
-                  combinedSelector: to.namespaceSelector && to.podSelector,
-                };
-
-                links.push(newLink);
-                // Register the link to avoid duplicates
-                linkRegistry.set(linkId, newLink);
-              }
-            }
-          });
+      getActiveRules(sourcePolicy, "egress").forEach((rule) => {
+        if (!isDrawnRule(rule) || !Array.isArray(rule.to)) return;
+
+        rule.to.forEach((to) => {
+          forEachMatchingPolicy(to, (targetPolicy, matchType) =>
+            addCrossPolicyLink(
+              sourcePolicy,
+              targetPolicy,
+              "egress",
+              rule,
+              to,
+              matchType,
+            ),
+          );
         });
       });
     });
   }
 
+  // Annotate pod selector nodes with their ingress/egress isolation state so that
+  // default-deny policies without rules are still visible in the graph, and with
+  // the effective policy merged from every policy selecting them
+  const selectingIndex =
+    selectingPolicies === policies
+      ? policyIndex
+      : createPolicySelectorIndex(selectingPolicies);
+  nodes.forEach((node) => {
+    if (node.type !== "pod" || !node.details?.namespace) return;
+
+    // Only policies of the node's namespace whose labels do not conflict
+    // with the node's can select its pods
+    const candidatePolicies = selectingIndex.getNamespaceCandidates(
+      node.details.namespace,
+      node.details.podSelector,
+    );
+    node.isolation = computeIsolation(
+      candidatePolicies,
+      node.details.namespace,
+      node.details.podSelector,
+    );
+    node.effectivePolicy = computeEffectivePolicy(
+      candidatePolicies,
+      node.details.namespace,
+      node.details.podSelector,
+    );
+  });
+
+  // Validate ipBlock nodes and relate their ranges, so contained blocks can
+  // be shown inside the blocks containing them
+  const ipBlockNodes = Array.from(nodes.values()).filter(
+    (node) => node.type === "ipBlock",
+  );
+  const cidrHierarchy = buildCidrHierarchy(
+    ipBlockNodes.map((node) => ({
+      id: node.id,
+      cidr: node.details.cidr,
+      except: node.details.except,
+    })),
+  );
+  ipBlockNodes.forEach((node) => {
+    const relations = cidrHierarchy.get(node.id) || {
+      parentId: null,
+      containedIn: [],
+      contains: [],
+      overlaps: [],
+    };
+    node.cidr = {
+      problems: validateIpBlock(node.details),
+      ...relations,
+      parentCidr: relations.parentId
+        ? nodes.get(relations.parentId).details.cidr
+        : null,
+    };
+
+    node.catalog = matchCidrCatalog(cidrCatalog, node.details.cidr);
+    if (node.catalog) {
+      node.label = node.catalog.label;
+    }
+  });
+
   // Process links to include detailed port information in tooltips
   links.forEach((link) => {
     if (link.detailedPorts && link.portsMap) {
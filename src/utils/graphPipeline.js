@@ -0,0 +1,114 @@
+import { buildGraphData } from "./enhancedParsers.js";
+import { findRedundantRules } from "./redundancy.js";
+import { diffGraphData } from "./policyDiff.js";
+import { annotateNodeWorkloads } from "./workloads.js";
+import { findIstioOverlayLinks } from "./istio.js";
+
+// Everything the graph shows, computed from the loaded policies in one pass so
+// it can run off the main thread
+
+/**
+ * Keeps the links of one direction and the nodes they connect. Default-deny
+ * nodes for that direction stay even without links.
+ * @param {Object} graphData - { nodes, links, diff }
+ * @param {String} directionFilter - "all", "ingress" or "egress"
+ * @returns {Object} - Filtered graph data
+ */
+export const filterGraphByDirection = (graphData, directionFilter) => {
+  if (directionFilter === "all") {
+    return graphData;
+  }
+
+  const links = graphData.links.filter(
+    (link) => link.direction === directionFilter,
+  );
+
+  const nodeIdsInUse = new Set();
+  links.forEach((link) => {
+    nodeIdsInUse.add(link.source);
+    nodeIdsInUse.add(link.target);
+  });
+
+  const nodes = graphData.nodes.filter(
+    (node) =>
+      nodeIdsInUse.has(node.id) ||
+      (typeof node.id === "object" && nodeIdsInUse.has(node.id.id)) ||
+      node.isolation?.[directionFilter]?.denyAll,
+  );
+
+  return { nodes, links, diff: graphData.diff };
+};
+
+/**
+ * Builds the graph and runs the analysis passes over the policies
+ * @param {Object} options - Pipeline inputs
+ * @param {Array} options.allPolicies - Every loaded policy
+ * @param {Array} options.filteredPolicies - Policies left by the sidebar filters
+ * @param {Array|null} options.baselinePolicies - "Before" set when the graph shows a diff
+ * @param {Boolean} options.deduplicateNodes - Whether equal selectors share a node
+ * @param {Array} options.cidrCatalog - Friendly names for CIDRs
+ * @param {Object|null} options.inventory - Workload inventory
+ * @param {String} options.directionFilter - "all", "ingress" or "egress"
+ * @param {Array} options.authorizationPolicies - Istio AuthorizationPolicies
+ *   compared with the NetworkPolicies for the Istio overlay
+ * @param {Function} onProgress - Called with (stage, fraction done)
+ * @returns {Object} - { graphData, redundantRules, istioOverlay }
+ */
+export const runGraphPipeline = (options, onProgress = () => {}) => {
+  const {
+    allPolicies,
+    filteredPolicies,
+    baselinePolicies = null,
+    deduplicateNodes,
+    cidrCatalog,
+    inventory,
+    directionFilter,
+    authorizationPolicies = [],
+  } = options;
+
+  // A diff compares complete sets, so sidebar filters do not apply to it
+  let graphData;
+  if (baselinePolicies) {
+    onProgress("Building baseline graph", 0);
+    const before = buildGraphData(
+      baselinePolicies,
+      deduplicateNodes,
+      cidrCatalog,
+    );
+    onProgress("Building graph", 0.25);
+    const after = buildGraphData(allPolicies, deduplicateNodes, cidrCatalog);
+    onProgress("Comparing policy sets", 0.5);
+    graphData = diffGraphData(before, after);
+  } else {
+    onProgress("Building graph", 0);
+    // Filtered-out policies still isolate the pods of the nodes shown
+    graphData = buildGraphData(
+      filteredPolicies,
+      deduplicateNodes,
+      cidrCatalog,
+      allPolicies,
+    );
+  }
+
+  onProgress("Resolving workloads", 0.6);
+  annotateNodeWorkloads(graphData.nodes, inventory);
+
+  onProgress("Finding redundant rules", 0.75);
+  const redundantRules = findRedundantRules(allPolicies);
+
+  const shownGraphData = filterGraphByDirection(graphData, directionFilter);
+
+  onProgress("Comparing Istio policies", 0.85);
+  const istioOverlay = findIstioOverlayLinks(
+    allPolicies,
+    authorizationPolicies,
+    shownGraphData.nodes,
+  );
+
+  onProgress("Done", 1);
+  return {
+    graphData: shownGraphData,
+    redundantRules,
+    istioOverlay,
+  };
+};
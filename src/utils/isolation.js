@@ -0,0 +1,94 @@
+import {
+  isEmptySelector,
+  MATCH_DEFINITE,
+  MATCH_NONE,
+  policySelectsPods,
+} from "./selectors.js";
+import { getEffectivePolicyTypes } from "./reachability.js";
+import { getRuleAction, RULE_ACTION_DENY, RULE_ACTION_LOG } from "./calico.js";
+import { isAdminPolicy } from "./adminNetworkPolicy.js";
+
+const DIRECTIONS = [
+  { direction: "ingress", policyType: "Ingress" },
+  { direction: "egress", policyType: "Egress" },
+];
+
+// Deny and Log rules of Calico policies let nothing through
+const mayAllow = (rule) =>
+  ![RULE_ACTION_DENY, RULE_ACTION_LOG].includes(getRuleAction(rule));
+
+/**
+ * Computes the isolation state of the pods chosen by a pod selector.
+ * Pods become isolated for a direction once any policy of that type selects
+ * them; they are "deny all" when none of those policies has a rule for it.
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {String} namespace - Namespace of the pods
+ * @param {Object} podSelector - Selector describing the pods
+ * @returns {Object} - { ingress, egress } with isolated, denyAll and reasons
+ */
+export const computeIsolation = (policies, namespace, podSelector) => {
+  const result = {};
+
+  DIRECTIONS.forEach(({ direction, policyType }) => {
+    const reasons = [];
+
+    policies.forEach((policy) => {
+      // AdminNetworkPolicies never isolate the pods they select
+      if (isAdminPolicy(policy)) return;
+      if (!getEffectivePolicyTypes(policy).includes(policyType)) return;
+
+      const match = policySelectsPods(policy, namespace, podSelector);
+      if (match === MATCH_NONE) return;
+
+      reasons.push({
+        policy: policy.name,
+        match,
+        namespaceWide: isEmptySelector(policy.podSelector || {}),
+        ruleCount: (policy[direction] || []).filter(mayAllow).length,
+      });
+    });
+
+    const isolated = reasons.some((reason) => reason.match === MATCH_DEFINITE);
+
+    result[direction] = {
+      isolated,
+      // Every policy that may select these pods must be empty for a sure deny-all
+      denyAll: isolated && reasons.every((reason) => reason.ruleCount === 0),
+      namespaceWide: reasons.some(
+        (reason) => reason.match === MATCH_DEFINITE && reason.namespaceWide,
+      ),
+      reasons,
+    };
+  });
+
+  return result;
+};
+
+/**
+ * Describes why pods are (or may be) isolated, one sentence per policy
+ * @param {Object} state - Isolation state of one direction
+ * @param {String} direction - "ingress" or "egress"
+ * @param {String} namespace - Namespace of the pods
+ * @returns {Array} - Explanation strings
+ */
+export const describeIsolation = (state, direction, namespace) => {
+  if (!state) return [];
+
+  const policyType = direction === "ingress" ? "Ingress" : "Egress";
+
+  return state.reasons.map((reason) => {
+    let text;
+    if (reason.match !== MATCH_DEFINITE) {
+      text = `May be selected by ${reason.policy} (${policyType}) if the pods carry its labels`;
+    } else if (reason.namespaceWide) {
+      text = `${reason.policy} selects every pod in namespace ${namespace} for ${policyType}`;
+    } else {
+      text = `Selected by ${reason.policy} for ${policyType}`;
+    }
+
+    if (reason.ruleCount === 0) {
+      text += `; it has no ${direction} rules, so it allows nothing`;
+    }
+    return text;
+  });
+};
@@ -0,0 +1,454 @@
+import {
+  matchesSelector,
+  MATCH_DEFINITE,
+  MATCH_NONE,
+  MATCH_POSSIBLE,
+  strongestMatch,
+  weakestMatch,
+} from "./selectors.js";
+import { evaluateReachability, getWorkloadCandidates } from "./reachability.js";
+
+// Istio AuthorizationPolicies (security.istio.io), which authorize requests
+// at L7 on top of the NetworkPolicies. They are kept apart from the parsed
+// NetworkPolicies and only feed the Istio overlay of the graph, which marks
+// the connections where the two layers disagree.
+
+export const AUTHORIZATION_POLICY_KIND = "AuthorizationPolicy";
+
+export const ISTIO_ACTION_ALLOW = "ALLOW";
+export const ISTIO_ACTION_DENY = "DENY";
+export const ISTIO_ACTION_CUSTOM = "CUSTOM";
+export const ISTIO_ACTION_AUDIT = "AUDIT";
+
+// Policies in Istio's root namespace apply to the whole mesh
+export const ISTIO_ROOT_NAMESPACE = "istio-system";
+
+// Overlay link kinds: what one layer lets through and the other does not
+export const OVERLAY_ISTIO_DENIED = "istio-denied";
+export const OVERLAY_ISTIO_CONDITIONAL = "istio-conditional";
+export const OVERLAY_ISTIO_CUSTOM = "istio-custom";
+export const OVERLAY_L4_DENIED = "l4-denied";
+
+const ISTIO_API_GROUP = "security.istio.io/";
+
+// Default trust domain of workload principals (cluster.local/ns/<ns>/sa/<sa>)
+const TRUST_DOMAIN = "cluster.local";
+
+const SOURCE_FIELDS = [
+  "principals",
+  "notPrincipals",
+  "requestPrincipals",
+  "notRequestPrincipals",
+  "namespaces",
+  "notNamespaces",
+  "ipBlocks",
+  "notIpBlocks",
+  "remoteIpBlocks",
+  "notRemoteIpBlocks",
+];
+const OPERATION_FIELDS = [
+  "hosts",
+  "notHosts",
+  "ports",
+  "notPorts",
+  "methods",
+  "notMethods",
+  "paths",
+  "notPaths",
+];
+
+// Source fields that depend on the request or on pod IPs, which are not known
+const REQUEST_SOURCE_FIELDS = [
+  "requestPrincipals",
+  "notRequestPrincipals",
+  "ipBlocks",
+  "notIpBlocks",
+  "remoteIpBlocks",
+  "notRemoteIpBlocks",
+];
+
+/**
+ * Checks whether a manifest is an Istio AuthorizationPolicy
+ * @param {Object} doc - Kubernetes manifest
+ * @returns {Boolean}
+ */
+export const isIstioAuthorizationPolicy = (doc) =>
+  (doc?.apiVersion || "").startsWith(ISTIO_API_GROUP) &&
+  doc.kind === AUTHORIZATION_POLICY_KIND;
+
+// Keeps the listed fields that hold a list of values
+const pickLists = (entry, fields, path, unsupported) => {
+  const picked = {};
+  Object.entries(entry || {}).forEach(([field, values]) => {
+    if (fields.includes(field) && Array.isArray(values)) {
+      picked[field] = values.map(String);
+    } else {
+      unsupported.push(`${path}.${field}`);
+    }
+  });
+  return picked;
+};
+
+// Sources, operations and conditions of one rule
+const toRule = (rule, index, unsupported) => {
+  const path = `rules[${index}]`;
+  return {
+    from: (rule?.from || []).map((entry, fromIndex) =>
+      pickLists(
+        entry?.source,
+        SOURCE_FIELDS,
+        `${path}.from[${fromIndex}].source`,
+        unsupported,
+      ),
+    ),
+    to: (rule?.to || []).map((entry, toIndex) =>
+      pickLists(
+        entry?.operation,
+        OPERATION_FIELDS,
+        `${path}.to[${toIndex}].operation`,
+        unsupported,
+      ),
+    ),
+    when: (rule?.when || []).map((condition) => ({
+      key: condition?.key,
+      values: condition?.values || [],
+      notValues: condition?.notValues || [],
+    })),
+  };
+};
+
+/**
+ * Parses an AuthorizationPolicy. Policies without rules keep `rules: null`:
+ * they match no request, so an ALLOW policy without rules denies everything.
+ * Policies attached with targetRefs instead of a selector apply to gateways
+ * and services, which are not drawn, and select no workload.
+ * @param {Object} doc - AuthorizationPolicy manifest
+ * @returns {Object} - { name, namespace, kind, apiVersion, action, provider,
+ *   selector, targeted, rules, unsupported }
+ */
+export const parseAuthorizationPolicy = (doc) => {
+  const metadata = doc.metadata || {};
+  const spec = doc.spec || {};
+  const unsupported = [];
+
+  const targeted = !!(spec.targetRef || spec.targetRefs);
+  if (spec.targetRef) unsupported.push("targetRef");
+  if (spec.targetRefs) unsupported.push("targetRefs");
+
+  return {
+    name: metadata.name || "unnamed-policy",
+    namespace: metadata.namespace || "default",
+    kind: doc.kind,
+    apiVersion: doc.apiVersion,
+    action: spec.action || ISTIO_ACTION_ALLOW,
+    provider: spec.provider?.name || null,
+    selector: spec.selector?.matchLabels
+      ? { matchLabels: spec.selector.matchLabels }
+      : null,
+    targeted,
+    rules: Array.isArray(spec.rules)
+      ? spec.rules.map((rule, index) => toRule(rule, index, unsupported))
+      : null,
+    unsupported,
+  };
+};
+
+/**
+ * Parses the AuthorizationPolicies among Kubernetes documents
+ * @param {Array} documents - Parsed manifests
+ * @returns {Array} - Parsed AuthorizationPolicies
+ */
+export const parseAuthorizationPolicies = (documents) =>
+  documents.filter(isIstioAuthorizationPolicy).map(parseAuthorizationPolicy);
+
+/**
+ * Checks whether an AuthorizationPolicy applies to a workload: policies
+ * select workloads of their namespace, or of every namespace from the root
+ * namespace, and a missing selector selects them all
+ * @param {Object} policy - Parsed AuthorizationPolicy
+ * @param {Object} workload - { namespace, labels }
+ * @returns {Boolean}
+ */
+export const authorizationPolicySelectsWorkload = (policy, workload) => {
+  if (policy.targeted) return false;
+  if (
+    policy.namespace !== workload.namespace &&
+    policy.namespace !== ISTIO_ROOT_NAMESPACE
+  ) {
+    return false;
+  }
+  return !policy.selector || matchesSelector(policy.selector, workload.labels);
+};
+
+// Istio string match: exact, prefix ("abc*"), suffix ("*abc") or any ("*")
+const matchesValue = (pattern, value) => {
+  if (pattern === "*") return value !== "";
+  if (pattern.endsWith("*")) return value.startsWith(pattern.slice(0, -1));
+  if (pattern.startsWith("*")) return value.endsWith(pattern.slice(1));
+  return pattern === value;
+};
+
+const invertMatch = (match) => {
+  if (match === MATCH_DEFINITE) return MATCH_NONE;
+  if (match === MATCH_NONE) return MATCH_DEFINITE;
+  return MATCH_POSSIBLE;
+};
+
+// Service accounts are not known, so a principal naming one only possibly
+// matches the workloads of its namespace
+const matchPrincipal = (pattern, namespace) => {
+  const identityPrefix = `${TRUST_DOMAIN}/ns/${namespace}/sa/`;
+  if (pattern === "*") return MATCH_DEFINITE;
+  if (pattern.endsWith("*")) {
+    const prefix = pattern.slice(0, -1);
+    if (identityPrefix.startsWith(prefix)) return MATCH_DEFINITE;
+    return prefix.startsWith(identityPrefix) ? MATCH_POSSIBLE : MATCH_NONE;
+  }
+  if (pattern.startsWith("*")) {
+    const suffix = pattern.slice(1);
+    return suffix.includes(`ns/${namespace}/sa/`) || !suffix.includes("ns/")
+      ? MATCH_POSSIBLE
+      : MATCH_NONE;
+  }
+  return pattern.startsWith(identityPrefix) ? MATCH_POSSIBLE : MATCH_NONE;
+};
+
+// All fields of a source must match the peer workload
+const matchSource = (source, workload) => {
+  const matches = [MATCH_DEFINITE];
+  const matchAny = (values, matchOne) =>
+    strongestMatch(MATCH_NONE, ...values.map(matchOne));
+  const matchNamespace = (pattern) =>
+    matchesValue(pattern, workload.namespace) ? MATCH_DEFINITE : MATCH_NONE;
+  const matchWorkloadPrincipal = (pattern) =>
+    matchPrincipal(pattern, workload.namespace);
+
+  if (source.namespaces) {
+    matches.push(matchAny(source.namespaces, matchNamespace));
+  }
+  if (source.notNamespaces) {
+    matches.push(invertMatch(matchAny(source.notNamespaces, matchNamespace)));
+  }
+  if (source.principals) {
+    matches.push(matchAny(source.principals, matchWorkloadPrincipal));
+  }
+  if (source.notPrincipals) {
+    matches.push(
+      invertMatch(matchAny(source.notPrincipals, matchWorkloadPrincipal)),
+    );
+  }
+  if (REQUEST_SOURCE_FIELDS.some((field) => source[field])) {
+    matches.push(MATCH_POSSIBLE);
+  }
+  return weakestMatch(...matches);
+};
+
+// Ports are compared with the queried port; hosts, methods and paths depend
+// on the request unless they match everything
+const matchOperation = (operation, query) => {
+  const matches = [MATCH_DEFINITE];
+  const hasPort = query.port !== null && query.port !== undefined;
+  const matchPort = (ports) =>
+    ports.includes(String(query.port)) ? MATCH_DEFINITE : MATCH_NONE;
+
+  if (operation.ports) {
+    matches.push(hasPort ? matchPort(operation.ports) : MATCH_POSSIBLE);
+  }
+  if (operation.notPorts) {
+    matches.push(
+      hasPort ? invertMatch(matchPort(operation.notPorts)) : MATCH_POSSIBLE,
+    );
+  }
+  ["hosts", "methods", "paths"].forEach((field) => {
+    if (operation[field]) {
+      matches.push(
+        operation[field].includes("*") ? MATCH_DEFINITE : MATCH_POSSIBLE,
+      );
+    }
+    const notField = `not${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+    if (operation[notField]) {
+      matches.push(
+        operation[notField].includes("*") ? MATCH_NONE : MATCH_POSSIBLE,
+      );
+    }
+  });
+  return weakestMatch(...matches);
+};
+
+// A rule matches when a source, an operation and every condition match;
+// conditions read request attributes and only possibly match
+const matchRule = (rule, source, query) =>
+  weakestMatch(
+    rule.from.length > 0
+      ? strongestMatch(...rule.from.map((entry) => matchSource(entry, source)))
+      : MATCH_DEFINITE,
+    rule.to.length > 0
+      ? strongestMatch(...rule.to.map((entry) => matchOperation(entry, query)))
+      : MATCH_DEFINITE,
+    rule.when.length > 0 ? MATCH_POSSIBLE : MATCH_DEFINITE,
+  );
+
+// Strongest match among the rules of a policy, with the first rule giving it
+const matchPolicy = (policy, source, query) => {
+  let best = { match: MATCH_NONE, ruleIndex: null };
+  (policy.rules || []).forEach((rule, ruleIndex) => {
+    const match = matchRule(rule, source, query);
+    if (strongestMatch(best.match, match) !== best.match) {
+      best = { match, ruleIndex };
+    }
+  });
+  return best;
+};
+
+const toPolicyReference = (policy, ruleIndex) => ({
+  policy: policy.name,
+  namespace: policy.namespace,
+  action: policy.action,
+  ruleIndex,
+  ...(policy.provider && { provider: policy.provider }),
+});
+
+/**
+ * Answers "does Istio authorize requests from the source workload to the
+ * destination workload?". Policies applying to the destination are evaluated
+ * as Istio does: a matching CUSTOM policy hands the request to its provider,
+ * a matching DENY policy denies, and once ALLOW policies apply only requests
+ * matching one of them are allowed. Rules depending on request attributes
+ * (paths, methods, hosts, JWT principals, conditions) or on service accounts
+ * only possibly match and make the verdict conditional.
+ * @param {Array} authorizationPolicies - Parsed AuthorizationPolicies
+ * @param {Object} source - { namespace, labels }
+ * @param {Object} destination - { namespace, labels }
+ * @param {Object} query - { port }
+ * @returns {Object} - { verdict: "allow", "deny", "conditional" or "custom",
+ *   defaulted, policies }, where defaulted means no ALLOW policy applies
+ */
+export const evaluateIstioAccess = (
+  authorizationPolicies,
+  source,
+  destination,
+  query = {},
+) => {
+  const normalizedQuery = { port: query.port ?? null };
+  const matching = (action) =>
+    authorizationPolicies
+      .filter(
+        (policy) =>
+          policy.action === action &&
+          authorizationPolicySelectsWorkload(policy, destination),
+      )
+      .map((policy) => ({
+        policy,
+        ...matchPolicy(policy, source, normalizedQuery),
+      }));
+  const references = (matches, match) =>
+    matches
+      .filter((entry) => entry.match === match)
+      .map(({ policy, ruleIndex }) => toPolicyReference(policy, ruleIndex));
+
+  const custom = matching(ISTIO_ACTION_CUSTOM);
+  const deny = matching(ISTIO_ACTION_DENY);
+  const allow = matching(ISTIO_ACTION_ALLOW);
+
+  const customPolicies = references(custom, MATCH_DEFINITE);
+  if (customPolicies.length > 0) {
+    return { verdict: "custom", defaulted: false, policies: customPolicies };
+  }
+  const denyPolicies = references(deny, MATCH_DEFINITE);
+  if (denyPolicies.length > 0) {
+    return { verdict: "deny", defaulted: false, policies: denyPolicies };
+  }
+
+  // CUSTOM and DENY policies that may catch some of the requests
+  const conditions = [
+    ...references(custom, MATCH_POSSIBLE),
+    ...references(deny, MATCH_POSSIBLE),
+  ];
+  const withConditions = (verdict, defaulted, policies) => {
+    if (conditions.length === 0) return { verdict, defaulted, policies };
+    return {
+      verdict: "conditional",
+      defaulted,
+      policies: [...policies, ...conditions],
+    };
+  };
+
+  if (allow.length === 0) return withConditions("allow", true, []);
+
+  const allowPolicies = references(allow, MATCH_DEFINITE);
+  if (allowPolicies.length > 0) {
+    return withConditions("allow", false, allowPolicies);
+  }
+  const possiblePolicies = references(allow, MATCH_POSSIBLE);
+  if (possiblePolicies.length > 0) {
+    return withConditions("conditional", false, possiblePolicies);
+  }
+  return { verdict: "deny", defaulted: false, policies: [] };
+};
+
+// Overlay kind for the L4 verdict and the Istio verdict, or null when both
+// layers agree. A connection blocked at L4 is only marked when an ALLOW rule
+// explicitly lets it through Istio.
+const getOverlayKind = (l4Allowed, istio) => {
+  if (!l4Allowed) {
+    return istio.verdict === "allow" && !istio.defaulted
+      ? OVERLAY_L4_DENIED
+      : null;
+  }
+  if (istio.verdict === "deny") return OVERLAY_ISTIO_DENIED;
+  if (istio.verdict === "conditional") return OVERLAY_ISTIO_CONDITIONAL;
+  if (istio.verdict === "custom") return OVERLAY_ISTIO_CUSTOM;
+  return null;
+};
+
+/**
+ * Compares the NetworkPolicies with the AuthorizationPolicies for every pair
+ * of workloads in the graph. Only destinations selected by an
+ * AuthorizationPolicy are compared: Istio allows everything elsewhere.
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {Array} authorizationPolicies - Parsed AuthorizationPolicies
+ * @param {Array} nodes - Graph nodes
+ * @returns {Array} - Overlay links [{ source, target, kind, verdict,
+ *   policies }] between node ids
+ */
+export const findIstioOverlayLinks = (
+  policies,
+  authorizationPolicies,
+  nodes,
+) => {
+  const enforcing = authorizationPolicies.filter(
+    (policy) => policy.action !== ISTIO_ACTION_AUDIT,
+  );
+  if (enforcing.length === 0) return [];
+
+  const candidates = getWorkloadCandidates(nodes);
+  const destinations = candidates.filter((candidate) =>
+    enforcing.some((policy) =>
+      authorizationPolicySelectsWorkload(policy, candidate),
+    ),
+  );
+
+  return destinations.flatMap((destination) =>
+    candidates
+      .filter((source) => source.id !== destination.id)
+      .map((source) => {
+        const istio = evaluateIstioAccess(enforcing, source, destination);
+        // Requests Istio allows only because no ALLOW policy applies
+        // are not marked, even when L4 blocks them
+        if (istio.verdict === "allow" && istio.defaulted) return null;
+
+        const l4 = evaluateReachability(policies, source, destination);
+        const kind = getOverlayKind(l4.allowed, istio);
+        return (
+          kind && {
+            source: source.id,
+            target: destination.id,
+            kind,
+            verdict: istio.verdict,
+            policies: istio.policies,
+          }
+        );
+      })
+      .filter(Boolean),
+  );
+};
@@ -0,0 +1,317 @@
+import _ from "lodash";
+import {
+  ALL_NAMESPACES,
+  namespaceSelectorOverlap,
+  strongestMatch,
+  MATCH_DEFINITE,
+  MATCH_POSSIBLE,
+  MATCH_NONE,
+  NAMESPACE_NAME_LABEL,
+} from "./selectors.js";
+import {
+  evaluateSide,
+  labelsFromSelector,
+  portsAllow,
+} from "./reachability.js";
+import { formatSelector } from "./effectivePolicy.js";
+import { hasInventory } from "./workloads.js";
+
+// Namespace-to-namespace connectivity, one cell per source/destination pair
+
+export const MATRIX_ALLOWED = "allowed";
+export const MATRIX_PARTIAL = "partial";
+export const MATRIX_DENIED = "denied";
+
+const DIRECTIONS = {
+  ingress: { peerKey: "from" },
+  egress: { peerKey: "to" },
+};
+
+// Namespaces named by the kubernetes.io/metadata.name label of a selector
+const getSelectorNamespaceNames = (selector) => {
+  if (!selector) return [];
+  const names = [];
+  const labelValue = selector.matchLabels?.[NAMESPACE_NAME_LABEL];
+  if (labelValue) names.push(String(labelValue));
+  (selector.matchExpressions || []).forEach((expr) => {
+    if (expr.key === NAMESPACE_NAME_LABEL && expr.operator === "In") {
+      names.push(...(expr.values || []).map(String));
+    }
+  });
+  return names;
+};
+
+/**
+ * Lists the namespaces shown in the matrix: those of the policies, of the
+ * inventory and those that policy subjects and rule peers select by name
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {Object|null} inventory - Inventory from createInventory
+ * @returns {Array} - Sorted namespace names
+ */
+export const getMatrixNamespaces = (policies, inventory = null) => {
+  const names = new Set(policies.map((policy) => policy.namespace));
+  (inventory?.namespaces || []).forEach((namespace) =>
+    names.add(namespace.name),
+  );
+  policies.forEach((policy) => {
+    getSelectorNamespaceNames(policy.namespaceSelector).forEach((name) =>
+      names.add(name),
+    );
+    Object.entries(DIRECTIONS).forEach(([direction, { peerKey }]) => {
+      (policy[direction] || []).forEach((rule) => {
+        (rule?.[peerKey] || []).forEach((peer) => {
+          getSelectorNamespaceNames(peer?.namespaceSelector).forEach((name) =>
+            names.add(name),
+          );
+        });
+      });
+    });
+  });
+  names.delete(ALL_NAMESPACES);
+  return [...names].filter(Boolean).sort();
+};
+
+/**
+ * Pod groups standing for the pods of a namespace: the inventory workloads
+ * when known, otherwise one group per policy podSelector plus the pods no
+ * policy names
+ * @param {Array} policies - Policies of the namespace
+ * @param {Object|null} inventory - Inventory from createInventory
+ * @param {String} namespace - Namespace name
+ * @returns {Array} - [{ key, label, labels }]
+ */
+const getPodGroups = (policies, inventory, namespace) => {
+  const workloads = hasInventory(inventory)
+    ? inventory.workloads.filter((workload) => workload.namespace === namespace)
+    : [];
+  if (workloads.length > 0) {
+    return workloads.map((workload) => ({
+      key: `${workload.kind}/${workload.name}`,
+      label: `${workload.kind}/${workload.name}`,
+      labels: workload.labels,
+    }));
+  }
+
+  const groups = policies.map((policy) => ({
+    key: JSON.stringify(labelsFromSelector(policy.podSelector)),
+    label: `pods (${formatSelector(policy.podSelector)})`,
+    labels: labelsFromSelector(policy.podSelector),
+  }));
+  groups.push({ key: "{}", label: "other pods", labels: {} });
+  return _.uniqBy(groups, "key");
+};
+
+// Union of port lists; null stands for every port
+const mergePorts = (portLists) =>
+  portLists.includes(null) ? null : _.uniqWith(portLists.flat(), _.isEqual);
+
+// Ports allowed by both sides; null stands for every port
+const intersectPorts = (egressPorts, ingressPorts) => {
+  if (!egressPorts) return ingressPorts;
+  if (!ingressPorts) return egressPorts;
+  return ingressPorts.filter((entry) =>
+    portsAllow(egressPorts, entry.port, entry.protocol || "TCP"),
+  );
+};
+
+// Ports one side lets through: those of its allowing rules, or every port
+// when it allows without a rule, e.g. when no policy isolates the subject
+const getSidePorts = (side) => {
+  if (!side.allowed) return [];
+  if (side.allowingRules.length === 0) return null;
+  return mergePorts(side.allowingRules.map((rule) => rule.ports));
+};
+
+// The matrix asks whether any port is reachable
+const ANY_PORT = { port: null, protocol: "TCP" };
+
+/**
+ * Evaluates the connection between two pod groups as reachability queries
+ * do, with the policies of both namespaces in order. Namespaces known only by
+ * name may carry labels the policies select, so the connection is evaluated
+ * once assuming such selectors match and once assuming they do not; when the
+ * answers differ, it is only possibly allowed.
+ * @param {Array} sourcePolicies - Policies that may select the source
+ * @param {Array} destinationPolicies - Policies that may select the destination
+ * @param {Object} source - Source workload { namespace, labels, namespaceLabels }
+ * @param {Object} destination - Destination workload, like source
+ * @returns {Object} - { allowed, match, ports, egress, ingress }
+ */
+const evaluatePair = (
+  sourcePolicies,
+  destinationPolicies,
+  source,
+  destination,
+) => {
+  const evaluate = (assumeNamespaceLabels) => {
+    const from = { ...source, assumeNamespaceLabels };
+    const to = { ...destination, assumeNamespaceLabels };
+    const egress = evaluateSide(sourcePolicies, "egress", from, to, ANY_PORT);
+    const ingress = evaluateSide(
+      destinationPolicies,
+      "ingress",
+      to,
+      from,
+      ANY_PORT,
+    );
+    // Both sides must allow the connection on a common port
+    const ports =
+      egress.allowed && ingress.allowed
+        ? intersectPorts(getSidePorts(egress), getSidePorts(ingress))
+        : [];
+    return {
+      allowed: ports === null || ports.length > 0,
+      ports,
+      egress,
+      ingress,
+    };
+  };
+
+  const unmatched = evaluate(false);
+  if (source.namespaceLabels && destination.namespaceLabels) {
+    return { ...unmatched, match: MATCH_DEFINITE };
+  }
+  const matched = evaluate(true);
+  if (unmatched.allowed === matched.allowed) {
+    return { ...unmatched, match: MATCH_DEFINITE };
+  }
+  return {
+    ...(unmatched.allowed ? unmatched : matched),
+    allowed: true,
+    match: MATCH_POSSIBLE,
+  };
+};
+
+// Rules of one side over several pairs, each once with the strongest match
+// of the pairs it decides
+const collectRules = (pairs, direction, key) => {
+  const rules = new Map();
+  pairs.forEach((pair) => {
+    const match = pair.match || MATCH_DEFINITE;
+    pair[direction][key].forEach((rule) => {
+      const id = `${rule.namespace}/${rule.policy}/${rule.ruleIndex}`;
+      const current = rules.get(id);
+      rules.set(id, {
+        ...rule,
+        match: current ? strongestMatch(current.match, match) : match,
+      });
+    });
+  });
+  return [...rules.values()];
+};
+
+/**
+ * Computes the connectivity matrix between namespaces. Each cell compares
+ * every pod group of the source with every pod group of the destination,
+ * evaluated like reachability queries: admin policies by priority, then the
+ * NetworkPolicies (Calico ones tier by tier, in order), then the baseline
+ * admin policy. A cell is "allowed" when all pairs are certainly allowed,
+ * "denied" when none can be and "partial" otherwise. Without an inventory,
+ * namespaces are known only by name, so selectors on other namespace labels
+ * make a cell partial.
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {Object|null} inventory - Inventory from createInventory
+ * @returns {Object} - { namespaces, cells } where cells[source][destination] is
+ *   { source, destination, status, ports, pairs, egress, ingress }. ports is
+ *   null for every port; egress and ingress hold the isolating policies and
+ *   the rules allowing or denying the pairs on that side.
+ */
+export const computeNamespaceMatrix = (policies, inventory = null) => {
+  const namespaces = getMatrixNamespaces(policies, inventory);
+  const namespaceLabels = new Map(
+    (hasInventory(inventory) ? inventory.namespaces : []).map((namespace) => [
+      namespace.name,
+      namespace.labels,
+    ]),
+  );
+  const policiesByNamespace = _.groupBy(policies, "namespace");
+  // Clusterwide and admin policies apply in the namespaces they may select
+  const namespacePolicies = new Map(
+    namespaces.map((namespace) => [
+      namespace,
+      [
+        ...(policiesByNamespace[namespace] || []),
+        ...(policiesByNamespace[ALL_NAMESPACES] || []).filter(
+          (policy) =>
+            !policy.namespaceSelector ||
+            namespaceSelectorOverlap(
+              policy.namespaceSelector,
+              namespace,
+              namespaceLabels.get(namespace) || null,
+            ) !== MATCH_NONE,
+        ),
+      ],
+    ]),
+  );
+  const groups = new Map(
+    namespaces.map((namespace) => [
+      namespace,
+      getPodGroups(namespacePolicies.get(namespace), inventory, namespace),
+    ]),
+  );
+
+  const cells = {};
+  namespaces.forEach((source) => {
+    cells[source] = {};
+    namespaces.forEach((destination) => {
+      const pairs = [];
+      groups.get(source).forEach((sourceGroup) => {
+        groups.get(destination).forEach((destinationGroup) => {
+          const pair = evaluatePair(
+            namespacePolicies.get(source),
+            namespacePolicies.get(destination),
+            {
+              namespace: source,
+              labels: sourceGroup.labels,
+              namespaceLabels: namespaceLabels.get(source) || null,
+            },
+            {
+              namespace: destination,
+              labels: destinationGroup.labels,
+              namespaceLabels: namespaceLabels.get(destination) || null,
+            },
+          );
+          pairs.push({
+            ...pair,
+            source: sourceGroup.label,
+            destination: destinationGroup.label,
+            match: pair.allowed ? pair.match : null,
+          });
+        });
+      });
+
+      const allowedPairs = pairs.filter((pair) => pair.allowed);
+      const deniedPairs = pairs.filter((pair) => !pair.allowed);
+      let status = MATRIX_PARTIAL;
+      if (allowedPairs.length === 0) {
+        status = MATRIX_DENIED;
+      } else if (
+        allowedPairs.length === pairs.length &&
+        allowedPairs.every((pair) => pair.match === MATCH_DEFINITE)
+      ) {
+        status = MATRIX_ALLOWED;
+      }
+
+      const collectSide = (direction) => ({
+        isolatingPolicies: _.uniqWith(
+          pairs.flatMap((pair) => pair[direction].isolatingPolicies),
+          _.isEqual,
+        ),
+        rules: collectRules(allowedPairs, direction, "allowingRules"),
+        denyingRules: collectRules(deniedPairs, direction, "denyingRules"),
+      });
+
+      cells[source][destination] = {
+        source,
+        destination,
+        status,
+        ports: mergePorts(allowedPairs.map((pair) => pair.ports)),
+        pairs: pairs.map((pair) => _.omit(pair, ["egress", "ingress"])),
+        egress: collectSide("egress"),
+        ingress: collectSide("ingress"),
+      };
+    });
+  });
+
+  return { namespaces, cells };
+};
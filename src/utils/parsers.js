@@ -1,143 +1,335 @@
 import yaml from "js-yaml";
+import { MATCH_NONE, MATCH_POSSIBLE, peerSelectsPods } from "./selectors.js";
+
+// 1-based line at which each mapping and sequence loaded by parseYaml starts
+const sourceLines = new WeakMap();
+
+/**
+ * Returns the line of the YAML source at which a value loaded by parseYaml
+ * starts, e.g. a document or an item of a List
+ * @param {Object} value - Mapping or sequence returned by parseYaml
+ * @returns {Number|null} - 1-based line, or null when it was not loaded from YAML
+ */
+export const getSourceLine = (value) =>
+  value && typeof value === "object" ? (sourceLines.get(value) ?? null) : null;
+
+/**
+ * Parses the documents of a YAML stream with js-yaml. Errors are thrown with
+ * the line they occurred on in the whole stream.
+ * @param {String} yamlText - YAML documents separated by ---
+ * @param {String} [source] - Name of the source for errors, e.g. the file name
+ * @returns {Array} - Parsed documents
+ */
+export const parseYaml = (yamlText, source = "") => {
+  // Split on document separators ourselves, counting the lines before each
+  // document so that lines are reported in the whole stream
+  let lineOffset = 0;
+  return yamlText.split(/^---$/m).flatMap((chunk) => {
+    const doc = chunk.trim();
+    const leading = chunk.match(/^\s*/)[0];
+    const firstLine = lineOffset + (leading.match(/\n/g) || []).length;
+    lineOffset += (chunk.match(/\n/g) || []).length;
+    if (!doc) return [];
+
+    const openLines = [];
+    const listener = (event, state) => {
+      if (event === "open") {
+        openLines.push(state.line);
+        return;
+      }
+      const line = openLines.pop();
+      if (state.result && typeof state.result === "object") {
+        sourceLines.set(state.result, firstLine + line + 1);
+      }
+    };
 
-// Parse YAML using js-yaml library
-export const parseYaml = (yamlText) => {
-  try {
-    // Pre-process the YAML to handle document separators correctly
-    const documents = yamlText
-      .split(/^---$/m)
-      .filter((doc) => doc.trim())
-      .map((doc) => doc.trim());
+    try {
+      return [yaml.load(doc, { listener })];
+    } catch (error) {
+      const line = firstLine + (error.mark?.line ?? 0) + 1;
+      const position = source ? `${source}:${line}` : `line ${line}`;
+      throw new Error(`${position}: ${error.reason || error.message}`);
+    }
+  });
+};
 
-    return documents.map((doc) => {
-      try {
-        // Parse each document using js-yaml
-        return yaml.load(doc);
-      } catch (error) {
-        console.error("Error parsing YAML document:", error);
-        // Return minimal fallback
-        return {
-          apiVersion: "networking.k8s.io/v1",
-          kind: "NetworkPolicy",
-          metadata: {
-            name: "parse-error",
-            namespace: "default",
-          },
-          spec: {
-            podSelector: {},
-            policyTypes: [],
-            ingress: [],
-            egress: [],
-          },
-        };
-      }
-    });
-  } catch (error) {
-    console.error("YAML parsing error:", error);
-    return [
-      {
-        apiVersion: "networking.k8s.io/v1",
-        kind: "NetworkPolicy",
-        metadata: {
-          name: "parse-error",
-          namespace: "default",
-        },
-        spec: {
-          podSelector: {},
-          policyTypes: [],
-          ingress: [],
-          egress: [],
-        },
-      },
-    ];
+/**
+ * Reproduces the API server defaulting of spec.policyTypes: when it is missing
+ * or empty, Ingress is always set and Egress is added if egress rules exist.
+ * @param {Object} spec - NetworkPolicy spec
+ * @returns {Object} - { policyTypes, defaulted }
+ */
+export const defaultPolicyTypes = (spec = {}) => {
+  if (Array.isArray(spec.policyTypes) && spec.policyTypes.length > 0) {
+    return { policyTypes: spec.policyTypes, defaulted: false };
+  }
+
+  const policyTypes = ["Ingress"];
+  if (Array.isArray(spec.egress) && spec.egress.length > 0) {
+    policyTypes.push("Egress");
   }
+  return { policyTypes, defaulted: true };
 };
 
-export const parseNetworkPolicy = (policy) => {
-  try {
-    console.log("Parsing policy:", JSON.stringify(policy, null, 2));
-
-    // Ensure we have required objects
-    if (!policy.metadata) policy.metadata = {};
-    if (!policy.spec) policy.spec = {};
-
-    if (policy.spec.ingress && Array.isArray(policy.spec.ingress)) {
-      policy.spec.ingress = policy.spec.ingress.map((rule) => {
-        if (rule._from && !rule.from) {
-          rule.from = rule._from;
-          delete rule._from;
-        }
-        return rule;
-      });
-    }
+// A rule without peers and ports matches all traffic of its direction
+const allowsAllTraffic = (rule, direction) => {
+  const peerKey = direction === "ingress" ? "from" : "to";
+  return (
+    !!rule &&
+    (!Array.isArray(rule[peerKey]) || rule[peerKey].length === 0) &&
+    (!Array.isArray(rule.ports) || rule.ports.length === 0)
+  );
+};
 
-    if (policy.spec.egress && Array.isArray(policy.spec.egress)) {
-      policy.spec.egress = policy.spec.egress.map((rule) => {
-        if (rule._to && !rule.to) {
-          rule.to = rule._to;
-          delete rule._to;
-        }
-        return rule;
-      });
-    }
+/**
+ * Records how a rule list was written: "absent" (field missing), "empty"
+ * (explicit []), "allow-all" (a rule without peers or ports, e.g. `[{}]`) or
+ * "present" (rules that all list peers or ports)
+ * @param {*} rules - spec.ingress or spec.egress as written
+ * @param {String} direction - "ingress" or "egress"
+ * @returns {String}
+ */
+const getRuleListState = (rules, direction) => {
+  if (rules === undefined || rules === null) return "absent";
+  if (!Array.isArray(rules) || rules.length === 0) return "empty";
+  return rules.some((rule) => allowsAllTraffic(rule, direction))
+    ? "allow-all"
+    : "present";
+};
 
-    // Basic structure with fallbacks for required fields
-    const result = {
-      name: policy.metadata?.name || "unnamed-policy",
-      namespace: policy.metadata?.namespace || "default",
-      podSelector: policy.spec?.podSelector || {},
-      // Ensure these are always arrays
-      ingress: Array.isArray(policy.spec?.ingress) ? policy.spec.ingress : [],
-      egress: Array.isArray(policy.spec?.egress) ? policy.spec.egress : [],
-      policyTypes: Array.isArray(policy.spec?.policyTypes)
-        ? policy.spec.policyTypes
-        : [],
-    };
+/**
+ * Computes what a policy does for one direction:
+ * - "unrestricted": the direction is not in policyTypes, rules are ignored
+ * - "deny-all": the direction applies but there are no rules (absent or [])
+ * - "allow-all": a rule has no peers and no ports, e.g. `ingress: [{}]`
+ * - "specific": only the listed peers and ports are allowed
+ * @param {Object} policy - Parsed NetworkPolicy
+ * @param {String} direction - "ingress" or "egress"
+ * @returns {String}
+ */
+export const getDirectionEffect = (policy, direction) => {
+  const policyType = direction === "ingress" ? "Ingress" : "Egress";
+  if (!(policy.policyTypes || []).includes(policyType)) return "unrestricted";
+
+  switch (getRuleListState(policy[direction], direction)) {
+    case "allow-all":
+      return "allow-all";
+    case "present":
+      return "specific";
+    default:
+      return "deny-all";
+  }
+};
 
-    // Process and normalize pod selector for easier display
-    if (result.podSelector) {
-      if (result.podSelector.matchLabels) {
-        try {
-          result.podSelectorLabels = Object.entries(
-            result.podSelector.matchLabels,
-          )
-            .map(([key, value]) => `${key}: ${value}`)
-            .join(", ");
-        } catch (e) {
-          result.podSelectorLabels = "Error extracting labels";
+/**
+ * Names the kind of a parsed policy, with its API group when it kept one, so
+ * that policies of different kinds sharing a name are told apart. Parsed
+ * Kubernetes NetworkPolicies carry neither.
+ * @param {Object} policy - Parsed policy
+ * @returns {String} - e.g. "NetworkPolicy", "CiliumNetworkPolicy" or
+ *   "NetworkPolicy.projectcalico.org"
+ */
+export const getPolicyKind = (policy) => {
+  const kind = policy.kind || "NetworkPolicy";
+  const group = policy.apiVersion?.split("/")[0];
+  return group ? `${kind}.${group}` : kind;
+};
+
+/**
+ * Converts the rules of one direction of a manifest, leaving out the rules
+ * the converter returns null for. The manifest index of each kept rule is
+ * returned along, so that findings name the rule as it is written. A
+ * converter whose peers are not written as from/to entries returns them as
+ * { rule, peerPaths }, see getManifestPeerPath.
+ * @param {Array} rules - Rules as written
+ * @param {Function} toRule - Called with (rule, index), returns a parsed rule,
+ *   { rule, peerPaths } or null
+ * @returns {Object} - { rules, indexes, peerPaths }
+ */
+export const convertRules = (rules = [], toRule) => {
+  const kept = rules
+    .map((rule, index) => {
+      const converted = toRule(rule, index);
+      return converted?.peerPaths
+        ? { ...converted, index }
+        : { rule: converted, index };
+    })
+    .filter(({ rule }) => rule);
+  return {
+    rules: kept.map(({ rule }) => rule),
+    indexes: kept.map(({ index }) => index),
+    peerPaths: kept.map(({ peerPaths }) => peerPaths || null),
+  };
+};
+
+/**
+ * Returns the index of a parsed rule in its manifest. Cilium, Calico and
+ * admin policies leave out rules that cannot be drawn, so a rule may sit
+ * further down the manifest than in policy[direction].
+ * @param {Object} policy - Parsed policy
+ * @param {String} direction - "ingress" or "egress"
+ * @param {Number} ruleIndex - Index of the rule in policy[direction]
+ * @returns {Number}
+ */
+export const getManifestRuleIndex = (policy, direction, ruleIndex) =>
+  policy.manifestRuleIndexes?.[direction]?.[ruleIndex] ?? ruleIndex;
+
+/**
+ * Returns the path of a parsed rule in its manifest, e.g. "spec.ingress[2]",
+ * or "specs[1].ingress[2]" for a Cilium policy with several specs
+ * @param {Object} policy - Parsed policy
+ * @param {String} direction - "ingress" or "egress"
+ * @param {Number} ruleIndex - Index of the rule in policy[direction]
+ * @returns {String}
+ */
+export const getManifestRulePath = (policy, direction, ruleIndex) =>
+  `${policy.manifestSpecPath || "spec"}.${direction}[${getManifestRuleIndex(policy, direction, ruleIndex)}]`;
+
+/**
+ * Returns the path of a field of a parsed peer in its manifest. Calico,
+ * Cilium and admin policies write peers in their own fields; their parsers
+ * keep, per peer, the manifest path of each parsed field relative to the
+ * rule, such as { ipBlock: "source.nets[0]", "ipBlock.except":
+ * "source.notNets" }. The longest field named there is replaced and the
+ * rest of the field appended.
+ * @param {Object} policy - Parsed policy
+ * @param {String} direction - "ingress" or "egress"
+ * @param {Number} ruleIndex - Index of the rule in policy[direction]
+ * @param {Number} peerIndex - Index of the peer in the rule's from or to
+ * @param {String} field - Field of the parsed peer, e.g. "ipBlock.except[0]";
+ *   empty for the peer itself
+ * @returns {String}
+ */
+export const getManifestPeerPath = (
+  policy,
+  direction,
+  ruleIndex,
+  peerIndex,
+  field = "",
+) => {
+  const rulePath = getManifestRulePath(policy, direction, ruleIndex);
+  const paths = policy.manifestPeerPaths?.[direction]?.[ruleIndex]?.[peerIndex];
+  if (!paths) {
+    const peerKey = direction === "ingress" ? "from" : "to";
+    const peerPath = `${rulePath}.${peerKey}[${peerIndex}]`;
+    return field ? `${peerPath}.${field}` : peerPath;
+  }
+
+  const named = Object.keys(paths)
+    .filter(
+      (key) =>
+        key === field ||
+        field.startsWith(`${key}.`) ||
+        field.startsWith(`${key}[`),
+    )
+    .sort((a, b) => b.length - a.length)[0];
+  if (named === undefined) return `${rulePath}.${paths[""]}.${field}`;
+  return `${rulePath}.${paths[named]}${field.slice(named.length)}`;
+};
+
+// Checks that the rules of a spec are objects whose peers and ports are
+// lists, so that a malformed manifest is reported by its field
+const validateRules = (spec) => {
+  ["ingress", "egress"].forEach((direction) => {
+    const peerKey = direction === "ingress" ? "from" : "to";
+    (Array.isArray(spec[direction]) ? spec[direction] : []).forEach(
+      (rule, index) => {
+        const path = `spec.${direction}[${index}]`;
+        if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+          throw new Error(
+            `${path} must be a rule, not ${JSON.stringify(rule)}`,
+          );
         }
+        [peerKey, "ports"].forEach((field) => {
+          const value = rule[field];
+          if (value !== undefined && value !== null && !Array.isArray(value)) {
+            throw new Error(`${path}.${field} must be a list`);
+          }
+        });
+      },
+    );
+  });
+};
+
+export const parseNetworkPolicy = (policy) => {
+  console.log("Parsing policy:", JSON.stringify(policy, null, 2));
+
+  // Ensure we have required objects
+  if (!policy.metadata) policy.metadata = {};
+  if (!policy.spec) policy.spec = {};
+  validateRules(policy.spec);
+
+  if (policy.spec.ingress && Array.isArray(policy.spec.ingress)) {
+    policy.spec.ingress = policy.spec.ingress.map((rule) => {
+      if (rule._from && !rule.from) {
+        rule.from = rule._from;
+        delete rule._from;
       }
+      return rule;
+    });
+  }
 
-      if (result.podSelector.matchExpressions) {
-        try {
-          const expressions = result.podSelector.matchExpressions
-            .map((expr) => {
-              return `${expr.key} ${expr.operator} [${expr.values?.join(", ") || ""}]`;
-            })
-            .join(", ");
+  if (policy.spec.egress && Array.isArray(policy.spec.egress)) {
+    policy.spec.egress = policy.spec.egress.map((rule) => {
+      if (rule._to && !rule.to) {
+        rule.to = rule._to;
+        delete rule._to;
+      }
+      return rule;
+    });
+  }
 
-          result.podSelectorExpressions = expressions;
-        } catch (e) {
-          result.podSelectorExpressions = "Error extracting expressions";
-        }
+  const { policyTypes, defaulted } = defaultPolicyTypes(policy.spec);
+
+  // Basic structure with fallbacks for required fields
+  const result = {
+    name: policy.metadata?.name || "unnamed-policy",
+    namespace: policy.metadata?.namespace || "default",
+    podSelector: policy.spec?.podSelector || {},
+    // Ensure these are always arrays
+    ingress: Array.isArray(policy.spec?.ingress) ? policy.spec.ingress : [],
+    egress: Array.isArray(policy.spec?.egress) ? policy.spec.egress : [],
+    policyTypes,
+    policyTypesDefaulted: defaulted,
+    // Keep whether the rule lists were absent or explicitly empty
+    ingressState: getRuleListState(policy.spec?.ingress, "ingress"),
+    egressState: getRuleListState(policy.spec?.egress, "egress"),
+  };
+  result.ingressEffect = getDirectionEffect(result, "ingress");
+  result.egressEffect = getDirectionEffect(result, "egress");
+
+  // Process and normalize pod selector for easier display
+  if (result.podSelector) {
+    if (result.podSelector.matchLabels) {
+      try {
+        result.podSelectorLabels = Object.entries(
+          result.podSelector.matchLabels,
+        )
+          .map(([key, value]) => `${key}: ${value}`)
+          .join(", ");
+      } catch (e) {
+        result.podSelectorLabels = "Error extracting labels";
       }
     }
 
-    console.log("Parsed policy:", JSON.stringify(result, null, 2));
-
-    return result;
-  } catch (err) {
-    console.error("Error parsing policy:", err);
-    // Provide a minimal valid structure
-    return {
-      name: "parse-error",
-      namespace: "default",
-      podSelector: {},
-      ingress: [],
-      egress: [],
-      policyTypes: [],
-    };
+    if (result.podSelector.matchExpressions) {
+      try {
+        const expressions = result.podSelector.matchExpressions
+          .map((expr) => {
+            return `${expr.key} ${expr.operator} [${expr.values?.join(", ") || ""}]`;
+          })
+          .join(", ");
+
+        result.podSelectorExpressions = expressions;
+      } catch (e) {
+        result.podSelectorExpressions = "Error extracting expressions";
+      }
+    }
   }
+
+  console.log("Parsed policy:", JSON.stringify(result, null, 2));
+
+  return result;
 };
 
 // Enhanced buildGraphData function to connect related NetworkPolicies
@@ -481,20 +673,6 @@ export const buildGraphData = (policies) => {
     sourceId: `pod:${policy.namespace}:${JSON.stringify(policy.podSelector || {})}`,
   }));
 
-  // Function to check if a pod selector matches a policy's pod selector
-  const doesSelectorMatch = (selector, targetSelector) => {
-    // If either doesn't have matchLabels, can't determine a match
-    if (!selector.matchLabels || !targetSelector.matchLabels) {
-      return false;
-    }
-
-    // Check if all labels in the selector match the target
-    // This is a simplified approach; in K8s, the actual selector matching is more complex
-    return Object.entries(selector.matchLabels).every(([key, value]) => {
-      return targetSelector.matchLabels[key] === value;
-    });
-  };
-
   // Create links between policies that have matching selectors
   policies.forEach((policy) => {
     // Skip if no ingress or egress rules
@@ -512,22 +690,22 @@ export const buildGraphData = (policies) => {
       if (!rule.from || !Array.isArray(rule.from)) return;
 
       rule.from.forEach((from, fromIndex) => {
-        if (!from.podSelector) return;
+        if (!from || from.ipBlock) return;
 
-        // Find policies whose pod selector matches this ingress rule's from.podSelector
+        // Find policies whose pod selector can be matched by this ingress peer
         policyPodSelectors.forEach(
           ({ policy: otherPolicy, sourceId: otherSourceId }) => {
-            // Skip self-references or cross-namespace (unless explicitly allowed)
-            if (
-              policy.name === otherPolicy.name ||
-              (policy.namespace !== otherPolicy.namespace &&
-                !from.namespaceSelector)
-            ) {
-              return;
-            }
+            // Skip self-references
+            if (policy === otherPolicy) return;
+
+            const matchType = peerSelectsPods(
+              from,
+              policy.namespace,
+              otherPolicy.podSelector,
+              otherPolicy.namespace,
+            );
 
-            // Check if the otherPolicy's podSelector matches the from.podSelector
-            if (doesSelectorMatch(from.podSelector, otherPolicy.podSelector)) {
+            if (matchType !== MATCH_NONE) {
               // Create a cross-policy link
               const crossPolicyLinkId = `cross-policy:${policy.name}:${otherPolicy.name}:${ruleIndex}:${fromIndex}`;
               links.push({
@@ -538,6 +716,7 @@ export const buildGraphData = (policies) => {
                 policy: `${otherPolicy.name} → ${policy.name}`,
                 ports: rule.ports || "all",
                 crossPolicy: true, // Mark as a cross-policy link
+                possibleMatch: matchType === MATCH_POSSIBLE,
                 combinedSelector: from.namespaceSelector && from.podSelector,
               });
             }
@@ -551,22 +730,22 @@ export const buildGraphData = (policies) => {
       if (!rule.to || !Array.isArray(rule.to)) return;
 
       rule.to.forEach((to, toIndex) => {
-        if (!to.podSelector) return;
+        if (!to || to.ipBlock) return;
 
-        // Find policies whose pod selector matches this egress rule's to.podSelector
+        // Find policies whose pod selector can be matched by this egress peer
         policyPodSelectors.forEach(
           ({ policy: otherPolicy, sourceId: otherSourceId }) => {
-            // Skip self-references or cross-namespace (unless explicitly allowed)
-            if (
-              policy.name === otherPolicy.name ||
-              (policy.namespace !== otherPolicy.namespace &&
-                !to.namespaceSelector)
-            ) {
-              return;
-            }
+            // Skip self-references
+            if (policy === otherPolicy) return;
+
+            const matchType = peerSelectsPods(
+              to,
+              policy.namespace,
+              otherPolicy.podSelector,
+              otherPolicy.namespace,
+            );
 
-            // Check if the otherPolicy's podSelector matches the to.podSelector
-            if (doesSelectorMatch(to.podSelector, otherPolicy.podSelector)) {
+            if (matchType !== MATCH_NONE) {
               // Create a cross-policy link
               const crossPolicyLinkId = `cross-policy:${policy.name}:${otherPolicy.name}:${ruleIndex}:${toIndex}`;
               links.push({
@@ -577,6 +756,7 @@ export const buildGraphData = (policies) => {
                 policy: `${policy.name} → ${otherPolicy.name}`,
                 ports: rule.ports || "all",
                 crossPolicy: true, // Mark as a cross-policy link
+                possibleMatch: matchType === MATCH_POSSIBLE,
                 combinedSelector: to.namespaceSelector && to.podSelector,
               });
             }
@@ -0,0 +1,320 @@
+import _ from "lodash";
+import { getEffectivePolicyTypes } from "./reachability.js";
+import { getPortsText } from "./formatters.js";
+import { getManifestRulePath, getPolicyKind } from "./parsers.js";
+import { isCalicoPolicy } from "./calico.js";
+import { isAdminPolicy } from "./adminNetworkPolicy.js";
+
+export const DIFF_ADDED = "added";
+export const DIFF_REMOVED = "removed";
+export const DIFF_CHANGED = "changed";
+
+const getPolicyKey = (policy) =>
+  `${getPolicyKind(policy)}/${policy.namespace}/${policy.name}`;
+
+const getEndpointId = (end) => end?.id ?? end;
+
+// Fields besides the rules that decide what a policy does, by the manifest
+// path they are written at. Policies are only compared with their own kind.
+const getPolicyFields = (policy) => {
+  if (isAdminPolicy(policy)) {
+    return {
+      "spec.priority": policy.priority ?? null,
+      "spec.subject": {
+        namespaceSelector: policy.namespaceSelector,
+        podSelector: policy.podSelector,
+      },
+    };
+  }
+  if (isCalicoPolicy(policy)) {
+    return {
+      "spec.tier": policy.tier,
+      "spec.order": policy.order ?? null,
+      "spec.selector": policy.selector,
+      "spec.namespaceSelector": policy.namespaceSelector ?? null,
+    };
+  }
+  if (policy.endpointSelector) {
+    return { "spec.endpointSelector": policy.endpointSelector };
+  }
+  return { "spec.podSelector": policy.podSelector || {} };
+};
+
+/**
+ * Compares the rule lists of one direction. Rules are matched by content, so
+ * reordering is not reported; rules left over on both sides at the same index
+ * are reported as changed. Paths name the rules as written in the manifests.
+ * @param {Object} beforePolicy - The "before" policy
+ * @param {Object} afterPolicy - The "after" policy
+ * @param {String} direction - "ingress" or "egress"
+ * @returns {Array} - [{ kind, direction, path, before, after }]
+ */
+const diffRules = (beforePolicy, afterPolicy, direction) => {
+  const beforeRules = beforePolicy[direction] || [];
+  const afterRules = afterPolicy[direction] || [];
+  const getPath = (policy, index) =>
+    getManifestRulePath(policy, direction, index);
+  const unmatchedBefore = beforeRules.map((rule, index) => ({ rule, index }));
+  const unmatchedAfter = [];
+
+  afterRules.forEach((rule, index) => {
+    const match = unmatchedBefore.findIndex((entry) =>
+      _.isEqual(entry.rule, rule),
+    );
+    if (match === -1) {
+      unmatchedAfter.push({ rule, index });
+    } else {
+      unmatchedBefore.splice(match, 1);
+    }
+  });
+
+  const changes = [];
+  unmatchedAfter.forEach((afterEntry) => {
+    const pairIndex = unmatchedBefore.findIndex(
+      (entry) => entry.index === afterEntry.index,
+    );
+    if (pairIndex !== -1) {
+      const [beforeEntry] = unmatchedBefore.splice(pairIndex, 1);
+      changes.push({
+        kind: DIFF_CHANGED,
+        direction,
+        path: getPath(afterPolicy, afterEntry.index),
+        before: beforeEntry.rule,
+        after: afterEntry.rule,
+      });
+    } else {
+      changes.push({
+        kind: DIFF_ADDED,
+        direction,
+        path: getPath(afterPolicy, afterEntry.index),
+        before: null,
+        after: afterEntry.rule,
+      });
+    }
+  });
+
+  unmatchedBefore.forEach((beforeEntry) => {
+    changes.push({
+      kind: DIFF_REMOVED,
+      direction,
+      path: getPath(beforePolicy, beforeEntry.index),
+      before: beforeEntry.rule,
+      after: null,
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Compares a "before" and an "after" policy set. Policies are matched by
+ * kind, namespace and name, then compared on their selectors, the priority,
+ * tier and order deciding when they apply, their policy types and rules.
+ * @param {Array} beforePolicies - Parsed NetworkPolicies of the old set
+ * @param {Array} afterPolicies - Parsed NetworkPolicies of the new set
+ * @returns {Object} - { added, removed, changed, unchanged }
+ */
+export const diffPolicySets = (beforePolicies, afterPolicies) => {
+  const beforeByKey = new Map(
+    beforePolicies.map((policy) => [getPolicyKey(policy), policy]),
+  );
+  const afterKeys = new Set(afterPolicies.map(getPolicyKey));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  afterPolicies.forEach((after) => {
+    const before = beforeByKey.get(getPolicyKey(after));
+    if (!before) {
+      added.push(after);
+      return;
+    }
+
+    const changes = [];
+    const beforeFields = getPolicyFields(before);
+    const afterFields = getPolicyFields(after);
+    Object.keys(afterFields).forEach((path) => {
+      if (!_.isEqual(beforeFields[path], afterFields[path])) {
+        changes.push({
+          kind: DIFF_CHANGED,
+          direction: null,
+          path,
+          before: beforeFields[path],
+          after: afterFields[path],
+        });
+      }
+    });
+
+    const beforeTypes = getEffectivePolicyTypes(before);
+    const afterTypes = getEffectivePolicyTypes(after);
+    if (!_.isEqual([...beforeTypes].sort(), [...afterTypes].sort())) {
+      changes.push({
+        kind: DIFF_CHANGED,
+        direction: null,
+        path: "spec.policyTypes",
+        before: beforeTypes,
+        after: afterTypes,
+      });
+    }
+
+    changes.push(
+      ...diffRules(before, after, "ingress"),
+      ...diffRules(before, after, "egress"),
+    );
+
+    if (changes.length > 0) {
+      changed.push({ policy: after, before, changes });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  const removed = beforePolicies.filter(
+    (policy) => !afterKeys.has(getPolicyKey(policy)),
+  );
+
+  return { added, removed, changed, unchanged };
+};
+
+// Links with another action or other ports are other edges
+const getLinkKey = (link) =>
+  [
+    getEndpointId(link.source),
+    getEndpointId(link.target),
+    link.direction,
+    link.action || "",
+    JSON.stringify(link.ports ?? null),
+  ].join("|");
+
+/**
+ * Merges the graphs of two policy sets into one graph annotated with
+ * `diffStatus`: elements only in the "after" graph are "added", elements
+ * only in the "before" graph are kept as "removed" ghosts.
+ * @param {Object} beforeGraph - Graph data built from the old set
+ * @param {Object} afterGraph - Graph data built from the new set
+ * @returns {Object} - Graph data with nodes, links and a `diff` summary
+ */
+export const diffGraphData = (beforeGraph, afterGraph) => {
+  const beforeNodeIds = new Set(beforeGraph.nodes.map((node) => node.id));
+  const afterNodeIds = new Set(afterGraph.nodes.map((node) => node.id));
+  const beforeLinkKeys = new Set(beforeGraph.links.map(getLinkKey));
+  const afterLinkKeys = new Set(afterGraph.links.map(getLinkKey));
+
+  const nodes = [
+    ...afterGraph.nodes.map((node) => ({
+      ...node,
+      diffStatus: beforeNodeIds.has(node.id) ? null : DIFF_ADDED,
+    })),
+    ...beforeGraph.nodes
+      .filter((node) => !afterNodeIds.has(node.id))
+      .map((node) => ({ ...node, diffStatus: DIFF_REMOVED })),
+  ];
+
+  const links = [
+    ...afterGraph.links.map((link) => ({
+      ...link,
+      source: getEndpointId(link.source),
+      target: getEndpointId(link.target),
+      diffStatus: beforeLinkKeys.has(getLinkKey(link)) ? null : DIFF_ADDED,
+    })),
+    ...beforeGraph.links
+      .filter((link) => !afterLinkKeys.has(getLinkKey(link)))
+      .map((link) => ({
+        ...link,
+        source: getEndpointId(link.source),
+        target: getEndpointId(link.target),
+        diffStatus: DIFF_REMOVED,
+      })),
+  ];
+
+  const countBy = (items, status) =>
+    items.filter((item) => item.diffStatus === status).length;
+
+  return {
+    nodes,
+    links,
+    diff: {
+      addedNodes: countBy(nodes, DIFF_ADDED),
+      removedNodes: countBy(nodes, DIFF_REMOVED),
+      addedLinks: countBy(links, DIFF_ADDED),
+      removedLinks: countBy(links, DIFF_REMOVED),
+    },
+  };
+};
+
+// One-line summary of a rule for Markdown output
+const summarizeRule = (rule, direction) => {
+  if (!rule) return "";
+  const peerKey = direction === "ingress" ? "from" : "to";
+  const peers = rule[peerKey];
+  const peerText =
+    Array.isArray(peers) && peers.length > 0
+      ? peers.map((peer) => JSON.stringify(peer)).join(", ")
+      : "any";
+  const ports =
+    Array.isArray(rule.ports) && rule.ports.length > 0 ? rule.ports : null;
+  return `${peerKey}: ${peerText}; ports: ${getPortsText(ports)}`;
+};
+
+const summarizeChange = (change) => {
+  if (change.direction) {
+    const before = summarizeRule(change.before, change.direction);
+    const after = summarizeRule(change.after, change.direction);
+    if (change.kind === DIFF_ADDED) return `\`${after}\``;
+    if (change.kind === DIFF_REMOVED) return `\`${before}\``;
+    return `\`${before}\` → \`${after}\``;
+  }
+  return `\`${JSON.stringify(change.before)}\` → \`${JSON.stringify(change.after)}\``;
+};
+
+/**
+ * Formats a policy set diff as Markdown, e.g. for a pull request comment
+ * @param {Object} diff - Result of diffPolicySets
+ * @param {Object} graphDelta - `diff` summary of diffGraphData, if available
+ * @returns {String} - Markdown
+ */
+export const formatDiffMarkdown = (diff, graphDelta = null) => {
+  const lines = ["## NetworkPolicy diff", ""];
+
+  lines.push(
+    `**${diff.added.length}** added, **${diff.removed.length}** removed, ` +
+      `**${diff.changed.length}** changed, ${diff.unchanged} unchanged`,
+  );
+
+  if (graphDelta) {
+    lines.push(
+      "",
+      `Graph: +${graphDelta.addedLinks} / -${graphDelta.removedLinks} edges, ` +
+        `+${graphDelta.addedNodes} / -${graphDelta.removedNodes} nodes`,
+    );
+  }
+
+  if (diff.added.length > 0) {
+    lines.push("", "### Added policies", "");
+    diff.added.forEach((policy) => {
+      lines.push(`- \`${getPolicyKey(policy)}\``);
+    });
+  }
+
+  if (diff.removed.length > 0) {
+    lines.push("", "### Removed policies", "");
+    diff.removed.forEach((policy) => {
+      lines.push(`- \`${getPolicyKey(policy)}\``);
+    });
+  }
+
+  if (diff.changed.length > 0) {
+    lines.push("", "### Changed policies");
+    diff.changed.forEach(({ policy, changes }) => {
+      lines.push("", `#### \`${getPolicyKey(policy)}\``, "");
+      lines.push("| Change | Path | Details |", "| --- | --- | --- |");
+      changes.forEach((change) => {
+        const details = summarizeChange(change).replace(/\|/g, "\\|");
+        lines.push(`| ${change.kind} | \`${change.path}\` | ${details} |`);
+      });
+    });
+  }
+
+  return `${lines.join("\n")}\n`;
+};
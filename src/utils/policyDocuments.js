@@ -0,0 +1,121 @@
+import { getSourceLine, parseNetworkPolicy } from "./parsers.js";
+import { isCiliumPolicy, parseCiliumPolicy } from "./cilium.js";
+import { isCalicoPolicy, parseCalicoPolicy } from "./calico.js";
+import { isAdminPolicy, parseAdminPolicy } from "./adminNetworkPolicy.js";
+
+/**
+ * Checks whether a document wraps other resources, as `kubectl get -o yaml`
+ * does with `kind: List` or typed lists such as NetworkPolicyList
+ * @param {Object} doc - Parsed document
+ * @returns {Boolean}
+ */
+export const isListDocument = (doc) =>
+  typeof doc?.kind === "string" &&
+  doc.kind.endsWith("List") &&
+  Array.isArray(doc.items);
+
+// Items of a typed list such as NetworkPolicyList may leave out their kind
+const withListKind = (item, list) => {
+  if (list.kind === "List" || !item || typeof item !== "object" || item.kind) {
+    return item;
+  }
+  return { apiVersion: list.apiVersion, ...item, kind: list.kind.slice(0, -4) };
+};
+
+/**
+ * Unwraps List documents, at any depth, into the manifests they hold. Each
+ * manifest keeps where it came from: the source, the 1-based document in it,
+ * the path through the lists, e.g. "items[2].items[0]", and the line it
+ * starts at when it was loaded from YAML. Items of typed lists without a kind
+ * get the kind the list holds, e.g. NetworkPolicy for NetworkPolicyList.
+ * @param {Array} documents - Parsed documents of one source
+ * @param {String} source - Name of the source, e.g. the file name
+ * @returns {Array} - [{ doc, position: { source, document, path, line } }]
+ */
+export const flattenDocuments = (documents, source) => {
+  const unwrap = (doc, position) => {
+    if (!isListDocument(doc)) return [{ doc, position }];
+    const prefix = position.path ? `${position.path}.` : "";
+    return doc.items.flatMap((item, index) =>
+      unwrap(withListKind(item, doc), {
+        ...position,
+        path: `${prefix}items[${index}]`,
+        line: getSourceLine(item),
+      }),
+    );
+  };
+
+  return documents.flatMap((doc, index) =>
+    unwrap(doc, {
+      source,
+      document: index + 1,
+      path: "",
+      line: getSourceLine(doc),
+    }),
+  );
+};
+
+/**
+ * Describes the position of a manifest, as file:line when its line is known
+ * @param {Object} position - { source, document, path, line } from flattenDocuments
+ * @returns {String} - e.g. "netpol.yaml:14" or "netpol.json, document 1, items[3]"
+ */
+export const formatSourcePosition = ({ source, document, path, line }) => {
+  if (line) return source ? `${source}:${line}` : `line ${line}`;
+  return [source, `document ${document}`, path].filter(Boolean).join(", ");
+};
+
+/**
+ * Runs a parser on each manifest on its own, so that an error names the
+ * position of the manifest that caused it. Each result keeps that position.
+ * A parser tripping over a field of an unexpected type reports the manifest
+ * as malformed rather than its own TypeError.
+ * @param {Array} entries - [{ doc, position }] from flattenDocuments
+ * @param {Function} parse - Parser taking and returning an array
+ * @returns {Array} - Results of every manifest, with their `position`
+ */
+export const parseEntries = (entries, parse) =>
+  entries.flatMap(({ doc, position }) => {
+    try {
+      return parse([doc]).map((result) => ({ ...result, position }));
+    } catch (err) {
+      const reason =
+        err instanceof TypeError
+          ? `malformed ${doc?.kind || "manifest"}`
+          : err.message;
+      throw new Error(`${formatSourcePosition(position)}: ${reason}`);
+    }
+  });
+
+// Parses the policy manifests among documents that are not Lists
+const parsePolicyManifests = (documents) =>
+  documents
+    .flatMap((doc) => {
+      // Calico's NetworkPolicy shares the kind of the Kubernetes one
+      if (isCalicoPolicy(doc)) return [parseCalicoPolicy(doc)];
+      if (doc?.kind === "NetworkPolicy") return [parseNetworkPolicy(doc)];
+      if (isAdminPolicy(doc)) return [parseAdminPolicy(doc)];
+      if (isCiliumPolicy(doc)) return parseCiliumPolicy(doc);
+      return [];
+    })
+    .filter(Boolean);
+
+/**
+ * Parses the policy manifests among manifests unwrapped by flattenDocuments:
+ * NetworkPolicies, AdminNetworkPolicies, BaselineAdminNetworkPolicies, Cilium
+ * policies and Calico policies. Other manifests are skipped.
+ * @param {Array} entries - [{ doc, position }] from flattenDocuments
+ * @returns {Array} - Parsed policies, with the `position` of their manifest
+ */
+export const parsePolicyEntries = (entries) =>
+  parseEntries(entries, parsePolicyManifests);
+
+/**
+ * Parses the policy manifests among the documents of one source, unwrapping
+ * List documents. Errors name the position of the failing manifest.
+ * @param {Array} documents - Parsed manifests
+ * @param {String} [source] - Name of the source, e.g. the file name
+ * @returns {Array} - Parsed policies, with the `position` of their manifest
+ */
+export const parsePolicyDocuments = (documents, source = "") =>
+  parsePolicyEntries(flattenDocuments(documents, source));
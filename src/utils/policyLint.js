@@ -0,0 +1,248 @@
+import _ from "lodash";
+import { isEmptySelector } from "./selectors.js";
+import { isAnyAddressCidr, validateIpBlock } from "./cidr.js";
+import { getEffectivePolicyTypes, portsAllow } from "./reachability.js";
+import { computeEffectivePolicy } from "./effectivePolicy.js";
+import { isAdminPolicy } from "./adminNetworkPolicy.js";
+import { isAllowRule, RULE_ACTION_ALLOW } from "./calico.js";
+import {
+  getManifestPeerPath,
+  getManifestRuleIndex,
+  getManifestRulePath,
+} from "./parsers.js";
+
+export const SEVERITY_ERROR = "error";
+export const SEVERITY_WARNING = "warning";
+export const SEVERITY_INFO = "info";
+
+const SEVERITY_RANK = {
+  [SEVERITY_ERROR]: 0,
+  [SEVERITY_WARNING]: 1,
+  [SEVERITY_INFO]: 2,
+};
+
+const DIRECTIONS = [
+  { direction: "ingress", peerKey: "from" },
+  { direction: "egress", peerKey: "to" },
+];
+
+// Calls fn for every rule of both directions with its index and path in the
+// manifest. Deny and Pass rules let nothing through themselves, so they are
+// not checked.
+const forEachRule = (policy, fn) => {
+  DIRECTIONS.forEach(({ direction, peerKey }) => {
+    (policy[direction] || []).forEach((rule, index) => {
+      if (!rule || !isAllowRule(rule)) return;
+      fn(
+        rule,
+        {
+          direction,
+          peerKey,
+          index,
+          ruleIndex: getManifestRuleIndex(policy, direction, index),
+        },
+        getManifestRulePath(policy, direction, index),
+      );
+    });
+  });
+};
+
+// Calls fn for every peer of every rule with a function giving the manifest
+// path of a field of the peer
+const forEachPeer = (policy, fn) => {
+  forEachRule(policy, (rule, location) => {
+    (rule[location.peerKey] || []).forEach((peer, peerIndex) => {
+      if (!peer) return;
+      fn(peer, location, (field) =>
+        getManifestPeerPath(
+          policy,
+          location.direction,
+          location.index,
+          peerIndex,
+          field,
+        ),
+      );
+    });
+  });
+};
+
+/**
+ * Built-in lint rules. Each rule returns partial findings for one policy:
+ * { path, message, direction, ruleIndex }. The engine adds the rule id,
+ * severity and policy.
+ */
+export const BUILT_IN_LINT_RULES = [
+  {
+    id: "ingress-from-anywhere",
+    severity: SEVERITY_WARNING,
+    description: "Ingress rule allows traffic from every IP address",
+    check: (policy) => {
+      const findings = [];
+      forEachPeer(policy, (peer, { direction, ruleIndex }, getPath) => {
+        if (direction !== "ingress" || !peer.ipBlock) return;
+        if (!isAnyAddressCidr(peer.ipBlock.cidr)) return;
+        findings.push({
+          path: getPath("ipBlock"),
+          message: `ipBlock ${peer.ipBlock.cidr} admits traffic from any address`,
+          direction,
+          ruleIndex,
+        });
+      });
+      return findings;
+    },
+  },
+  {
+    id: "empty-namespace-selector",
+    severity: SEVERITY_WARNING,
+    description: "namespaceSelector: {} selects every namespace",
+    check: (policy) => {
+      const findings = [];
+      forEachPeer(policy, (peer, { direction, ruleIndex }, getPath) => {
+        if (
+          !peer.namespaceSelector ||
+          !isEmptySelector(peer.namespaceSelector)
+        ) {
+          return;
+        }
+        const pods =
+          peer.podSelector && !isEmptySelector(peer.podSelector)
+            ? "the selected pods"
+            : "every pod";
+        findings.push({
+          path: getPath("namespaceSelector"),
+          message: `Empty namespaceSelector matches ${pods} in all namespaces`,
+          direction,
+          ruleIndex,
+        });
+      });
+      return findings;
+    },
+  },
+  {
+    id: "rule-without-ports",
+    severity: SEVERITY_INFO,
+    description: "Rule allows every port and protocol",
+    check: (policy) => {
+      const findings = [];
+      forEachRule(policy, (rule, { direction, ruleIndex }, path) => {
+        if (Array.isArray(rule.ports) && rule.ports.length > 0) return;
+        findings.push({
+          path,
+          message: "No ports listed, so every port and protocol is allowed",
+          direction,
+          ruleIndex,
+        });
+      });
+      return findings;
+    },
+  },
+  {
+    id: "except-outside-cidr",
+    severity: SEVERITY_ERROR,
+    description: "ipBlock except entry is invalid or not inside its cidr",
+    check: (policy) => {
+      const findings = [];
+      forEachPeer(policy, (peer, { direction, ruleIndex }, getPath) => {
+        if (!peer.ipBlock) return;
+
+        validateIpBlock(peer.ipBlock)
+          .filter((problem) => problem.severity === SEVERITY_ERROR)
+          .forEach((problem) => {
+            findings.push({
+              path: getPath(`ipBlock.${problem.field}`),
+              message: problem.message,
+              direction,
+              ruleIndex,
+            });
+          });
+      });
+      return findings;
+    },
+  },
+  {
+    id: "duplicate-rule",
+    severity: SEVERITY_WARNING,
+    description: "Rule is identical to an earlier rule of the same policy",
+    check: (policy) => {
+      const findings = [];
+      DIRECTIONS.forEach(({ direction }) => {
+        const rules = policy[direction] || [];
+        rules.forEach((rule, index) => {
+          const firstIndex = rules.findIndex((other) => _.isEqual(other, rule));
+          if (firstIndex === index) return;
+          findings.push({
+            path: getManifestRulePath(policy, direction, index),
+            message: `Duplicates ${getManifestRulePath(policy, direction, firstIndex)}`,
+            direction,
+            ruleIndex: getManifestRuleIndex(policy, direction, index),
+          });
+        });
+      });
+      return findings;
+    },
+  },
+  {
+    id: "egress-blocks-dns",
+    severity: SEVERITY_WARNING,
+    description: "Egress isolation without a rule allowing DNS (port 53)",
+    check: (policy, { policies }) => {
+      if (!getEffectivePolicyTypes(policy).includes("Egress")) return [];
+      // Admin policies do not isolate pods
+      if (isAdminPolicy(policy)) return [];
+
+      // Egress rules are additive, so any policy selecting the pods may allow DNS
+      const effective = computeEffectivePolicy(
+        policies,
+        policy.namespace,
+        policy.podSelector,
+      );
+      const allowsDns = effective.egress.entries.some(
+        (entry) =>
+          entry.action === RULE_ACTION_ALLOW &&
+          (portsAllow(entry.ports, 53, "UDP") ||
+            portsAllow(entry.ports, 53, "TCP")),
+      );
+      if (allowsDns) return [];
+
+      return [
+        {
+          path: `${policy.manifestSpecPath || "spec"}.egress`,
+          message:
+            "Selected pods are isolated for egress and no rule allows port 53, so DNS lookups fail",
+          direction: "egress",
+          ruleIndex: null,
+        },
+      ];
+    },
+  },
+];
+
+/**
+ * Runs lint rules over a set of policies
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {Array} rules - Lint rules, defaults to the built-in rule pack
+ * @returns {Array} - Findings sorted by severity:
+ *   [{ ruleId, severity, policy, namespace, path, message, direction, ruleIndex }]
+ */
+export const lintPolicies = (policies, rules = BUILT_IN_LINT_RULES) => {
+  const findings = [];
+  const context = { policies };
+
+  policies.forEach((policy) => {
+    rules.forEach((rule) => {
+      rule.check(policy, context).forEach((finding) => {
+        findings.push({
+          ruleId: rule.id,
+          severity: rule.severity,
+          policy: policy.name,
+          namespace: policy.namespace,
+          ...finding,
+        });
+      });
+    });
+  });
+
+  return findings.sort(
+    (a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity],
+  );
+};
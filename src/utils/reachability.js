@@ -0,0 +1,468 @@
+import {
+  matchesSelector,
+  namespaceSelectorOverlap,
+  NAMESPACE_NAME_LABEL,
+  peerSelectsByLabel,
+  policyCoversNamespace,
+  MATCH_DEFINITE,
+  MATCH_POSSIBLE,
+} from "./selectors.js";
+import {
+  defaultPolicyTypes,
+  getManifestPeerPath,
+  getManifestRuleIndex,
+} from "./parsers.js";
+import { ipBlockMatchesIp, parseIpAddress } from "./cidr.js";
+import {
+  getPolicyTiers,
+  getRuleAction,
+  isCalicoPolicy,
+  RULE_ACTION_ALLOW,
+  RULE_ACTION_LOG,
+  RULE_ACTION_PASS,
+} from "./calico.js";
+import { getCalicoExampleLabels } from "./calicoSelector.js";
+import {
+  ADMIN_POLICY_KIND,
+  BASELINE_ADMIN_POLICY_KIND,
+  isAdminPolicy,
+  isBaselineAdminPolicy,
+  sortAdminPolicies,
+} from "./adminNetworkPolicy.js";
+
+/**
+ * Returns the policy types a policy applies to. Parsed policies already carry
+ * the API server defaults; raw specs are defaulted the same way.
+ * @param {Object} policy - Parsed NetworkPolicy
+ * @returns {Array} - Policy types ("Ingress" and/or "Egress")
+ */
+export const getEffectivePolicyTypes = (policy) =>
+  Array.isArray(policy.policyTypes)
+    ? policy.policyTypes
+    : defaultPolicyTypes(policy).policyTypes;
+
+/**
+ * Builds a representative label set for a selector: a pod carrying these
+ * labels is selected by the selector. Used when only selectors are known.
+ * @param {Object} selector - Label selector
+ * @returns {Object} - Labels
+ */
+export const labelsFromSelector = (selector) => {
+  if (!selector) return {};
+  const labels = selector.expression
+    ? getCalicoExampleLabels(selector.expression)
+    : {};
+
+  Object.entries(selector.matchLabels || {}).forEach(([key, value]) => {
+    labels[key] = String(value);
+  });
+
+  (selector.matchExpressions || []).forEach((expr) => {
+    if (labels[expr.key] !== undefined) return;
+    if (expr.operator === "In" && expr.values?.length > 0) {
+      labels[expr.key] = String(expr.values[0]);
+    } else if (expr.operator === "Exists") {
+      labels[expr.key] = "";
+    }
+  });
+
+  return labels;
+};
+
+// Labels of a workload's namespace, including the one naming it
+const getNamespaceLabels = (workload) => ({
+  ...(workload.namespaceLabels || {}),
+  [NAMESPACE_NAME_LABEL]: workload.namespace,
+});
+
+// Whether a namespaceSelector selects the workload's namespace. When only the
+// namespace name is known, `assumeNamespaceLabels` decides selectors on other
+// labels; without it they do not match.
+const selectsNamespace = (namespaceSelector, workload) => {
+  if (
+    workload.namespaceLabels ||
+    workload.assumeNamespaceLabels === undefined
+  ) {
+    return matchesSelector(namespaceSelector, getNamespaceLabels(workload));
+  }
+  const match = namespaceSelectorOverlap(namespaceSelector, workload.namespace);
+  return (
+    match === MATCH_DEFINITE ||
+    (match === MATCH_POSSIBLE && workload.assumeNamespaceLabels)
+  );
+};
+
+/**
+ * Checks whether a policy selects a workload. Calico global policies may
+ * also select the namespaces they apply to.
+ * @param {Object} policy - Parsed NetworkPolicy
+ * @param {Object} workload - { namespace, labels, namespaceLabels }
+ * @returns {Boolean}
+ */
+export const policySelectsWorkload = (policy, workload) =>
+  policyCoversNamespace(policy.namespace, workload.namespace) &&
+  (!policy.namespaceSelector ||
+    selectsNamespace(policy.namespaceSelector, workload)) &&
+  matchesSelector(policy.podSelector || {}, workload.labels);
+
+/**
+ * Checks whether a rule peer (from/to entry) matches a workload
+ * @param {Object} peer - Rule peer
+ * @param {String} policyNamespace - Namespace of the policy owning the rule
+ * @param {Object} workload - { namespace, labels, namespaceLabels }
+ * @returns {Boolean}
+ */
+export const peerMatchesWorkload = (peer, policyNamespace, workload) => {
+  if (!peerSelectsByLabel(peer)) {
+    // ipBlock, entity, FQDN and service peers describe other traffic than pods
+    return false;
+  }
+
+  if (peer.namespaceSelector) {
+    if (!selectsNamespace(peer.namespaceSelector, workload)) return false;
+  } else if (policyNamespace !== workload.namespace) {
+    return false;
+  }
+
+  return peer.podSelector
+    ? matchesSelector(peer.podSelector, workload.labels)
+    : true;
+};
+
+/**
+ * Checks whether a rule's ports allow the queried port and protocol.
+ * A missing query port matches any rule; a missing ports list allows all.
+ * @param {Array} ports - Rule ports
+ * @param {Number|String|null} port - Queried port number or name
+ * @param {String} protocol - Queried protocol
+ * @returns {Boolean}
+ */
+export const portsAllow = (ports, port, protocol = "TCP") => {
+  if (!Array.isArray(ports) || ports.length === 0) return true;
+  if (port === null || port === undefined || port === "") return true;
+
+  const queriedNumber = Number(port);
+  const isNumeric = !Number.isNaN(queriedNumber);
+
+  return ports.some((entry) => {
+    if (!entry) return false;
+    if ((entry.protocol || "TCP") !== protocol) return false;
+    if (entry.port === undefined || entry.port === null) return true;
+
+    // Named ports can only be compared by name without the pod spec
+    if (typeof entry.port === "string" && Number.isNaN(Number(entry.port))) {
+      return !isNumeric && entry.port === port;
+    }
+
+    if (!isNumeric) return false;
+    const start = Number(entry.port);
+    const end = entry.endPort !== undefined ? Number(entry.endPort) : start;
+    return queriedNumber >= start && queriedNumber <= end;
+  });
+};
+
+// Checks whether a rule matches the peer and the queried port
+const ruleMatches = (rule, peerKey, policy, peer, query) => {
+  const peers = rule[peerKey];
+  const peerAllowed =
+    !Array.isArray(peers) ||
+    peers.length === 0 ||
+    peers.some((entry) => peerMatchesWorkload(entry, policy.namespace, peer));
+  return peerAllowed && portsAllow(rule.ports, query.port, query.protocol);
+};
+
+// Rules are referred to by their index in the manifest, with the ports they
+// list; null stands for every port
+const toRuleReference = (policy, direction, ruleIndex) => {
+  const { ports } = policy[direction][ruleIndex];
+  return {
+    policy: policy.name,
+    namespace: policy.namespace,
+    direction,
+    ruleIndex: getManifestRuleIndex(policy, direction, ruleIndex),
+    ports: Array.isArray(ports) && ports.length > 0 ? ports : null,
+  };
+};
+
+// First rule matching the peer, going through the policies in order; Log
+// rules only record traffic
+const findFirstMatch = (policies, direction, peer, query) => {
+  const peerKey = direction === "ingress" ? "from" : "to";
+  const match = policies
+    .flatMap((policy) =>
+      (policy[direction] || []).map((rule, ruleIndex) => ({
+        policy,
+        rule,
+        ruleIndex,
+      })),
+    )
+    .find(
+      ({ policy, rule }) =>
+        rule &&
+        getRuleAction(rule) !== RULE_ACTION_LOG &&
+        ruleMatches(rule, peerKey, policy, peer, query),
+    );
+  if (!match) return null;
+
+  const action = getRuleAction(match.rule);
+  return {
+    action,
+    reference: {
+      ...toRuleReference(match.policy, direction, match.ruleIndex),
+      action,
+    },
+  };
+};
+
+// Verdict of a matching Allow or Deny rule
+const toVerdict = ({ action, reference }) =>
+  action === RULE_ACTION_ALLOW
+    ? { allowed: true, allowingRules: [reference], denyingRules: [] }
+    : { allowed: false, allowingRules: [], denyingRules: [reference] };
+
+/**
+ * Evaluates one side in order, as Calico does: tier by tier, the first
+ * matching rule decides. Allow and Deny end the evaluation, Pass moves on to
+ * the next tier and Log rules are skipped. A tier whose policies match
+ * nothing denies; traffic passed on by every tier is allowed.
+ * @param {Array} isolatingPolicies - Policies selecting the subject
+ * @param {String} direction - "ingress" or "egress"
+ * @param {Object} peer - Workload on the other end of the connection
+ * @param {Object} query - { port, protocol }
+ * @returns {Object} - { allowed, allowingRules, denyingRules, deniedByTier,
+ *   passed }
+ */
+const evaluateOrderedSide = (isolatingPolicies, direction, peer, query) => {
+  for (const { tier, policies } of getPolicyTiers(isolatingPolicies)) {
+    const match = findFirstMatch(policies, direction, peer, query);
+
+    if (!match) {
+      return {
+        allowed: false,
+        allowingRules: [],
+        denyingRules: [],
+        deniedByTier: tier,
+      };
+    }
+
+    if (match.action !== RULE_ACTION_PASS) return toVerdict(match);
+  }
+
+  return { allowed: true, allowingRules: [], denyingRules: [], passed: true };
+};
+
+/**
+ * Evaluates one side (egress of the source or ingress of the destination).
+ * AdminNetworkPolicies decide first, by priority; a Pass rule or no match
+ * leaves the connection to the NetworkPolicies. Their rules are additive
+ * unless a Calico policy selects the subject; then the policies are
+ * evaluated in order. Without a NetworkPolicy isolating the subject, the
+ * BaselineAdminNetworkPolicy decides.
+ * Workloads whose namespace is known only by name may set
+ * `assumeNamespaceLabels` to decide the selectors on other namespace labels.
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {String} direction - "ingress" or "egress"
+ * @param {Object} subject - Workload the policies must select
+ * @param {Object} peer - Workload on the other end of the connection
+ * @param {Object} query - { port, protocol }, a null port matches every rule
+ * @returns {Object} - Side verdict with isolating policies, the rules
+ *   allowing, denying or passing on the connection and the kind of the
+ *   admin policy deciding it
+ */
+export const evaluateSide = (policies, direction, subject, peer, query) => {
+  const policyType = direction === "ingress" ? "Ingress" : "Egress";
+  const peerKey = direction === "ingress" ? "from" : "to";
+
+  const selectingPolicies = policies.filter(
+    (policy) =>
+      getEffectivePolicyTypes(policy).includes(policyType) &&
+      policySelectsWorkload(policy, subject),
+  );
+  const isolatingPolicies = selectingPolicies.filter(
+    (policy) => !isAdminPolicy(policy),
+  );
+  const side = {
+    direction,
+    isolated: isolatingPolicies.length > 0,
+    isolatingPolicies: isolatingPolicies.map((policy) => ({
+      policy: policy.name,
+      namespace: policy.namespace,
+    })),
+  };
+
+  const adminMatch = findFirstMatch(
+    sortAdminPolicies(
+      selectingPolicies.filter(
+        (policy) => isAdminPolicy(policy) && !isBaselineAdminPolicy(policy),
+      ),
+    ),
+    direction,
+    peer,
+    query,
+  );
+  if (adminMatch && adminMatch.action !== RULE_ACTION_PASS) {
+    return {
+      ...side,
+      ...toVerdict(adminMatch),
+      passingRules: [],
+      decidedBy: ADMIN_POLICY_KIND,
+    };
+  }
+  const passingRules = adminMatch ? [adminMatch.reference] : [];
+
+  if (isolatingPolicies.length === 0) {
+    const baselineMatch = findFirstMatch(
+      selectingPolicies.filter(isBaselineAdminPolicy),
+      direction,
+      peer,
+      query,
+    );
+    if (baselineMatch) {
+      return {
+        ...side,
+        ...toVerdict(baselineMatch),
+        passingRules,
+        decidedBy: BASELINE_ADMIN_POLICY_KIND,
+      };
+    }
+  }
+
+  if (isolatingPolicies.some(isCalicoPolicy)) {
+    return {
+      ...side,
+      ...evaluateOrderedSide(isolatingPolicies, direction, peer, query),
+      passingRules,
+    };
+  }
+
+  const allowingRules = [];
+  isolatingPolicies.forEach((policy) => {
+    (policy[direction] || []).forEach((rule, ruleIndex) => {
+      if (rule && ruleMatches(rule, peerKey, policy, peer, query)) {
+        allowingRules.push(toRuleReference(policy, direction, ruleIndex));
+      }
+    });
+  });
+
+  return {
+    ...side,
+    allowed: isolatingPolicies.length === 0 || allowingRules.length > 0,
+    allowingRules,
+    denyingRules: [],
+    passingRules,
+  };
+};
+
+/**
+ * Answers "can the source workload talk to the destination workload?".
+ * A pod is only restricted in a direction once a policy of that type selects
+ * it; rules of all such policies are additive, or evaluated in order when
+ * Calico policies select it. AdminNetworkPolicies are evaluated before them
+ * and the BaselineAdminNetworkPolicy after them; the connection needs both
+ * the source egress and the destination ingress to allow it.
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {Object} source - { namespace, labels, namespaceLabels }
+ * @param {Object} destination - { namespace, labels, namespaceLabels }
+ * @param {Object} query - { port, protocol }
+ * @returns {Object} - { allowed, egress, ingress }
+ */
+export const evaluateReachability = (
+  policies,
+  source,
+  destination,
+  query = {},
+) => {
+  const normalizedQuery = {
+    port: query.port ?? null,
+    protocol: query.protocol || "TCP",
+  };
+
+  const egress = evaluateSide(
+    policies,
+    "egress",
+    source,
+    destination,
+    normalizedQuery,
+  );
+  const ingress = evaluateSide(
+    policies,
+    "ingress",
+    destination,
+    source,
+    normalizedQuery,
+  );
+
+  return {
+    allowed: egress.allowed && ingress.allowed,
+    egress,
+    ingress,
+  };
+};
+
+/**
+ * Collects the workloads that can be picked in a reachability query from the
+ * pod selector nodes of the graph, leaving out the subjects of admin policies,
+ * which span namespaces. Each candidate keeps the node id so the answer can
+ * be highlighted.
+ * @param {Array} nodes - Graph nodes
+ * @returns {Array} - [{ id, label, namespace, labels }]
+ */
+export const getWorkloadCandidates = (nodes) =>
+  nodes
+    .filter(
+      (node) =>
+        node.type === "pod" && node.details?.namespace && !node.adminKind,
+    )
+    .map((node) => ({
+      id: node.id,
+      label: node.label,
+      namespace: node.details.namespace,
+      labels: labelsFromSelector(node.details.podSelector),
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+/**
+ * Finds the ipBlock peers whose cidr contains an IP address. Peers of rule
+ * lists ignored by policyTypes are skipped; peers whose except entries
+ * exclude the address are returned with `matches: false`.
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Array|null} - [{ policy, namespace, direction, ruleIndex, path,
+ *   ipBlock, excludedBy, matches }], or null for an invalid address
+ */
+export const findIpBlockRules = (policies, address) => {
+  if (!parseIpAddress(address)) return null;
+
+  const results = [];
+  policies.forEach((policy) => {
+    const policyTypes = getEffectivePolicyTypes(policy);
+    [
+      { direction: "ingress", policyType: "Ingress", peerKey: "from" },
+      { direction: "egress", policyType: "Egress", peerKey: "to" },
+    ].forEach(({ direction, policyType, peerKey }) => {
+      if (!policyTypes.includes(policyType)) return;
+
+      (policy[direction] || []).forEach((rule, index) => {
+        const ruleIndex = getManifestRuleIndex(policy, direction, index);
+        (rule?.[peerKey] || []).forEach((peer, peerIndex) => {
+          if (!peer?.ipBlock) return;
+
+          const match = ipBlockMatchesIp(peer.ipBlock, address);
+          if (!match.inCidr) return;
+          results.push({
+            policy: policy.name,
+            namespace: policy.namespace,
+            direction,
+            ruleIndex,
+            path: getManifestPeerPath(policy, direction, index, peerIndex),
+            ipBlock: peer.ipBlock,
+            excludedBy: match.excludedBy,
+            matches: match.matches,
+          });
+        });
+      });
+    });
+  });
+
+  return results;
+};
@@ -0,0 +1,292 @@
+import _ from "lodash";
+import {
+  MATCH_DEFINITE,
+  NAMESPACE_NAME_LABEL,
+  peerSelectsByLabel,
+  selectorOverlap,
+} from "./selectors.js";
+import { cidrContains } from "./cidr.js";
+import { describeCiliumPeer, isCiliumPeer, isCiliumPolicy } from "./cilium.js";
+import { isCalicoPolicy } from "./calico.js";
+import { isAdminPolicy } from "./adminNetworkPolicy.js";
+import { getEffectivePolicyTypes } from "./reachability.js";
+import { getManifestRuleIndex, getPolicyKind } from "./parsers.js";
+
+const DIRECTIONS = [
+  { direction: "ingress", policyType: "Ingress", peerKey: "from" },
+  { direction: "egress", policyType: "Egress", peerKey: "to" },
+];
+
+/**
+ * Checks whether one port entry allows every port allowed by another
+ * @param {Object} outer - Port entry of the covering rule
+ * @param {Object} inner - Port entry of the covered rule
+ * @returns {Boolean}
+ */
+const portEntryCovers = (outer, inner) => {
+  if ((outer.protocol || "TCP") !== (inner.protocol || "TCP")) return false;
+  if (outer.port === undefined || outer.port === null) return true;
+  if (inner.port === undefined || inner.port === null) return false;
+
+  // Named ports resolve per pod, so only identical names are comparable
+  const outerNamed = Number.isNaN(Number(outer.port));
+  const innerNamed = Number.isNaN(Number(inner.port));
+  if (outerNamed || innerNamed) {
+    return outerNamed && innerNamed && outer.port === inner.port;
+  }
+
+  const outerStart = Number(outer.port);
+  const outerEnd =
+    outer.endPort !== undefined ? Number(outer.endPort) : outerStart;
+  const innerStart = Number(inner.port);
+  const innerEnd =
+    inner.endPort !== undefined ? Number(inner.endPort) : innerStart;
+  return innerStart >= outerStart && innerEnd <= outerEnd;
+};
+
+/**
+ * Checks whether a rule's ports allow every port of another rule.
+ * A missing or empty ports list allows all ports.
+ * @param {Array} outer - Ports of the covering rule
+ * @param {Array} inner - Ports of the covered rule
+ * @returns {Boolean}
+ */
+export const portsCover = (outer, inner) => {
+  if (!Array.isArray(outer) || outer.length === 0) return true;
+  if (!Array.isArray(inner) || inner.length === 0) return false;
+  return inner.every(
+    (innerEntry) =>
+      !!innerEntry &&
+      outer.some(
+        (outerEntry) => !!outerEntry && portEntryCovers(outerEntry, innerEntry),
+      ),
+  );
+};
+
+// A peer without namespaceSelector means "the policy namespace"
+const getNamespaceScope = (peer, policyNamespace) =>
+  peer.namespaceSelector || {
+    matchLabels: { [NAMESPACE_NAME_LABEL]: policyNamespace },
+  };
+
+/**
+ * Checks whether a peer selects everything another peer selects
+ * @param {Object} outer - Peer of the covering rule
+ * @param {String} outerNamespace - Namespace of the covering policy
+ * @param {Object} inner - Peer of the covered rule
+ * @param {String} innerNamespace - Namespace of the covered policy
+ * @returns {Boolean}
+ */
+const peerCovers = (outer, outerNamespace, inner, innerNamespace) => {
+  if (!outer || !inner) return false;
+
+  if (outer.ipBlock || inner.ipBlock) {
+    if (!outer.ipBlock || !inner.ipBlock) return false;
+    if (!cidrContains(outer.ipBlock.cidr, inner.ipBlock.cidr)) return false;
+
+    // Every address the outer block excludes must be excluded by the inner one
+    // too, or lie outside the inner cidr altogether
+    const innerExcepts = inner.ipBlock.except || [];
+    return (outer.ipBlock.except || []).every(
+      (except) =>
+        !cidrContains(except, inner.ipBlock.cidr) &&
+        (!cidrContains(inner.ipBlock.cidr, except) ||
+          innerExcepts.some((innerExcept) =>
+            cidrContains(innerExcept, except),
+          )),
+    );
+  }
+
+  // Cilium entity, FQDN and service peers are only covered by the same peer.
+  // The cluster entities also select every pod, so as outer peers they cover
+  // pod peers through the selector comparison below.
+  if (isCiliumPeer(inner)) {
+    return (
+      isCiliumPeer(outer) &&
+      describeCiliumPeer(outer) === describeCiliumPeer(inner)
+    );
+  }
+  if (!peerSelectsByLabel(outer)) return false;
+
+  const namespaceCovered =
+    selectorOverlap(
+      getNamespaceScope(outer, outerNamespace),
+      getNamespaceScope(inner, innerNamespace),
+    ) === MATCH_DEFINITE;
+
+  return (
+    namespaceCovered &&
+    selectorOverlap(outer.podSelector || {}, inner.podSelector || {}) ===
+      MATCH_DEFINITE
+  );
+};
+
+/**
+ * Checks whether a rule allows every peer×port combination of another rule
+ * @param {Object} outer - { rule, namespace } of the covering rule
+ * @param {Object} inner - { rule, namespace } of the covered rule
+ * @param {String} peerKey - "from" or "to"
+ * @returns {Boolean}
+ */
+export const ruleCovers = (outer, inner, peerKey) => {
+  if (!portsCover(outer.rule.ports, inner.rule.ports)) return false;
+  // L7 rules narrow what the ports allow
+  if (outer.rule.l7 && !_.isEqual(outer.rule.l7, inner.rule.l7)) return false;
+
+  const outerPeers = outer.rule[peerKey];
+  const innerPeers = inner.rule[peerKey];
+  if (!Array.isArray(outerPeers) || outerPeers.length === 0) return true;
+  if (!Array.isArray(innerPeers) || innerPeers.length === 0) return false;
+
+  return innerPeers.every((innerPeer) =>
+    outerPeers.some((outerPeer) =>
+      peerCovers(outerPeer, outer.namespace, innerPeer, inner.namespace),
+    ),
+  );
+};
+
+/**
+ * Finds rules whose allowed peer×port set is contained in another rule that
+ * applies to the same pods: a rule of the same policy, or of another policy
+ * of the same type whose podSelector selects all of this policy's pods.
+ * Identical rules are only reported once, keeping the first one.
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @returns {Array} - [{ policy, namespace, kind, direction, ruleIndex,
+ *   coveredBy }]
+ */
+export const findRedundantRules = (policies) => {
+  const candidates = [];
+  policies.forEach((policy, policyIndex) => {
+    // Calico and admin policy rules depend on the rules evaluated before them
+    if (isCalicoPolicy(policy) || isAdminPolicy(policy)) return;
+
+    const policyTypes = getEffectivePolicyTypes(policy);
+    DIRECTIONS.forEach(({ direction, policyType, peerKey }) => {
+      if (!policyTypes.includes(policyType)) return;
+      (policy[direction] || []).forEach((rule, ruleIndex) => {
+        if (!rule) return;
+        candidates.push({
+          policy,
+          policyIndex,
+          namespace: policy.namespace,
+          direction,
+          peerKey,
+          ruleIndex,
+          rule,
+        });
+      });
+    });
+  });
+
+  const isEarlier = (a, b) =>
+    a.policyIndex < b.policyIndex ||
+    (a.policyIndex === b.policyIndex && a.ruleIndex < b.ruleIndex);
+
+  const appliesToPodsOf = (outer, inner) =>
+    outer.policy === inner.policy ||
+    (outer.namespace === inner.namespace &&
+      selectorOverlap(
+        outer.policy.podSelector || {},
+        inner.policy.podSelector || {},
+      ) === MATCH_DEFINITE);
+
+  // Covering rules share the namespace and direction of the covered one
+  const groups = _.groupBy(
+    candidates,
+    (entry) => `${entry.namespace}|${entry.direction}`,
+  );
+
+  const coverers = new Map();
+  candidates.forEach((inner) => {
+    const found = groups[`${inner.namespace}|${inner.direction}`].filter(
+      (outer) =>
+        outer !== inner &&
+        appliesToPodsOf(outer, inner) &&
+        ruleCovers(outer, inner, inner.peerKey) &&
+        // Mutually covering rules are equivalent; only the later one is redundant
+        (!(
+          appliesToPodsOf(inner, outer) &&
+          ruleCovers(inner, outer, inner.peerKey)
+        ) ||
+          isEarlier(outer, inner)),
+    );
+    if (found.length > 0) coverers.set(inner, found);
+  });
+
+  const toReference = (entry) => ({
+    policy: entry.policy.name,
+    namespace: entry.namespace,
+    kind: getPolicyKind(entry.policy),
+    direction: entry.direction,
+    ruleIndex: getManifestRuleIndex(
+      entry.policy,
+      entry.direction,
+      entry.ruleIndex,
+    ),
+  });
+
+  return [...coverers.entries()].map(([inner, found]) => {
+    // Prefer a covering rule that is kept itself
+    const coveredBy = found.find((outer) => !coverers.has(outer)) || found[0];
+    return {
+      ...toReference(inner),
+      coveredBy: toReference(coveredBy),
+    };
+  });
+};
+
+/**
+ * Checks whether a finding of findRedundantRules is about a policy. Policies
+ * of different kinds may share a name and namespace.
+ * @param {Object} entry - Finding or covering rule reference
+ * @param {Object} policy - Parsed policy
+ * @returns {Boolean}
+ */
+export const isRuleOfPolicy = (entry, policy) =>
+  entry.policy === policy.name &&
+  entry.namespace === policy.namespace &&
+  entry.kind === getPolicyKind(policy);
+
+/**
+ * Builds a NetworkPolicy manifest without the given redundant rules.
+ * policyTypes is written out so that dropping every rule of a direction does
+ * not change the API server defaulting. Cilium policies cannot be written
+ * back from their parsed rules, whose entity, FQDN and service peers have no
+ * NetworkPolicy equivalent.
+ * @param {Object} policy - Parsed NetworkPolicy
+ * @param {Array} redundantRules - Findings of findRedundantRules
+ * @returns {Object|null} - NetworkPolicy manifest, or null for Cilium policies
+ */
+export const removeRedundantRules = (policy, redundantRules) => {
+  if (isCiliumPolicy(policy)) return null;
+
+  const isRedundant = (direction, ruleIndex) =>
+    redundantRules.some(
+      (entry) =>
+        isRuleOfPolicy(entry, policy) &&
+        entry.direction === direction &&
+        entry.ruleIndex === ruleIndex,
+    );
+
+  const spec = {
+    podSelector: policy.podSelector || {},
+    policyTypes: getEffectivePolicyTypes(policy),
+  };
+  DIRECTIONS.forEach(({ direction }) => {
+    const rules = (policy[direction] || []).filter(
+      (rule, ruleIndex) =>
+        !isRedundant(
+          direction,
+          getManifestRuleIndex(policy, direction, ruleIndex),
+        ),
+    );
+    if (rules.length > 0) spec[direction] = rules;
+  });
+
+  return {
+    apiVersion: "networking.k8s.io/v1",
+    kind: "NetworkPolicy",
+    metadata: { name: policy.name, namespace: policy.namespace },
+    spec,
+  };
+};
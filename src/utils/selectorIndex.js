@@ -0,0 +1,147 @@
+import {
+  ALL_NAMESPACES,
+  MATCH_NONE,
+  namespaceSelectorOverlap,
+  peerSelectsByLabel,
+} from "./selectors.js";
+
+// Index of policies by namespace and by the matchLabels of their pod
+// selector. It narrows down the policies a rule peer can select; the peer
+// still has to be compared with each candidate, so results are unchanged.
+// Clusterwide policies are candidates in every namespace.
+
+const getMatchLabels = (selector) => selector?.matchLabels || {};
+
+/**
+ * Indexes policies for looking up the ones a rule peer may select
+ * @param {Array} policies - Parsed NetworkPolicies
+ * @returns {Object} - { getNamespaceCandidates, getCandidates }
+ */
+export const createPolicySelectorIndex = (policies) => {
+  // Namespace to { policies, byLabel: key to value to policies, withoutKey }
+  const namespaces = new Map();
+  const order = new Map();
+
+  policies.forEach((policy, index) => {
+    order.set(policy, index);
+    if (!namespaces.has(policy.namespace)) {
+      namespaces.set(policy.namespace, {
+        policies: [],
+        byLabel: new Map(),
+        withoutKey: new Map(),
+      });
+    }
+    const bucket = namespaces.get(policy.namespace);
+    bucket.policies.push(policy);
+
+    Object.entries(getMatchLabels(policy.podSelector)).forEach(
+      ([key, value]) => {
+        if (!bucket.byLabel.has(key)) bucket.byLabel.set(key, new Map());
+        const values = bucket.byLabel.get(key);
+        if (!values.has(String(value))) values.set(String(value), []);
+        values.get(String(value)).push(policy);
+      },
+    );
+  });
+
+  // Policies of a namespace whose matchLabels do not constrain a key; built
+  // on first use since most keys are never asked for
+  const getWithoutKey = (bucket, key) => {
+    if (!bucket.withoutKey.has(key)) {
+      bucket.withoutKey.set(
+        key,
+        bucket.policies.filter(
+          (policy) =>
+            !Object.prototype.hasOwnProperty.call(
+              getMatchLabels(policy.podSelector),
+              key,
+            ),
+        ),
+      );
+    }
+    return bucket.withoutKey.get(key);
+  };
+
+  // A selector requiring key=other never overlaps one requiring key=value,
+  // so only policies with the same value or without the key are left. The
+  // most selective label of the selector decides.
+  const getBucketCandidates = (bucket, podSelector) => {
+    let best = bucket.policies;
+    Object.entries(getMatchLabels(podSelector)).forEach(([key, value]) => {
+      const matching = bucket.byLabel.get(key)?.get(String(value)) || [];
+      const count = matching.length + getWithoutKey(bucket, key).length;
+      if (count < best.length) {
+        best = [...matching, ...getWithoutKey(bucket, key)];
+      }
+    });
+    return best;
+  };
+
+  // Namespaces a namespaceSelector may select, cached as peers repeat them
+  const selectedNamespaces = new Map();
+  const getSelectedBuckets = (namespaceSelector) => {
+    const cacheKey = JSON.stringify(namespaceSelector);
+    if (!selectedNamespaces.has(cacheKey)) {
+      selectedNamespaces.set(
+        cacheKey,
+        [...namespaces.entries()]
+          .filter(
+            ([namespace]) =>
+              namespace === ALL_NAMESPACES ||
+              namespaceSelectorOverlap(namespaceSelector, namespace) !==
+                MATCH_NONE,
+          )
+          .map(([, bucket]) => bucket),
+      );
+    }
+    return selectedNamespaces.get(cacheKey);
+  };
+
+  // Buckets of a namespace and of the clusterwide policies
+  const getScopeBuckets = (namespace) =>
+    [...new Set([namespace, ALL_NAMESPACES])]
+      .map((name) => namespaces.get(name))
+      .filter(Boolean);
+
+  const inOriginalOrder = (list) =>
+    list.sort((a, b) => order.get(a) - order.get(b));
+
+  /**
+   * Policies of a namespace whose pod selector may overlap a pod selector,
+   * in their original order. Every overlapping policy is included; some may
+   * not overlap after all.
+   * @param {String} namespace - Namespace name
+   * @param {Object} podSelector - Selector describing the pods
+   * @returns {Array}
+   */
+  const getNamespaceCandidates = (namespace, podSelector) =>
+    inOriginalOrder(
+      getScopeBuckets(namespace).flatMap((bucket) =>
+        getBucketCandidates(bucket, podSelector),
+      ),
+    );
+
+  /**
+   * Policies whose pods a peer may select, in their original order. Every
+   * policy the peer selects is included; some may not match after all.
+   * @param {Object} peer - Rule peer ({ podSelector, namespaceSelector })
+   * @param {String} peerNamespace - Namespace of the policy owning the peer
+   * @returns {Array}
+   */
+  const getCandidates = (peer, peerNamespace) => {
+    if (!peerSelectsByLabel(peer)) return [];
+
+    // A peer without namespaceSelector is restricted to its own namespace
+    const buckets = peer.namespaceSelector
+      ? getSelectedBuckets(peer.namespaceSelector)
+      : getScopeBuckets(peerNamespace);
+
+    return inOriginalOrder(
+      buckets.flatMap((bucket) =>
+        getBucketCandidates(bucket, peer.podSelector),
+      ),
+    );
+  };
+
+  return { getNamespaceCandidates, getCandidates };
+};
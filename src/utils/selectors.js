@@ -0,0 +1,396 @@
+import { matchesCalicoExpression } from "./calicoSelector.js";
+
+// Kubernetes label selector evaluation (matchLabels + matchExpressions).
+// Selectors converted from Calico may also carry an `expression` that the
+// labels must satisfy.
+
+/**
+ * Result of comparing two selectors. "definite" means every pod selected by
+ * the target is also selected by the peer, "possible" means some pod could
+ * carry labels satisfying both, "none" means the selectors can never overlap.
+ */
+export const MATCH_DEFINITE = "definite";
+export const MATCH_POSSIBLE = "possible";
+export const MATCH_NONE = "none";
+
+// Label that the API server sets on every namespace (Kubernetes 1.21+)
+export const NAMESPACE_NAME_LABEL = "kubernetes.io/metadata.name";
+
+// Namespace of policies that select pods in every namespace, such as
+// CiliumClusterwideNetworkPolicies
+export const ALL_NAMESPACES = "*";
+
+const MATCH_RANK = {
+  [MATCH_NONE]: 0,
+  [MATCH_POSSIBLE]: 1,
+  [MATCH_DEFINITE]: 2,
+};
+
+/**
+ * Returns the weaker of several match results
+ * @param {...String} results - Match results
+ * @returns {String} - The lowest ranked result
+ */
+export const weakestMatch = (...results) =>
+  results.reduce((weakest, result) =>
+    MATCH_RANK[result] < MATCH_RANK[weakest] ? result : weakest,
+  );
+
+/**
+ * Returns the stronger of several match results
+ * @param {...String} results - Match results
+ * @returns {String} - The highest ranked result
+ */
+export const strongestMatch = (...results) =>
+  results.reduce((strongest, result) =>
+    MATCH_RANK[result] > MATCH_RANK[strongest] ? result : strongest,
+  );
+
+/**
+ * Checks whether a policy of a namespace can select pods of another one
+ * @param {String} policyNamespace - Namespace of the policy
+ * @param {String} namespace - Namespace of the pods
+ * @returns {Boolean}
+ */
+export const policyCoversNamespace = (policyNamespace, namespace) =>
+  policyNamespace === namespace || policyNamespace === ALL_NAMESPACES;
+
+/**
+ * Checks whether a rule peer selects pods by label. ipBlock peers and the
+ * Cilium entity, FQDN and service peers without selectors do not.
+ * @param {Object|null} peer - Rule peer
+ * @returns {Boolean}
+ */
+export const peerSelectsByLabel = (peer) =>
+  !!peer &&
+  !peer.ipBlock &&
+  (!!peer.podSelector ||
+    !!peer.namespaceSelector ||
+    (!peer.entity && !peer.fqdn && !peer.service));
+
+/**
+ * Checks whether a selector selects everything ({} or no requirements)
+ * @param {Object} selector - Label selector
+ * @returns {Boolean}
+ */
+export const isEmptySelector = (selector) =>
+  !!selector &&
+  Object.keys(selector.matchLabels || {}).length === 0 &&
+  (selector.matchExpressions || []).length === 0 &&
+  !selector.expression;
+
+/**
+ * Evaluates a label selector against a concrete set of labels using the
+ * Kubernetes semantics: all requirements are ANDed, an empty selector matches
+ * everything and a missing (null) selector matches nothing.
+ * @param {Object|null} selector - Label selector
+ * @param {Object} labels - Labels of the object being tested
+ * @returns {Boolean}
+ */
+export const matchesSelector = (selector, labels = {}) => {
+  if (!selector) return false;
+
+  const labelsMatch = Object.entries(selector.matchLabels || {}).every(
+    ([key, value]) =>
+      labels[key] !== undefined && String(labels[key]) === String(value),
+  );
+  if (!labelsMatch) return false;
+
+  if (
+    selector.expression &&
+    !matchesCalicoExpression(selector.expression, labels)
+  ) {
+    return false;
+  }
+
+  return (selector.matchExpressions || []).every((expr) => {
+    const hasKey = Object.prototype.hasOwnProperty.call(labels, expr.key);
+    const values = (expr.values || []).map(String);
+
+    switch (expr.operator) {
+      case "In":
+        return hasKey && values.includes(String(labels[expr.key]));
+      case "NotIn":
+        return !hasKey || !values.includes(String(labels[expr.key]));
+      case "Exists":
+        return hasKey;
+      case "DoesNotExist":
+        return !hasKey;
+      default:
+        // The API server rejects unknown operators, so treat them as unmatchable
+        return false;
+    }
+  });
+};
+
+const ANY_CONSTRAINT = { presence: "any", values: null, excluded: new Set() };
+
+const allowedValues = (constraint) =>
+  constraint.values
+    ? [...constraint.values].filter((value) => !constraint.excluded.has(value))
+    : null;
+
+const isSatisfiable = (constraint) => {
+  if (constraint.presence === "conflict") return false;
+  if (constraint.presence !== "required") return true;
+  const allowed = allowedValues(constraint);
+  return allowed === null || allowed.length > 0;
+};
+
+/**
+ * Converts a selector into per-key constraints. Each constraint describes
+ * whether the key must be present, absent or either, and which values are
+ * allowed (null = any value) or excluded when it is present.
+ * @param {Object} selector - Label selector
+ * @returns {Map|null} - Map of key to constraint, or null if unsatisfiable
+ */
+const toConstraints = (selector) => {
+  const constraints = new Map();
+
+  const constrain = (key, update) => {
+    const current = constraints.get(key) || {
+      presence: "any",
+      values: null,
+      excluded: new Set(),
+    };
+    constraints.set(key, update(current));
+  };
+
+  const requirePresence = (current, presence) => {
+    if (current.presence !== "any" && current.presence !== presence) {
+      return { ...current, presence: "conflict" };
+    }
+    return { ...current, presence };
+  };
+
+  const restrictValues = (current, values) => {
+    const allowed = current.values
+      ? new Set(values.filter((value) => current.values.has(value)))
+      : new Set(values);
+    return { ...current, values: allowed };
+  };
+
+  Object.entries(selector.matchLabels || {}).forEach(([key, value]) => {
+    constrain(key, (current) =>
+      restrictValues(requirePresence(current, "required"), [String(value)]),
+    );
+  });
+
+  (selector.matchExpressions || []).forEach((expr) => {
+    const values = (expr.values || []).map(String);
+
+    switch (expr.operator) {
+      case "In":
+        constrain(expr.key, (current) =>
+          restrictValues(requirePresence(current, "required"), values),
+        );
+        break;
+      case "NotIn":
+        constrain(expr.key, (current) => ({
+          ...current,
+          excluded: new Set([...current.excluded, ...values]),
+        }));
+        break;
+      case "Exists":
+        constrain(expr.key, (current) => requirePresence(current, "required"));
+        break;
+      case "DoesNotExist":
+        constrain(expr.key, (current) => requirePresence(current, "absent"));
+        break;
+      default:
+        constrain(expr.key, (current) => ({
+          ...current,
+          presence: "conflict",
+        }));
+    }
+  });
+
+  for (const constraint of constraints.values()) {
+    if (!isSatisfiable(constraint)) return null;
+  }
+
+  return constraints;
+};
+
+const intersectConstraints = (a, b) => {
+  let presence = a.presence;
+  if (a.presence === "any") presence = b.presence;
+  else if (b.presence !== "any" && a.presence !== b.presence) {
+    presence = "conflict";
+  }
+
+  let values = a.values || b.values;
+  if (a.values && b.values) {
+    values = new Set([...a.values].filter((value) => b.values.has(value)));
+  }
+
+  return {
+    presence,
+    values,
+    excluded: new Set([...a.excluded, ...b.excluded]),
+  };
+};
+
+// True when every label value accepted by `inner` is also accepted by `outer`
+const valuesSubset = (inner, outer) => {
+  const innerAllowed = allowedValues(inner);
+  if (innerAllowed === null) {
+    return (
+      outer.values === null &&
+      [...outer.excluded].every((value) => inner.excluded.has(value))
+    );
+  }
+  return innerAllowed.every(
+    (value) =>
+      (outer.values === null || outer.values.has(value)) &&
+      !outer.excluded.has(value),
+  );
+};
+
+// True when every label set satisfying `inner` on one key also satisfies `outer`
+const constraintImplies = (inner, outer) => {
+  if (outer.presence === "required") {
+    return inner.presence === "required" && valuesSubset(inner, outer);
+  }
+  if (outer.presence === "absent") {
+    return inner.presence === "absent";
+  }
+  // Outer accepts a missing key, so only values carried by inner matter
+  return inner.presence === "absent" || valuesSubset(inner, outer);
+};
+
+/**
+ * Compares a peer selector with a target selector and decides whether the
+ * peer selects the pods that the target selects. Without a pod inventory the
+ * answer is "definite" when the target is fully contained in the peer,
+ * "possible" when a pod could satisfy both, and "none" otherwise.
+ * @param {Object|null} peerSelector - Selector from a rule peer
+ * @param {Object|null} targetSelector - Selector of the pods being reached
+ * @returns {String} - MATCH_DEFINITE, MATCH_POSSIBLE or MATCH_NONE
+ */
+export const selectorOverlap = (peerSelector, targetSelector) => {
+  if (!peerSelector || !targetSelector) return MATCH_NONE;
+
+  const peer = toConstraints(peerSelector);
+  const target = toConstraints(targetSelector);
+  if (!peer || !target) return MATCH_NONE;
+
+  const keys = new Set([...peer.keys(), ...target.keys()]);
+
+  for (const key of keys) {
+    const combined = intersectConstraints(
+      peer.get(key) || ANY_CONSTRAINT,
+      target.get(key) || ANY_CONSTRAINT,
+    );
+    if (!isSatisfiable(combined)) return MATCH_NONE;
+  }
+
+  const contained = [...peer.keys()].every((key) =>
+    constraintImplies(target.get(key) || ANY_CONSTRAINT, peer.get(key)),
+  );
+  if (!contained) return MATCH_POSSIBLE;
+
+  // Requirements only written as a Calico expression are not compared, so
+  // the peer's expression can only be known to hold when the target has it
+  if (
+    peerSelector.expression &&
+    peerSelector.expression !== targetSelector.expression
+  ) {
+    return MATCH_POSSIBLE;
+  }
+  return MATCH_DEFINITE;
+};
+
+/**
+ * Decides whether a namespaceSelector selects a namespace known only by name.
+ * Namespaces always carry the kubernetes.io/metadata.name label; any other
+ * label is unknown, so selectors relying on them can only "possibly" match.
+ * @param {Object|null} namespaceSelector - Selector from a rule peer
+ * @param {String} namespace - Namespace name
+ * @param {Object} [labels] - Known namespace labels, if any
+ * @returns {String} - MATCH_DEFINITE, MATCH_POSSIBLE or MATCH_NONE
+ */
+export const namespaceSelectorOverlap = (
+  namespaceSelector,
+  namespace,
+  labels = null,
+) => {
+  if (labels) {
+    return matchesSelector(namespaceSelector, {
+      ...labels,
+      [NAMESPACE_NAME_LABEL]: namespace,
+    })
+      ? MATCH_DEFINITE
+      : MATCH_NONE;
+  }
+
+  return selectorOverlap(namespaceSelector, {
+    matchLabels: { [NAMESPACE_NAME_LABEL]: namespace },
+  });
+};
+
+/**
+ * Decides whether a NetworkPolicy peer (podSelector and/or namespaceSelector)
+ * can select pods chosen by another policy's podSelector.
+ * @param {Object} peer - Rule peer ({ podSelector, namespaceSelector })
+ * @param {String} peerNamespace - Namespace of the policy owning the peer
+ * @param {Object} targetSelector - podSelector of the target policy
+ * @param {String} targetNamespace - Namespace of the target policy
+ * @returns {String} - MATCH_DEFINITE, MATCH_POSSIBLE or MATCH_NONE
+ */
+export const peerSelectsPods = (
+  peer,
+  peerNamespace,
+  targetSelector,
+  targetNamespace,
+) => {
+  if (!peerSelectsByLabel(peer)) return MATCH_NONE;
+
+  // A peer without namespaceSelector is restricted to the policy's namespace;
+  // a target in every namespace shares some of them with most selectors
+  let namespaceMatch;
+  if (targetNamespace === ALL_NAMESPACES) {
+    namespaceMatch =
+      peer.namespaceSelector && isEmptySelector(peer.namespaceSelector)
+        ? MATCH_DEFINITE
+        : MATCH_POSSIBLE;
+  } else if (peer.namespaceSelector) {
+    namespaceMatch = namespaceSelectorOverlap(
+      peer.namespaceSelector,
+      targetNamespace,
+    );
+  } else {
+    namespaceMatch =
+      peerNamespace === targetNamespace ? MATCH_DEFINITE : MATCH_NONE;
+  }
+
+  if (namespaceMatch === MATCH_NONE) return MATCH_NONE;
+
+  // A peer without podSelector selects every pod in the matched namespaces
+  const podMatch = selectorOverlap(
+    peer.podSelector || {},
+    targetSelector || {},
+  );
+
+  return weakestMatch(namespaceMatch, podMatch);
+};
+
+/**
+ * Decides whether a policy can select the pods chosen by a pod selector in a
+ * namespace. Policies in every namespace, such as admin and Calico global
+ * policies, may also select namespaces; a namespace known only by name may
+ * carry the labels they select, so it is then a possible match.
+ * @param {Object} policy - Parsed policy ({ namespace, podSelector, namespaceSelector })
+ * @param {String} namespace - Namespace of the pods
+ * @param {Object} podSelector - Selector describing the pods
+ * @returns {String} - MATCH_DEFINITE, MATCH_POSSIBLE or MATCH_NONE
+ */
+export const policySelectsPods = (policy, namespace, podSelector) => {
+  if (!policyCoversNamespace(policy.namespace, namespace)) return MATCH_NONE;
+  const podMatch = selectorOverlap(policy.podSelector || {}, podSelector || {});
+  if (!policy.namespaceSelector) return podMatch;
+  return weakestMatch(
+    namespaceSelectorOverlap(policy.namespaceSelector, namespace),
+    podMatch,
+  );
+};
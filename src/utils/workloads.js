@@ -0,0 +1,204 @@
+import { matchesSelector, NAMESPACE_NAME_LABEL } from "./selectors.js";
+
+// Real workloads and Namespaces used to resolve graph selectors
+
+// Workload kinds whose pod template labels are matched by pod selectors
+export const WORKLOAD_KINDS = [
+  "Deployment",
+  "StatefulSet",
+  "DaemonSet",
+  "Job",
+  "CronJob",
+  "Pod",
+];
+
+/**
+ * Checks whether a manifest feeds the workload inventory
+ * @param {Object} doc - Kubernetes manifest
+ * @returns {Boolean}
+ */
+export const isInventoryDocument = (doc) =>
+  !!doc && (doc.kind === "Namespace" || WORKLOAD_KINDS.includes(doc.kind));
+
+// Labels the pods of a workload carry
+const getPodLabels = (doc) => {
+  if (!doc.kind || doc.kind === "Pod") return doc.metadata?.labels || {};
+  if (doc.kind === "CronJob") {
+    return doc.spec?.jobTemplate?.spec?.template?.metadata?.labels || {};
+  }
+  return doc.spec?.template?.metadata?.labels || {};
+};
+
+/**
+ * Reduces a workload manifest to what selector resolution needs
+ * @param {Object} doc - Deployment, StatefulSet, DaemonSet, Job, CronJob or
+ *   Pod manifest (or the server's Pod summary)
+ * @returns {Object} - { kind, name, namespace, labels, owner }
+ */
+export const toInventoryWorkload = (doc) => {
+  const [owner] = doc.metadata?.ownerReferences || [];
+  return {
+    kind: doc.kind || "Pod",
+    name: doc.metadata?.name,
+    namespace: doc.metadata?.namespace || "default",
+    labels: getPodLabels(doc),
+    owner: owner ? { kind: owner.kind, name: owner.name } : null,
+  };
+};
+
+/**
+ * Reduces a Namespace manifest to its name and labels. The API server sets
+ * the kubernetes.io/metadata.name label on every namespace, so it is added
+ * when an exported manifest lacks it.
+ * @param {Object} namespace - Namespace manifest
+ * @returns {Object} - { name, labels }
+ */
+export const toInventoryNamespace = (namespace) => {
+  const name = namespace.metadata?.name;
+  return {
+    name,
+    labels: { [NAMESPACE_NAME_LABEL]: name, ...namespace.metadata?.labels },
+  };
+};
+
+/**
+ * Builds an inventory from workload and Namespace manifests. Namespaces that
+ * only appear on workloads are added with their name label.
+ * @param {Object} resources - { workloads, namespaces } manifests
+ * @returns {Object} - { workloads, namespaces }
+ */
+export const createInventory = ({ workloads = [], namespaces = [] }) => {
+  const inventoryWorkloads = workloads
+    .map(toInventoryWorkload)
+    .filter((workload) => workload.name);
+  const inventoryNamespaces = namespaces
+    .map(toInventoryNamespace)
+    .filter((namespace) => namespace.name);
+
+  const known = new Set(inventoryNamespaces.map((namespace) => namespace.name));
+  inventoryWorkloads.forEach((workload) => {
+    if (known.has(workload.namespace)) return;
+    known.add(workload.namespace);
+    inventoryNamespaces.push(
+      toInventoryNamespace({ metadata: { name: workload.namespace } }),
+    );
+  });
+
+  return { workloads: inventoryWorkloads, namespaces: inventoryNamespaces };
+};
+
+/**
+ * Builds an inventory from uploaded manifests of any kind, ignoring the
+ * kinds that do not describe workloads or namespaces
+ * @param {Array} documents - Kubernetes manifests
+ * @returns {Object|null} - Inventory, or null if no manifest feeds it
+ */
+export const createInventoryFromDocuments = (documents) => {
+  const relevant = documents.filter(isInventoryDocument);
+  if (relevant.length === 0) return null;
+
+  return createInventory({
+    workloads: relevant.filter((doc) => doc.kind !== "Namespace"),
+    namespaces: relevant.filter((doc) => doc.kind === "Namespace"),
+  });
+};
+
+/**
+ * Checks whether an inventory holds anything to resolve selectors against
+ * @param {Object|null} inventory - Inventory from createInventory
+ * @returns {Boolean}
+ */
+export const hasInventory = (inventory) =>
+  !!inventory &&
+  (inventory.workloads.length > 0 || inventory.namespaces.length > 0);
+
+const selectNamespaces = (inventory, namespaceSelector) =>
+  inventory.namespaces
+    .filter((namespace) => matchesSelector(namespaceSelector, namespace.labels))
+    .map((namespace) => namespace.name);
+
+const selectWorkloads = (inventory, namespaces, podSelector) =>
+  inventory.workloads.filter(
+    (workload) =>
+      namespaces.includes(workload.namespace) &&
+      matchesSelector(podSelector || {}, workload.labels),
+  );
+
+/**
+ * Resolves a selector node of the graph to the namespaces and workloads it
+ * matches. `unmatched` flags selectors that select nothing although the
+ * inventory covers their scope.
+ * @param {Object} node - Graph node
+ * @param {Object} inventory - Inventory from createInventory
+ * @returns {Object|null} - { namespaces, workloads, unmatched }, or null for
+ *   ipBlock and "anywhere" nodes, which do not select pods
+ */
+export const resolveNodeWorkloads = (node, inventory) => {
+  const details = node.details || {};
+
+  if (node.type === "pod") {
+    const namespaces = details.namespace ? [details.namespace] : [];
+    const workloads = selectWorkloads(
+      inventory,
+      namespaces,
+      details.podSelector,
+    );
+    // Only namespaces the inventory knows about can be said to lack workloads
+    const covered = inventory.namespaces.some(
+      (namespace) => namespace.name === details.namespace,
+    );
+    return {
+      namespaces,
+      workloads,
+      unmatched: covered && workloads.length === 0,
+    };
+  }
+
+  if (node.type === "namespace") {
+    const namespaces = selectNamespaces(inventory, {
+      matchLabels: details.matchLabels,
+      matchExpressions: details.matchExpressions,
+    });
+    return {
+      namespaces,
+      workloads: selectWorkloads(inventory, namespaces, {}),
+      unmatched: namespaces.length === 0,
+    };
+  }
+
+  if (node.type === "combined") {
+    const namespaces = selectNamespaces(inventory, details.namespace || {});
+    const workloads = selectWorkloads(inventory, namespaces, details.pod);
+    return { namespaces, workloads, unmatched: workloads.length === 0 };
+  }
+
+  return null;
+};
+
+/**
+ * Annotates selector nodes with `workloads`: the namespaces and workloads of
+ * the inventory they match
+ * @param {Array} nodes - Graph nodes
+ * @param {Object|null} inventory - Inventory from createInventory
+ * @returns {void}
+ */
+export const annotateNodeWorkloads = (nodes, inventory) => {
+  if (!hasInventory(inventory)) return;
+
+  nodes.forEach((node) => {
+    const workloads = resolveNodeWorkloads(node, inventory);
+    if (workloads) node.workloads = workloads;
+  });
+};
+
+/**
+ * Short count of the workloads a selector matches, e.g. "3 pods" or
+ * "2 workloads"
+ * @param {Array} workloads - Inventory workloads
+ * @returns {String}
+ */
+export const describeWorkloadCount = (workloads) => {
+  const onlyPods = workloads.every((workload) => workload.kind === "Pod");
+  const noun = onlyPods ? "pod" : "workload";
+  return `${workloads.length} ${noun}${workloads.length === 1 ? "" : "s"}`;
+};
@@ -0,0 +1,22 @@
+// Runs graph tasks off the main thread. Each request carries a runId that is
+// repeated on its progress, positions, result and error messages.
+
+import { GRAPH_TASKS } from "./graphTasks.js";
+
+self.onmessage = ({ data }) => {
+  const { type, runId, payload } = data;
+  const onProgress = (stage, progress) =>
+    self.postMessage({ type: "progress", runId, stage, progress });
+  const onPositions = (positions) =>
+    self.postMessage({ type: "positions", runId, positions });
+
+  try {
+    if (!GRAPH_TASKS[type]) {
+      throw new Error(`Unknown graph task: ${type}`);
+    }
+    const result = GRAPH_TASKS[type](payload, onProgress, onPositions);
+    self.postMessage({ type: "result", runId, result });
+  } catch (error) {
+    self.postMessage({ type: "error", runId, message: error.message });
+  }
+};
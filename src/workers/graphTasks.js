@@ -0,0 +1,16 @@
+import { runGraphPipeline } from "../utils/graphPipeline.js";
+import { runSimulationLayout } from "../components/graph/useGraphSimulation.js";
+import { computeNamespaceMatrix } from "../utils/namespaceMatrix.js";
+import { computeCoverage } from "../utils/coverage.js";
+import { lintPolicies } from "../utils/policyLint.js";
+
+// Tasks the graph worker runs, each called with (payload, onProgress,
+// onPositions). Only the layout hands out positions before it is done.
+export const GRAPH_TASKS = {
+  build: runGraphPipeline,
+  layout: runSimulationLayout,
+  matrix: ({ policies, inventory }) =>
+    computeNamespaceMatrix(policies, inventory),
+  coverage: ({ policies, inventory }) => computeCoverage(policies, inventory),
+  lint: ({ policies }) => lintPolicies(policies),
+};
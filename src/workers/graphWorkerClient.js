@@ -0,0 +1,121 @@
+import { GRAPH_TASKS } from "./graphTasks.js";
+
+// Main-thread side of the graph worker. Runs are promises that report
+// progress and intermediate positions, and can be cancelled.
+
+let worker = null;
+let nextRunId = 1;
+// Pending runs by id: { type, payload, onProgress, onPositions, resolve, reject }
+const runs = new Map();
+
+const handleMessage = ({ data }) => {
+  const run = runs.get(data.runId);
+  if (!run) return;
+
+  if (data.type === "progress") {
+    run.onProgress(data.stage, data.progress);
+    return;
+  }
+  if (data.type === "positions") {
+    run.onPositions(data.positions);
+    return;
+  }
+
+  runs.delete(data.runId);
+  if (data.type === "result") {
+    run.resolve(data.result);
+  } else {
+    run.reject(new Error(data.message));
+  }
+};
+
+const postRun = (runId, run) => {
+  worker.postMessage({ type: run.type, runId, payload: run.payload });
+};
+
+const startWorker = () => {
+  worker = new Worker(new URL("./graph.worker.js", import.meta.url));
+  worker.onmessage = handleMessage;
+  // A worker that fails to load fails every pending run
+  worker.onerror = (event) => {
+    event.preventDefault();
+    const error = new Error(event.message || "Graph worker failed");
+    runs.forEach((run) => run.reject(error));
+    runs.clear();
+    worker.terminate();
+    worker = null;
+  };
+};
+
+/**
+ * Stops a run. A task cannot be interrupted inside the worker, so the worker
+ * is terminated and the other pending runs are restarted on a new one.
+ * @param {Number} runId - Run to cancel
+ * @returns {void}
+ */
+const cancelRun = (runId) => {
+  const run = runs.get(runId);
+  if (!run) return;
+  runs.delete(runId);
+
+  const error = new Error("Cancelled");
+  error.cancelled = true;
+  run.reject(error);
+
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  if (runs.size > 0) {
+    startWorker();
+    runs.forEach((pending, id) => postRun(id, pending));
+  }
+};
+
+/**
+ * Whether a run failed because it was cancelled
+ * @param {Error} error - Rejection of a run's promise
+ * @returns {Boolean}
+ */
+export const isCancelled = (error) => error?.cancelled === true;
+
+/**
+ * Runs a graph task ("build", "layout" or one of the analyses) in the graph
+ * worker. Without worker support the task runs on the main thread.
+ * @param {String} type - Task name from GRAPH_TASKS
+ * @param {Object} payload - Task input; must be structured-cloneable
+ * @param {Function} onProgress - Called with (stage, fraction done)
+ * @param {Function} onPositions - Called with node positions of a layout so far
+ * @returns {Object} - { promise, cancel }
+ */
+export const runGraphTask = (
+  type,
+  payload,
+  onProgress = () => {},
+  onPositions = () => {},
+) => {
+  if (typeof Worker === "undefined") {
+    return {
+      promise: new Promise((resolve) =>
+        resolve(GRAPH_TASKS[type](payload, onProgress, onPositions)),
+      ),
+      cancel: () => {},
+    };
+  }
+
+  const runId = nextRunId++;
+  const promise = new Promise((resolve, reject) => {
+    runs.set(runId, {
+      type,
+      payload,
+      onProgress,
+      onPositions,
+      resolve,
+      reject,
+    });
+  });
+  if (!worker) startWorker();
+  postRun(runId, runs.get(runId));
+
+  return { promise, cancel: () => cancelRun(runId) };
+};
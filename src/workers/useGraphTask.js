@@ -0,0 +1,34 @@
+import { useState, useEffect } from "react";
+import { runGraphTask, isCancelled } from "./graphWorkerClient.js";
+
+/**
+ * Runs a graph task in the graph worker whenever its payload changes. A new
+ * payload cancels the run still working on the previous one, whose result
+ * stays available until the new one is done.
+ * @param {String} type - Task name from GRAPH_TASKS
+ * @param {Object} payload - Task input, memoized by the caller; null skips the task
+ * @returns {Object} - { result, error }; result is null until the first run is done
+ */
+export const useGraphTask = (type, payload) => {
+  const [state, setState] = useState({ result: null, error: null });
+
+  useEffect(() => {
+    if (!payload) {
+      setState({ result: null, error: null });
+      return undefined;
+    }
+
+    const run = runGraphTask(type, payload);
+    run.promise
+      .then((result) => setState({ result, error: null }))
+      .catch((err) => {
+        if (!isCancelled(err)) {
+          setState({ result: null, error: err.message });
+        }
+      });
+
+    return () => run.cancel();
+  }, [type, payload]);
+
+  return state;
+};